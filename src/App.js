@@ -7,7 +7,11 @@ import Login from './pages/Login';
 import Settings from './pages/Settings';
 import { ToastContainer, useToast } from './components/NotificationToast';
 import { useWatchlistStore } from './store/useWatchlistStore';
-import { EventDetector, createVolumeSpikeMessage } from './utils/eventDetector';
+import { usePreferencesStore } from './store/usePreferencesStore';
+import { EventDetector, createVolumeSpikeMessage, createEarningsReminderMessage } from './utils/eventDetector';
+import { refreshSession, logoutSession, clearSession, getTokenTimeLeft } from './services/authService';
+import opLog from './services/opLog';
+import alertRuleManager from './services/alertRuleManager';
 
 const API_BASE = process.env.REACT_APP_WORKER_URL || '/api';
 
@@ -54,23 +58,26 @@ const isTokenExpired = (token) => {
   }
 };
 
+// Refresh the access token when it has less than this many seconds left
+const TOKEN_REFRESH_MARGIN = 5 * 60;
+
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(() => {
     const token = sessionStorage.getItem('authToken');
     const isAuth = sessionStorage.getItem('isAuth') === 'true';
-    // Quick client-side check - will be verified with server
-    return isAuth && token && !isTokenExpired(token);
+    const canRefresh = !!sessionStorage.getItem('refreshToken');
+    // Quick client-side check - will be verified (or refreshed) with server
+    return isAuth && token && (!isTokenExpired(token) || canRefresh);
   });
   const [isVerifying, setIsVerifying] = useState(true);
 
-  const { toasts, removeToast, toast } = useToast();
+  const { toasts, addToast, removeToast, toast } = useToast();
   const watchlistStore = useWatchlistStore();
 
-  // Logout function
+  // Logout function (revokes this device's session on the server too)
   const logout = useCallback(() => {
-    sessionStorage.removeItem('authToken');
-    sessionStorage.removeItem('isAuth');
-    sessionStorage.removeItem('authUser');
+    logoutSession();
+    clearSession();
     setIsAuthenticated(false);
 
     window.dispatchEvent(new CustomEvent('authStateChanged', {
@@ -83,17 +90,12 @@ function App() {
     const checkAuth = async () => {
       const token = sessionStorage.getItem('authToken');
 
-      if (!token || isTokenExpired(token)) {
-        logout();
-        setIsVerifying(false);
-        return;
-      }
-
-      // Verify with server
-      const isValid = await verifyToken(token);
+      // Verify with server, falling back to a silent refresh
+      const isValid = (token && !isTokenExpired(token) && await verifyToken(token)) ||
+        await refreshSession();
 
       if (!isValid) {
-        console.log('Token verification failed - logging out');
+        console.log('Token verification and refresh failed - logging out');
         logout();
       } else {
         setIsAuthenticated(true);
@@ -105,17 +107,26 @@ function App() {
     checkAuth();
   }, [logout]);
 
-  // Periodic token check (every 5 minutes)
+  // Record watchlist/preferences changes as sync ops
+  useEffect(() => {
+    opLog.start();
+    return () => opLog.stop();
+  }, []);
+
+  // Periodic token check (every minute) - refresh before the access token expires
   useEffect(() => {
     if (!isAuthenticated) return;
 
-    const interval = setInterval(() => {
+    const interval = setInterval(async () => {
       const token = sessionStorage.getItem('authToken');
-      if (isTokenExpired(token)) {
-        console.log('Token expired - logging out');
+      if (getTokenTimeLeft(token) > TOKEN_REFRESH_MARGIN) return;
+
+      const refreshed = await refreshSession();
+      if (!refreshed && isTokenExpired(sessionStorage.getItem('authToken'))) {
+        console.log('Token expired and refresh failed - logging out');
         logout();
       }
-    }, 5 * 60 * 1000);
+    }, 60 * 1000);
 
     return () => clearInterval(interval);
   }, [isAuthenticated, logout]);
@@ -126,12 +137,21 @@ function App() {
       const eventDetector = new EventDetector(
         { getState: () => watchlistStore },
         (eventData) => {
+          if (eventData.type === 'earnings_reminder') {
+            toast.earningsReminder(createEarningsReminderMessage(eventData), {
+              symbol: eventData.symbol,
+              metadata: { date: eventData.date, hour: eventData.hour, epsEstimate: eventData.epsEstimate }
+            });
+            return;
+          }
+
           // Handle volume spike notifications
           const message = createVolumeSpikeMessage(eventData);
           toast.volumeSpike(message, {
             duration: 8000 // Longer duration for important alerts
           });
-        }
+        },
+        usePreferencesStore
       );
 
       // Start monitoring every 15 minutes
@@ -143,6 +163,43 @@ function App() {
     }
   }, [isAuthenticated, watchlistStore, toast]);
 
+  // Notify when an alert rule fires (rules are evaluated against polled quotes in BloombergSimple)
+  useEffect(() => {
+    const unsubscribe = alertRuleManager.subscribe((event) => {
+      if (event.type === 'ruleTriggered') {
+        const { rule, message } = event.data;
+        toast.priceAlert(message, {
+          symbol: rule.symbol,
+          metadata: { ruleId: rule.id, triggerCount: rule.triggerCount }
+        });
+      }
+    });
+
+    return () => unsubscribe();
+  }, [toast]);
+
+  // Alerts the server fired while no tab was open (already in the alert history)
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const unsubscribe = alertRuleManager.subscribe((event) => {
+      if (event.type === 'missedAlerts') {
+        const alerts = event.data;
+        addToast({
+          message: alerts.length === 1
+            ? alerts[0].message
+            : `🔔 ${alerts.length} alerts fired while you were away - see Alert History`,
+          type: 'price_alert',
+          duration: 10000
+        });
+      }
+    });
+
+    alertRuleManager.fetchMissedAlerts();
+
+    return () => unsubscribe();
+  }, [isAuthenticated, addToast]);
+
   // Listen for storage changes to update auth state
   useEffect(() => {
     const handleStorageChange = () => {
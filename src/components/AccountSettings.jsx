@@ -0,0 +1,265 @@
+/**
+ * Account Settings Component
+ * Password change and device sessions for the signed-in user, plus user management for admins
+ * Keeps its own form state so typing doesn't re-render the whole Settings page
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Users, UserPlus, Monitor } from 'lucide-react';
+import {
+  changePassword,
+  registerUser,
+  listUsers,
+  listSessions,
+  revokeSession,
+  getAuthRole
+} from '../services/authService';
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never');
+
+const inputClass =
+  'w-full px-3 py-2 bg-bloomberg-panel border border-bloomberg-border rounded text-white text-sm focus:border-bloomberg-orange focus:outline-none';
+
+const AccountSettings = ({ onSuccess, onError }) => {
+  const username = sessionStorage.getItem('authUser') || '';
+  const isAdmin = getAuthRole() === 'admin';
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [sessions, setSessions] = useState([]);
+
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'user' });
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers(await listUsers());
+    } catch (error) {
+      onError('Failed to load users: ' + error.message);
+    }
+  }, [onError]);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      onError('Failed to load sessions: ' + error.message);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadUsers();
+    }
+  }, [isAdmin, loadUsers]);
+
+  const handleRevokeSession = async (sessionId = null) => {
+    try {
+      const result = await revokeSession(sessionId);
+      onSuccess(`Signed out ${result.revoked} device${result.revoked === 1 ? '' : 's'}`);
+      loadSessions();
+    } catch (error) {
+      onError('Failed to revoke session: ' + error.message);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      onSuccess('Password changed');
+    } catch (error) {
+      onError('Password change failed: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await registerUser(newUser);
+      setNewUser({ username: '', password: '', role: 'user' });
+      onSuccess(`Created ${result.role} account "${result.username}"`);
+      loadUsers();
+    } catch (error) {
+      onError('Failed to create user: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Change Password */}
+      <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+        <div className="flex items-center space-x-2 mb-4">
+          <KeyRound className="h-4 w-4 text-bloomberg-orange" />
+          <h3 className="font-bold text-white">Change Password</h3>
+        </div>
+
+        <div className="text-xs text-gray-500 mb-3">
+          Signed in as <span className="text-white">{username}</span> ({getAuthRole()})
+        </div>
+
+        <form onSubmit={handleChangePassword} className="space-y-3">
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            className={inputClass}
+          />
+          <input
+            type="password"
+            placeholder="New password (min 8 characters)"
+            autoComplete="new-password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !currentPassword || !newPassword}
+            className="w-full px-4 py-2 bg-bloomberg-orange text-white rounded hover:bg-orange-600 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+      </div>
+
+      {/* Active Sessions */}
+      <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+        <div className="flex items-center space-x-2 mb-4">
+          <Monitor className="h-4 w-4 text-bloomberg-orange" />
+          <h3 className="font-bold text-white">Active Sessions</h3>
+        </div>
+
+        {sessions.length === 0 ? (
+          <div className="text-center text-gray-500 py-4">No active sessions</div>
+        ) : (
+          <div className="space-y-2">
+            {sessions.map((session) => (
+              <div
+                key={session.sessionId}
+                className="flex justify-between items-center text-sm border-b border-bloomberg-border pb-2"
+              >
+                <div className="min-w-0 mr-2">
+                  <div className="text-white truncate" title={session.userAgent}>
+                    {session.userAgent}
+                    {session.current && <span className="ml-2 text-xs text-green-500">(this device)</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {session.country ? `${session.country} · ` : ''}Last active: {formatDate(session.lastUsedAt)}
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevokeSession(session.sessionId)}
+                    className="px-2 py-1 bg-red-600/20 border border-red-600 text-red-500 rounded hover:bg-red-600/30 transition-colors text-xs"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {sessions.some((session) => !session.current) && (
+          <button
+            onClick={() => handleRevokeSession()}
+            className="w-full mt-3 px-4 py-2 bg-red-600/20 border border-red-600 text-red-500 rounded hover:bg-red-600/30 transition-colors text-sm"
+          >
+            Sign Out All Other Devices
+          </button>
+        )}
+      </div>
+
+      {isAdmin && (
+        <>
+          {/* User List */}
+          <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+            <div className="flex items-center space-x-2 mb-4">
+              <Users className="h-4 w-4 text-bloomberg-orange" />
+              <h3 className="font-bold text-white">Users</h3>
+            </div>
+
+            {users.length === 0 ? (
+              <div className="text-center text-gray-500 py-4">No accounts yet</div>
+            ) : (
+              <div className="space-y-2">
+                {users.map((account) => (
+                  <div
+                    key={account.username}
+                    className="flex justify-between items-center text-sm border-b border-bloomberg-border pb-2"
+                  >
+                    <div>
+                      <span className="text-white font-mono">{account.username}</span>
+                      <span className="ml-2 text-xs text-bloomberg-orange uppercase">{account.role}</span>
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      Last login: {formatDate(account.lastLoginAt)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Create User */}
+          <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+            <div className="flex items-center space-x-2 mb-4">
+              <UserPlus className="h-4 w-4 text-bloomberg-orange" />
+              <h3 className="font-bold text-white">Add User</h3>
+            </div>
+
+            <form onSubmit={handleCreateUser} className="space-y-3">
+              <input
+                type="text"
+                placeholder="Username"
+                value={newUser.username}
+                onChange={(e) => setNewUser({ ...newUser, username: e.target.value.toLowerCase() })}
+                className={inputClass}
+              />
+              <input
+                type="password"
+                placeholder="Initial password (min 8 characters)"
+                autoComplete="new-password"
+                value={newUser.password}
+                onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                className={inputClass}
+              />
+              <select
+                value={newUser.role}
+                onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                className={inputClass}
+              >
+                <option value="user">User</option>
+                <option value="readonly">Read-only</option>
+                <option value="admin">Admin</option>
+              </select>
+              <button
+                type="submit"
+                disabled={!newUser.username || !newUser.password}
+                className="w-full px-4 py-2 bg-bloomberg-panel border border-bloomberg-border text-white rounded hover:border-bloomberg-orange transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Create User
+              </button>
+            </form>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AccountSettings;
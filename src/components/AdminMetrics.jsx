@@ -0,0 +1,167 @@
+/**
+ * Admin Metrics Component
+ * Worker request counters from /api/admin/metrics: cache hit ratio, upstream
+ * latency per provider and the symbols spending the most Twelve Data credits
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Activity, RefreshCw } from 'lucide-react';
+import { getWorkerMetrics } from '../services/authService';
+
+const WINDOWS = ['1h', '24h'];
+
+const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '---' : `${(ratio * 100).toFixed(1)}%`);
+const formatMs = (ms) => (ms === null || ms === undefined ? '---' : `${ms} ms`);
+
+const AdminMetrics = ({ onError }) => {
+  const [metrics, setMetrics] = useState(null);
+  const [windowName, setWindowName] = useState('1h');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadMetrics = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setMetrics(await getWorkerMetrics());
+    } catch (error) {
+      onError('Failed to load metrics: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadMetrics();
+  }, [loadMetrics]);
+
+  const summary = metrics?.windows?.[windowName];
+
+  return (
+    <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Activity className="h-4 w-4 text-bloomberg-orange" />
+          <h3 className="font-bold text-white">Worker Metrics</h3>
+        </div>
+        <div className="flex items-center space-x-1">
+          {WINDOWS.map(name => (
+            <button
+              key={name}
+              onClick={() => setWindowName(name)}
+              className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                windowName === name
+                  ? 'bg-bloomberg-orange text-black font-bold'
+                  : 'bg-bloomberg-panel text-gray-400 hover:text-white'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+          <button
+            onClick={loadMetrics}
+            disabled={isLoading}
+            className="p-1 text-gray-400 hover:text-white disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-3 w-3 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {!summary ? (
+        <div className="text-center text-gray-500 py-4">{isLoading ? 'Loading...' : 'No metrics'}</div>
+      ) : (
+        <div className="space-y-4 text-sm">
+          {metrics.scope === 'isolate' && (
+            <div className="text-xs text-gray-500">
+              METRICS_COLLECTOR is not bound - showing one worker instance only
+            </div>
+          )}
+
+          {/* Totals */}
+          <div className="grid grid-cols-4 gap-2">
+            {[
+              { label: 'Requests', value: summary.requests },
+              { label: 'Cache Hit', value: formatPercent(summary.cacheHitRatio) },
+              { label: 'Errors', value: formatPercent(summary.errorRate) },
+              { label: 'Coalesced', value: summary.coalesced }
+            ].map(({ label, value }) => (
+              <div key={label} className="bg-bloomberg-panel rounded p-2">
+                <div className="text-xs text-gray-400">{label}</div>
+                <div className="text-white font-mono">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Providers */}
+          <div>
+            <div className="text-xs text-gray-400 mb-1">Providers</div>
+            {summary.providers.length === 0 ? (
+              <div className="text-xs text-gray-500">No provider traffic</div>
+            ) : (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="font-normal">Provider</th>
+                    <th className="font-normal text-right">Requests</th>
+                    <th className="font-normal text-right">Upstream</th>
+                    <th className="font-normal text-right">Errors</th>
+                    <th className="font-normal text-right">Avg</th>
+                    <th className="font-normal text-right">Max</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono text-white">
+                  {summary.providers.map(provider => (
+                    <tr key={provider.provider}>
+                      <td className="font-sans">{provider.provider}</td>
+                      <td className="text-right">{provider.requests}</td>
+                      <td className="text-right">{provider.upstreamCalls}</td>
+                      <td className={`text-right ${provider.upstreamErrors > 0 ? 'text-red-400' : ''}`}>
+                        {provider.upstreamErrors}
+                      </td>
+                      <td className="text-right">{formatMs(provider.avgLatencyMs)}</td>
+                      <td className="text-right">{formatMs(provider.maxLatencyMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            {/* Routes */}
+            <div>
+              <div className="text-xs text-gray-400 mb-1">Top Routes</div>
+              {summary.routes.map(({ route, requests }) => (
+                <div key={route} className="flex justify-between text-xs">
+                  <span className="text-white font-mono truncate mr-2">{route}</span>
+                  <span className="text-gray-400">{requests}</span>
+                </div>
+              ))}
+            </div>
+
+            {/* Credits */}
+            <div>
+              <div className="text-xs text-gray-400 mb-1">Twelve Data Credits by Symbol</div>
+              {summary.topCreditSymbols.length === 0 ? (
+                <div className="text-xs text-gray-500">No credits spent</div>
+              ) : (
+                summary.topCreditSymbols.map(({ symbol, credits }) => (
+                  <div key={symbol} className="flex justify-between text-xs">
+                    <span className="text-bloomberg-orange font-mono">{symbol}</span>
+                    <span className="text-gray-400">{credits}</span>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div className="text-xs text-gray-500">
+            Updated {new Date(metrics.generatedAt).toLocaleTimeString()}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminMetrics;
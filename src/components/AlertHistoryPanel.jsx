@@ -3,12 +3,41 @@
  * Displays historical alerts from IndexedDB
  * Supports filtering by symbol, type, and date range
  * Allows export to CSV/JSON
+ * Volume spikes link to the news published around them
+ * Reloads when alerts the server fired while the app was closed arrive
  */
 
 import React, { useState, useEffect } from 'react';
-import { Download, Filter, X, AlertCircle } from 'lucide-react';
+import { Download, Filter, X, AlertCircle, Newspaper } from 'lucide-react';
 import indexedDBService from '../services/indexedDBService';
+import alertRuleManager from '../services/alertRuleManager';
 import { downloadAlertHistory } from '../utils/exportImport';
+import { cachedTwelveDataAPI } from '../utils/api';
+import { getNewsRangeForAlert, getNewsNearTimestamp } from '../utils/news';
+
+// Only the newest spikes get news lookups (one /api/news call each)
+const MAX_LINKED_ALERTS = 20;
+
+/**
+ * Find the news published around each volume spike alert
+ * @param {Array} alertHistory - Alerts, newest first
+ * @param {Function} onLinked - Called with (alertId, newsItems) for each spike that has news
+ */
+const loadSpikeNews = async (alertHistory, onLinked) => {
+  const spikes = alertHistory
+    .filter(alert => alert.type === 'volume_spike')
+    .slice(0, MAX_LINKED_ALERTS);
+
+  for (const alert of spikes) {
+    try {
+      const news = await cachedTwelveDataAPI.getNews(alert.symbol, getNewsRangeForAlert(alert.timestamp));
+      const linked = getNewsNearTimestamp(news.items || [], alert.timestamp);
+      if (linked.length > 0) onLinked(alert.id, linked);
+    } catch (error) {
+      console.warn(`Failed to load news for ${alert.symbol} alert:`, error);
+    }
+  }
+};
 
 const AlertHistoryPanel = ({ isOpen, onClose }) => {
   const [alerts, setAlerts] = useState([]);
@@ -17,6 +46,7 @@ const AlertHistoryPanel = ({ isOpen, onClose }) => {
   const [filterSymbol, setFilterSymbol] = useState('');
   const [filterType, setFilterType] = useState('all');
   const [showFilters, setShowFilters] = useState(false);
+  const [newsByAlert, setNewsByAlert] = useState({});
 
   // Load alerts from IndexedDB on mount
   useEffect(() => {
@@ -25,6 +55,17 @@ const AlertHistoryPanel = ({ isOpen, onClose }) => {
     }
   }, [isOpen]);
 
+  // Missed server alerts are saved to IndexedDB before 'missedAlerts' fires
+  useEffect(() => {
+    if (!isOpen) return;
+
+    return alertRuleManager.subscribe((event) => {
+      if (event.type === 'missedAlerts') {
+        loadAlerts();
+      }
+    });
+  }, [isOpen]);
+
   // Apply filters whenever alerts or filters change
   useEffect(() => {
     applyFilters();
@@ -35,6 +76,10 @@ const AlertHistoryPanel = ({ isOpen, onClose }) => {
     try {
       const alertHistory = await indexedDBService.getAlertHistory(null, 100); // Last 100 alerts
       setAlerts(alertHistory);
+      // News links fill in after the list is shown
+      loadSpikeNews(alertHistory, (alertId, linked) => {
+        setNewsByAlert(prev => ({ ...prev, [alertId]: linked }));
+      });
     } catch (error) {
       console.error('Failed to load alert history:', error);
     } finally {
@@ -162,6 +207,7 @@ const AlertHistoryPanel = ({ isOpen, onClose }) => {
                 >
                   <option value="all">All Types</option>
                   <option value="volume_spike">Volume Spike</option>
+                  <option value="earnings_reminder">Earnings Reminder</option>
                   <option value="price_alert">Price Alert</option>
                 </select>
               </div>
@@ -213,6 +259,25 @@ const AlertHistoryPanel = ({ isOpen, onClose }) => {
                         <span className="text-xs text-gray-500">{formatTimestamp(alert.timestamp)}</span>
                       </div>
                       <p className="text-sm text-gray-300">{alert.message}</p>
+                      {newsByAlert[alert.id] && (
+                        <div className="mt-2 space-y-1">
+                          {newsByAlert[alert.id].map(item => (
+                            <a
+                              key={item.id}
+                              href={item.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="flex items-start space-x-1 text-xs text-gray-300 hover:text-bloomberg-orange transition-colors"
+                            >
+                              <Newspaper className="h-3 w-3 mt-0.5 flex-shrink-0" />
+                              <span>
+                                {item.headline}
+                                <span className="text-gray-500"> - {item.source}, {formatDate(item.datetime * 1000)}</span>
+                              </span>
+                            </a>
+                          ))}
+                        </div>
+                      )}
                       {alert.metadata && Object.keys(alert.metadata).length > 0 && (
                         <div className="mt-2 text-xs text-gray-500 space-y-1">
                           {Object.entries(alert.metadata).map(([key, value]) => (
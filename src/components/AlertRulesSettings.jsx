@@ -0,0 +1,296 @@
+/**
+ * Alert Rules Settings Component
+ * Create, pause and delete alert rules ("AAPL crosses above 200", "RSI14 < 30"),
+ * evaluated against polled quotes by services/alertRuleManager.js
+ */
+
+import React, { useState } from 'react';
+import { Bell, Plus, Trash2, X } from 'lucide-react';
+import { useAlertRules } from '../hooks/useAlertRules';
+import { useWatchlistStore } from '../store/useWatchlistStore';
+import {
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  DEFAULT_COOLDOWN_MINUTES,
+  createAlertRule,
+  describeRule,
+} from '../utils/alertRules';
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never');
+
+const inputClass =
+  'w-full px-3 py-2 bg-bloomberg-panel border border-bloomberg-border rounded text-white text-sm focus:border-bloomberg-orange focus:outline-none';
+
+// Compare with a number, or with another metric (e.g. price crosses SMA50)
+const VALUE_TARGET = '';
+
+const emptyCondition = () => ({ metric: 'price', operator: '>', value: '', target: VALUE_TARGET });
+
+const emptyForm = () => ({
+  symbol: '',
+  conditions: [emptyCondition()],
+  combinator: 'and',
+  mode: 'once',
+  cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+});
+
+const AlertRulesSettings = ({ onSuccess, onError }) => {
+  const { rules, saveRule, deleteRule, setRuleEnabled } = useAlertRules();
+  const { symbols } = useWatchlistStore();
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateCondition = (index, changes) => {
+    setForm({
+      ...form,
+      conditions: form.conditions.map((condition, i) =>
+        i === index ? { ...condition, ...changes } : condition
+      ),
+    });
+  };
+
+  const isFormValid =
+    form.symbol.trim() !== '' &&
+    form.conditions.every(
+      (condition) => condition.target !== VALUE_TARGET || condition.value !== ''
+    );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const rule = createAlertRule({
+        ...form,
+        symbol: form.symbol.trim(),
+        cooldownMinutes: Number(form.cooldownMinutes) || 0,
+      });
+      await saveRule(rule);
+      setForm(emptyForm());
+      onSuccess(`Alert created: ${describeRule(rule)}`);
+    } catch (error) {
+      onError('Failed to create alert: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await setRuleEnabled(rule.id, !rule.enabled);
+    } catch (error) {
+      onError('Failed to update alert: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await deleteRule(rule.id);
+      onSuccess(`Alert deleted: ${describeRule(rule)}`);
+    } catch (error) {
+      onError('Failed to delete alert: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Rule List */}
+      <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+        <div className="flex items-center space-x-2 mb-4">
+          <Bell className="h-4 w-4 text-bloomberg-orange" />
+          <h3 className="font-bold text-white">Alert Rules</h3>
+        </div>
+
+        {rules.length === 0 ? (
+          <div className="text-center text-gray-500 py-4">No alert rules yet</div>
+        ) : (
+          <div className="space-y-2">
+            {rules.map((rule) => (
+              <div
+                key={rule.id}
+                className="flex justify-between items-center text-sm border-b border-bloomberg-border pb-2"
+              >
+                <div className="min-w-0 mr-2">
+                  <div
+                    className={`font-mono truncate ${rule.enabled ? 'text-white' : 'text-gray-500'}`}
+                  >
+                    {describeRule(rule)}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {rule.mode === 'recurring'
+                      ? `Recurring, ${rule.cooldownMinutes} min cooldown`
+                      : 'One-shot'}
+                    {' · '}Triggered {rule.triggerCount || 0}x · Last:{' '}
+                    {formatDate(rule.lastTriggeredAt)}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    className={`px-2 py-1 rounded text-xs border transition-colors ${
+                      rule.enabled
+                        ? 'border-bloomberg-orange text-bloomberg-orange hover:bg-bloomberg-orange/10'
+                        : 'border-bloomberg-border text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {rule.enabled ? 'Active' : 'Paused'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="p-1 text-gray-500 hover:text-red-500 transition-colors"
+                    title="Delete alert"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* New Rule */}
+      <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+        <div className="flex items-center space-x-2 mb-4">
+          <Plus className="h-4 w-4 text-bloomberg-orange" />
+          <h3 className="font-bold text-white">New Alert</h3>
+        </div>
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <input
+            type="text"
+            placeholder="Symbol (e.g., AAPL)"
+            list="alert-rule-symbols"
+            value={form.symbol}
+            onChange={(e) => setForm({ ...form, symbol: e.target.value.toUpperCase() })}
+            className={inputClass}
+          />
+          <datalist id="alert-rule-symbols">
+            {symbols.map((symbol) => (
+              <option key={symbol} value={symbol} />
+            ))}
+          </datalist>
+
+          {form.conditions.map((condition, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <select
+                value={condition.metric}
+                onChange={(e) => updateCondition(index, { metric: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(ALERT_METRICS).map(([metric, { label }]) => (
+                  <option key={metric} value={metric}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(ALERT_OPERATORS).map(([operator, { label }]) => (
+                  <option key={operator} value={operator}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={condition.target}
+                onChange={(e) => updateCondition(index, { target: e.target.value })}
+                className={inputClass}
+              >
+                <option value={VALUE_TARGET}>Value</option>
+                {Object.entries(ALERT_METRICS)
+                  .filter(([metric]) => metric !== condition.metric)
+                  .map(([metric, { label }]) => (
+                    <option key={metric} value={metric}>
+                      {label}
+                    </option>
+                  ))}
+              </select>
+              {condition.target === VALUE_TARGET && (
+                <input
+                  type="number"
+                  step="any"
+                  placeholder="Value"
+                  value={condition.value}
+                  onChange={(e) => updateCondition(index, { value: e.target.value })}
+                  className={inputClass}
+                />
+              )}
+              {form.conditions.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    setForm({ ...form, conditions: form.conditions.filter((_, i) => i !== index) })
+                  }
+                  className="p-1 text-gray-500 hover:text-red-500 transition-colors"
+                  title="Remove condition"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between text-sm">
+            <button
+              type="button"
+              onClick={() =>
+                setForm({ ...form, conditions: [...form.conditions, emptyCondition()] })
+              }
+              className="text-bloomberg-orange hover:text-orange-400 transition-colors"
+            >
+              + Add condition
+            </button>
+            {form.conditions.length > 1 && (
+              <select
+                value={form.combinator}
+                onChange={(e) => setForm({ ...form, combinator: e.target.value })}
+                className="px-2 py-1 bg-bloomberg-panel border border-bloomberg-border rounded text-white text-sm focus:border-bloomberg-orange focus:outline-none"
+              >
+                <option value="and">Match all (AND)</option>
+                <option value="or">Match any (OR)</option>
+              </select>
+            )}
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <select
+              value={form.mode}
+              onChange={(e) => setForm({ ...form, mode: e.target.value })}
+              className={inputClass}
+            >
+              <option value="once">One-shot (pause after it fires)</option>
+              <option value="recurring">Recurring</option>
+            </select>
+            <input
+              type="number"
+              min="0"
+              placeholder="Cooldown (minutes)"
+              title="Minutes to stay quiet after firing"
+              value={form.cooldownMinutes}
+              onChange={(e) => setForm({ ...form, cooldownMinutes: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSaving || !isFormValid}
+            className="w-full px-4 py-2 bg-bloomberg-orange text-white rounded hover:bg-orange-600 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Create Alert'}
+          </button>
+        </form>
+
+        <div className="text-xs text-gray-500 mt-3">
+          Alerts are checked whenever quotes refresh while the terminal is open. Indicators (RSI,
+          SMA, MACD, Stochastic) use daily bars.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRulesSettings;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { FileText } from 'lucide-react';
+import { cachedTwelveDataAPI } from '../utils/api';
+import {
+  getYoYGrowth,
+  getCAGR,
+  getMargin,
+  formatFinancial,
+  formatPercent,
+  formatFiscalPeriod
+} from '../utils/fundamentals';
+
+const PERIOD_OPTIONS = [
+  { value: 'annual', label: 'Annual' },
+  { value: 'quarterly', label: 'Quarterly' }
+];
+
+// Columns shown - the older statements are only there for year-over-year growth
+const VISIBLE_PERIODS = 4;
+
+/**
+ * Table rows per statement
+ * kind: 'value' (amount), 'eps' (per share), 'growth' (YoY of `field`), 'margin' (`field` / revenue), 'ratio'
+ */
+const SECTIONS = [
+  {
+    title: 'INCOME STATEMENT',
+    section: 'income',
+    rows: [
+      { label: 'Revenue', field: 'revenue', kind: 'value', cagr: true },
+      { label: 'Revenue Growth', field: 'revenue', kind: 'growth' },
+      { label: 'Gross Profit', field: 'gross_profit', kind: 'value' },
+      { label: 'Gross Margin', field: 'gross_profit', kind: 'margin' },
+      { label: 'Operating Income', field: 'operating_income', kind: 'value' },
+      { label: 'Operating Margin', field: 'operating_income', kind: 'margin' },
+      { label: 'Net Income', field: 'net_income', kind: 'value', cagr: true },
+      { label: 'Net Income Growth', field: 'net_income', kind: 'growth' },
+      { label: 'Net Margin', field: 'net_income', kind: 'margin' },
+      { label: 'EBITDA', field: 'ebitda', kind: 'value' },
+      { label: 'EPS (Diluted)', field: 'eps_diluted', kind: 'eps', cagr: true },
+      { label: 'EPS Growth', field: 'eps_diluted', kind: 'growth' }
+    ]
+  },
+  {
+    title: 'BALANCE SHEET',
+    section: 'balance',
+    rows: [
+      { label: 'Total Assets', field: 'total_assets', kind: 'value' },
+      { label: 'Total Liabilities', field: 'total_liabilities', kind: 'value' },
+      { label: 'Shareholders Equity', field: 'total_equity', kind: 'value' },
+      { label: 'Cash', field: 'cash', kind: 'value' },
+      { label: 'Total Debt', field: 'total_debt', kind: 'value' },
+      { label: 'Debt / Equity', field: 'total_debt', kind: 'ratio', denominator: 'total_equity' }
+    ]
+  },
+  {
+    title: 'CASH FLOW',
+    section: 'cash_flow',
+    rows: [
+      { label: 'Operating Cash Flow', field: 'operating_cash_flow', kind: 'value' },
+      { label: 'Capital Expenditure', field: 'capital_expenditure', kind: 'value' },
+      { label: 'Free Cash Flow', field: 'free_cash_flow', kind: 'value', cagr: true },
+      { label: 'FCF Growth', field: 'free_cash_flow', kind: 'growth' }
+    ]
+  }
+];
+
+const growthClass = (value) => {
+  if (value === null || value === undefined) return 'text-gray-500';
+  return value >= 0 ? 'text-green-400' : 'text-red-400';
+};
+
+/**
+ * One table cell for a row and statement index
+ */
+const renderCell = (row, section, statements, period, index) => {
+  const statement = statements[index];
+  const value = statement[section][row.field];
+
+  switch (row.kind) {
+    case 'growth': {
+      const growth = getYoYGrowth(statements, period, section, row.field)[index];
+      return <span className={growthClass(growth)}>{formatPercent(growth)}</span>;
+    }
+    case 'margin':
+      return <span className="text-gray-300">{formatPercent(getMargin(value, statement.income.revenue), { signed: false })}</span>;
+    case 'ratio': {
+      const denominator = statement[section][row.denominator];
+      return <span className="text-gray-300">{value !== null && denominator ? (value / denominator).toFixed(2) : '---'}</span>;
+    }
+    case 'eps':
+      return <span className="text-white">{value !== null ? `$${value.toFixed(2)}` : '---'}</span>;
+    default:
+      return <span className="text-white">{formatFinancial(value)}</span>;
+  }
+};
+
+/**
+ * Compound annual growth across the visible annual columns
+ */
+const renderCagr = (row, section, statements) => {
+  const cagr = getCAGR(statements, section, row.field);
+  return <span className={growthClass(cagr)}>{formatPercent(cagr)}</span>;
+};
+
+/**
+ * FundamentalsPanel - Income statement, balance sheet and cash flow for a symbol
+ * Multi-period tables with margins, year-over-year growth and (annual) CAGR.
+ * Cached for 24 hours - statements only change when a company reports.
+ */
+const FundamentalsPanel = ({ symbol }) => {
+  const [period, setPeriod] = useState('annual');
+  const [fundamentals, setFundamentals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!symbol) return;
+
+    let cancelled = false;
+
+    const loadFundamentals = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const data = await cachedTwelveDataAPI.getFundamentals(symbol, period);
+        if (!cancelled) setFundamentals(data);
+      } catch (err) {
+        console.error(`Error loading fundamentals for ${symbol}:`, err);
+        if (!cancelled) {
+          setFundamentals(null);
+          setError((err.message || 'Failed to load fundamentals').replace('TD_EXHAUSTED:', ''));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadFundamentals();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, period]);
+
+  const statements = fundamentals?.statements || [];
+  const visible = statements.slice(0, VISIBLE_PERIODS);
+  const cagrSpan = visible.length - 1;
+
+  return (
+    <div className="bg-bloomberg-panel border border-bloomberg-border rounded p-3 text-xs">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center">
+          <FileText className="h-4 w-4 text-bloomberg-orange mr-1" />
+          <span className="text-bloomberg-orange font-bold text-sm">FUNDAMENTALS</span>
+          {fundamentals?.currency && (
+            <span className="ml-2 text-gray-500">{fundamentals.currency}</span>
+          )}
+        </div>
+        <div className="flex space-x-1">
+          {PERIOD_OPTIONS.map(opt => (
+            <button
+              key={opt.value}
+              onClick={() => setPeriod(opt.value)}
+              className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                period === opt.value
+                  ? 'bg-bloomberg-orange text-black font-bold'
+                  : 'bg-bloomberg-secondary/30 text-gray-400 hover:text-white'
+              }`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-bloomberg-orange"></div>
+        </div>
+      )}
+
+      {!loading && error && (
+        <div className="text-center py-6 text-gray-500">{error}</div>
+      )}
+
+      {!loading && !error && visible.length === 0 && (
+        <div className="text-center py-6 text-gray-500">No financial statements available</div>
+      )}
+
+      {!loading && !error && visible.length > 0 && (
+        <div className="space-y-4 overflow-x-auto">
+          {SECTIONS.map(({ title, section, rows }) => (
+            <table key={section} className="w-full font-mono">
+              <thead>
+                <tr className="text-gray-500 border-b border-bloomberg-border-subtle">
+                  <th className="text-left py-1 pr-2 font-bold text-gray-400 font-sans">{title}</th>
+                  {visible.map(statement => (
+                    <th key={statement.fiscal_date} className="text-right py-1 px-2 font-normal">
+                      {formatFiscalPeriod(statement.fiscal_date, period)}
+                    </th>
+                  ))}
+                  {period === 'annual' && cagrSpan > 0 && (
+                    <th className="text-right py-1 pl-2 font-normal">{cagrSpan}Y CAGR</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.label} className="border-b border-bloomberg-border-subtle/50">
+                    <td className={`py-1 pr-2 font-sans ${row.kind === 'value' || row.kind === 'eps' ? 'text-gray-300' : 'text-gray-500 pl-2'}`}>
+                      {row.label}
+                    </td>
+                    {visible.map((statement, index) => (
+                      <td key={statement.fiscal_date} className="text-right py-1 px-2">
+                        {renderCell(row, section, statements, period, index)}
+                      </td>
+                    ))}
+                    {period === 'annual' && cagrSpan > 0 && (
+                      <td className="text-right py-1 pl-2">
+                        {row.cagr && renderCagr(row, section, visible)}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+        </div>
+      )}
+
+      {fundamentals?.source && (
+        <div className="pt-2 mt-2 border-t border-bloomberg-border-subtle text-gray-500">
+          Source: {fundamentals.source}{fundamentals._cached ? ' (cached)' : ''}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FundamentalsPanel;
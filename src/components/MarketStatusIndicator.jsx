@@ -0,0 +1,50 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { getMarketPhase, getNextMarketOpen } from '../utils/tradingCalendar';
+import { DEFAULT_EXCHANGE, getExchange } from '../utils/exchanges';
+
+const PHASE_STATUS = {
+  open: { label: 'OPEN', color: 'text-bloomberg-status-connected' },
+  pre: { label: 'PRE-MARKET', color: 'text-bloomberg-orange' },
+  post: { label: 'AFTER-HOURS', color: 'text-bloomberg-orange' },
+  closed: { label: 'CLOSED', color: 'text-bloomberg-text-muted' }
+};
+
+const formatNextOpen = (exchange) => getNextMarketOpen(new Date(), exchange).toLocaleString('en-US', {
+  weekday: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * MarketStatusIndicator - Session status of every exchange in the watchlist
+ * Phases come from useSmartPolling (marketPhases), so the banner changes when polling does.
+ * With an empty watchlist it shows the US market.
+ */
+const MarketStatusIndicator = ({ phases = {}, iconClassName = 'h-3 w-3', className = '' }) => {
+  const entries = Object.keys(phases).length > 0
+    ? Object.entries(phases)
+    : [[DEFAULT_EXCHANGE, getMarketPhase(new Date(), DEFAULT_EXCHANGE)]];
+
+  return (
+    <div className={`flex items-center space-x-2 ${className}`}>
+      <Globe className={iconClassName} />
+      {entries.map(([exchange, phase]) => {
+        const status = PHASE_STATUS[phase] || PHASE_STATUS.closed;
+        const { label, name } = getExchange(exchange);
+        const title = phase === 'open'
+          ? `${name}: ${status.label}`
+          : `${name}: ${status.label} - opens ${formatNextOpen(exchange)}`;
+
+        return (
+          <span key={exchange} className="flex items-center space-x-1" title={title}>
+            <span>{label}</span>
+            <span className={status.color}>●</span>
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MarketStatusIndicator;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Newspaper, ExternalLink } from 'lucide-react';
+import { cachedTwelveDataAPI } from '../utils/api';
+import { getNewsDateRange, mergeNewsFeeds, formatNewsAge } from '../utils/news';
+
+const FEED_OPTIONS = [
+  { value: 'symbol', label: 'Symbol' },
+  { value: 'watchlist', label: 'Watchlist' }
+];
+
+/**
+ * NewsPanel - Company news for the selected stock, or the whole watchlist merged
+ * Served by Finnhub through /api/news (deduplicated by headline and URL), last 7 days.
+ */
+const NewsPanel = ({ symbol, watchlistSymbols = [] }) => {
+  const [feed, setFeed] = useState('symbol');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const feedSymbols = feed === 'symbol' ? [symbol] : watchlistSymbols;
+  const feedKey = feedSymbols.join(',');
+
+  useEffect(() => {
+    const symbols = feedKey ? feedKey.split(',') : [];
+    if (symbols.length === 0) {
+      setItems([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadNews = async () => {
+      setLoading(true);
+      setError(null);
+
+      const range = getNewsDateRange();
+      const feeds = [];
+      let failures = 0;
+
+      // One symbol at a time - Finnhub allows 60 calls/minute
+      for (const sym of symbols) {
+        try {
+          const news = await cachedTwelveDataAPI.getNews(sym, range);
+          feeds.push(news.items || []);
+        } catch (err) {
+          console.error(`Error loading news for ${sym}:`, err);
+          failures++;
+        }
+        if (cancelled) return;
+      }
+
+      setItems(mergeNewsFeeds(feeds));
+      setError(failures === symbols.length ? 'Failed to load news' : null);
+      setLoading(false);
+    };
+
+    loadNews();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [feedKey]);
+
+  return (
+    <div className="bg-bloomberg-panel border border-bloomberg-border rounded p-3 text-xs">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center">
+          <Newspaper className="h-4 w-4 text-bloomberg-orange mr-1" />
+          <span className="text-bloomberg-orange font-bold text-sm">
+            NEWS{feed === 'symbol' ? ` - ${symbol}` : ' - WATCHLIST'}
+          </span>
+        </div>
+        <div className="flex space-x-1">
+          {FEED_OPTIONS.map(opt => (
+            <button
+              key={opt.value}
+              onClick={() => setFeed(opt.value)}
+              className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                feed === opt.value
+                  ? 'bg-bloomberg-orange text-black font-bold'
+                  : 'bg-bloomberg-secondary/30 text-gray-400 hover:text-white'
+              }`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-bloomberg-orange"></div>
+        </div>
+      )}
+
+      {!loading && error && (
+        <div className="text-center py-6 text-gray-500">{error}</div>
+      )}
+
+      {!loading && !error && items.length === 0 && (
+        <div className="text-center py-6 text-gray-500">
+          {feedSymbols.length === 0 ? 'Your watchlist is empty' : 'No news in the last 7 days'}
+        </div>
+      )}
+
+      {!loading && !error && items.length > 0 && (
+        <ul className="max-h-[32rem] overflow-y-auto divide-y divide-bloomberg-border-subtle">
+          {items.map(item => (
+            <li key={`${item.symbol}_${item.id}`} className="py-2">
+              <div className="flex items-center space-x-2 text-gray-500 mb-0.5">
+                {feed === 'watchlist' && (
+                  <span className="text-bloomberg-orange font-bold font-mono">{item.symbol}</span>
+                )}
+                <span>{formatNewsAge(item.datetime)}</span>
+                {item.source && <span>· {item.source}</span>}
+              </div>
+              <a
+                href={item.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="group text-white hover:text-bloomberg-orange transition-colors"
+              >
+                {item.headline}
+                <ExternalLink className="inline h-3 w-3 ml-1 opacity-0 group-hover:opacity-100" />
+              </a>
+              {item.summary && (
+                <p className="text-gray-400 mt-0.5 line-clamp-2">{item.summary}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="pt-2 mt-2 border-t border-bloomberg-border-subtle text-gray-500">
+        Source: Finnhub
+      </div>
+    </div>
+  );
+};
+
+export default NewsPanel;
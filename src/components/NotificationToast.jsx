@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import indexedDBService from '../services/indexedDBService';
 
 const NotificationToast = ({ 
@@ -51,7 +51,9 @@ const NotificationToast = ({
       success: 'border-bloomberg-data-positive bg-bloomberg-panel',
       warning: 'border-bloomberg-orange bg-bloomberg-panel',
       error: 'border-bloomberg-status-error bg-bloomberg-panel',
-      volume_spike: 'border-bloomberg-orange bg-bloomberg-panel'
+      volume_spike: 'border-bloomberg-orange bg-bloomberg-panel',
+      earnings_reminder: 'border-bloomberg-data-volume bg-bloomberg-panel',
+      price_alert: 'border-bloomberg-orange bg-bloomberg-panel'
     };
 
     const animationStyles = isLeaving 
@@ -67,7 +69,9 @@ const NotificationToast = ({
       success: '✅',
       warning: '⚠️',
       error: '❌',
-      volume_spike: '🚨'
+      volume_spike: '🚨',
+      earnings_reminder: '📅',
+      price_alert: '🔔'
     };
     return icons[type] || icons.info;
   };
@@ -131,7 +135,12 @@ export const ToastContainer = ({ toasts = [], removeToast }) => {
 export const useToast = () => {
   const [toasts, setToasts] = useState([]);
 
-  const addToast = (toast) => {
+  const removeToast = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  // Stable, so effects can depend on it
+  const addToast = useCallback((toast) => {
     const id = Date.now() + Math.random();
     const newToast = {
       id,
@@ -151,11 +160,7 @@ export const useToast = () => {
     }
 
     return id;
-  };
-
-  const removeToast = (id) => {
-    setToasts(prev => prev.filter(toast => toast.id !== id));
-  };
+  }, [removeToast]);
 
   const clearAllToasts = () => {
     setToasts([]);
@@ -187,6 +192,46 @@ export const useToast = () => {
         duration: 8000, // Longer duration for important alerts
         ...options
       });
+    },
+    earningsReminder: (message, options = {}) => {
+      // Log alert to IndexedDB
+      if (options.symbol) {
+        indexedDBService.saveAlert({
+          symbol: options.symbol,
+          type: 'earnings_reminder',
+          message,
+          metadata: options.metadata || {}
+        }).catch(error => {
+          console.warn('Failed to save alert to IndexedDB:', error);
+        });
+      }
+
+      return addToast({
+        message,
+        type: 'earnings_reminder',
+        duration: 10000,
+        ...options
+      });
+    },
+    priceAlert: (message, options = {}) => {
+      // Log alert to IndexedDB
+      if (options.symbol) {
+        indexedDBService.saveAlert({
+          symbol: options.symbol,
+          type: 'price_alert',
+          message,
+          metadata: options.metadata || {}
+        }).catch(error => {
+          console.warn('Failed to save alert to IndexedDB:', error);
+        });
+      }
+
+      return addToast({
+        message,
+        type: 'price_alert',
+        duration: 10000,
+        ...options
+      });
     }
   };
 
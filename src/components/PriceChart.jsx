@@ -0,0 +1,202 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { useChartSeries } from '../hooks/useChartSeries';
+import { usePreferencesStore } from '../store/usePreferencesStore';
+import { CHART_INTERVALS, CHART_PERIODS, clampChartPeriod } from '../utils/chartIntervals';
+import { formatters } from '../hooks/useSmartPolling';
+
+// SVG layout (viewBox units - the chart scales to its container width)
+const WIDTH = 800;
+const PRICE_HEIGHT = 220;
+const VOLUME_TOP = 232;
+const VOLUME_HEIGHT = 60;
+const HEIGHT = VOLUME_TOP + VOLUME_HEIGHT;
+const AXIS_WIDTH = 56;
+const PLOT_WIDTH = WIDTH - AXIS_WIDTH;
+
+const COLORS = {
+  up: '#22C55E',
+  down: '#EF4444',
+  grid: '#333333',
+  axis: '#999999',
+  crosshair: '#FF6600'
+};
+
+/**
+ * Scale bars into SVG coordinates
+ */
+const buildLayout = (bars) => {
+  const high = Math.max(...bars.map(b => b.high));
+  const low = Math.min(...bars.map(b => b.low));
+  const padding = (high - low) * 0.05 || high * 0.01 || 1;
+  const top = high + padding;
+  const bottom = low - padding;
+  const maxVolume = Math.max(...bars.map(b => b.volume || 0), 1);
+  const step = PLOT_WIDTH / bars.length;
+
+  return {
+    step,
+    bodyWidth: Math.max(step * 0.7, 0.5),
+    x: (i) => i * step + step / 2,
+    y: (price) => ((top - price) / (top - bottom)) * PRICE_HEIGHT,
+    volumeHeight: (volume) => ((volume || 0) / maxVolume) * VOLUME_HEIGHT,
+    ticks: [0, 0.25, 0.5, 0.75, 1].map(f => top - f * (top - bottom))
+  };
+};
+
+/**
+ * PriceChart - Candlestick + volume chart for the selected symbol
+ * Interval and period buttons read and update the chart preferences
+ * (defaultChartInterval / defaultChartPeriod), so the choice sticks across symbols.
+ */
+const PriceChart = ({ symbol }) => {
+  const interval = usePreferencesStore(state => state.defaultChartInterval);
+  const period = usePreferencesStore(state => state.defaultChartPeriod);
+  const setChartPreferences = usePreferencesStore(state => state.setChartPreferences);
+
+  const { bars, loading, error } = useChartSeries(symbol, interval, period);
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const chartPeriod = clampChartPeriod(interval, period);
+  const layout = useMemo(() => (bars.length > 0 ? buildLayout(bars) : null), [bars]);
+  const hovered = hoverIndex !== null ? bars[hoverIndex] : bars[bars.length - 1];
+
+  const handleMouseMove = (event) => {
+    if (!layout) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const index = Math.floor(x / layout.step);
+    setHoverIndex(index >= 0 && index < bars.length ? index : null);
+  };
+
+  return (
+    <div className="bg-bloomberg-panel border border-bloomberg-border rounded p-3 mb-4 text-xs">
+      {/* Header: title + interval/period selectors */}
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex items-center">
+          <BarChart3 className="h-4 w-4 text-bloomberg-orange mr-1" />
+          <span className="text-bloomberg-orange font-bold text-sm">CHART</span>
+        </div>
+        <div className="flex items-center space-x-3">
+          <div className="flex space-x-1">
+            {CHART_INTERVALS.map(opt => (
+              <button
+                key={opt.value}
+                onClick={() => setChartPreferences({ interval: opt.value })}
+                className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                  interval === opt.value
+                    ? 'bg-bloomberg-orange text-black font-bold'
+                    : 'bg-bloomberg-secondary/30 text-gray-400 hover:text-white'
+                }`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex space-x-1">
+            {CHART_PERIODS.map(opt => (
+              <button
+                key={opt.value}
+                onClick={() => setChartPreferences({ period: opt.value })}
+                disabled={clampChartPeriod(interval, opt.value) !== opt.value}
+                className={`px-2 py-0.5 rounded text-xs transition-colors disabled:opacity-30 disabled:cursor-not-allowed ${
+                  chartPeriod === opt.value
+                    ? 'bg-bloomberg-orange text-black font-bold'
+                    : 'bg-bloomberg-secondary/30 text-gray-400 hover:text-white'
+                }`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* OHLCV readout for the hovered (or latest) bar */}
+      <div className="flex flex-wrap gap-x-3 font-mono text-gray-400 mb-1 min-h-[16px]">
+        {hovered && (
+          <>
+            <span className="text-gray-300">{hovered.datetime}</span>
+            <span>O <span className="text-white">{formatters.price(hovered.open)}</span></span>
+            <span>H <span className="text-white">{formatters.price(hovered.high)}</span></span>
+            <span>L <span className="text-white">{formatters.price(hovered.low)}</span></span>
+            <span>C <span className={hovered.close >= hovered.open ? 'text-green-400' : 'text-red-400'}>{formatters.price(hovered.close)}</span></span>
+            <span>V <span className="text-white">{formatters.volume(hovered.volume)}</span></span>
+          </>
+        )}
+      </div>
+
+      {layout ? (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto"
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoverIndex(null)}
+          role="img"
+          aria-label={`${symbol} ${interval} price chart`}
+        >
+          {/* Price grid + axis labels */}
+          {layout.ticks.map(price => (
+            <g key={price}>
+              <line x1={0} x2={PLOT_WIDTH} y1={layout.y(price)} y2={layout.y(price)} stroke={COLORS.grid} strokeWidth={0.5} />
+              <text x={PLOT_WIDTH + 4} y={layout.y(price) + 3} fill={COLORS.axis} fontSize={10} fontFamily="monospace">
+                {price.toFixed(2)}
+              </text>
+            </g>
+          ))}
+          <line x1={0} x2={PLOT_WIDTH} y1={VOLUME_TOP} y2={VOLUME_TOP} stroke={COLORS.grid} strokeWidth={0.5} />
+
+          {bars.map((bar, i) => {
+            const color = bar.close >= bar.open ? COLORS.up : COLORS.down;
+            const x = layout.x(i);
+            const bodyTop = layout.y(Math.max(bar.open, bar.close));
+            const bodyHeight = Math.max(layout.y(Math.min(bar.open, bar.close)) - bodyTop, 0.5);
+            const volumeHeight = layout.volumeHeight(bar.volume);
+
+            return (
+              <g key={bar.datetime}>
+                <line x1={x} x2={x} y1={layout.y(bar.high)} y2={layout.y(bar.low)} stroke={color} strokeWidth={Math.min(1, layout.bodyWidth)} />
+                <rect x={x - layout.bodyWidth / 2} y={bodyTop} width={layout.bodyWidth} height={bodyHeight} fill={color} />
+                <rect
+                  x={x - layout.bodyWidth / 2}
+                  y={HEIGHT - volumeHeight}
+                  width={layout.bodyWidth}
+                  height={volumeHeight}
+                  fill={color}
+                  opacity={0.5}
+                />
+              </g>
+            );
+          })}
+
+          {/* Crosshair */}
+          {hoverIndex !== null && (
+            <line
+              x1={layout.x(hoverIndex)}
+              x2={layout.x(hoverIndex)}
+              y1={0}
+              y2={HEIGHT}
+              stroke={COLORS.crosshair}
+              strokeWidth={0.5}
+              strokeDasharray="3 3"
+            />
+          )}
+        </svg>
+      ) : (
+        <div className="flex items-center justify-center h-40 text-gray-500">
+          {loading ? (
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-bloomberg-orange"></div>
+          ) : (
+            <span>{error || 'No chart data'}</span>
+          )}
+        </div>
+      )}
+
+      {layout && error && (
+        <div className="mt-1 text-yellow-500">{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import useLivePrice from '../hooks/useLivePrice';
+import { getExtendedSessionLabel } from '../utils/marketHours';
 import { TrendingUp, TrendingDown, Minus, Volume2, Building2, Target } from 'lucide-react';
 
 export default function QuoteCard({ symbol, isPrimary = false }) {
@@ -122,6 +123,17 @@ export default function QuoteCard({ symbol, isPrimary = false }) {
     return isPositive ? 'text-bloomberg-data-positive' : 'text-bloomberg-data-negative';
   };
 
+  // Pre-market/after-hours trade (Yahoo reports it outside regular hours)
+  const extendedLabel = getExtendedSessionLabel(livePrice?.extendedSession);
+  const extendedPrice = extendedLabel ? livePrice.extendedPrice : null;
+  const extendedChange = livePrice?.extendedChange ?? null;
+  const extendedChangePercent = livePrice?.extendedChangePercent ?? null;
+
+  const getExtendedColor = () => {
+    if (!extendedChange) return 'text-bloomberg-data-neutral';
+    return extendedChange > 0 ? 'text-bloomberg-data-positive' : 'text-bloomberg-data-negative';
+  };
+
   return (
     <div className={`bg-bloomberg-panel border-l-4 ${
       isPrimary 
@@ -176,6 +188,20 @@ export default function QuoteCard({ symbol, isPrimary = false }) {
             ({isPositive ? '+' : ''}{changePercent.toFixed(2)}%)
           </span>
         </div>
+        {extendedPrice !== null && extendedPrice !== undefined && (
+          <div className="flex items-center space-x-2 mt-2 font-bloomberg-mono text-terminal-sm">
+            <span className="text-bloomberg-orange text-terminal-xs bg-bloomberg-orange/20 px-2 py-0.5 rounded-terminal font-bold">
+              {extendedLabel}
+            </span>
+            <span className="text-bloomberg-text-primary">${extendedPrice.toFixed(2)}</span>
+            {extendedChange !== null && (
+              <span className={getExtendedColor()}>
+                {extendedChange >= 0 ? '+' : ''}{extendedChange.toFixed(2)}
+                {extendedChangePercent !== null && ` (${extendedChangePercent >= 0 ? '+' : ''}${extendedChangePercent.toFixed(2)}%)`}
+              </span>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Key Metrics */}
@@ -11,7 +11,8 @@ import {
 
 /**
  * StatsTile - Display technical indicators and stats for a symbol
- * Uses only Twelve Data API (2 calls: quote + time_series)
+ * Twelve Data quote + split-adjusted time_series (2 calls), plus dividends from
+ * /api/corporate_actions for yield, ex-date and total return
  */
 const StatsTile = ({ symbol }) => {
   const [stats, setStats] = useState(null);
@@ -297,24 +298,51 @@ const StatsTile = ({ symbol }) => {
         </div>
       </div>
 
-      {/* Performance Returns - Single Row */}
+      {/* Performance Returns - Single Row (TR = total return, shown when a dividend fell in the period) */}
       <div className="grid grid-cols-7 gap-1 mb-2">
         {[
-          { label: '1D', value: stats.return1D },
-          { label: '5D', value: stats.return5D },
-          { label: '1M', value: stats.return1M },
-          { label: '3M', value: stats.return3M },
-          { label: '6M', value: stats.return6M },
-          { label: 'YTD', value: stats.returnYTD },
-          { label: '1Y', value: stats.return1Y },
-        ].map(({ label, value }) => (
+          { label: '1D', value: stats.return1D, total: stats.totalReturn1D },
+          { label: '5D', value: stats.return5D, total: stats.totalReturn5D },
+          { label: '1M', value: stats.return1M, total: stats.totalReturn1M },
+          { label: '3M', value: stats.return3M, total: stats.totalReturn3M },
+          { label: '6M', value: stats.return6M, total: stats.totalReturn6M },
+          { label: 'YTD', value: stats.returnYTD, total: stats.totalReturnYTD },
+          { label: '1Y', value: stats.return1Y, total: stats.totalReturn1Y },
+        ].map(({ label, value, total }) => (
           <div key={label} className="bg-bloomberg-secondary/20 rounded p-1 text-center">
             <div className="text-gray-500">{label}</div>
             <div className={`font-mono ${getReturnColor(value)}`}>{formatReturn(value)}</div>
+            {total !== null && total !== undefined && value !== null && Math.abs(total - value) >= 0.005 && (
+              <div className={`font-mono text-[10px] ${getReturnColor(total)}`} title="Total return (price + dividends)">
+                TR {formatReturn(total)}
+              </div>
+            )}
           </div>
         ))}
       </div>
 
+      {/* Dividends */}
+      {stats.hasCorporateActions && (
+        <div className="grid grid-cols-3 gap-1 mb-2">
+          <div className="bg-bloomberg-secondary/20 rounded p-1">
+            <div className="text-gray-400">DIV YIELD</div>
+            <div className="font-mono text-white">
+              {stats.dividendYield !== null ? `${formatNumber(stats.dividendYield, 2)}%` : '---'}
+            </div>
+          </div>
+          <div className="bg-bloomberg-secondary/20 rounded p-1">
+            <div className="text-gray-400">DIV (TTM)</div>
+            <div className="font-mono text-white">
+              {stats.dividendTTM !== null ? `$${formatNumber(stats.dividendTTM, 2)}` : '---'}
+            </div>
+          </div>
+          <div className="bg-bloomberg-secondary/20 rounded p-1">
+            <div className="text-gray-400">{stats.nextExDate ? 'NEXT EX-DATE' : 'LAST EX-DATE'}</div>
+            <div className="font-mono text-white">{stats.nextExDate || stats.lastExDate || '---'}</div>
+          </div>
+        </div>
+      )}
+
       {/* Moving Averages + 52W Range Row */}
       <div className="grid grid-cols-4 gap-1 mb-2">
         {/* SMAs */}
@@ -0,0 +1,165 @@
+/**
+ * Sync Encryption Settings Component
+ * Turn end-to-end encryption of synced data on/off and unlock it for this session
+ * Keeps its own form state so typing doesn't re-render the whole Settings page
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Lock, Unlock, ShieldCheck } from 'lucide-react';
+import syncEncryption from '../services/syncEncryption';
+import syncManager from '../services/syncManager';
+
+const inputClass =
+  'w-full px-3 py-2 bg-bloomberg-panel border border-bloomberg-border rounded text-white text-sm focus:border-bloomberg-orange focus:outline-none';
+
+const SyncEncryptionSettings = ({ onSuccess, onError }) => {
+  const username = sessionStorage.getItem('authUser') || '';
+
+  const [isEnabled, setIsEnabled] = useState(syncEncryption.isEnabled());
+  const [isUnlocked, setIsUnlocked] = useState(syncEncryption.isUnlocked());
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = syncEncryption.subscribe(() => {
+      setIsEnabled(syncEncryption.isEnabled());
+      setIsUnlocked(syncEncryption.isUnlocked());
+    });
+    return unsubscribe;
+  }, []);
+
+  const resetForm = () => {
+    setPassphrase('');
+    setConfirmPassphrase('');
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (passphrase !== confirmPassphrase) {
+      onError('Passphrases do not match');
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      await syncEncryption.enable(passphrase, username);
+      // Replace the plaintext copies in the cloud on the next sync
+      syncManager.resetSnapshots();
+      resetForm();
+      onSuccess('Sync encryption enabled - your next sync uploads encrypted data');
+    } catch (error) {
+      onError('Failed to enable encryption: ' + error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      await syncEncryption.unlock(passphrase, username);
+      resetForm();
+      onSuccess('Sync unlocked for this session');
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off sync encryption? Your next sync uploads your data unencrypted.')) {
+      return;
+    }
+    syncEncryption.disable();
+    syncManager.resetSnapshots();
+    onSuccess('Sync encryption disabled');
+  };
+
+  return (
+    <div className="bg-bloomberg-secondary border border-bloomberg-border rounded p-4">
+      <div className="flex items-center space-x-2 mb-4">
+        {isEnabled ? (
+          <Lock className="h-4 w-4 text-bloomberg-orange" />
+        ) : (
+          <Unlock className="h-4 w-4 text-bloomberg-orange" />
+        )}
+        <h3 className="font-bold text-white">End-to-End Encryption</h3>
+      </div>
+
+      {!isEnabled && (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <div className="text-xs text-gray-500">
+            Encrypts your watchlist, preferences and alerts in this browser before they are
+            uploaded. Use the same passphrase on every device. It cannot be recovered if lost.
+          </div>
+          <input
+            type="password"
+            placeholder="Sync passphrase (min 8 characters)"
+            autoComplete="new-password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className={inputClass}
+          />
+          <input
+            type="password"
+            placeholder="Confirm passphrase"
+            autoComplete="new-password"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={isWorking || !passphrase || !confirmPassphrase}
+            className="w-full px-4 py-2 bg-bloomberg-orange text-white rounded hover:bg-orange-600 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isWorking ? 'Deriving key...' : 'Enable Encryption'}
+          </button>
+        </form>
+      )}
+
+      {isEnabled && !isUnlocked && (
+        <form onSubmit={handleUnlock} className="space-y-3">
+          <div className="text-xs text-bloomberg-orange">
+            Sync is locked - enter your sync passphrase to sync on this session.
+          </div>
+          <input
+            type="password"
+            placeholder="Sync passphrase"
+            autoComplete="current-password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={isWorking || !passphrase}
+            className="w-full px-4 py-2 bg-bloomberg-orange text-white rounded hover:bg-orange-600 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isWorking ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+      )}
+
+      {isEnabled && isUnlocked && (
+        <div className="space-y-3">
+          <div className="flex items-center space-x-2 text-sm text-green-500">
+            <ShieldCheck className="h-4 w-4" />
+            <span>Synced data is encrypted before upload</span>
+          </div>
+          <button
+            onClick={handleDisable}
+            className="w-full px-4 py-2 bg-red-600/20 border border-red-600 text-red-500 rounded hover:bg-red-600/30 transition-colors text-sm"
+          >
+            Disable Encryption
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncEncryptionSettings;
@@ -2,7 +2,11 @@ import React, { useState, useCallback, useMemo } from 'react';
 import { useWatchlistStore } from '../store/useWatchlistStore';
 import { useNasdaqSearch } from '../hooks/useNasdaqSearch';
 import { useWatchlistPeers } from '../hooks/usePeers';
+import { useWatchlistEarnings } from '../hooks/useEarnings';
 import useLivePrice from '../hooks/useLivePrice';
+import { EARNINGS_BADGE_DAYS, getDaysUntilEarnings, formatEarningsHour } from '../utils/earnings';
+import { getExtendedSessionLabel } from '../utils/marketHours';
+import { toListingSymbol } from '../utils/exchanges';
 import { sidebarStyles, itemStyles, pillStyles, searchResultStyles } from './WatchlistSidebar.styles';
 
 const WatchlistSidebar = ({ isOpen, onToggle }) => {
@@ -19,6 +23,7 @@ const WatchlistSidebar = ({ isOpen, onToggle }) => {
   const stats = getWatchlistStats();
   const { results: searchResults, isLoading: isSearching, error: searchError } = useNasdaqSearch(searchQuery);
   const { getPeerState, retryPeerFetch } = useWatchlistPeers(symbols);
+  const { getEarnings } = useWatchlistEarnings(symbols);
 
   const handleAddSymbol = useCallback(async (symbol) => {
     if (addingSymbols.has(symbol)) return { success: false, message: 'Already adding symbol' };
@@ -93,7 +98,7 @@ const WatchlistSidebar = ({ isOpen, onToggle }) => {
               type="text"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Search NASDAQ tickers (e.g., AAPL, MSFT)"
+              placeholder="Search tickers (e.g., AAPL, TEVA:TASE)"
               disabled={stats.maxReached}
               className={sidebarStyles.searchInput}
             />
@@ -107,15 +112,18 @@ const WatchlistSidebar = ({ isOpen, onToggle }) => {
             {/* Search Results */}
             {searchResults.length > 0 && (
               <div className={sidebarStyles.searchResults}>
-                {searchResults.map((result) => (
-                  <SearchResultItem
-                    key={result.symbol}
-                    result={result}
-                    onAdd={handleAddSymbol}
-                    isInWatchlist={symbols.includes(result.symbol)}
-                    isAdding={addingSymbols.has(result.symbol)}
-                  />
-                ))}
+                {searchResults.map((result) => {
+                  const listingSymbol = toListingSymbol(result.symbol, result.exchange);
+                  return (
+                    <SearchResultItem
+                      key={listingSymbol}
+                      result={result}
+                      onAdd={handleAddSymbol}
+                      isInWatchlist={symbols.includes(listingSymbol)}
+                      isAdding={addingSymbols.has(listingSymbol)}
+                    />
+                  );
+                })}
               </div>
             )}
 
@@ -143,6 +151,7 @@ const WatchlistSidebar = ({ isOpen, onToggle }) => {
                   onRemove={handleRemoveSymbol}
                   peerState={getPeerState(symbol)}
                   onRetryPeers={retryPeerFetch}
+                  earnings={getEarnings(symbol)}
                 />
               ))}
             </div>
@@ -163,7 +172,7 @@ const WatchlistSidebar = ({ isOpen, onToggle }) => {
 
 // Search Result Item Component
 const SearchResultItem = React.memo(({ result, onAdd, isInWatchlist, isAdding }) => {
-  const symbol = result.symbol;
+  const symbol = toListingSymbol(result.symbol, result.exchange);
   const name = result.name;
   const isEtf = result.etf;
 
@@ -211,7 +220,7 @@ const SearchResultItem = React.memo(({ result, onAdd, isInWatchlist, isAdding })
 });
 
 // Watchlist Item Component
-const WatchlistItem = React.memo(({ symbol, onRemove, peerState, onRetryPeers }) => {
+const WatchlistItem = React.memo(({ symbol, onRemove, peerState, onRetryPeers, earnings }) => {
   const priceData = useLivePrice(symbol);
   const [showConfirmDelete, setShowConfirmDelete] = useState(false);
   const [showPeers, setShowPeers] = useState(false);
@@ -229,6 +238,17 @@ const WatchlistItem = React.memo(({ symbol, onRemove, peerState, onRetryPeers })
     onRetryPeers(symbol);
   }, [onRetryPeers, symbol]);
 
+  const upcoming = earnings?.upcoming;
+  const daysUntilEarnings = getDaysUntilEarnings(upcoming?.date);
+  const showEarningsBadge = daysUntilEarnings !== null && daysUntilEarnings >= 0 && daysUntilEarnings <= EARNINGS_BADGE_DAYS;
+
+  const getEarningsTitle = () => {
+    const when = daysUntilEarnings === 0 ? 'today' : `in ${daysUntilEarnings} day${daysUntilEarnings === 1 ? '' : 's'}`;
+    const hour = formatEarningsHour(upcoming.hour);
+    const estimate = upcoming.eps_estimate !== null ? ` - EPS est. $${upcoming.eps_estimate.toFixed(2)}` : '';
+    return `Earnings ${when} (${upcoming.date}${hour ? `, ${hour}` : ''})${estimate}`;
+  };
+
   const isPositive = priceData?.change >= 0;
   const isNeutral = priceData?.change === 0;
 
@@ -242,6 +262,20 @@ const WatchlistItem = React.memo(({ symbol, onRemove, peerState, onRetryPeers })
     return isPositive ? itemStyles.positiveChange : itemStyles.negativeChange;
   };
 
+  // Pre-market/after-hours trade, shown next to the regular close
+  const extendedLabel = getExtendedSessionLabel(priceData?.extendedSession);
+  const hasExtendedPrice = !!extendedLabel && priceData.extendedPrice !== null && priceData.extendedPrice !== undefined;
+
+  const getExtendedChangeStyle = () => {
+    const change = priceData.extendedChange;
+    if (!change) return itemStyles.neutralChange;
+    return change > 0 ? itemStyles.positiveChange : itemStyles.negativeChange;
+  };
+
+  const formatSigned = (value, suffix = '') => (
+    value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}${suffix}`
+  );
+
   return (
     <div className={itemStyles.container}>
       <div className="flex items-center justify-between">
@@ -249,6 +283,15 @@ const WatchlistItem = React.memo(({ symbol, onRemove, peerState, onRetryPeers })
           <div className="flex items-center justify-between mb-1">
             <div className={itemStyles.symbolHeader}>
               <span className={itemStyles.symbolText}>{symbol}</span>
+
+              {showEarningsBadge && (
+                <span
+                  className={daysUntilEarnings <= 1 ? itemStyles.earningsBadgeSoon : itemStyles.earningsBadge}
+                  title={getEarningsTitle()}
+                >
+                  ER {daysUntilEarnings === 0 ? 'today' : `${daysUntilEarnings}d`}
+                </span>
+              )}
               
               {/* Peer Status Indicator */}
               {peersLoading ? (
@@ -311,6 +354,18 @@ const WatchlistItem = React.memo(({ symbol, onRemove, peerState, onRetryPeers })
                 {isPositive ? '+' : ''}{priceData.change?.toFixed(2) || '—'} 
                 ({isPositive ? '+' : ''}{priceData.changePercent?.toFixed(2) || '—'}%)
               </div>
+              {hasExtendedPrice && (
+                <div
+                  className={itemStyles.extendedRow}
+                  title={`${extendedLabel === 'PRE' ? 'Pre-market' : 'After-hours'} price (change from the regular close)`}
+                >
+                  <span className={itemStyles.extendedLabel}>{extendedLabel}</span>
+                  <span className={itemStyles.extendedPrice}>${priceData.extendedPrice.toFixed(2)}</span>
+                  <span className={getExtendedChangeStyle()}>
+                    {formatSigned(priceData.extendedChange)} ({formatSigned(priceData.extendedChangePercent, '%')})
+                  </span>
+                </div>
+              )}
             </>
           ) : (
             <div className={itemStyles.loadingText}>Loading...</div>
@@ -48,6 +48,10 @@ export const itemStyles = {
   peerButton: "text-xs text-bloomberg-text-muted hover:text-bloomberg-orange transition-colors py-1 px-1",
   peerButtonFallback: "text-xs text-yellow-400 hover:text-yellow-300 transition-colors py-1 px-1",
 
+  // Upcoming earnings badge ("ER 3d") - brighter on the day before/of the report
+  earningsBadge: "px-1.5 py-0.5 text-xs font-mono rounded border border-bloomberg-data-volume text-bloomberg-data-volume",
+  earningsBadgeSoon: "px-1.5 py-0.5 text-xs font-mono rounded bg-bloomberg-orange text-black font-bold",
+
   // Remove button - larger touch target
   removeButton: "text-bloomberg-text-muted hover:text-bloomberg-status-error transition-colors p-1 min-h-[32px] min-w-[32px] flex items-center justify-center",
 
@@ -60,6 +64,11 @@ export const itemStyles = {
   positiveChange: "text-xs text-bloomberg-data-positive",
   negativeChange: "text-xs text-bloomberg-data-negative",
   neutralChange: "text-xs text-bloomberg-data-neutral",
+
+  // Pre-market/after-hours price under the regular close ("PRE 187.20 +1.95 (+1.05%)")
+  extendedRow: "flex items-center gap-1 mt-0.5 text-xs font-bloomberg-mono",
+  extendedLabel: "px-1 rounded border border-bloomberg-orange text-bloomberg-orange font-bold",
+  extendedPrice: "text-bloomberg-text-secondary",
   
   // Loading state
   loadingText: "text-xs text-bloomberg-text-muted",
@@ -0,0 +1,34 @@
+/**
+ * useAlertRules Hook
+ * React hook for the user's alert rules (services/alertRuleManager.js)
+ */
+
+import { useState, useEffect } from 'react';
+import alertRuleManager from '../services/alertRuleManager';
+
+export const useAlertRules = () => {
+  const [rules, setRules] = useState(() => alertRuleManager.getRules());
+
+  useEffect(() => {
+    const unsubscribe = alertRuleManager.subscribe((event) => {
+      if (event.type === 'rulesUpdated') {
+        setRules(event.data);
+      }
+    });
+
+    alertRuleManager.load().then(setRules);
+
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  return {
+    rules,
+    saveRule: (rule) => alertRuleManager.saveRule(rule),
+    deleteRule: (id) => alertRuleManager.deleteRule(id),
+    setRuleEnabled: (id, enabled) => alertRuleManager.setRuleEnabled(id, enabled),
+  };
+};
+
+export default useAlertRules;
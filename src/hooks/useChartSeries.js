@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { fetchTDSeries } from '../services/tdStats';
+import { getSeriesTTL } from '../services/cacheManager';
+import indexedDBService from '../services/indexedDBService';
+import { isMarketOpen } from '../utils/marketHours';
+import { getSymbolExchange } from '../utils/exchanges';
+import { getChartOutputsize, clampChartPeriod } from '../utils/chartIntervals';
+
+/**
+ * useChartSeries - OHLCV bars for the price chart.
+ * Paints bars saved in IndexedDB first, then fetches through the worker
+ * (tdStats series cache, TTL by interval) and saves the result back.
+ * While the market is open the series is refetched once its TTL has passed.
+ *
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Bar interval ('1min', '5min', '15min', '1h', '1day')
+ * @param {number} periodDays - Lookback in calendar days
+ * @returns {{ bars: Array, loading: boolean, error: string|null, source: string|null }}
+ */
+export const useChartSeries = (symbol, interval, periodDays) => {
+  const [bars, setBars] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [source, setSource] = useState(null);
+
+  useEffect(() => {
+    if (!symbol) return;
+
+    let cancelled = false;
+    let refreshTimer = null;
+    const days = clampChartPeriod(interval, periodDays);
+    const outputsize = getChartOutputsize(interval, days);
+
+    const loadStored = async () => {
+      try {
+        const stored = await indexedDBService.getTimeSeries(symbol, interval, days);
+        if (!cancelled && stored.length > 0) {
+          setBars(stored);
+          setSource('indexedDB');
+        }
+      } catch (err) {
+        // IndexedDB unavailable (private mode etc.) - the network fetch still runs
+        console.warn(`[useChartSeries] Stored bars unavailable for ${symbol}:`, err.message);
+      }
+    };
+
+    const fetchBars = async () => {
+      try {
+        const fresh = await fetchTDSeries(symbol, interval, outputsize);
+        if (cancelled) return;
+
+        setBars(fresh);
+        setSource('network');
+        setError(null);
+
+        indexedDBService.saveTimeSeries(symbol, interval, fresh).catch(err => {
+          console.warn(`[useChartSeries] Failed to save bars for ${symbol}:`, err.message);
+        });
+      } catch (err) {
+        if (cancelled) return;
+        console.warn(`[useChartSeries] Failed to fetch ${interval} bars for ${symbol}:`, err.message);
+        setError(err.message.startsWith('TD_EXHAUSTED') ? 'Rate limit reached - showing saved bars' : err.message);
+      }
+    };
+
+    const scheduleRefresh = () => {
+      if (!isMarketOpen(getSymbolExchange(symbol))) return;
+      refreshTimer = setTimeout(async () => {
+        await fetchBars();
+        if (!cancelled) scheduleRefresh();
+      }, Math.max(getSeriesTTL(interval, symbol), 60000));
+    };
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      setBars([]);
+      setSource(null);
+
+      await loadStored();
+      await fetchBars();
+
+      if (!cancelled) {
+        setLoading(false);
+        scheduleRefresh();
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(refreshTimer);
+    };
+  }, [symbol, interval, periodDays]);
+
+  return { bars, loading, error, source };
+};
+
+export default useChartSeries;
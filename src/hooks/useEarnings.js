@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { cachedTwelveDataAPI } from '../utils/api';
+
+/**
+ * Hook for upcoming earnings across all watchlist symbols
+ * One /api/earnings_calendar request covers the whole watchlist (12h client cache),
+ * so re-renders and added symbols don't refetch what is already known.
+ * @param {string[]} symbols - Array of stock symbols
+ * @returns {object} - { getEarnings(symbol) } - { symbol, upcoming }, or null
+ */
+export const useWatchlistEarnings = (symbols) => {
+  const [earningsBySymbol, setEarningsBySymbol] = useState({});
+
+  useEffect(() => {
+    if (symbols.length === 0) return undefined;
+
+    let cancelled = false;
+
+    cachedTwelveDataAPI.getEarningsCalendar(symbols)
+      .then(calendar => {
+        if (!cancelled) setEarningsBySymbol(calendar);
+      })
+      .catch(err => {
+        // No badge is better than a retry loop - earnings are a nice-to-have
+        console.warn('Earnings calendar unavailable:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [symbols]);
+
+  return {
+    getEarnings: (symbol) => earningsBySymbol[symbol] || null
+  };
+};
+
+export default useWatchlistEarnings;
@@ -19,6 +19,10 @@ export default function useLivePrice(symbol) {
           change: quote.change,
           changePercent: parseFloat(quote.changePercent),
           volume: quote.volume,
+          extendedSession: quote.extendedSession,
+          extendedPrice: quote.extendedPrice,
+          extendedChange: quote.extendedChange,
+          extendedChangePercent: quote.extendedChangePercent,
           lastUpdated: new Date()
         });
       } catch (error) {
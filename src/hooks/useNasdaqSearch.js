@@ -1,8 +1,10 @@
 import { useState, useEffect, useMemo } from 'react';
 import { parseNasdaqList, filterTickers, applyFilter, FILTER_OPTIONS } from '../utils/nasdaqParser';
+import { DEFAULT_EXCHANGE, getExchange, parseListing, toListingSymbol } from '../utils/exchanges';
 
 /**
  * Hook to load and search NASDAQ tickers
+ * A query naming another exchange ("TEVA:TASE", "SHOP.TO") also gets that listing as the first result.
  */
 export const useNasdaqSearch = (searchQuery, filterType = FILTER_OPTIONS.ALL) => {
   const [tickers, setTickers] = useState([]);
@@ -34,8 +36,14 @@ export const useNasdaqSearch = (searchQuery, filterType = FILTER_OPTIONS.ALL) =>
       return [];
     }
 
+    const { ticker, exchange } = parseListing(searchQuery);
+    if (exchange && exchange !== DEFAULT_EXCHANGE) {
+      const listing = { symbol: toListingSymbol(searchQuery), name: getExchange(exchange).name, exchange };
+      return ticker ? [listing] : [];
+    }
+
     let filtered = applyFilter(tickers, filterType);
-    filtered = filterTickers(filtered, searchQuery);
+    filtered = filterTickers(filtered, exchange ? ticker : searchQuery); // "AAPL:NASDAQ" searches for AAPL
 
     // Limit to 10 results
     return filtered.slice(0, 10);
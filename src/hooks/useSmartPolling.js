@@ -1,15 +1,89 @@
 import { useState, useEffect, useRef } from 'react';
 import { twelveDataAPI, cachedTwelveDataAPI } from '../utils/api';
-import { isMarketOpen as checkMarketStatus } from '../utils/marketHours';
+import { getMarketPhase, getNextMarketOpen } from '../utils/tradingCalendar';
+import { getSymbolExchange } from '../utils/exchanges';
 import { getCacheStats } from '../services/cacheManager';
 import indexedDBService from '../services/indexedDBService';
 
+// Watchlist poll cadence - one batch request per poll regardless of watchlist size
+const MARKET_POLL_INTERVAL = 4 * 60 * 1000; // 4 minutes during regular hours
+const EXTENDED_HOURS_POLL_INTERVAL = 10 * 60 * 1000; // 10 minutes pre-market/after-hours (thin trading)
+
+/**
+ * How often to poll in a market phase
+ * @param {string} phase - 'pre' | 'open' | 'post' | 'closed' (see tradingCalendar.getMarketPhase)
+ * @returns {number|null} Milliseconds, or null when the market is closed (fetch once, don't poll)
+ */
+export const getPollInterval = (phase) => {
+  if (phase === 'open') return MARKET_POLL_INTERVAL;
+  if (phase === 'pre' || phase === 'post') return EXTENDED_HOURS_POLL_INTERVAL;
+  return null;
+};
+
+const PHASE_LABELS = { pre: 'PRE-MARKET', open: 'OPEN', post: 'AFTER-HOURS', closed: 'CLOSED' };
+
+/**
+ * Market phase of every exchange the symbols trade on
+ * @param {string[]} symbols - Watchlist symbols ("AAPL", "TEVA:TASE")
+ * @returns {Object} Exchange id -> phase, e.g. { NYSE: 'open', TASE: 'closed' }
+ */
+export const getExchangePhases = (symbols, now = new Date()) => {
+  const phases = {};
+  symbols.forEach(symbol => {
+    const exchange = getSymbolExchange(symbol);
+    if (!phases[exchange]) phases[exchange] = getMarketPhase(now, exchange);
+  });
+  return phases;
+};
+
+/**
+ * Split a watchlist by poll cadence - each symbol follows its own exchange's phase
+ * @param {string[]} symbols
+ * @param {Object} phases - From getExchangePhases
+ * @returns {Object} Poll interval (ms) -> symbols; symbols whose market is closed aren't polled
+ */
+export const getPollGroups = (symbols, phases) => {
+  const groups = {};
+  symbols.forEach(symbol => {
+    const pollInterval = getPollInterval(phases[getSymbolExchange(symbol)]);
+    if (pollInterval) groups[pollInterval] = [...(groups[pollInterval] || []), symbol];
+  });
+  return groups;
+};
+
+// Normalize an API quote into the shape stored in stockData
+const toPolledQuote = (quote) => ({
+  symbol: quote.symbol,
+  price: quote.price,
+  change: quote.change,
+  changePercent: quote.changePercent,
+  high: quote.high,
+  low: quote.low,
+  open: quote.open,
+  previousClose: quote.previousClose,
+  volume: quote.volume,
+  extendedSession: quote.extendedSession || null,
+  extendedPrice: quote.extendedPrice ?? null,
+  extendedChange: quote.extendedChange ?? null,
+  extendedChangePercent: quote.extendedChangePercent ?? null,
+  timestamp: Date.now(),
+  isRealData: true,
+  isYahooFinance: quote.isYahooFinance || false,
+  source: quote.source || (quote._cached ? 'Twelve Data (Cached)' : 'Twelve Data'),
+  _cached: quote._cached || false,
+  _stale: quote._stale || false,
+  _offline: quote._offline || false,
+  _cacheAge: quote._cacheAge
+});
+
 export const useSmartPolling = (symbols) => {
   const [stockData, setStockData] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [error, setError] = useState(null);
   const [isMarketOpen, setIsMarketOpen] = useState(false);
+  const [marketPhases, setMarketPhases] = useState({});
+  const marketPhasesRef = useRef({});
   const intervalsRef = useRef({});
   const marketCheckInterval = useRef(null);
   const fundamentalsFetchedRef = useRef(new Set()); // Track which symbols have fundamentals
@@ -17,15 +91,18 @@ export const useSmartPolling = (symbols) => {
   const pendingFetchesRef = useRef(0);
   const lastSnapshotTimeRef = useRef({}); // Track last snapshot time per symbol (for batching)
 
-  // Check if US market is currently open (NYSE hours)
-  const checkMarketHours = () => {
-    const marketIsOpen = checkMarketStatus();
-    setIsMarketOpen(marketIsOpen);
+  // Check where each watched exchange is in its day
+  // @returns {Object} Exchange id -> 'pre' | 'open' | 'post' | 'closed'
+  const checkMarketHours = (symbolsList) => {
+    const phases = getExchangePhases(symbolsList);
+    marketPhasesRef.current = phases;
+    setMarketPhases(phases);
+    setIsMarketOpen(Object.values(phases).includes('open'));
 
-    const etTime = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    console.log(`🕐 Market status: ${marketIsOpen ? 'OPEN' : 'CLOSED'} (ET: ${etTime.toLocaleTimeString()})`);
+    const summary = Object.entries(phases).map(([exchange, phase]) => `${exchange} ${PHASE_LABELS[phase]}`).join(', ');
+    console.log(`🕐 Market status: ${summary}`);
 
-    return marketIsOpen;
+    return phases;
   };
 
   // Load cached data instantly on mount
@@ -80,21 +157,9 @@ export const useSmartPolling = (symbols) => {
         if (cached && cached.price) {
           console.log(`⚡ Using fresh cache for ${symbol} (age: ${Math.round(cached._cacheAge / 1000)}s)`);
           return {
-            symbol: cached.symbol,
-            price: cached.price,
-            change: cached.change,
-            changePercent: cached.changePercent,
-            high: cached.high,
-            low: cached.low,
-            open: cached.open,
-            previousClose: cached.previousClose,
-            volume: cached.volume,
-            timestamp: Date.now(),
-            isRealData: true,
+            ...toPolledQuote(cached),
             source: 'Twelve Data (Cached)',
-            _cached: true,
-            _stale: false,
-            _cacheAge: cached._cacheAge
+            _stale: false
           };
         }
       }
@@ -103,25 +168,7 @@ export const useSmartPolling = (symbols) => {
       const quote = await cachedTwelveDataAPI.getQuote(symbol, { skipCache });
 
       if (quote && quote.price) {
-        return {
-          symbol: quote.symbol,
-          price: quote.price,
-          change: quote.change,
-          changePercent: quote.changePercent,
-          high: quote.high,
-          low: quote.low,
-          open: quote.open,
-          previousClose: quote.previousClose,
-          volume: quote.volume,
-          timestamp: Date.now(),
-          isRealData: true,
-          isYahooFinance: quote.isYahooFinance || false,
-          source: quote.source || (quote._cached ? 'Twelve Data (Cached)' : 'Twelve Data'),
-          _cached: quote._cached || false,
-          _stale: quote._stale || false,
-          _offline: quote._offline || false,
-          _cacheAge: quote._cacheAge
-        };
+        return toPolledQuote(quote);
       }
     } catch (error) {
       console.error(`Twelve Data API failed for ${symbol}:`, error);
@@ -132,6 +179,24 @@ export const useSmartPolling = (symbols) => {
     return null;
   };
 
+  // Fetch quotes for several symbols with one batch request (/api/quotes)
+  // Returns a map of symbol -> polled quote, or { error } for symbols that failed
+  const fetchRealQuotesBatch = async (symbolsList, { skipCache = false } = {}) => {
+    const quotes = await cachedTwelveDataAPI.getQuotes(symbolsList, { skipCache });
+
+    const results = {};
+    symbolsList.forEach(symbol => {
+      const quote = quotes[symbol];
+      if (!quote || quote.error) {
+        results[symbol] = { error: quote?.error || 'Quote data unavailable' };
+      } else {
+        results[symbol] = quote.price ? toPolledQuote(quote) : null;
+      }
+    });
+
+    return results;
+  };
+
   // Fetch fundamentals/statistics data (P/E, EPS, Beta, Market Cap)
   // Uses cache-first strategy - statistics rarely change
   const fetchFundamentals = async (symbol) => {
@@ -206,8 +271,8 @@ export const useSmartPolling = (symbols) => {
 
   // Save quote snapshot to IndexedDB (batched every 5 minutes)
   const saveQuoteSnapshot = async (symbol, quoteData) => {
-    // Only save if market is open (avoid redundant snapshots when closed)
-    if (!isMarketOpen) return;
+    // Only save if the symbol's market is open (avoid redundant snapshots when closed)
+    if (marketPhasesRef.current[getSymbolExchange(symbol)] !== 'open') return;
 
     // Batch saves: only save every 5 minutes per symbol
     const now = Date.now();
@@ -229,131 +294,176 @@ export const useSmartPolling = (symbols) => {
     }
   };
 
-  // Smart data fetching strategy
-  const fetchStockData = async (symbol, fetchFundamentalsData = false, forceRefresh = false) => {
-    pendingFetchesRef.current++;
+  // Merge a fetched quote (plus fundamentals on first load) into state
+  const applyQuote = async (symbol, quote, fetchFundamentalsData) => {
+    // Get existing data
+    const existing = stockData[symbol] || {};
 
-    try {
-      // Get existing data
-      const existing = stockData[symbol] || {};
+    // Fetch fundamentals on first load (or if requested)
+    let fundamentals = null;
+    if (fetchFundamentalsData && !fundamentalsFetchedRef.current.has(symbol)) {
+      fundamentals = await fetchFundamentals(symbol);
+    }
 
-      // Fetch quote (respects cache unless forceRefresh)
-      const quote = await fetchRealQuoteData(symbol, { skipCache: forceRefresh });
+    // Use existing fundamentals if we have them
+    const existingFundamentals = existing.pe ? {
+      marketCap: existing.marketCap,
+      pe: existing.pe,
+      forwardPe: existing.forwardPe,
+      eps: existing.eps,
+      beta: existing.beta,
+      week52High: existing.week52High,
+      week52Low: existing.week52Low,
+      dividendYield: existing.dividendYield
+    } : {};
+
+    // Combine all data with fallbacks
+    const combinedData = {
+      // Keep existing data as base
+      ...existing,
+
+      // Add quote data (always available)
+      ...(quote || {}),
+
+      // Add fundamentals (from existing or newly fetched)
+      ...existingFundamentals,
+      ...(fundamentals || {}),
+
+      // Ensure we have basic info
+      symbol: symbol,
+      lastUpdated: new Date(),
+      isLoading: false,
+      hasQuoteData: !!quote,
+      hasFundamentalsData: !!(fundamentals?.pe || existingFundamentals.pe),
+
+      // Add data source indicators
+      isRealData: quote?.isRealData || false,
+      isYahooFinance: quote?.isYahooFinance || false,
+      dataSource: quote?.source || 'No Data',
+
+      // Add cache metadata
+      _cached: quote?._cached || false,
+      _stale: quote?._stale || false,
+      _offline: quote?._offline || false,
+      _cacheAge: quote?._cacheAge,
+      usingCachedData: quote?._cached || quote?._stale || quote?._offline || false
+    };
 
-      // Fetch fundamentals on first load (or if requested)
-      let fundamentals = null;
-      if (fetchFundamentalsData && !fundamentalsFetchedRef.current.has(symbol)) {
-        fundamentals = await fetchFundamentals(symbol);
+    setStockData(prev => ({
+      ...prev,
+      [symbol]: combinedData
+    }));
+
+    setLastUpdated(new Date());
+    setError(null);
+
+    // Save quote snapshot to IndexedDB (batched, only if market open)
+    if (quote && !quote._cached && !quote._stale) {
+      // Only save fresh data (not cached/stale)
+      saveQuoteSnapshot(symbol, quote);
+    }
+  };
+
+  // Record a failed fetch for a symbol
+  const applyFetchError = (symbol, error) => {
+    console.error(`❌ Error fetching ${symbol}:`, error);
+
+    // Check if this is a TD rate limit exhaustion error
+    const errMsg = error.message || '';
+    const isTDExhausted = errMsg.startsWith('TD_EXHAUSTED:');
+
+    if (isTDExhausted) {
+      // Keep showing existing cached data, just mark as cached
+      const existing = stockData[symbol];
+      if (existing && existing.price) {
+        console.warn(`⏸️ Using cached data for ${symbol} due to rate limit`);
+        setStockData(prev => ({
+          ...prev,
+          [symbol]: {
+            ...existing,
+            isLoading: false,
+            usingCachedData: true,
+            rateLimitMessage: errMsg.replace('TD_EXHAUSTED:', ''),
+            lastUpdated: existing.lastUpdated || new Date()
+          }
+        }));
+        return; // Don't set global error
       }
+    }
 
-      // Use existing fundamentals if we have them
-      const existingFundamentals = existing.pe ? {
-        marketCap: existing.marketCap,
-        pe: existing.pe,
-        forwardPe: existing.forwardPe,
-        eps: existing.eps,
-        beta: existing.beta,
-        week52High: existing.week52High,
-        week52Low: existing.week52Low,
-        dividendYield: existing.dividendYield
-      } : {};
-
-      // Combine all data with fallbacks
-      const combinedData = {
-        // Keep existing data as base
-        ...existing,
-
-        // Add quote data (always available)
-        ...(quote || {}),
-
-        // Add fundamentals (from existing or newly fetched)
-        ...existingFundamentals,
-        ...(fundamentals || {}),
-
-        // Ensure we have basic info
+    // For other errors, set error state
+    setError(error.message);
+
+    // Set error state for this symbol
+    setStockData(prev => ({
+      ...prev,
+      [symbol]: {
+        ...prev[symbol],
         symbol: symbol,
-        lastUpdated: new Date(),
+        name: `${symbol} Inc.`,
         isLoading: false,
-        hasQuoteData: !!quote,
-        hasFundamentalsData: !!(fundamentals?.pe || existingFundamentals.pe),
-
-        // Add data source indicators
-        isRealData: quote?.isRealData || false,
-        isYahooFinance: quote?.isYahooFinance || false,
-        dataSource: quote?.source || 'No Data',
-
-        // Add cache metadata
-        _cached: quote?._cached || false,
-        _stale: quote?._stale || false,
-        _offline: quote?._offline || false,
-        _cacheAge: quote?._cacheAge,
-        usingCachedData: quote?._cached || quote?._stale || quote?._offline || false
-      };
-
-      setStockData(prev => ({
-        ...prev,
-        [symbol]: combinedData
-      }));
-
-      setLastUpdated(new Date());
-      setError(null);
-
-      // Save quote snapshot to IndexedDB (batched, only if market open)
-      if (quote && !quote._cached && !quote._stale) {
-        // Only save fresh data (not cached/stale)
-        saveQuoteSnapshot(symbol, quote);
+        hasError: true,
+        error: error.message,
+        lastUpdated: new Date()
       }
+    }));
+  };
 
+  // Only clear loading state when all initial fetches are complete
+  const finishFetch = () => {
+    pendingFetchesRef.current--;
+
+    if (pendingFetchesRef.current === 0 && !initialLoadCompleteRef.current) {
+      initialLoadCompleteRef.current = true;
+      setIsLoading(false);
+    }
+  };
+
+  // Smart data fetching strategy
+  const fetchStockData = async (symbol, fetchFundamentalsData = false, forceRefresh = false) => {
+    pendingFetchesRef.current++;
+
+    try {
+      // Fetch quote (respects cache unless forceRefresh)
+      const quote = await fetchRealQuoteData(symbol, { skipCache: forceRefresh });
+      await applyQuote(symbol, quote, fetchFundamentalsData);
     } catch (error) {
-      console.error(`❌ Error fetching ${symbol}:`, error);
-
-      // Check if this is a TD rate limit exhaustion error
-      const errMsg = error.message || '';
-      const isTDExhausted = errMsg.startsWith('TD_EXHAUSTED:');
-
-      if (isTDExhausted) {
-        // Keep showing existing cached data, just mark as cached
-        const existing = stockData[symbol];
-        if (existing && existing.price) {
-          console.warn(`⏸️ Using cached data for ${symbol} due to rate limit`);
-          setStockData(prev => ({
-            ...prev,
-            [symbol]: {
-              ...existing,
-              isLoading: false,
-              usingCachedData: true,
-              rateLimitMessage: errMsg.replace('TD_EXHAUSTED:', ''),
-              lastUpdated: existing.lastUpdated || new Date()
-            }
-          }));
-          return; // Don't set global error
-        }
-      }
+      applyFetchError(symbol, error);
+    } finally {
+      finishFetch();
+    }
+  };
 
-      // For other errors, set error state
-      setError(error.message);
+  // Batch variant: one /api/quotes request for all symbols, then per-symbol merge
+  const fetchBatchStockData = async (symbolsList, fetchFundamentalsData = false, forceRefresh = false) => {
+    pendingFetchesRef.current++;
 
-      // Set error state for this symbol
-      setStockData(prev => ({
-        ...prev,
-        [symbol]: {
-          ...prev[symbol],
-          symbol: symbol,
-          name: `${symbol} Inc.`,
-          isLoading: false,
-          hasError: true,
-          error: error.message,
-          lastUpdated: new Date()
+    try {
+      const quotes = await fetchRealQuotesBatch(symbolsList, { skipCache: forceRefresh });
+
+      for (const symbol of symbolsList) {
+        const quote = quotes[symbol];
+        if (quote?.error) {
+          applyFetchError(symbol, new Error(quote.error));
+        } else {
+          await applyQuote(symbol, quote, fetchFundamentalsData);
         }
-      }));
+      }
+    } catch (error) {
+      symbolsList.forEach(symbol => applyFetchError(symbol, error));
     } finally {
-      pendingFetchesRef.current--;
+      finishFetch();
+    }
+  };
 
-      // Only clear loading state when all initial fetches are complete
-      if (pendingFetchesRef.current === 0 && !initialLoadCompleteRef.current) {
-        initialLoadCompleteRef.current = true;
-        setIsLoading(false);
-      }
+  // Poll one symbol at a time, or the whole list in one batch request
+  const fetchAll = (symbolsList, fetchFundamentalsData = false, forceRefresh = false) => {
+    if (!symbolsList || symbolsList.length === 0) return;
+
+    if (symbolsList.length === 1) {
+      fetchStockData(symbolsList[0], fetchFundamentalsData, forceRefresh);
+    } else {
+      fetchBatchStockData(symbolsList, fetchFundamentalsData, forceRefresh);
     }
   };
 
@@ -375,37 +485,23 @@ export const useSmartPolling = (symbols) => {
       setIsLoading(true); // Only show loading if no cache
     }
 
-    // Check market status every minute
+    // Fetch now, then poll each symbol at the cadence for its exchange's market phase
     const startPolling = (isInitialLoad = false) => {
-      const marketOpen = checkMarketHours();
-
-      if (marketOpen) {
-        // Market is OPEN - start polling stocks
-        symbols.forEach((symbol, index) => {
-          // Stagger initial requests to avoid rate limiting (2 second stagger)
-          setTimeout(() => {
-            // Initial fetch with fundamentals
-            fetchStockData(symbol, isInitialLoad);
-
-            // Set up polling interval: 4 minutes = 240,000ms
-            // This gives us ~100 calls per symbol per day (600 total for 6 symbols)
-            const interval = setInterval(() => {
-              if (checkMarketHours()) {
-                fetchStockData(symbol, false); // No fundamentals on subsequent fetches
-              }
-            }, 240000); // 4 minutes
-
-            intervalsRef.current[symbol] = interval;
-          }, index * 2000); // 2 second stagger between symbols
-        });
-      } else {
-        // Market is CLOSED - fetch once to show last prices, then stop
-        console.log('⏸️ Market closed - fetching last prices only');
-        symbols.forEach((symbol, index) => {
-          setTimeout(() => {
-            fetchStockData(symbol, isInitialLoad);
-          }, index * 2000);
-        });
+      const groups = getPollGroups(symbols, checkMarketHours(symbols));
+
+      // Initial fetch with fundamentals (one batch request for multiple symbols)
+      fetchAll(symbols, isInitialLoad);
+
+      // Regular hours every 4 minutes, pre-market/after-hours every 10 - one batch per cadence
+      Object.entries(groups).forEach(([pollInterval, groupSymbols]) => {
+        intervalsRef.current[pollInterval] = setInterval(() => {
+          fetchAll(groupSymbols, false); // No fundamentals on subsequent fetches
+        }, Number(pollInterval));
+      });
+
+      if (Object.keys(groups).length === 0) {
+        // Every market is CLOSED - fetch once to show last prices, then stop
+        console.log('⏸️ Markets closed - fetching last prices only');
       }
     };
 
@@ -414,28 +510,33 @@ export const useSmartPolling = (symbols) => {
 
     // Setup market check with dynamic interval
     const setupMarketCheck = () => {
-      const currentlyOpen = checkMarketHours();
+      const exchanges = Object.keys(marketPhasesRef.current);
+      const trading = exchanges.some(exchange => marketPhasesRef.current[exchange] !== 'closed');
 
-      // When market is open: check every minute to detect close
-      // When market is closed: check every 30 minutes to detect open
-      const checkInterval = currentlyOpen ? 60000 : 1800000; // 1min or 30min
+      // While any market trades (regular or extended hours): check every minute to catch the next phase
+      // When every market is closed: check every 30 minutes to detect pre-market, or at the next open
+      const now = new Date();
+      const untilNextOpen = Math.min(...exchanges.map(exchange => getNextMarketOpen(now, exchange).getTime() - now.getTime()));
+      const checkInterval = trading ? 60000 : Math.max(60000, Math.min(1800000, untilNextOpen));
 
-      console.log(`⏰ Next market check in ${currentlyOpen ? '1 minute' : '30 minutes'}`);
+      console.log(`⏰ Next market check in ${Math.round(checkInterval / 60000)} minutes`);
 
       marketCheckInterval.current = setTimeout(() => {
-        const wasOpen = isMarketOpen;
-        const nowOpen = checkMarketHours();
+        const previousPhases = marketPhasesRef.current;
+        const phases = checkMarketHours(symbols);
+        const changed = Object.keys(phases).filter(exchange => phases[exchange] !== previousPhases[exchange]);
 
-        // Market just opened - restart polling
-        if (!wasOpen && nowOpen) {
-          console.log('🔔 Market just opened - starting live polling');
-          startPolling(false);
-        }
-        // Market just closed - stop polling
-        else if (wasOpen && !nowOpen) {
-          console.log('🔕 Market just closed - stopping live polling');
+        // An exchange changed phase (pre-market -> open -> after-hours -> closed) - restart at the new cadences
+        if (changed.length > 0) {
           Object.values(intervalsRef.current).forEach(clearInterval);
           intervalsRef.current = {};
+          changed.forEach(exchange => console.log(`🔔 ${exchange} now ${PHASE_LABELS[phases[exchange]]}`));
+
+          if (Object.keys(getPollGroups(symbols, phases)).length > 0) {
+            startPolling(false);
+          } else {
+            console.log('🔕 Markets closed - stopping live polling');
+          }
         }
 
         // Schedule next check
@@ -469,11 +570,12 @@ export const useSmartPolling = (symbols) => {
     lastUpdated,
     error,
     isMarketOpen,
+    marketPhases,
     refreshSymbol: (symbol) => fetchStockData(symbol),
-    refreshAll: () => symbols?.forEach(symbol => fetchStockData(symbol)),
+    refreshAll: () => fetchAll(symbols),
     // Force refresh bypasses cache completely
     forceRefreshSymbol: (symbol) => fetchStockData(symbol, true, true),
-    forceRefreshAll: () => symbols?.forEach(symbol => fetchStockData(symbol, true, true)),
+    forceRefreshAll: () => fetchAll(symbols, true, true),
     // Cache statistics for debugging
     getCacheStats
   };
@@ -6,15 +6,61 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import syncManager from '../services/syncManager';
+import syncChannel from '../services/syncChannel';
+import syncQueue from '../services/syncQueue';
+import alertRuleManager from '../services/alertRuleManager';
+import opLog from '../services/opLog';
 import { useWatchlistStore } from '../store/useWatchlistStore';
+import { usePreferencesStore } from '../store/usePreferencesStore';
+
+// Wait for a burst of change notifications to settle before pulling
+const REMOTE_PULL_DELAY = 1000;
+
+let remotePullTimer = null;
+const remotePullTypes = new Set();
+
+/**
+ * Pull whatever another device just changed
+ * Module-level so several mounted useSync hooks share one debounced pull.
+ * Watchlist and preference writes always go through the op log too,
+ * so an op sync picks up both without re-pushing full documents.
+ */
+const scheduleRemotePull = (dataType) => {
+  remotePullTypes.add(dataType);
+  clearTimeout(remotePullTimer);
+
+  remotePullTimer = setTimeout(async () => {
+    const types = new Set(remotePullTypes);
+    remotePullTypes.clear();
+
+    try {
+      if (types.has('ops') || types.has('watchlist') || types.has('preferences')) {
+        await syncManager.syncOps();
+      }
+      if (types.has('alerts')) {
+        const result = await syncManager.syncAlerts('pull');
+        if (result.exists) {
+          await alertRuleManager.applyCloudRules(result.data);
+        }
+        // The server's alert cron reports what fired (and the one-shot rules it disabled)
+        await alertRuleManager.fetchMissedAlerts();
+      }
+    } catch (error) {
+      console.error('Live sync pull failed:', error);
+    }
+  }, REMOTE_PULL_DELAY);
+};
 
 export const useSync = () => {
   const [isSyncing, setIsSyncing] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(syncManager.lastSyncTime);
   const [pendingChanges, setPendingChanges] = useState(syncManager.pendingChanges);
   const [syncError, setSyncError] = useState(null);
+  const [isLive, setIsLive] = useState(syncChannel.isConnected);
+  const [queueLength, setQueueLength] = useState(syncQueue.length);
+  const [lastReplayError, setLastReplayError] = useState(syncQueue.lastReplayError);
 
-  const { symbols, peersBySymbol, peersInfo } = useWatchlistStore();
+  const { symbols, peersBySymbol, peersInfo, setWatchlist } = useWatchlistStore();
 
   useEffect(() => {
     // Subscribe to sync manager events
@@ -38,6 +84,46 @@ export const useSync = () => {
         setLastSyncTime(event.data);
       } else if (event.type === 'pendingChangesUpdated') {
         setPendingChanges(event.data);
+      } else if (event.type === 'queuedPushReplayed') {
+        // A watchlist push queued while offline was merged with another device's edits
+        if (event.data.result?.merged) {
+          setWatchlist(event.data.result.symbols);
+        }
+      }
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [setWatchlist]);
+
+  useEffect(() => {
+    // Offline write queue
+    const unsubscribe = syncQueue.subscribe((event) => {
+      if (event.type === 'queueUpdated') {
+        setQueueLength(event.data.length);
+        setLastReplayError(event.data.lastReplayError);
+      }
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  useEffect(() => {
+    // Live notifications from the user's other sessions
+    const unsubscribe = syncChannel.subscribe((event) => {
+      if (event.type === 'change') {
+        scheduleRemotePull(event.dataType);
+      } else if (event.type === 'connected') {
+        setIsLive(true);
+        // Changes may have landed while we were disconnected
+        if (event.reconnected) {
+          scheduleRemotePull('ops');
+        }
+      } else if (event.type === 'disconnected') {
+        setIsLive(false);
       }
     });
 
@@ -60,6 +146,11 @@ export const useSync = () => {
         peersInfo
       });
 
+      // Edits from another device were merged in - adopt the merged list
+      if (result.merged) {
+        setWatchlist(result.symbols);
+      }
+
       setIsSyncing(false);
       console.log('✅ Watchlist synced successfully');
       return result;
@@ -68,7 +159,7 @@ export const useSync = () => {
       setSyncError(error.message);
       throw error;
     }
-  }, [symbols, peersBySymbol, peersInfo]);
+  }, [symbols, peersBySymbol, peersInfo, setWatchlist]);
 
   /**
    * Pull watchlist from cloud
@@ -84,6 +175,8 @@ export const useSync = () => {
 
       if (result.exists && result.data) {
         console.log('📥 Watchlist downloaded from cloud:', result.data.symbols);
+        // The snapshot can be a day old - its differences aren't new local edits
+        opLog.applyRemote(() => setWatchlist(result.data.symbols || []));
         return result.data;
       } else {
         console.log('📭 No watchlist found in cloud');
@@ -94,7 +187,7 @@ export const useSync = () => {
       setSyncError(error.message);
       throw error;
     }
-  }, []);
+  }, [setWatchlist]);
 
   /**
    * Sync everything (watchlist + preferences + alerts)
@@ -104,14 +197,29 @@ export const useSync = () => {
       setSyncError(null);
       setIsSyncing(true);
 
+      // A device without rules (or that hasn't changed them) doesn't overwrite the cloud copy
+      const alertRules = direction === 'push' ? await alertRuleManager.load() : [];
       const localData = direction === 'push' ? {
         watchlist: { symbols, peersBySymbol, peersInfo },
-        preferences: {}, // Will be populated when preferences store is implemented
-        alerts: [] // Will be populated when alert management is implemented
+        preferences: usePreferencesStore.getState().getAllPreferences(),
+        alerts: alertRules.length > 0 || syncManager.pendingChanges.alerts ? alertRules : undefined
       } : {};
 
       const result = await syncManager.syncAll(direction, localData);
 
+      if (result.alerts?.direction === 'pull' && result.alerts.exists) {
+        await alertRuleManager.applyCloudRules(result.alerts.data);
+      }
+
+      // Apply the cloud watchlist (pull) or the merged one (push after a conflict)
+      const watchlistResult = result.watchlist;
+      if (watchlistResult?.merged) {
+        setWatchlist(watchlistResult.symbols);
+      } else if (watchlistResult?.direction === 'pull' && watchlistResult.exists) {
+        // Not recorded as ops, or a stale snapshot would revert newer op-synced edits everywhere
+        opLog.applyRemote(() => setWatchlist(watchlistResult.data.symbols || []));
+      }
+
       setIsSyncing(false);
 
       if (result.errors.length > 0) {
@@ -124,7 +232,7 @@ export const useSync = () => {
       setSyncError(error.message);
       throw error;
     }
-  }, [symbols, peersBySymbol, peersInfo]);
+  }, [symbols, peersBySymbol, peersInfo, setWatchlist]);
 
   /**
    * Get sync status from server
@@ -178,6 +286,9 @@ export const useSync = () => {
     lastSyncTime,
     pendingChanges,
     syncError,
+    isLive,
+    queueLength,
+    lastReplayError,
 
     // Actions
     syncWatchlistToCloud,
@@ -0,0 +1,231 @@
+/**
+ * Tests for the worker's scheduled alert evaluation
+ * Runs the cron against an in-memory KV, a fake clock and a fake quote provider
+ *
+ * Run with: npm test alertEvaluation.test.js
+ */
+
+import {
+  runAlertEvaluation,
+  evaluateUserAlerts,
+  getFiredAlerts,
+  isAnyMarketOpen,
+  toAlertQuote,
+  MAX_FIRED_ALERTS
+} from '../../workers/alerts';
+import { createAlertRule } from '../utils/alertRules';
+
+// Tuesday 2026-03-10, 10:00 AM ET (US open, London open)
+const MARKET_OPEN = new Date('2026-03-10T14:00:00Z');
+// Saturday - every exchange is closed
+const WEEKEND = new Date('2026-03-14T15:00:00Z');
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+/**
+ * KV namespace backed by a Map (get with { type: "json" }, put, paginated list)
+ */
+const createFakeKV = (entries = {}, { pageSize = 2 } = {}) => {
+  const store = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    store,
+    writes: [],
+    async get(key, options) {
+      const value = store.get(key);
+      if (value === undefined) return null;
+      return options?.type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      this.writes.push(key);
+      store.set(key, value);
+    },
+    async list({ prefix, cursor }) {
+      const names = [...store.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names.slice(start, start + pageSize).map(name => ({ name }));
+      const complete = start + pageSize >= names.length;
+      return { keys, list_complete: complete, cursor: complete ? undefined : String(start + pageSize) };
+    },
+    json(key) {
+      return JSON.parse(store.get(key));
+    }
+  };
+};
+
+/**
+ * Quote provider returning Twelve Data-format quotes, as the edge cache stores them
+ */
+const createFakeQuotes = (prices) => {
+  const getQuotes = jest.fn(async (symbols) => Object.fromEntries(symbols
+    .filter(symbol => prices[symbol] !== undefined)
+    .map(symbol => [symbol, { symbol, close: String(prices[symbol]), percent_change: '1.50', volume: '1000' }])));
+  return { getQuotes, prices };
+};
+
+const rule = (fields) => createAlertRule({ ...fields, id: `rule_${fields.symbol}_${fields.conditions[0].operator}` }, 0);
+
+const userData = (rules) => ({ alerts: rules, timestamp: 0 });
+
+describe('Scheduled alert evaluation', () => {
+  let kv;
+  let env;
+  let notify;
+
+  beforeEach(() => {
+    kv = createFakeKV({
+      'account:alice': { username: 'alice' },
+      'account:bob': { username: 'bob' },
+      'account:carol': { username: 'carol' },
+      'user:alice:alerts': userData([
+        rule({ symbol: 'AAPL', conditions: [{ metric: 'price', operator: '>', value: 200 }] })
+      ]),
+      'user:bob:alerts': userData([
+        rule({ symbol: 'AAPL', conditions: [{ metric: 'price', operator: '<', value: 100 }] }),
+        rule({ symbol: 'MSFT', mode: 'recurring', cooldownMinutes: 30, conditions: [{ metric: 'price', operator: 'crosses_above', value: 400 }] })
+      ]),
+      // End-to-end encrypted - unreadable by the worker
+      'user:carol:alerts': { encrypted: { iv: 'x', ciphertext: 'y' }, timestamp: 0 }
+    });
+    env = { MARKET_TERMINAL_SYNC: kv };
+    notify = jest.fn(async () => {});
+  });
+
+  test('only runs while an exchange is in its regular session', async () => {
+    const quotes = createFakeQuotes({ AAPL: 210 });
+
+    expect(isAnyMarketOpen(MARKET_OPEN)).toBe(true);
+    expect(isAnyMarketOpen(WEEKEND)).toBe(false);
+
+    const summary = await runAlertEvaluation(env, { now: WEEKEND, getQuotes: quotes.getQuotes, notify });
+    expect(summary).toEqual({ users: 0, symbols: 0, fired: 0 });
+    expect(quotes.getQuotes).not.toHaveBeenCalled();
+    expect(kv.writes).toEqual([]);
+  });
+
+  test('fires a rule, records it and disables one-shot rules', async () => {
+    const quotes = createFakeQuotes({ AAPL: 210.5, MSFT: 390 });
+
+    const summary = await runAlertEvaluation(env, { now: MARKET_OPEN, getQuotes: quotes.getQuotes, notify });
+
+    expect(summary).toEqual({ users: 2, symbols: 2, fired: 1 });
+    // One quote fetch for every user's symbols
+    expect(quotes.getQuotes).toHaveBeenCalledTimes(1);
+    expect(quotes.getQuotes.mock.calls[0][0].sort()).toEqual(['AAPL', 'MSFT']);
+
+    const fired = await getFiredAlerts(kv, 'alice');
+    expect(fired).toHaveLength(1);
+    expect(fired[0]).toMatchObject({
+      ruleId: 'rule_AAPL_>',
+      symbol: 'AAPL',
+      price: 210.5,
+      firedAt: MARKET_OPEN.getTime(),
+      message: '🔔 AAPL: Price > 200 (now 210.50)'
+    });
+
+    // The firing is kept apart from the synced rule list, which devices own
+    expect(kv.writes).not.toContain('user:alice:alerts');
+    expect(kv.json('user:alice:alertState').triggers['rule_AAPL_>'])
+      .toEqual({ enabled: false, triggerCount: 1, lastTriggeredAt: MARKET_OPEN.getTime() });
+    expect(notify).toHaveBeenCalledWith('alice');
+    expect(notify).not.toHaveBeenCalledWith('bob');
+
+    // A disabled rule doesn't fire again
+    await runAlertEvaluation(env, { now: new Date(MARKET_OPEN.getTime() + FIVE_MINUTES), getQuotes: quotes.getQuotes, notify });
+    expect(await getFiredAlerts(kv, 'alice')).toHaveLength(1);
+  });
+
+  test('crossings compare with the previous run and respect cooldowns', async () => {
+    const quotes = createFakeQuotes({ AAPL: 150, MSFT: 390 });
+    let now = MARKET_OPEN.getTime();
+    const tick = async (price) => {
+      quotes.prices.MSFT = price;
+      now += FIVE_MINUTES;
+      return runAlertEvaluation(env, { now: new Date(now), getQuotes: quotes.getQuotes, notify });
+    };
+
+    // First run only records where MSFT was
+    await runAlertEvaluation(env, { now: new Date(now), getQuotes: quotes.getQuotes, notify });
+    expect(kv.json('user:bob:alertState').snapshots.MSFT.price).toBe(390);
+
+    expect((await tick(405)).fired).toBe(1);
+    // Back below and above again inside the 30 minute cooldown - quiet
+    await tick(395);
+    expect((await tick(410)).fired).toBe(0);
+
+    // After the cooldown the next crossing fires (the recurring rule stays enabled)
+    now += 30 * 60 * 1000;
+    await tick(398);
+    expect((await tick(402)).fired).toBe(1);
+
+    const fired = await getFiredAlerts(kv, 'bob');
+    expect(fired.map(alert => alert.ruleId)).toEqual(['rule_MSFT_crosses_above', 'rule_MSFT_crosses_above']);
+    expect(kv.json('user:bob:alertState').triggers.rule_MSFT_crosses_above).toMatchObject({ enabled: true, triggerCount: 2 });
+
+    // Clients catch up from their last seen alert
+    expect(await getFiredAlerts(kv, 'bob', fired[0].firedAt)).toEqual([fired[1]]);
+  });
+
+  test('a device editing its rules while the cron fires keeps its edit', async () => {
+    const quotes = createFakeQuotes({ AAPL: 210.5 });
+    await runAlertEvaluation(env, { now: MARKET_OPEN, getQuotes: quotes.getQuotes, notify });
+
+    // Alice adds a rule from a device that hasn't seen the firing yet
+    const added = rule({ symbol: 'AAPL', conditions: [{ metric: 'price', operator: '<', value: 150 }] });
+    const [fired] = kv.json('user:alice:alerts').alerts;
+    await kv.put('user:alice:alerts', JSON.stringify(userData([fired, added])));
+
+    const later = new Date(MARKET_OPEN.getTime() + FIVE_MINUTES);
+    await runAlertEvaluation(env, { now: later, getQuotes: quotes.getQuotes, notify });
+    expect(await getFiredAlerts(kv, 'alice')).toHaveLength(1);
+    expect(kv.json('user:alice:alerts').alerts).toHaveLength(2);
+
+    // Re-arming the one-shot rule after it fired is respected (once its cooldown has passed)
+    const rearmed = { ...fired, enabled: true, updatedAt: later.getTime() };
+    await kv.put('user:alice:alerts', JSON.stringify(userData([rearmed, added])));
+    await runAlertEvaluation(env, { now: new Date(later.getTime() + 60 * 60 * 1000), getQuotes: quotes.getQuotes, notify });
+    expect(await getFiredAlerts(kv, 'alice')).toHaveLength(2);
+  });
+
+  test('skips indicator rules, closed exchanges and missing quotes', () => {
+    const rules = [
+      rule({ symbol: 'AAPL', conditions: [{ metric: 'rsi14', operator: '<', value: 30 }] }),
+      rule({ symbol: 'AAPL', conditions: [{ metric: 'price', operator: 'crosses', target: 'sma50' }] }),
+      // Tel Aviv closes at 1:50 PM local time on Fridays
+      rule({ symbol: 'TEVA:TASE', conditions: [{ metric: 'price', operator: '>', value: 1 }] }),
+      rule({ symbol: 'MSFT', conditions: [{ metric: 'price', operator: '>=', value: 1 }] })
+    ];
+
+    const result = evaluateUserAlerts({
+      rules,
+      quotes: { AAPL: { price: 10 }, 'TEVA:TASE': { price: 50 } },
+      now: new Date('2026-03-13T14:00:00Z') // Friday, 10:00 AM ET
+    });
+
+    expect(result.fired).toEqual([]);
+    expect(result.rules).toEqual(rules);
+  });
+
+  test('fired alerts are capped per user', async () => {
+    const old = Array.from({ length: MAX_FIRED_ALERTS }, (_, i) => ({
+      id: `fired_${i}`,
+      ruleId: 'old',
+      symbol: 'AAPL',
+      message: 'old',
+      firedAt: MARKET_OPEN.getTime() - (MAX_FIRED_ALERTS - i) * 1000
+    }));
+    kv.store.set('user:alice:firedAlerts', JSON.stringify({ alerts: old }));
+
+    await runAlertEvaluation(env, { now: MARKET_OPEN, getQuotes: createFakeQuotes({ AAPL: 250 }).getQuotes, notify });
+
+    const fired = await getFiredAlerts(kv, 'alice');
+    expect(fired).toHaveLength(MAX_FIRED_ALERTS);
+    expect(fired[0].id).toBe('fired_1');
+    expect(fired[fired.length - 1].ruleId).toBe('rule_AAPL_>');
+  });
+
+  test('cached quotes are read in the Twelve Data format', () => {
+    expect(toAlertQuote({ close: '201.25', percent_change: '-1.2', volume: '5000' }))
+      .toEqual({ price: 201.25, changePercent: -1.2, volume: 5000 });
+    expect(toAlertQuote({ status: 'error', code: 404 })).toBeNull();
+    expect(toAlertQuote(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the worker's batch quote endpoint (/api/quotes)
+ * Cached symbols are served from the edge cache, the rest in one upstream call
+ *
+ * Run with: npm test batchQuotes.test.js
+ */
+
+import worker from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createExecutionContext,
+  jsonUpstream,
+  FakeRequest,
+} from './workerRuntime';
+
+// Wednesday 2026-03-11, 10:00 AM ET - US market open
+const MARKET_OPEN = new Date('2026-03-11T14:00:00Z');
+
+const quote = (symbol, close) => ({ symbol, close: String(close), is_market_open: true });
+
+/**
+ * Twelve Data /quote: a flat quote for one symbol, a symbol-keyed map for several
+ */
+const createTwelveData = (quotes) =>
+  jest.fn(async (url) => {
+    const symbols = new URL(String(url)).searchParams.get('symbol').split(',');
+    const answer = (symbol) =>
+      quotes[symbol] || { status: 'error', code: 404, message: `**symbol** ${symbol} not found` };
+
+    if (symbols.length === 1) return jsonUpstream(answer(symbols[0]));
+    return jsonUpstream(Object.fromEntries(symbols.map((symbol) => [symbol, answer(symbol)])));
+  });
+
+const requestedSymbols = (fetch) =>
+  fetch.mock.calls.map(([url]) => new URL(String(url)).searchParams.get('symbol'));
+
+describe('Batch quotes', () => {
+  let runtime;
+  let env;
+  let ctx;
+
+  const getQuotes = async (symbols) => {
+    const response = await worker.fetch(
+      new FakeRequest(`https://worker/api/quotes?symbols=${symbols}`),
+      env,
+      ctx
+    );
+    await ctx.settle();
+    return { response, body: await response.json() };
+  };
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(MARKET_OPEN);
+    env = { TWELVEDATA_KEY: 'test', PROVIDER_PRIORITY: JSON.stringify({ quotes: ['twelvedata'] }) };
+    ctx = createExecutionContext();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+    runtime.restore();
+  });
+
+  test('only uncached symbols go upstream', async () => {
+    global.fetch = createTwelveData({
+      AAPL: quote('AAPL', 201.5),
+      MSFT: quote('MSFT', 410),
+      NVDA: quote('NVDA', 880),
+    });
+
+    const first = await getQuotes('aapl');
+    expect(first.response.headers.get('x-cache')).toBe('MISS');
+    expect(first.body.AAPL.close).toBe('201.5');
+
+    const mixed = await getQuotes('AAPL,MSFT,NVDA');
+    expect(mixed.response.status).toBe(200);
+    expect(mixed.response.headers.get('x-cache')).toBe('PARTIAL');
+    expect(requestedSymbols(global.fetch)).toEqual(['AAPL', 'MSFT,NVDA']);
+    expect(Object.keys(mixed.body).sort()).toEqual(['AAPL', 'MSFT', 'NVDA']);
+    expect(mixed.body.MSFT.close).toBe('410');
+
+    const cached = await getQuotes('NVDA,AAPL,MSFT');
+    expect(cached.response.headers.get('x-cache')).toBe('HIT');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('unknown symbols get their own error without failing the batch', async () => {
+    global.fetch = createTwelveData({ AAPL: quote('AAPL', 201.5) });
+
+    const { response, body } = await getQuotes('AAPL,NOPE');
+
+    expect(response.status).toBe(200);
+    expect(body.AAPL.close).toBe('201.5');
+    expect(body.NOPE).toMatchObject({ status: 'error', code: 404 });
+
+    // Errors aren't cached - the next request asks again for that symbol only
+    await getQuotes('AAPL,NOPE');
+    expect(requestedSymbols(global.fetch)).toEqual(['AAPL,NOPE', 'NOPE']);
+  });
+
+  test('a symbol missing from the upstream answer is reported as not returned', async () => {
+    global.fetch = jest.fn(async () =>
+      jsonUpstream({ AAPL: quote('AAPL', 201.5), MSFT: quote('MSFT', 410) })
+    );
+
+    const { body } = await getQuotes('AAPL,MSFT,TSLA');
+
+    expect(body.TSLA).toEqual({
+      status: 'error',
+      code: 404,
+      message: 'No quote returned for TSLA',
+    });
+  });
+
+  test('symbols the provider failed for are retried on the next one', async () => {
+    env.PROVIDER_PRIORITY = JSON.stringify({ quotes: ['twelvedata', 'yahoo'] });
+    const twelveData = createTwelveData({ AAPL: quote('AAPL', 201.5) });
+    global.fetch = twelveData;
+    await getQuotes('AAPL');
+
+    // Twelve Data is rate limited now - AAPL is still cached, MSFT and NVDA go to Yahoo
+    const yahooSymbols = [];
+    global.fetch = jest.fn(async (url) => {
+      const target = new URL(String(url));
+      if (target.hostname === 'api.twelvedata.com') {
+        return jsonUpstream({ code: 429, message: 'Too many requests' }, 429);
+      }
+      yahooSymbols.push(target.searchParams.get('symbols'));
+      return jsonUpstream({
+        quoteResponse: {
+          result: [
+            { symbol: 'MSFT', regularMarketPrice: 410 },
+            { symbol: 'NVDA', regularMarketPrice: 880 },
+          ],
+        },
+      });
+    });
+
+    const { response, body } = await getQuotes('AAPL,MSFT,NVDA');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-cache')).toBe('PARTIAL');
+    expect(response.headers.get('x-fallback-reason')).toBe('twelvedata=rate_limited');
+    expect(yahooSymbols).toEqual(['MSFT,NVDA']);
+    expect(body.AAPL.close).toBe('201.5');
+    expect(body.MSFT).toMatchObject({ symbol: 'MSFT', close: '410' });
+    expect(body.NVDA).toMatchObject({ symbol: 'NVDA', close: '880' });
+  });
+
+  test('symbols no provider could fetch keep their error next to the cached ones', async () => {
+    env.PROVIDER_PRIORITY = JSON.stringify({ quotes: ['twelvedata', 'yahoo'] });
+    global.fetch = createTwelveData({ AAPL: quote('AAPL', 201.5) });
+    await getQuotes('AAPL');
+
+    global.fetch = jest.fn(async () => jsonUpstream({ message: 'unavailable' }, 503));
+
+    const { response, body } = await getQuotes('AAPL,MSFT');
+
+    expect(response.status).toBe(200);
+    expect(body.AAPL.close).toBe('201.5');
+    expect(body.MSFT).toMatchObject({ status: 'error', code: 503 });
+  });
+
+  test('rejects empty and oversized batches', async () => {
+    global.fetch = jest.fn();
+
+    expect((await getQuotes('')).response.status).toBe(400);
+    const tooMany = Array.from({ length: 121 }, (_, i) => `S${i}`).join(',');
+    expect((await getQuotes(tooMany)).response.status).toBe(400);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
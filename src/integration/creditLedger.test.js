@@ -0,0 +1,210 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the worker's shared Twelve Data credit ledger
+ * Drives the CreditLedger Durable Object directly and through /api/* requests
+ *
+ * Run with: npm test creditLedger.test.js
+ */
+
+import worker, { CreditLedger } from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createDurableObjectNamespace,
+  createExecutionContext,
+  jsonUpstream,
+  FakeRequest,
+} from './workerRuntime';
+
+// Tuesday 2026-03-10, 11:59 PM ET (EDT, UTC-4)
+const BEFORE_MIDNIGHT_ET = new Date('2026-03-11T03:59:00Z');
+const AFTER_MIDNIGHT_ET = new Date('2026-03-11T04:01:00Z');
+// Wednesday 2026-03-11, 10:00 AM ET - US market open
+const MARKET_OPEN = new Date('2026-03-11T14:00:00Z');
+
+describe('CreditLedger', () => {
+  let runtime;
+  let ledger;
+
+  const call = async (action, credits) => {
+    const init =
+      action === 'state'
+        ? { method: 'GET' }
+        : { method: 'POST', body: JSON.stringify({ credits }) };
+    const response = await ledger.fetch(new FakeRequest(`https://credit-ledger/${action}`, init));
+    return response.json();
+  };
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(BEFORE_MIDNIGHT_ET);
+    ledger = createDurableObjectNamespace(CreditLedger, { TD_DAILY_CREDITS: '10' }).get(
+      'twelvedata'
+    );
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    runtime.restore();
+  });
+
+  test('reserves credits until the daily limit', async () => {
+    expect(await call('reserve', 4)).toMatchObject({
+      allowed: true,
+      used: 4,
+      limit: 10,
+      remaining: 6,
+    });
+    expect(await call('reserve', 6)).toMatchObject({ allowed: true, used: 10, remaining: 0 });
+    expect(await call('state')).toMatchObject({ used: 10, remaining: 0 });
+  });
+
+  test('refuses a reservation that would go over the limit without spending it', async () => {
+    await call('reserve', 8);
+
+    expect(await call('reserve', 3)).toMatchObject({ allowed: false, used: 8, remaining: 2 });
+    // Smaller requests still fit
+    expect(await call('reserve', 2)).toMatchObject({ allowed: true, used: 10 });
+    expect(await call('reserve', 1)).toMatchObject({ allowed: false, used: 10 });
+  });
+
+  test('refunds credits an upstream call did not spend', async () => {
+    await call('reserve', 6);
+
+    expect(await call('refund', 4)).toMatchObject({ used: 2, remaining: 8 });
+    expect(await call('refund', 5)).toMatchObject({ used: 0, remaining: 10 });
+  });
+
+  test('an upstream "out of credits" exhausts the ledger', async () => {
+    await call('reserve', 2);
+
+    expect(await call('exhaust')).toMatchObject({ used: 10, remaining: 0 });
+    expect(await call('reserve', 1)).toMatchObject({ allowed: false });
+  });
+
+  test('resets at midnight ET', async () => {
+    await call('reserve', 10);
+    expect(await call('state')).toMatchObject({
+      date: '2026-03-10',
+      remaining: 0,
+      resetAt: '2026-03-11T04:00:00.000Z',
+    });
+
+    jest.setSystemTime(AFTER_MIDNIGHT_ET);
+
+    expect(await call('state')).toMatchObject({ date: '2026-03-11', used: 0, remaining: 10 });
+    expect(await call('reserve', 1)).toMatchObject({ allowed: true, used: 1 });
+    expect((await call('state')).resetAt).toBe('2026-03-12T04:00:00.000Z');
+  });
+});
+
+describe('Credit headers on API responses', () => {
+  let runtime;
+  let env;
+  let ctx;
+
+  const get = async (path) => {
+    const response = await worker.fetch(new FakeRequest(`https://worker${path}`), env, ctx);
+    await ctx.settle();
+    return response;
+  };
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(MARKET_OPEN);
+    env = {
+      TWELVEDATA_KEY: 'test',
+      TD_DAILY_CREDITS: '10',
+      PROVIDER_PRIORITY: JSON.stringify({ quote: ['twelvedata'] }),
+    };
+    env.CREDIT_LEDGER = createDurableObjectNamespace(CreditLedger, env);
+    ctx = createExecutionContext();
+    global.fetch = jest.fn(async () => jsonUpstream({ symbol: 'AAPL', close: '201.50' }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+    runtime.restore();
+  });
+
+  test('market data responses report the ledger from their own reservation', async () => {
+    const ledgerFetch = jest.spyOn(CreditLedger.prototype, 'fetch');
+
+    const miss = await get('/api/quote?symbol=AAPL');
+    expect(miss.headers.get('x-cache')).toBe('MISS');
+    expect(miss.headers.get('x-credits-used')).toBe('1');
+    expect(miss.headers.get('x-credits-remaining')).toBe('9');
+    expect(miss.headers.get('x-credits-reset')).toBe('2026-03-12T04:00:00.000Z');
+    // Only the reservation - no extra ledger read for the headers
+    expect(ledgerFetch).toHaveBeenCalledTimes(1);
+
+    // A cache hit spends nothing - one state read reports the ledger unchanged
+    const hit = await get('/api/quote?symbol=AAPL');
+    expect(hit.headers.get('x-cache')).toBe('HIT');
+    expect(hit.headers.get('x-credits-used')).toBe('1');
+    expect(hit.headers.get('x-credits-remaining')).toBe('9');
+    expect(ledgerFetch).toHaveBeenCalledTimes(2);
+    expect(ledgerFetch.mock.calls[1][0].method).toBe('GET');
+
+    ledgerFetch.mockRestore();
+  });
+
+  test('other routes report the ledger state too', async () => {
+    await get('/api/quote?symbol=AAPL');
+
+    const response = await get('/api/sync/settings');
+    expect(response.status).toBe(401);
+    expect(response.headers.get('x-credits-used')).toBe('1');
+    expect(response.headers.get('x-credits-remaining')).toBe('9');
+    expect(response.headers.get('x-credits-reset')).toBe('2026-03-12T04:00:00.000Z');
+    expect(response.headers.get('access-control-expose-headers')).toContain('x-credits-used');
+  });
+
+  test('without a ledger bound responses carry no credit headers', async () => {
+    delete env.CREDIT_LEDGER;
+
+    const response = await get('/api/quote?symbol=AAPL');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-credits-used')).toBeNull();
+  });
+
+  test('a failed batch gives its reservation back', async () => {
+    env.PROVIDER_PRIORITY = JSON.stringify({ quotes: ['twelvedata'] });
+    global.fetch = jest.fn(async () => jsonUpstream({ message: 'unavailable' }, 503));
+
+    const failed = await get('/api/quotes?symbols=AAPL,MSFT');
+    expect(failed.status).toBe(503);
+    expect(failed.headers.get('x-credits-used')).toBe('0');
+
+    global.fetch = jest.fn(async () =>
+      jsonUpstream({
+        AAPL: { symbol: 'AAPL', close: '201.50' },
+        MSFT: { symbol: 'MSFT', close: '410.00' },
+      })
+    );
+
+    const served = await get('/api/quotes?symbols=AAPL,MSFT');
+    expect(served.status).toBe(200);
+    expect(served.headers.get('x-credits-used')).toBe('2');
+  });
+
+  test('a refused reservation answers 429 with the ledger headers', async () => {
+    await env.CREDIT_LEDGER.get('twelvedata').fetch('https://credit-ledger/exhaust', {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+
+    const response = await get('/api/quote?symbol=MSFT');
+    const body = await response.json();
+
+    expect(response.status).toBe(429);
+    expect(body.error).toBe('TD_CREDITS_EXHAUSTED');
+    expect(response.headers.get('x-credits-remaining')).toBe('0');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the worker's watchlist earnings endpoint (/api/earnings_calendar)
+ * One Finnhub calendar call covers every symbol, and the indexed calendar is edge cached
+ *
+ * Run with: npm test earningsCalendar.test.js
+ */
+
+import worker from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createExecutionContext,
+  jsonUpstream,
+  FakeRequest,
+} from './workerRuntime';
+
+// Wednesday 2026-03-11, 10:00 AM ET
+const NOW = new Date('2026-03-11T14:00:00Z');
+
+const earningsCalendar = [
+  { symbol: 'AAPL', date: '2026-03-19', hour: 'amc', quarter: 2, year: 2026, epsEstimate: 1.62 },
+  { symbol: 'MSFT', date: '2026-03-10', hour: 'amc', quarter: 3, year: 2026, epsActual: 3.4 },
+  { symbol: 'TEVA.TA', date: '2026-03-25', hour: 'bmo', quarter: 1, year: 2026 },
+];
+
+describe('Earnings calendar', () => {
+  let runtime;
+  let env;
+  let ctx;
+
+  const getCalendar = async (symbols) => {
+    const response = await worker.fetch(
+      new FakeRequest(`https://worker/api/earnings_calendar?symbols=${symbols}`),
+      env,
+      ctx
+    );
+    await ctx.settle();
+    return { response, body: await response.json() };
+  };
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+    env = { FINNHUB_TOKEN: 'test' };
+    ctx = createExecutionContext();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+    runtime.restore();
+  });
+
+  test('one calendar call answers every symbol of the watchlist', async () => {
+    global.fetch = jest.fn(async () => jsonUpstream({ earningsCalendar }));
+
+    const { response, body } = await getCalendar('aapl,MSFT,TEVA:TASE,NVDA');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-data-source')).toBe('Finnhub');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    const url = new URL(String(global.fetch.mock.calls[0][0]));
+    expect(url.pathname).toBe('/api/v1/calendar/earnings');
+    expect(url.searchParams.get('symbol')).toBeNull();
+    expect(url.searchParams.get('from')).toBe('2026-03-11');
+
+    expect(body.AAPL).toEqual({
+      symbol: 'AAPL',
+      upcoming: {
+        date: '2026-03-19',
+        hour: 'amc',
+        quarter: 2,
+        year: 2026,
+        eps_estimate: 1.62,
+        revenue_estimate: null,
+      },
+    });
+    expect(body['TEVA:TASE'].upcoming.date).toBe('2026-03-25');
+    // Already reported, or nothing due
+    expect(body.MSFT.upcoming).toBeNull();
+    expect(body.NVDA.upcoming).toBeNull();
+  });
+
+  test('the calendar is cached for every later symbol list', async () => {
+    global.fetch = jest.fn(async () => jsonUpstream({ earningsCalendar }));
+
+    expect((await getCalendar('AAPL')).response.headers.get('x-cache')).toBe('MISS');
+
+    const { response, body } = await getCalendar('TEVA:TASE,AAPL');
+    expect(response.headers.get('x-cache')).toBe('HIT');
+    expect(body.AAPL.upcoming.date).toBe('2026-03-19');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes upstream errors through and rejects empty lists', async () => {
+    global.fetch = jest.fn(async () => jsonUpstream({ error: 'limit' }, 429));
+
+    expect((await getCalendar('AAPL')).response.status).toBe(429);
+    expect((await getCalendar('')).response.status).toBe(400);
+  });
+});
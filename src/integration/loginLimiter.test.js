@@ -0,0 +1,161 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for login brute-force protection: the LoginLimiter Durable Object's
+ * exponential lockout and the 429 + Retry-After the login endpoint returns
+ *
+ * Run with: npm test loginLimiter.test.js
+ */
+
+import worker, { LoginLimiter } from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createDurableObjectNamespace,
+  createFakeKV,
+  createWorkerClient,
+  hashBootstrapPassword,
+} from './workerRuntime';
+
+const NOW = new Date('2026-03-11T14:00:00Z');
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+
+describe('LoginLimiter', () => {
+  let runtime;
+  let limiter;
+
+  const call = async (action) => {
+    const response = await limiter.fetch(`https://login-limiter/${action}`, {
+      method: action === 'status' ? 'GET' : 'POST',
+    });
+    return response.json();
+  };
+
+  const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+    limiter = createDurableObjectNamespace(LoginLimiter).get('user:alice');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    runtime.restore();
+  });
+
+  test('the first four failures only count down', async () => {
+    for (let remaining = 4; remaining >= 1; remaining--) {
+      expect(await call('failure')).toEqual({
+        locked: false,
+        retryAfter: 0,
+        failures: 5 - remaining,
+        attemptsRemaining: remaining,
+      });
+    }
+  });
+
+  test('the lockout doubles with every further failure', async () => {
+    for (let i = 0; i < 4; i++) await call('failure');
+
+    expect(await call('failure')).toMatchObject({ locked: true, retryAfter: 30, failures: 5 });
+    expect(await call('failure')).toMatchObject({ retryAfter: 60 });
+    expect(await call('failure')).toMatchObject({ retryAfter: 120 });
+    expect(await call('failure')).toMatchObject({ retryAfter: 240 });
+  });
+
+  test('retryAfter counts down and is capped at an hour', async () => {
+    for (let i = 0; i < 5; i++) await call('failure');
+
+    advance(12.5 * SECOND);
+    // Rounded up so the client never retries a moment too early
+    expect(await call('status')).toMatchObject({ locked: true, retryAfter: 18 });
+
+    advance(18 * SECOND);
+    expect(await call('status')).toMatchObject({ locked: false, retryAfter: 0, failures: 5 });
+
+    // 30s * 2^7 would be 64 minutes
+    for (let i = 0; i < 7; i++) await call('failure');
+    expect(await call('status')).toMatchObject({ locked: true, retryAfter: 3600, failures: 12 });
+  });
+
+  test('a successful login or a quiet day clears the failures', async () => {
+    for (let i = 0; i < 5; i++) await call('failure');
+    expect(await call('success')).toMatchObject({
+      locked: false,
+      failures: 0,
+      attemptsRemaining: 5,
+    });
+
+    for (let i = 0; i < 5; i++) await call('failure');
+    advance(24 * HOUR);
+    expect(await call('status')).toMatchObject({ locked: false, failures: 0 });
+    expect(await call('failure')).toMatchObject({ failures: 1, attemptsRemaining: 4 });
+  });
+});
+
+describe('Login lockout', () => {
+  let runtime;
+  let env;
+  let api;
+
+  const login = (password, ip = '203.0.113.7') =>
+    api('/api/auth/login', {
+      method: 'POST',
+      body: { username: 'root', password },
+      headers: { 'cf-connecting-ip': ip },
+    });
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+    env = {
+      JWT_SECRET: 'test-secret',
+      AUTH_USERNAME: 'root',
+      AUTH_PASSWORD_HASH: hashBootstrapPassword('root-password'),
+      MARKET_TERMINAL_SYNC: createFakeKV(),
+    };
+    env.LOGIN_LIMITER = createDurableObjectNamespace(LoginLimiter, env);
+    api = createWorkerClient(worker, env);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    runtime.restore();
+  });
+
+  test('locks the account out with a Retry-After header', async () => {
+    for (let remaining = 4; remaining >= 1; remaining--) {
+      const failed = await login('wrong');
+      expect(failed.status).toBe(401);
+      expect(failed.body.attemptsRemaining).toBe(remaining);
+    }
+
+    const locked = await login('wrong');
+    expect(locked.status).toBe(429);
+    expect(locked.headers.get('retry-after')).toBe('30');
+    expect(locked.body).toMatchObject({ error: 'Too many login attempts', retryAfter: 30 });
+
+    // The right password doesn't help while locked - not even from another IP
+    expect((await login('root-password', '198.51.100.1')).status).toBe(429);
+
+    jest.setSystemTime(NOW.getTime() + 31 * SECOND);
+    expect((await login('root-password', '198.51.100.1')).status).toBe(200);
+  });
+
+  test('non-string credentials are a 400 that still counts against the IP', async () => {
+    const send = (body) => api('/api/auth/login', { method: 'POST', body });
+
+    expect((await send({ username: 42, password: 'root-password' })).status).toBe(400);
+    expect((await send({ username: { $ne: '' }, password: 'x' })).status).toBe(400);
+    expect((await send({ username: 'root', password: ['root-password'] })).status).toBe(400);
+
+    const failed = await login('wrong', 'unknown');
+    expect(failed.status).toBe(401);
+    expect(failed.body.attemptsRemaining).toBe(1);
+  });
+});
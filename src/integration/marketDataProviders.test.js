@@ -0,0 +1,745 @@
+/**
+ * Tests for the worker's market data provider registry
+ * Plugs in local fake providers instead of calling real upstreams
+ *
+ * Run with: npm test marketDataProviders.test.js
+ */
+
+import { ProviderRegistry, CircuitBreaker, isProviderFailure } from '../../workers/providers/registry';
+import yahoo, {
+  transformYahooToQuote,
+  transformYahooToTimeSeries,
+  transformYahooToFundamentals,
+  transformYahooToCorporateActions
+} from '../../workers/providers/yahoo';
+import twelveData, { transformTwelveDataToFundamentals, transformTwelveDataToCorporateActions } from '../../workers/providers/twelvedata';
+import finnhub, { transformFinnhubToEarnings, indexEarningsCalendar, transformFinnhubToNews, parseNewsRange } from '../../workers/providers/finnhub';
+import { parsePeriod } from '../../workers/providers/fundamentals';
+import { parseAdjust } from '../../workers/providers/corporateActions';
+import { InFlightRequests } from '../../workers/providers/inflight';
+
+/**
+ * Fake adapter whose responses are scripted per call
+ */
+const createFakeProvider = (id, { endpoints = ['quote'], responses = [], configured = true } = {}) => {
+  const queue = [...responses];
+  return {
+    id,
+    label: `Fake ${id}`,
+    endpoints,
+    calls: [],
+    isConfigured: () => configured,
+    cacheKey: (endpoint, params) => `https://fake/${id}/${endpoint}/${params.symbol}`,
+    async fetch(endpoint, params) {
+      this.calls.push({ endpoint, params });
+      const next = queue.length > 1 ? queue.shift() : queue[0];
+      if (next instanceof Error) throw next;
+      return next || { ok: true, status: 200, body: JSON.stringify({ symbol: params.symbol, close: '100' }) };
+    }
+  };
+};
+
+const failure = { ok: false, status: 503, body: '{"error":"down"}' };
+
+describe('Market data provider registry', () => {
+  let clock;
+  let breaker;
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    breaker = new CircuitBreaker({ threshold: 3, cooldownMs: 60000, now: () => clock });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('orders providers by market state and skips unconfigured ones', () => {
+    const registry = new ProviderRegistry({
+      priority: { quote: { open: ['primary', 'backup', 'nokey'], closed: ['backup', 'primary'] } },
+      breaker
+    });
+    registry
+      .register(createFakeProvider('primary'))
+      .register(createFakeProvider('backup'))
+      .register(createFakeProvider('nokey', { configured: false }));
+
+    expect(registry.getOrder('quote', { marketOpen: true }).map(p => p.id)).toEqual(['primary', 'backup']);
+    expect(registry.getOrder('quote', { marketOpen: false }).map(p => p.id)).toEqual(['backup', 'primary']);
+  });
+
+  test('pre-market and after-hours use the extended order, falling back to closed', () => {
+    const registry = new ProviderRegistry({
+      priority: {
+        quote: { open: ['primary', 'backup'], extended: ['backup'], closed: ['primary'] },
+        statistics: { open: ['primary'], closed: ['backup'] }
+      },
+      breaker
+    });
+    registry
+      .register(createFakeProvider('primary', { endpoints: ['*'] }))
+      .register(createFakeProvider('backup', { endpoints: ['*'] }));
+
+    expect(registry.getOrder('quote', { marketOpen: false, extendedHours: true }).map(p => p.id)).toEqual(['backup']);
+    expect(registry.getOrder('quote', { marketOpen: false }).map(p => p.id)).toEqual(['primary']);
+    expect(registry.getOrder('statistics', { marketOpen: false, extendedHours: true }).map(p => p.id)).toEqual(['backup']);
+  });
+
+  test('PROVIDER_PRIORITY overrides the default order and falls back to default', () => {
+    const registry = new ProviderRegistry({ priority: { default: ['primary'] }, breaker });
+    registry
+      .register(createFakeProvider('primary', { endpoints: ['*'] }))
+      .register(createFakeProvider('backup', { endpoints: ['quote'] }));
+
+    const env = { PROVIDER_PRIORITY: JSON.stringify({ quote: ['backup', 'primary'] }) };
+
+    expect(registry.getOrder('quote', { env }).map(p => p.id)).toEqual(['backup', 'primary']);
+    expect(registry.getOrder('time_series', { env }).map(p => p.id)).toEqual(['primary']);
+    // A broken override is ignored rather than taking market data down
+    expect(registry.getOrder('quote', { env: { PROVIDER_PRIORITY: '{oops' } }).map(p => p.id)).toEqual(['primary']);
+  });
+
+  test('providers only serve endpoints they declare', () => {
+    const registry = new ProviderRegistry({ priority: { statistics: ['quoteOnly', 'full'] }, breaker });
+    registry
+      .register(createFakeProvider('quoteOnly', { endpoints: ['quote'] }))
+      .register(createFakeProvider('full', { endpoints: ['quote', 'statistics'] }));
+
+    expect(registry.getOrder('statistics').map(p => p.id)).toEqual(['full']);
+  });
+
+  test('serves from the first provider', async () => {
+    const primary = createFakeProvider('primary');
+    const registry = new ProviderRegistry({ priority: { quote: ['primary'] }, breaker }).register(primary);
+
+    const { provider, result, skipped } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+
+    expect(provider.id).toBe('primary');
+    expect(JSON.parse(result.body).symbol).toBe('AAPL');
+    expect(skipped).toEqual([]);
+  });
+
+  test('fails over to the next provider and reports why', async () => {
+    const primary = createFakeProvider('primary', { responses: [{ ok: false, status: 429, body: '{}' }] });
+    const backup = createFakeProvider('backup');
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(primary)
+      .register(backup);
+
+    const { provider, result, skipped } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+
+    expect(provider.id).toBe('backup');
+    expect(result.ok).toBe(true);
+    expect(skipped).toEqual([{ provider: 'primary', reason: 'rate_limited' }]);
+  });
+
+  test('an exhausted credit budget fails over without tripping the breaker', async () => {
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(createFakeProvider('primary'))
+      .register(createFakeProvider('backup'));
+
+    const attempt = async (adapter) => adapter.id === 'primary'
+      ? { ok: false, status: 429, upstream: false, exhausted: true }
+      : { ok: true, status: 200 };
+
+    const { provider, skipped } = await registry.execute('quote', { attempt });
+
+    expect(provider.id).toBe('backup');
+    expect(skipped).toEqual([{ provider: 'primary', reason: 'credits_exhausted' }]);
+    expect(breaker.getState('primary')).toBe('closed');
+  });
+
+  test('a partial batch is served instead of failing over', async () => {
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(createFakeProvider('primary'))
+      .register(createFakeProvider('backup'));
+
+    const { provider } = await registry.execute('quote', {
+      attempt: async () => ({ ok: false, status: 503, partial: true })
+    });
+
+    expect(provider.id).toBe('primary');
+  });
+
+  test('returns the last error when every provider fails', async () => {
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(createFakeProvider('primary', { responses: [failure] }))
+      .register(createFakeProvider('backup', { responses: [new TypeError('fetch failed')] }));
+
+    const { provider, result, skipped } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+
+    expect(provider.id).toBe('backup');
+    expect(result.ok).toBe(false);
+    expect(skipped.map(entry => entry.reason)).toEqual(['upstream_503', 'network_error']);
+  });
+
+  test('client errors are returned without failing over', async () => {
+    const primary = createFakeProvider('primary', { responses: [{ ok: false, status: 404, body: '{}' }] });
+    const backup = createFakeProvider('backup');
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(primary)
+      .register(backup);
+
+    const { provider } = await registry.execute('quote', { params: { symbol: 'NOPE' } });
+
+    expect(provider.id).toBe('primary');
+    expect(backup.calls).toHaveLength(0);
+  });
+
+  test('opens the circuit after repeated failures and skips the provider', async () => {
+    const primary = createFakeProvider('primary', { responses: [failure] });
+    const backup = createFakeProvider('backup');
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(primary)
+      .register(backup);
+
+    for (let i = 0; i < 3; i++) {
+      const { skipped } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+      expect(skipped).toEqual([{ provider: 'primary', reason: 'upstream_503' }]);
+    }
+
+    expect(breaker.getState('primary')).toBe('open');
+
+    const { provider, skipped } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    expect(provider.id).toBe('backup');
+    expect(skipped).toEqual([{ provider: 'primary', reason: 'circuit_open' }]);
+    expect(primary.calls).toHaveLength(3);
+  });
+
+  test('thrown errors count as failures', async () => {
+    const primary = createFakeProvider('primary', { responses: [new TypeError('fetch failed')] });
+    const registry = new ProviderRegistry({ priority: { quote: ['primary'] }, breaker }).register(primary);
+
+    const { result } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+
+    expect(result.ok).toBe(false);
+    expect(breaker.describe().primary.failures).toBe(1);
+  });
+
+  test('a half-open circuit closes again after one good response', async () => {
+    const primary = createFakeProvider('primary', {
+      responses: [failure, failure, failure, { ok: true, status: 200, body: '{}' }]
+    });
+    const registry = new ProviderRegistry({ priority: { quote: ['primary'] }, breaker }).register(primary);
+
+    for (let i = 0; i < 3; i++) {
+      await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    }
+
+    const blocked = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    expect(blocked.provider).toBeNull();
+
+    clock += 60000;
+    expect(breaker.getState('primary')).toBe('half-open');
+
+    const { provider } = await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    expect(provider.id).toBe('primary');
+    expect(breaker.getState('primary')).toBe('closed');
+  });
+
+  test('a half-open circuit lets a single probe through at a time', async () => {
+    let settleProbe;
+    const primary = createFakeProvider('primary', { responses: [failure] });
+    const backup = createFakeProvider('backup');
+    const registry = new ProviderRegistry({ priority: { quote: ['primary', 'backup'] }, breaker })
+      .register(primary)
+      .register(backup);
+
+    for (let i = 0; i < 3; i++) {
+      await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    }
+    clock += 60000;
+
+    // The probe is still waiting on primary - everyone else goes to the backup
+    primary.fetch = () => new Promise(resolve => { settleProbe = resolve; });
+    const probe = registry.execute('quote', { params: { symbol: 'AAPL' } });
+    const others = await Promise.all([1, 2].map(() => registry.execute('quote', { params: { symbol: 'AAPL' } })));
+
+    others.forEach(({ provider, skipped }) => {
+      expect(provider.id).toBe('backup');
+      expect(skipped).toEqual([{ provider: 'primary', reason: 'circuit_open' }]);
+    });
+    expect(breaker.describe().primary.probing).toBe(true);
+
+    settleProbe({ ok: true, status: 200, body: '{}' });
+    expect((await probe).provider.id).toBe('primary');
+    expect(breaker.getState('primary')).toBe('closed');
+  });
+
+  test('a failed probe re-opens the circuit for another cooldown', async () => {
+    const primary = createFakeProvider('primary', { responses: [failure] });
+    const registry = new ProviderRegistry({ priority: { quote: ['primary'] }, breaker }).register(primary);
+
+    for (let i = 0; i < 3; i++) {
+      await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    }
+    clock += 60000;
+
+    await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    expect(primary.calls).toHaveLength(4);
+    expect(breaker.getState('primary')).toBe('open');
+
+    clock += 59999;
+    expect((await registry.execute('quote', { params: { symbol: 'AAPL' } })).provider).toBeNull();
+    expect(primary.calls).toHaveLength(4);
+
+    clock += 1;
+    expect(breaker.allows('primary')).toBe(true);
+    expect(breaker.allows('primary')).toBe(false);
+  });
+
+  test('a probe answered without going upstream hands the probe back', async () => {
+    const registry = new ProviderRegistry({ priority: { quote: ['primary'] }, breaker })
+      .register(createFakeProvider('primary', { responses: [failure] }));
+
+    for (let i = 0; i < 3; i++) {
+      await registry.execute('quote', { params: { symbol: 'AAPL' } });
+    }
+    clock += 60000;
+
+    // Served from the edge cache - says nothing about the provider's health
+    await registry.execute('quote', { attempt: async () => ({ ok: true, status: 200, upstream: false }) });
+
+    expect(breaker.getState('primary')).toBe('half-open');
+    expect(breaker.allows('primary')).toBe(true);
+  });
+
+  test('a probe that never settles is given up on after another cooldown', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure('primary');
+    clock += 60000;
+
+    expect(breaker.allows('primary')).toBe(true);
+    clock += 30000;
+    expect(breaker.allows('primary')).toBe(false);
+    clock += 30000;
+    expect(breaker.allows('primary')).toBe(true);
+  });
+
+  test('cache hits and client errors do not trip the breaker', async () => {
+    const registry = new ProviderRegistry({ priority: { quote: ['primary'] }, breaker })
+      .register(createFakeProvider('primary'));
+
+    for (let i = 0; i < 5; i++) {
+      await registry.execute('quote', {
+        attempt: async () => ({ ok: false, status: 429, upstream: false })
+      });
+      await registry.execute('quote', {
+        attempt: async () => ({ ok: false, status: 404 })
+      });
+    }
+
+    expect(breaker.getState('primary')).toBe('closed');
+  });
+
+  test('Twelve Data error bodies count by their error code', () => {
+    expect(isProviderFailure({ ok: false, status: 200, code: 429 })).toBe(true);
+    expect(isProviderFailure({ ok: false, status: 200, code: 404 })).toBe(false);
+    expect(isProviderFailure({ ok: true, status: 200 })).toBe(false);
+  });
+
+  describe('adapters', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('Yahoo quotes are transformed to the Twelve Data format', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          quoteResponse: {
+            result: [{ symbol: 'AAPL', shortName: 'Apple Inc.', regularMarketPrice: 190.5, regularMarketPreviousClose: 188 }]
+          }
+        })
+      });
+
+      const result = await yahoo.fetch('quote', { symbol: 'AAPL' });
+      const quote = JSON.parse(result.body);
+
+      expect(result.ok).toBe(true);
+      expect(quote).toMatchObject({ symbol: 'AAPL', name: 'Apple Inc.', close: '190.5', previous_close: '188', _source: 'yahoo' });
+      expect(yahoo.cacheKey('quote', { symbol: 'AAPL' })).toBe('https://yahoo-cache/AAPL/api/quote');
+    });
+
+    test('Yahoo requests listings by suffix and answers under the symbol asked for', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          quoteResponse: { result: [{ symbol: 'TEVA.TA', regularMarketPrice: 6100 }, { symbol: 'AAPL', regularMarketPrice: 190.5 }] }
+        })
+      });
+
+      const batch = await yahoo.fetchBatch(['TEVA:TASE', 'AAPL']);
+
+      expect(global.fetch.mock.calls[0][0]).toContain(encodeURIComponent('TEVA.TA,AAPL'));
+      expect(Object.keys(batch.quotes)).toEqual(['TEVA:TASE', 'AAPL']);
+      expect(batch.quotes['TEVA:TASE']).toMatchObject({ symbol: 'TEVA:TASE', close: '6100' });
+    });
+
+    test('Yahoo reports unknown symbols as 404', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ quoteResponse: { result: [] } }) });
+
+      const result = await yahoo.fetch('quote', { symbol: 'NOPE' });
+
+      expect(result).toMatchObject({ ok: false, status: 404 });
+      expect(isProviderFailure(result)).toBe(false);
+    });
+
+    test('Finnhub quotes are transformed to the Twelve Data format', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ c: 190.5, d: 2.5, dp: 1.33, h: 191, l: 187, o: 188.2, pc: 188, t: 1700000000 })
+      });
+
+      const result = await finnhub.fetch('quote', { symbol: 'AAPL' }, { FINNHUB_TOKEN: 'token' });
+
+      expect(JSON.parse(result.body)).toMatchObject({
+        symbol: 'AAPL',
+        close: '190.5',
+        change: '2.5',
+        percent_change: '1.33',
+        previous_close: '188',
+        _source: 'finnhub'
+      });
+      expect(finnhub.isConfigured({})).toBe(false);
+    });
+
+    test('Yahoo chart bars become Twelve Data values, newest first', () => {
+      const result = {
+        meta: { symbol: 'AAPL', currency: 'USD', exchangeName: 'NMS', exchangeTimezoneName: 'America/New_York' },
+        // 2024-01-05 15:58 and 15:59 ET, plus an empty bar Yahoo sometimes leaves in
+        timestamp: [1704488280, 1704488340, 1704488400],
+        indicators: {
+          quote: [{
+            open: [181.1, 181.2, null],
+            high: [181.3, 181.4, null],
+            low: [181.0, 181.1, null],
+            close: [181.2, 181.18, null],
+            volume: [1000, 2500, null]
+          }]
+        }
+      };
+
+      const series = transformYahooToTimeSeries(result, '1min', 5);
+
+      expect(series.meta).toMatchObject({ symbol: 'AAPL', interval: '1min', exchange_timezone: 'America/New_York' });
+      expect(series.values).toEqual([
+        { datetime: '2024-01-05 15:59:00', open: '181.2', high: '181.4', low: '181.1', close: '181.18', volume: '2500' },
+        { datetime: '2024-01-05 15:58:00', open: '181.1', high: '181.3', low: '181', close: '181.2', volume: '1000' }
+      ]);
+      expect(transformYahooToTimeSeries(result, '1day', 1).values).toEqual([
+        expect.objectContaining({ datetime: '2024-01-05', close: '181.18' })
+      ]);
+    });
+
+    test('Yahoo time series is keyed by interval and skips intervals it lacks', () => {
+      expect(yahoo.cacheKey('time_series', { symbol: 'AAPL', interval: '5min', outputsize: '78' }))
+        .toBe('https://yahoo-cache/AAPL/api/time_series?interval=5min&outputsize=78&adjust=splits');
+      expect(yahoo.accepts('time_series', { interval: '1day' })).toBe(true);
+      expect(yahoo.accepts('time_series', { interval: '4h' })).toBe(false);
+    });
+
+    test('Yahoo reports the latest pre-market or after-hours trade', () => {
+      const quote = {
+        symbol: 'AAPL',
+        marketState: 'PRE',
+        regularMarketPrice: 190.5,
+        preMarketPrice: 192.1,
+        preMarketChange: 1.6,
+        preMarketChangePercent: 0.84,
+        preMarketTime: 1700040000,
+        // Last night's after-hours trade is still in the response
+        postMarketPrice: 190.9,
+        postMarketChange: 0.4,
+        postMarketChangePercent: 0.21,
+        postMarketTime: 1700000000
+      };
+
+      expect(transformYahooToQuote(quote)).toMatchObject({
+        close: '190.5',
+        extended_session: 'pre',
+        extended_price: '192.1',
+        extended_change: '1.6',
+        extended_percent_change: '0.84',
+        extended_timestamp: 1700040000
+      });
+      expect(transformYahooToQuote({ ...quote, preMarketPrice: undefined, marketState: 'POSTPOST' }))
+        .toMatchObject({ extended_session: 'post', extended_price: '190.9' });
+      expect(transformYahooToQuote({ ...quote, marketState: 'REGULAR' }).extended_session).toBeUndefined();
+    });
+
+    test('Yahoo quotes are open only during the regular session', () => {
+      expect(transformYahooToQuote({ symbol: 'AAPL', marketState: 'REGULAR' }).is_market_open).toBe(true);
+      expect(transformYahooToQuote({ symbol: 'AAPL', marketState: 'PRE' }).is_market_open).toBe(false);
+      expect(transformYahooToQuote({ symbol: 'AAPL', marketState: 'CLOSED' }).is_market_open).toBe(false);
+      expect(transformYahooToQuote({ symbol: 'AAPL' }).is_market_open).toBe(false);
+    });
+
+    test('Yahoo quotes keep the closed-market TTL only once after-hours trading ends', () => {
+      expect(yahoo.cacheTtl('quote', 'closed')).toEqual({ maxAge: 3600, swr: 7200 });
+      expect(yahoo.cacheTtl('quote', 'pre')).toBeNull();
+      expect(yahoo.cacheTtl('quote', 'post')).toBeNull();
+      expect(yahoo.cacheTtl('time_series', 'closed')).toBeNull();
+    });
+
+    test('transformYahooToQuote keeps missing fields undefined', () => {
+      expect(transformYahooToQuote({ symbol: 'X' }).close).toBeUndefined();
+    });
+  });
+
+  describe('request coalescing', () => {
+    test('concurrent requests for the same key share one fetch', async () => {
+      const inFlight = new InFlightRequests();
+      const provider = createFakeProvider('primary');
+      const fetchQuote = () => provider.fetch('quote', { symbol: 'AAPL' });
+
+      const results = await Promise.all([
+        inFlight.run('quote/AAPL', fetchQuote),
+        inFlight.run('quote/AAPL', fetchQuote),
+        inFlight.run('quote/MSFT', fetchQuote)
+      ]);
+
+      expect(provider.calls).toHaveLength(2);
+      expect(results.map(r => r.coalesced)).toEqual([false, true, false]);
+      expect(results[1].result).toBe(results[0].result);
+      expect(inFlight.size).toBe(0);
+    });
+
+    test('a settled fetch is not reused, and failures reach every waiting caller', async () => {
+      const inFlight = new InFlightRequests();
+      const provider = createFakeProvider('primary', { responses: [new Error('network down'), { ok: true, status: 200, body: '{}' }] });
+      const fetchQuote = () => provider.fetch('quote', { symbol: 'AAPL' });
+
+      const settled = await Promise.allSettled([inFlight.run('quote/AAPL', fetchQuote), inFlight.run('quote/AAPL', fetchQuote)]);
+      expect(settled.map(s => s.status)).toEqual(['rejected', 'rejected']);
+
+      const retry = await inFlight.run('quote/AAPL', fetchQuote);
+      expect(retry).toMatchObject({ coalesced: false, result: { ok: true } });
+      expect(provider.calls).toHaveLength(2);
+    });
+  });
+
+  describe('fundamentals', () => {
+    const yahooSeries = (type, entries) => ({
+      meta: { symbol: ['AAPL'], type: [type] },
+      [type]: entries.map(([asOfDate, raw]) => ({ asOfDate, currencyCode: 'USD', reportedValue: { raw } }))
+    });
+
+    test('Yahoo series are merged into one statement per fiscal period, newest first', () => {
+      const fundamentals = transformYahooToFundamentals('AAPL', 'annual', [
+        yahooSeries('annualTotalRevenue', [['2023-09-30', 383e9], ['2024-09-30', 391e9]]),
+        yahooSeries('annualNetIncome', [['2023-09-30', 97e9], ['2024-09-30', 93.7e9]]),
+        yahooSeries('annualOperatingCashFlow', [['2024-09-30', 118e9]]),
+        yahooSeries('annualCapitalExpenditure', [['2024-09-30', -9.4e9]]),
+        // Quarterly series in an annual response are ignored
+        yahooSeries('quarterlyTotalRevenue', [['2024-12-31', 124e9]])
+      ]);
+
+      expect(fundamentals).toMatchObject({ symbol: 'AAPL', period: 'annual', currency: 'USD', _source: 'yahoo' });
+      expect(fundamentals.statements.map(s => s.fiscal_date)).toEqual(['2024-09-30', '2023-09-30']);
+      expect(fundamentals.statements[0].income).toMatchObject({ revenue: 391e9, net_income: 93.7e9, ebitda: null });
+      // Free cash flow is derived when the provider doesn't report it
+      expect(fundamentals.statements[0].cash_flow.free_cash_flow).toBeCloseTo(108.6e9);
+      expect(fundamentals.statements[1].cash_flow.free_cash_flow).toBeNull();
+    });
+
+    test('Twelve Data statements map to the same shape', () => {
+      const fundamentals = transformTwelveDataToFundamentals('AAPL', 'quarterly', {
+        income_statement: {
+          meta: { currency: 'USD' },
+          income_statement: [{ fiscal_date: '2024-12-28', sales: 124300000000, net_income: 36330000000, eps_diluted: 2.4 }]
+        },
+        balance_sheet: {
+          balance_sheet: [{
+            fiscal_date: '2024-12-28',
+            assets: { total_assets: 344e9, current_assets: { cash_and_cash_equivalents: 30e9 } },
+            liabilities: { total_liabilities: 277e9, current_liabilities: { short_term_debt: 11e9 }, non_current_liabilities: { long_term_debt: 83e9 } },
+            shareholders_equity: { total_shareholders_equity: 67e9 }
+          }]
+        },
+        cash_flow: {
+          cash_flow: [{ fiscal_date: '2024-12-28', operating_activities: { operating_cash_flow: 29.9e9 }, free_cash_flow: 27e9 }]
+        }
+      });
+
+      expect(fundamentals.statements).toHaveLength(1);
+      expect(fundamentals.statements[0]).toMatchObject({
+        fiscal_date: '2024-12-28',
+        income: { revenue: 124.3e9, net_income: 36.33e9, eps_diluted: 2.4 },
+        balance: { total_assets: 344e9, cash: 30e9, total_debt: 94e9, total_equity: 67e9 },
+        cash_flow: { operating_cash_flow: 29.9e9, free_cash_flow: 27e9 }
+      });
+      expect(fundamentals._source).toBe('twelvedata');
+    });
+
+    test('Yahoo reports symbols without statements as 404', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ timeseries: { result: [] } }) });
+
+      const result = await yahoo.fetch('fundamentals', { symbol: 'SPY', period: 'annual' });
+
+      expect(result).toMatchObject({ ok: false, status: 404 });
+      expect(global.fetch.mock.calls[0][0].searchParams.get('type')).toContain('annualTotalRevenue');
+      delete global.fetch;
+    });
+
+    test('fundamentals are cached per period and Twelve Data charges for all three statements', () => {
+      expect(yahoo.cacheKey('fundamentals', { symbol: 'AAPL', period: 'quarterly' }))
+        .toBe('https://yahoo-cache/AAPL/api/fundamentals?period=quarterly');
+      expect(twelveData.creditCost('fundamentals')).toBe(300);
+      expect(twelveData.creditCost('quote')).toBe(1);
+      expect(parsePeriod(undefined)).toBe('annual');
+      expect(parsePeriod('monthly')).toBeNull();
+    });
+  });
+  describe('corporate actions', () => {
+    test('Yahoo chart events become dividends and splits, newest first', () => {
+      const actions = transformYahooToCorporateActions('AAPL', {
+        meta: { currency: 'USD', exchangeTimezoneName: 'America/New_York' },
+        events: {
+          dividends: {
+            1596808800: { amount: 0.205, date: 1596808800 },
+            1604673000: { amount: 0.205, date: 1604673000 }
+          },
+          splits: {
+            1598880600: { date: 1598880600, numerator: 4, denominator: 1, splitRatio: '4:1' }
+          }
+        }
+      });
+
+      expect(actions).toMatchObject({ symbol: 'AAPL', currency: 'USD', _source: 'yahoo' });
+      expect(actions.dividends).toEqual([
+        { ex_date: '2020-11-06', amount: 0.205 },
+        { ex_date: '2020-08-07', amount: 0.205 }
+      ]);
+      expect(actions.splits).toEqual([{ date: '2020-08-31', numerator: 4, denominator: 1, ratio: 4 }]);
+    });
+
+    test('Twelve Data dividends paid before a split are split-adjusted', () => {
+      const actions = transformTwelveDataToCorporateActions('AAPL', {
+        dividends: {
+          meta: { currency: 'USD' },
+          dividends: [{ ex_date: '2020-11-06', amount: 0.205 }, { ex_date: '2020-08-07', amount: 0.82 }]
+        },
+        splits: { splits: [{ date: '2020-08-31', description: '4-for-1 split', from_factor: 4, to_factor: 1 }] }
+      });
+
+      expect(actions.dividends).toEqual([
+        { ex_date: '2020-11-06', amount: 0.205 },
+        { ex_date: '2020-08-07', amount: 0.205 }
+      ]);
+      expect(actions.splits[0].ratio).toBe(4);
+      expect(actions._source).toBe('twelvedata');
+    });
+
+    test('Yahoo applies dividends from adjclose and leaves unadjusted bars to Twelve Data', () => {
+      const result = {
+        meta: { symbol: 'AAPL', exchangeTimezoneName: 'America/New_York' },
+        timestamp: [1704464400],
+        indicators: {
+          quote: [{ open: [100], high: [102], low: [99], close: [100], volume: [1000] }],
+          adjclose: [{ adjclose: [98] }]
+        }
+      };
+
+      expect(transformYahooToTimeSeries(result, '1day', 1, 'all').values[0])
+        .toMatchObject({ open: '98', high: '99.96', low: '97.02', close: '98' });
+      expect(transformYahooToTimeSeries(result, '1day', 1, 'splits').values[0].close).toBe('100');
+      expect(yahoo.accepts('time_series', { interval: '1day', adjust: 'none' })).toBe(false);
+      expect(yahoo.accepts('time_series', { interval: '5min', adjust: 'all' })).toBe(false);
+      expect(yahoo.accepts('time_series', { interval: '1day', adjust: 'all' })).toBe(true);
+    });
+
+    test('without adjust both providers serve split-adjusted bars', () => {
+      const env = { TWELVEDATA_KEY: 'test' };
+      const params = { symbol: 'AAPL', interval: '1day', outputsize: '200' };
+
+      expect(new URL(twelveData.cacheKey('time_series', params, env)).searchParams.get('adjust')).toBe('splits');
+      expect(new URL(twelveData.cacheKey('time_series', { ...params, adjust: 'none' }, env)).searchParams.get('adjust')).toBe('none');
+      expect(yahoo.cacheKey('time_series', params)).toBe(yahoo.cacheKey('time_series', { ...params, adjust: 'splits' }));
+    });
+
+    test('adjust modes are validated and Twelve Data charges for both lists', () => {
+      expect(parseAdjust(undefined)).toBeUndefined();
+      expect(parseAdjust('splits')).toBe('splits');
+      expect(parseAdjust('dividends')).toBeNull();
+      expect(twelveData.creditCost('corporate_actions')).toBe(40);
+    });
+  });
+  describe('earnings', () => {
+    const calendar = [
+      { date: '2025-01-30', hour: 'amc', quarter: 1, year: 2025, epsEstimate: 2.35, epsActual: 2.4, revenueEstimate: 124e9, revenueActual: 124.3e9 },
+      { date: '2025-05-01', hour: 'amc', quarter: 2, year: 2025, epsEstimate: 1.62, epsActual: null, revenueEstimate: 94e9, revenueActual: null },
+      { date: '2025-07-31', hour: '', quarter: 3, year: 2025, epsEstimate: null, epsActual: null }
+    ];
+    const surprises = [
+      { period: '2024-12-31', quarter: 1, year: 2025, estimate: 2.35, actual: 2.4 },
+      { period: '2024-09-30', quarter: 4, year: 2024, estimate: 1.6, actual: 1.64 }
+    ];
+
+    test('the next unreported date is upcoming and past quarters carry the EPS surprise', () => {
+      const earnings = transformFinnhubToEarnings('AAPL', calendar, surprises, '2025-04-20');
+
+      expect(earnings.upcoming).toEqual({
+        date: '2025-05-01', hour: 'amc', quarter: 2, year: 2025, eps_estimate: 1.62, revenue_estimate: 94e9
+      });
+      expect(earnings.history.map(r => `${r.year}Q${r.quarter}`)).toEqual(['2025Q1', '2024Q4']);
+      expect(earnings.history[0]).toMatchObject({ date: '2025-01-30', period: '2024-12-31', revenue_actual: 124.3e9 });
+      expect(earnings.history[0].surprise).toBeCloseTo(0.05);
+      expect(earnings.history[0].surprise_percent).toBeCloseTo(2.13, 2);
+      // Quarters only in the surprise feed have no report date
+      expect(earnings.history[1].date).toBeNull();
+      expect(earnings._source).toBe('finnhub');
+    });
+
+    test('no upcoming report once every calendar date has passed', () => {
+      expect(transformFinnhubToEarnings('AAPL', calendar, [], '2025-08-01').upcoming).toBeNull();
+    });
+
+    test('the market-wide calendar keeps each symbol\'s next unreported date', () => {
+      const index = indexEarningsCalendar([
+        { symbol: 'AAPL', date: '2025-05-01', hour: 'amc', quarter: 2, year: 2025, epsEstimate: 1.62 },
+        { symbol: 'AAPL', date: '2025-04-24', hour: 'bmo', quarter: 2, year: 2025, epsEstimate: 1.6 },
+        { symbol: 'MSFT', date: '2025-04-22', quarter: 3, year: 2025, epsEstimate: 3.2, epsActual: 3.4 },
+        { symbol: 'TEVA.TA', date: '2025-04-30', quarter: 1, year: 2025 }
+      ], '2025-04-20');
+
+      expect(Object.keys(index)).toEqual(['AAPL', 'TEVA.TA']);
+      expect(index.AAPL).toEqual({
+        date: '2025-04-24', hour: 'bmo', quarter: 2, year: 2025, eps_estimate: 1.6, revenue_estimate: null
+      });
+    });
+
+    test('Finnhub earnings are cached apart from the raw passthrough', () => {
+      expect(finnhub.endpoints).toContain('earnings');
+      expect(finnhub.cacheKey('earnings', { symbol: 'AAPL' })).toBe('https://finnhub-cache/AAPL/api/earnings');
+    });
+  });
+  describe('news', () => {
+    const range = { from: '2025-01-01', to: '2025-01-08' };
+
+    test('syndicated copies are dropped by headline or URL, newest first', () => {
+      const news = transformFinnhubToNews('AAPL', [
+        { id: 1, datetime: 100, headline: 'Apple beats estimates', url: 'https://a.com/story?utm=feed', source: 'A' },
+        { id: 2, datetime: 200, headline: 'Apple Beats Estimates!', url: 'https://b.com/story', source: 'B' },
+        { id: 3, datetime: 300, headline: 'Edited headline', url: 'https://a.com/story/', source: 'A' },
+        { id: 4, datetime: 400, headline: 'iPhone sales', url: 'https://c.com/iphone', source: 'C', related: 'AAPL,MSFT' }
+      ], range);
+
+      expect(news.items.map(item => item.id)).toEqual([4, 3, 2]);
+      expect(news.items[0]).toMatchObject({ symbol: 'AAPL', related: ['AAPL', 'MSFT'], summary: '' });
+      expect(news).toMatchObject({ from: '2025-01-01', to: '2025-01-08', _source: 'finnhub' });
+    });
+
+    test('news range defaults to the last week and rejects bad dates', () => {
+      const now = Date.parse('2025-01-08T15:00:00Z');
+
+      expect(parseNewsRange(null, null, now)).toEqual({ from: '2025-01-01', to: '2025-01-08' });
+      expect(parseNewsRange('2024-12-01', '2024-12-31', now)).toEqual({ from: '2024-12-01', to: '2024-12-31' });
+      expect(parseNewsRange('2025-01-09', '2025-01-08', now)).toBeNull();
+      expect(parseNewsRange('2023-01-01', '2025-01-08', now)).toBeNull();
+      expect(parseNewsRange('yesterday', null, now)).toBeNull();
+    });
+  });
+});
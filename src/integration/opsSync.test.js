@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the worker's sync op log (/api/sync/ops)
+ * The pull cursor only moves past batches old enough that KV list() can't still be missing
+ * earlier ones, so a device never skips a batch that shows up late.
+ *
+ * Run with: npm test opsSync.test.js
+ */
+
+import worker from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createFakeKV,
+  createWorkerClient,
+  hashBootstrapPassword,
+} from './workerRuntime';
+
+const NOW = new Date('2026-03-11T14:00:00Z').getTime();
+const SECOND = 1000;
+const SETTLE_MS = 60 * SECOND;
+const DAY = 24 * 60 * 60 * SECOND;
+
+const op = (deviceId, ts, key) => ({
+  id: `${deviceId}:${ts}`,
+  deviceId,
+  ts,
+  type: 'watchlist.add',
+  key,
+});
+
+describe('Sync op log', () => {
+  let runtime;
+  let env;
+  let api;
+  let token;
+
+  const push = (deviceId, ops) =>
+    api('/api/sync/ops', { method: 'POST', token, body: { deviceId, ops } });
+
+  const pull = async (since = '') => {
+    const { status, body } = await api(`/api/sync/ops?since=${since}`, { token });
+    expect(status).toBe(200);
+    return body;
+  };
+
+  const login = async () => {
+    const { body } = await api('/api/auth/login', {
+      method: 'POST',
+      body: { username: 'root', password: 'root-password' },
+    });
+    return body.token;
+  };
+
+  const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+  beforeEach(async () => {
+    runtime = installWorkerRuntime();
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+    env = {
+      JWT_SECRET: 'test-secret',
+      AUTH_USERNAME: 'root',
+      AUTH_PASSWORD_HASH: hashBootstrapPassword('root-password'),
+      MARKET_TERMINAL_SYNC: createFakeKV(),
+    };
+    api = createWorkerClient(worker, env);
+
+    token = await login();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    runtime.restore();
+  });
+
+  test('fresh batches are returned without moving the cursor', async () => {
+    expect((await push('phone', [op('phone', NOW, 'AAPL')])).body).toMatchObject({ accepted: 1 });
+    advance(SECOND);
+    await push('tablet', [op('tablet', NOW + SECOND, 'MSFT')]);
+
+    const fresh = await pull();
+    expect(fresh.ops.map((entry) => entry.key)).toEqual(['AAPL', 'MSFT']);
+    expect(fresh.cursor).toBe('');
+
+    // Once both have settled the cursor moves past the newest one
+    advance(SETTLE_MS + SECOND);
+    const settled = await pull();
+    expect(settled.ops).toHaveLength(2);
+    expect(settled.cursor).toMatch(/^0*1773237601000-/);
+
+    expect((await pull(settled.cursor)).ops).toEqual([]);
+  });
+
+  test('the cursor stops at the first unsettled batch', async () => {
+    await push('phone', [op('phone', NOW, 'AAPL')]);
+    advance(SETTLE_MS + SECOND);
+    await push('tablet', [op('tablet', Date.now(), 'MSFT')]);
+
+    const page = await pull();
+    expect(page.ops.map((entry) => entry.key)).toEqual(['AAPL', 'MSFT']);
+    expect(page.cursor).toMatch(/^0*1773237600000-/);
+
+    // The next pull sees only what came after the settled batch
+    const next = await pull(page.cursor);
+    expect(next.ops.map((entry) => entry.key)).toEqual(['MSFT']);
+    expect(next.cursor).toBe(page.cursor);
+  });
+
+  test('a cursor older than the log retention asks for a snapshot resync', async () => {
+    await push('phone', [op('phone', NOW, 'AAPL')]);
+    advance(SETTLE_MS + SECOND);
+    const { cursor } = await pull();
+    expect(cursor).not.toBe('');
+
+    advance(31 * DAY);
+    token = await login();
+    expect(await pull(cursor)).toEqual({ reset: true, ops: [], cursor: '' });
+  });
+
+  test('rejects malformed op batches', async () => {
+    expect((await push('phone', [])).status).toBe(400);
+    expect((await push('phone', [{ id: 'x', type: 'watchlist.add' }])).status).toBe(400);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the worker's user accounts: registration, roles and admin-only routes
+ *
+ * Run with: npm test workerAccounts.test.js
+ */
+
+import worker from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createFakeKV,
+  createWorkerClient,
+  hashBootstrapPassword,
+} from './workerRuntime';
+
+const INVITE_CODE = 'join-the-terminal';
+
+describe('Worker accounts', () => {
+  let runtime;
+  let env;
+  let api;
+
+  const login = async (username, password) => {
+    const { status, body } = await api('/api/auth/login', {
+      method: 'POST',
+      body: { username, password },
+    });
+    expect(status).toBe(200);
+    return body.token;
+  };
+
+  const register = (account, token) =>
+    api('/api/auth/register', { method: 'POST', body: account, token });
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    env = {
+      JWT_SECRET: 'test-secret',
+      INVITE_CODE,
+      AUTH_USERNAME: 'root',
+      AUTH_PASSWORD_HASH: hashBootstrapPassword('root-password'),
+      MARKET_TERMINAL_SYNC: createFakeKV(),
+    };
+    api = createWorkerClient(worker, env);
+  });
+
+  afterEach(() => {
+    runtime.restore();
+  });
+
+  test('registers with an invite code and signs in', async () => {
+    const created = await register({
+      username: ' Alice ',
+      password: 'correct-horse',
+      inviteCode: INVITE_CODE,
+    });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual({ success: true, username: 'alice', role: 'user' });
+
+    const account = env.MARKET_TERMINAL_SYNC.json('account:alice');
+    expect(account).toMatchObject({ username: 'alice', role: 'user', createdBy: 'invite' });
+    // Only the PBKDF2 hash is stored
+    expect(JSON.stringify(account)).not.toContain('correct-horse');
+
+    expect(await login('alice', 'correct-horse')).toEqual(expect.any(String));
+  });
+
+  test('rejects a missing or wrong invite code and invalid credentials', async () => {
+    const account = { username: 'mallory', password: 'long-enough' };
+
+    expect((await register(account)).status).toBe(403);
+    expect((await register({ ...account, inviteCode: 'guess' })).status).toBe(403);
+    expect((await register({ ...account, username: 'x', inviteCode: INVITE_CODE })).status).toBe(
+      400
+    );
+    expect(
+      (await register({ ...account, password: 'short', inviteCode: INVITE_CODE })).status
+    ).toBe(400);
+    expect((await register({ ...account, username: 42, inviteCode: INVITE_CODE })).status).toBe(
+      400
+    );
+    expect((await register({ ...account, username: {}, inviteCode: INVITE_CODE })).status).toBe(
+      400
+    );
+    expect(env.MARKET_TERMINAL_SYNC.store.size).toBe(0);
+  });
+
+  test('usernames are unique regardless of case', async () => {
+    await register({ username: 'bob', password: 'first-password', inviteCode: INVITE_CODE });
+
+    const duplicate = await register({
+      username: 'BOB',
+      password: 'second-password',
+      inviteCode: INVITE_CODE,
+    });
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toBe('Username already taken');
+    // The first account keeps its password
+    expect(await login('bob', 'first-password')).toEqual(expect.any(String));
+  });
+
+  test('the bootstrap admin name cannot be registered before its first login', async () => {
+    const squatter = await register({
+      username: 'Root',
+      password: 'squatter-password',
+      inviteCode: INVITE_CODE,
+    });
+
+    expect(squatter.status).toBe(409);
+    expect(env.MARKET_TERMINAL_SYNC.store.size).toBe(0);
+    expect(await login('root', 'root-password')).toEqual(expect.any(String));
+  });
+
+  test('only admins choose roles', async () => {
+    const invited = await register({
+      username: 'carol',
+      password: 'carol-password',
+      inviteCode: INVITE_CODE,
+      role: 'admin',
+    });
+    expect(invited.body.role).toBe('user');
+
+    // The env-configured bootstrap admin is copied into KV on first login
+    const adminToken = await login('root', 'root-password');
+    expect(env.MARKET_TERMINAL_SYNC.json('account:root')).toMatchObject({
+      role: 'admin',
+      createdBy: 'bootstrap',
+    });
+
+    const created = await register(
+      { username: 'dave', password: 'dave-password', role: 'readonly' },
+      adminToken
+    );
+    expect(created.status).toBe(201);
+    expect(created.body.role).toBe('readonly');
+    expect(env.MARKET_TERMINAL_SYNC.json('account:dave').createdBy).toBe('admin');
+
+    const invalid = await register(
+      { username: 'erin', password: 'erin-password', role: 'owner' },
+      adminToken
+    );
+    expect(invalid.status).toBe(400);
+  });
+
+  test('admin routes need an admin token', async () => {
+    await register({ username: 'alice', password: 'alice-password', inviteCode: INVITE_CODE });
+    const userToken = await login('alice', 'alice-password');
+    const adminToken = await login('root', 'root-password');
+
+    expect((await api('/api/admin/users')).status).toBe(401);
+    expect((await api('/api/admin/users', { token: 'not-a-jwt' })).status).toBe(401);
+    expect((await api('/api/admin/users', { token: userToken })).status).toBe(403);
+    expect((await api('/api/admin/metrics', { token: userToken })).status).toBe(403);
+    // A user token can't create accounts (or pick roles) without an invite
+    expect(
+      (await register({ username: 'zed', password: 'zed-password', role: 'admin' }, userToken))
+        .status
+    ).toBe(403);
+
+    const { status, body } = await api('/api/admin/users', { token: adminToken });
+    expect(status).toBe(200);
+    expect(body.count).toBe(2);
+    expect(body.users).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ username: 'alice', role: 'user' }),
+        expect.objectContaining({ username: 'root', role: 'admin' }),
+      ])
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the worker's request logging and rolling metrics
+ *
+ * Run with: npm test workerMetrics.test.js
+ */
+
+import {
+  MetricsBuffer,
+  buildRequestEvent,
+  addToBuckets,
+  summarizeBuckets,
+  METRICS_BUCKET_MS,
+  METRICS_RETENTION_MS
+} from '../../workers/metrics';
+
+const NOW = Date.parse('2025-03-14T15:02:00Z');
+
+const fakeResponse = (status, headers) => ({ status, headers: new Map(Object.entries(headers)) });
+
+describe('Worker metrics', () => {
+  test('request events are read from the response headers', () => {
+    const request = { method: 'GET', url: 'https://worker/api/quote?symbol=AAPL' };
+
+    expect(buildRequestEvent(request, fakeResponse(200, {
+      'x-cache': 'MISS',
+      'x-data-source': 'Twelve Data',
+      'x-coalesced': 'false',
+      'server-timing': 'upstream;dur=142.6'
+    }), 150)).toMatchObject({
+      type: 'request',
+      route: '/api/quote',
+      symbol: 'AAPL',
+      status: 200,
+      provider: 'Twelve Data',
+      cache: 'MISS',
+      upstreamStatus: 200,
+      upstreamMs: 143,
+      durationMs: 150
+    });
+
+    // A cache hit never went upstream
+    const hit = buildRequestEvent(request, fakeResponse(200, { 'x-cache': 'HIT' }), 2);
+    expect(hit.upstreamStatus).toBeUndefined();
+    expect(hit.upstreamMs).toBeUndefined();
+  });
+
+  test('counters summarize hit ratio, provider latency and credit spend', () => {
+    const buffer = new MetricsBuffer(NOW);
+    buffer.record({ route: '/api/quote', status: 200, cache: 'MISS', provider: 'Twelve Data', upstreamStatus: 200, upstreamMs: 100 });
+    buffer.record({ route: '/api/quote', status: 200, cache: 'MISS', provider: 'Twelve Data', upstreamStatus: 429, upstreamMs: 300 });
+    buffer.record({ route: '/api/quote', status: 200, cache: 'HIT', provider: 'Twelve Data', coalesced: 'false' });
+    buffer.record({ route: '/api/time_series', status: 200, cache: 'HIT', provider: 'Yahoo Finance', coalesced: 'isolate' });
+    buffer.record({ route: '/api/news', status: 502 });
+    buffer.recordCredits('AAPL', 1);
+    buffer.recordCredits('MSFT', 300);
+
+    const buckets = new Map();
+    addToBuckets(buckets, buffer.drain(NOW), NOW);
+    const summary = summarizeBuckets([...buckets].map(([start, counters]) => ({ start, counters })), NOW)['1h'];
+
+    expect(summary).toMatchObject({ requests: 5, errors: 1, coalesced: 1, cacheHitRatio: 0.5 });
+    expect(summary.routes[0]).toEqual({ route: '/api/quote', requests: 3 });
+    expect(summary.providers[0]).toEqual({
+      provider: 'Twelve Data',
+      requests: 3,
+      upstreamCalls: 2,
+      upstreamErrors: 1,
+      avgLatencyMs: 200,
+      maxLatencyMs: 300
+    });
+    expect(summary.topCreditSymbols.map(entry => entry.symbol)).toEqual(['MSFT', 'AAPL']);
+    expect(buffer.counters.requests).toBe(0);
+  });
+
+  test('buckets roll out of the windows and past the retention period', () => {
+    const buckets = new Map();
+    const counters = (requests) => {
+      const buffer = new MetricsBuffer();
+      for (let i = 0; i < requests; i++) buffer.record({ route: '/api/quote', status: 200 });
+      return buffer.drain();
+    };
+
+    addToBuckets(buckets, counters(1), NOW - METRICS_RETENTION_MS - METRICS_BUCKET_MS);
+    addToBuckets(buckets, counters(2), NOW - 3 * 60 * 60 * 1000);
+    const removed = addToBuckets(buckets, counters(3), NOW);
+
+    expect(removed).toHaveLength(1);
+    const windows = summarizeBuckets([...buckets].map(([start, c]) => ({ start, counters: c })), NOW);
+    expect(windows['1h'].requests).toBe(3);
+    expect(windows['24h'].requests).toBe(5);
+  });
+
+  test('distinct routes are capped so unknown paths cannot grow the counters', () => {
+    const buffer = new MetricsBuffer(NOW);
+    for (let i = 0; i < 150; i++) buffer.record({ route: `/api/probe${i}`, status: 404 });
+
+    expect(Object.keys(buffer.counters.routes)).toHaveLength(101);
+    expect(buffer.counters.routes.other).toBe(50);
+  });
+
+  test('a buffer flushes after 30 seconds or 200 requests', () => {
+    const buffer = new MetricsBuffer(NOW);
+    expect(buffer.shouldFlush(NOW + 60000)).toBe(false);
+
+    buffer.record({ route: '/api/quote', status: 200 });
+    expect(buffer.shouldFlush(NOW + 1000)).toBe(false);
+    expect(buffer.shouldFlush(NOW + 30000)).toBe(true);
+  });
+});
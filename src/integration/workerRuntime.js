@@ -0,0 +1,291 @@
+/**
+ * Minimal Cloudflare Workers runtime for tests that drive workers/twelvedata.js
+ * Jest's environments have no fetch API classes, KV, edge cache or Durable Objects -
+ * these stand-ins cover what the worker uses. Use with @jest-environment node.
+ */
+
+import { webcrypto, createHash } from 'crypto';
+
+const toEntries = (init) => {
+  if (!init) return [];
+  if (typeof init.entries === 'function') return [...init.entries()];
+  return Array.isArray(init) ? init : Object.entries(init);
+};
+
+export class FakeHeaders {
+  constructor(init) {
+    this.map = new Map();
+    toEntries(init).forEach(([name, value]) => this.set(name, value));
+  }
+
+  get(name) {
+    const value = this.map.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  set(name, value) {
+    this.map.set(name.toLowerCase(), String(value));
+  }
+
+  has(name) {
+    return this.map.has(name.toLowerCase());
+  }
+
+  delete(name) {
+    this.map.delete(name.toLowerCase());
+  }
+
+  entries() {
+    return this.map.entries();
+  }
+
+  forEach(callback) {
+    this.map.forEach((value, name) => callback(value, name, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.map.entries();
+  }
+}
+
+/**
+ * Bodies are kept as strings (or null) - enough for JSON APIs
+ */
+class FakeBody {
+  async text() {
+    return this.body == null ? '' : String(this.body);
+  }
+
+  async json() {
+    return JSON.parse(await this.text());
+  }
+}
+
+export class FakeRequest extends FakeBody {
+  constructor(input, init = {}) {
+    super();
+    this.url = typeof input === 'string' ? input : input.url;
+    this.method = (init.method || input.method || 'GET').toUpperCase();
+    this.headers = new FakeHeaders(init.headers || input.headers);
+    this.body = init.body !== undefined ? init.body : (input.body ?? null);
+    this.cf = init.cf || input.cf;
+  }
+}
+
+export class FakeResponse extends FakeBody {
+  constructor(body = null, init = {}) {
+    super();
+    this.body = body;
+    this.status = init.status ?? 200;
+    this.statusText = init.statusText || '';
+    this.headers = new FakeHeaders(init.headers);
+    this.webSocket = init.webSocket || null;
+  }
+
+  get ok() {
+    return this.status >= 200 && this.status < 300;
+  }
+
+  clone() {
+    return new FakeResponse(this.body, this);
+  }
+}
+
+/**
+ * KV namespace backed by a Map (get with { type: "json" }, put with metadata, delete, paginated list)
+ */
+export const createFakeKV = (entries = {}) => {
+  const store = new Map(
+    Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)])
+  );
+  const metadata = new Map();
+
+  return {
+    store,
+    metadata,
+    async get(key, options) {
+      const value = store.get(key);
+      if (value === undefined) return null;
+      const type = typeof options === 'string' ? options : options?.type;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, options = {}) {
+      store.set(key, value);
+      metadata.set(key, options.metadata);
+    },
+    async delete(key) {
+      store.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+      const names = [...store.keys()].filter((name) => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const complete = start + limit >= names.length;
+      return {
+        keys: names
+          .slice(start, start + limit)
+          .map((name) => ({ name, metadata: metadata.get(name) })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(start + limit),
+      };
+    },
+    json(key) {
+      return store.has(key) ? JSON.parse(store.get(key)) : null;
+    },
+  };
+};
+
+/**
+ * Durable Object storage (get / put / delete / list)
+ */
+export const createFakeStorage = () => {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      return data.get(key);
+    },
+    async put(key, value) {
+      data.set(key, value);
+    },
+    async delete(key) {
+      return data.delete(key);
+    },
+    async list() {
+      return new Map(data);
+    },
+  };
+};
+
+/**
+ * Durable Object namespace binding - one instance of the class per name
+ */
+export const createDurableObjectNamespace = (DurableObject, env = {}) => {
+  const instances = new Map();
+
+  return {
+    instances,
+    idFromName(name) {
+      return name;
+    },
+    get(id) {
+      if (!instances.has(id)) {
+        instances.set(id, new DurableObject({ id, storage: createFakeStorage() }, env));
+      }
+      const instance = instances.get(id);
+      return { fetch: (url, init) => instance.fetch(new FakeRequest(url, init)) };
+    },
+  };
+};
+
+/**
+ * Edge cache (caches.default) keyed by request URL
+ */
+export const createFakeCache = () => {
+  const entries = new Map();
+  return {
+    entries,
+    async match(request) {
+      const entry = entries.get(typeof request === 'string' ? request : request.url);
+      return entry ? entry.clone() : undefined;
+    },
+    async put(request, response) {
+      entries.set(typeof request === 'string' ? request : request.url, response.clone());
+    },
+  };
+};
+
+/**
+ * Install the runtime globals the worker expects
+ * The worker's request log lines and failover warnings are silenced.
+ * @returns {Object} { cache, restore }
+ */
+export const installWorkerRuntime = () => {
+  const previous = {
+    Request: global.Request,
+    Response: global.Response,
+    Headers: global.Headers,
+    caches: global.caches,
+    crypto: global.crypto,
+  };
+  const cache = createFakeCache();
+
+  global.Request = FakeRequest;
+  global.Response = FakeResponse;
+  global.Headers = FakeHeaders;
+  global.caches = { default: cache };
+  global.crypto = webcrypto;
+  const consoleSpies = ['log', 'warn', 'error'].map((level) =>
+    jest.spyOn(console, level).mockImplementation(() => {})
+  );
+
+  return {
+    cache,
+    restore() {
+      Object.assign(global, previous);
+      consoleSpies.forEach((spy) => spy.mockRestore());
+    },
+  };
+};
+
+/**
+ * AUTH_PASSWORD_HASH value for the env-configured bootstrap admin ("salt:sha256(salt + password)")
+ */
+export const hashBootstrapPassword = (password, salt = 'bootstrap-salt') =>
+  `${salt}:${createHash('sha256')
+    .update(salt + password)
+    .digest('base64url')}`;
+
+/**
+ * JSON Response as an upstream API would send it
+ */
+export const jsonUpstream = (data, status = 200) =>
+  new FakeResponse(JSON.stringify(data), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+
+/**
+ * ExecutionContext whose waitUntil promises can be awaited
+ */
+export const createExecutionContext = () => {
+  const pending = [];
+  return {
+    waitUntil(promise) {
+      pending.push(promise);
+    },
+    async settle() {
+      await Promise.all(pending.splice(0));
+    },
+  };
+};
+
+/**
+ * Call the worker the way the frontend does
+ * @returns {Function} (path, { method, body, token, headers }) => Promise<{ status, headers, body }>
+ */
+export const createWorkerClient =
+  (worker, env) =>
+  async (path, { method = 'GET', body, token, headers = {} } = {}) => {
+    const ctx = createExecutionContext();
+    const request = new FakeRequest(`https://worker${path}`, {
+      method,
+      headers: {
+        ...headers,
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? null : JSON.stringify(body),
+    });
+
+    const response = await worker.fetch(request, env, ctx);
+    await ctx.settle();
+
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (error) {
+      json = text;
+    }
+    return { status: response.status, headers: response.headers, body: json };
+  };
@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the worker's sessions: refresh token rotation, reuse detection,
+ * device listing and revocation
+ *
+ * Run with: npm test workerSessions.test.js
+ */
+
+import worker from '../../workers/twelvedata';
+import {
+  installWorkerRuntime,
+  createFakeKV,
+  createWorkerClient,
+  hashBootstrapPassword,
+  FakeRequest,
+} from './workerRuntime';
+
+describe('Worker sessions', () => {
+  let runtime;
+  let env;
+  let api;
+
+  const login = async (userAgent = 'Firefox') => {
+    const { status, body } = await api('/api/auth/login', {
+      method: 'POST',
+      body: { username: 'root', password: 'root-password' },
+      headers: { 'user-agent': userAgent },
+    });
+    expect(status).toBe(200);
+    return body;
+  };
+
+  const refresh = (refreshToken) =>
+    api('/api/auth/refresh', { method: 'POST', body: { refreshToken } });
+
+  const sessionKeys = () =>
+    [...env.MARKET_TERMINAL_SYNC.store.keys()].filter((key) => key.startsWith('session:'));
+
+  beforeEach(() => {
+    runtime = installWorkerRuntime();
+    env = {
+      JWT_SECRET: 'test-secret',
+      AUTH_USERNAME: 'root',
+      AUTH_PASSWORD_HASH: hashBootstrapPassword('root-password'),
+      MARKET_TERMINAL_SYNC: createFakeKV(),
+    };
+    api = createWorkerClient(worker, env);
+  });
+
+  afterEach(() => {
+    runtime.restore();
+  });
+
+  test('refresh tokens rotate on every use', async () => {
+    const first = await login();
+    expect(sessionKeys()).toEqual([`session:root:${first.sessionId}`]);
+
+    const rotated = await refresh(first.refreshToken);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body).toMatchObject({
+      username: 'root',
+      role: 'admin',
+      sessionId: first.sessionId,
+    });
+    expect(rotated.body.refreshToken).not.toBe(first.refreshToken);
+
+    // Still one session - rotation replaces the secret, it doesn't start a new family
+    expect(sessionKeys()).toHaveLength(1);
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(200);
+  });
+
+  test('reusing a rotated refresh token revokes the whole session', async () => {
+    const first = await login();
+    const rotated = (await refresh(first.refreshToken)).body;
+
+    // The old token was copied - the attacker (or the victim) presents it again
+    const reuse = await refresh(first.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.error).toMatch(/reuse detected/);
+    expect(sessionKeys()).toEqual([]);
+
+    // Every token of the family is dead: the latest refresh token and the access tokens
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await api('/api/auth/sessions', { token: rotated.token })).status).toBe(401);
+    expect((await api('/api/sync/watchlist', { token: first.token })).status).toBe(401);
+  });
+
+  test('lists the signed-in devices, flagging the current one', async () => {
+    const laptop = await login('Firefox');
+    const phone = await login('Mobile Safari');
+
+    const { status, body } = await api('/api/auth/sessions', { token: laptop.token });
+
+    expect(status).toBe(200);
+    expect(body.count).toBe(2);
+    expect(body.sessions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          sessionId: laptop.sessionId,
+          userAgent: 'Firefox',
+          current: true,
+        }),
+        expect.objectContaining({
+          sessionId: phone.sessionId,
+          userAgent: 'Mobile Safari',
+          current: false,
+        }),
+      ])
+    );
+  });
+
+  test('revoking a device ends its refresh and access tokens', async () => {
+    const laptop = await login('Firefox');
+    const phone = await login('Mobile Safari');
+    const tablet = await login('Chrome');
+
+    const revoked = await api(`/api/auth/sessions?id=${phone.sessionId}`, {
+      method: 'DELETE',
+      token: laptop.token,
+    });
+    expect(revoked.body).toEqual({ success: true, revoked: 1 });
+
+    expect((await api('/api/auth/verify', { token: phone.token })).status).toBe(401);
+    expect((await api('/api/sync/watchlist', { token: phone.token })).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await api('/api/auth/verify', { token: tablet.token })).status).toBe(200);
+
+    const missing = await api(`/api/auth/sessions?id=${phone.sessionId}`, {
+      method: 'DELETE',
+      token: laptop.token,
+    });
+    expect(missing.status).toBe(404);
+
+    // Without an id every other device is signed out
+    const others = await api('/api/auth/sessions', { method: 'DELETE', token: laptop.token });
+    expect(others.body.revoked).toBe(1);
+    expect(sessionKeys()).toEqual([`session:root:${laptop.sessionId}`]);
+    expect((await api('/api/auth/verify', { token: laptop.token })).status).toBe(200);
+  });
+
+  test('logout ends the session', async () => {
+    const session = await login();
+
+    await api('/api/auth/logout', { method: 'POST', body: { refreshToken: session.refreshToken } });
+
+    expect(sessionKeys()).toEqual([]);
+    expect((await api('/api/auth/verify', { token: session.token })).status).toBe(401);
+  });
+
+  test('logout needs the current refresh secret to end a session', async () => {
+    const laptop = await login('Firefox');
+    const phone = await login('Mobile Safari');
+    const [prefix, sessionId] = phone.refreshToken.split('.');
+
+    // A guessed secret or a rotated-out token can't sign another device out
+    const guessed = await api('/api/auth/logout', {
+      method: 'POST',
+      body: { refreshToken: `${prefix}.${sessionId}.guess` },
+    });
+    expect(guessed.status).toBe(401);
+
+    const rotated = (await refresh(phone.refreshToken)).body;
+    const stale = await api('/api/auth/logout', {
+      method: 'POST',
+      body: { refreshToken: phone.refreshToken },
+    });
+    expect(stale.status).toBe(401);
+    expect((await refresh(rotated.refreshToken)).status).toBe(200);
+
+    // With a Bearer token the caller's own session ends instead
+    await api('/api/auth/logout', {
+      method: 'POST',
+      token: laptop.token,
+      body: { refreshToken: `${prefix}.${sessionId}.guess` },
+    });
+    expect(sessionKeys()).toEqual([`session:root:${phone.sessionId}`]);
+  });
+
+  test('CORS preflight allows DELETE for session revocation', async () => {
+    const response = await worker.fetch(
+      new FakeRequest('https://worker/api/auth/sessions', { method: 'OPTIONS' }),
+      env,
+      {}
+    );
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-methods')).toContain('DELETE');
+  });
+});
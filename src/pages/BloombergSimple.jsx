@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { TrendingUp, Activity, Globe, Search, RefreshCw, TestTube, AlertTriangle, LogOut, Menu, X, WifiOff, Cloud, Settings } from 'lucide-react';
+import { TrendingUp, Activity, Search, RefreshCw, TestTube, AlertTriangle, LogOut, Menu, X, WifiOff, Cloud, Settings, Bell } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useSmartPolling, formatters } from '../hooks/useSmartPolling';
 import WatchlistSidebar from '../components/WatchlistSidebar';
 import PeersPanel from '../components/PeersPanel';
 import PeerAnalysis from '../components/PeerAnalysis';
 import StatsTile from '../components/StatsTile';
+import PriceChart from '../components/PriceChart';
+import FundamentalsPanel from '../components/FundamentalsPanel';
+import NewsPanel from '../components/NewsPanel';
+import MarketStatusIndicator from '../components/MarketStatusIndicator';
+import AlertHistoryPanel from '../components/AlertHistoryPanel';
 import { useWatchlistStore } from '../store/useWatchlistStore';
 import { useToast } from '../components/NotificationToast';
 import { createVolumeSpikeMessage } from '../utils/eventDetector';
@@ -14,6 +19,7 @@ import { getAPICounterState } from '../utils/apiCallCounter';
 import { useAuth } from '../App';
 import { useOfflineStatus } from '../hooks/useOfflineStatus';
 import { useSync } from '../hooks/useSync';
+import alertRuleManager from '../services/alertRuleManager';
 
 const BloombergSimple = () => {
   console.log('🏢 BloombergSimple component rendering...');
@@ -21,11 +27,12 @@ const BloombergSimple = () => {
   const navigate = useNavigate();
   const [selectedStock, setSelectedStock] = useState('AAPL');
   const [isWatchlistOpen, setIsWatchlistOpen] = useState(false);
-  const [activeTab, setActiveTab] = useState('overview'); // 'overview' or 'analysis'
+  const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'news', 'peers', 'analysis' or 'fundamentals'
   const [apiCounterState, setApiCounterState] = useState(getAPICounterState());
   const [searchQuery, setSearchQuery] = useState('');
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [offlineBannerDismissed, setOfflineBannerDismissed] = useState(false);
+  const [isAlertHistoryOpen, setIsAlertHistoryOpen] = useState(false);
 
   // Get watchlist symbols from store
   const { symbols: watchedSymbols } = useWatchlistStore();
@@ -69,7 +76,12 @@ const BloombergSimple = () => {
   }, []);
   
   // Use smart polling for real data
-  const { stockData, isLoading, lastUpdated, error, refreshAll } = useSmartPolling(watchedSymbols);
+  const { stockData, isLoading, lastUpdated, error, marketPhases, refreshAll } = useSmartPolling(watchedSymbols);
+
+  // Check alert rules against each round of quotes (App shows the notifications)
+  useEffect(() => {
+    alertRuleManager.evaluate(stockData);
+  }, [stockData]);
 
   // Test volume spike notification
   const testVolumeSpike = () => {
@@ -221,14 +233,18 @@ const BloombergSimple = () => {
                 <AlertTriangle className="h-3 w-3" />
                 <span>{isTDExhausted() ? 'CACHED' : 'LIMIT'}</span>
               </button>
-              <div className="flex items-center space-x-2">
-                <Globe className="h-3 w-3" />
-                <span>US MARKETS</span>
-                <span className="text-bloomberg-status-connected">●</span>
-              </div>
+              <MarketStatusIndicator phases={marketPhases} />
               <button
-                onClick={() => navigate('/settings')}
+                onClick={() => setIsAlertHistoryOpen(true)}
                 className="flex items-center space-x-1 hover:text-bloomberg-orange transition-colors ml-4"
+                title="Alert History"
+              >
+                <Bell className="h-3 w-3" />
+                <span>ALERTS</span>
+              </button>
+              <button
+                onClick={() => navigate('/settings')}
+                className="flex items-center space-x-1 hover:text-bloomberg-orange transition-colors"
                 title="Settings"
               >
                 <Settings className="h-3 w-3" />
@@ -304,11 +320,14 @@ const BloombergSimple = () => {
                   <AlertTriangle className="h-4 w-4" />
                   <span>{isTDExhausted() ? 'Disable Cache Mode' : 'Test Rate Limit'}</span>
                 </button>
-                <div className="flex items-center space-x-2 py-2 px-2">
-                  <Globe className="h-4 w-4" />
-                  <span>US MARKETS</span>
-                  <span className="text-bloomberg-status-connected">●</span>
-                </div>
+                <MarketStatusIndicator phases={marketPhases} iconClassName="h-4 w-4" className="py-2 px-2" />
+                <button
+                  onClick={() => { setIsAlertHistoryOpen(true); setIsMobileMenuOpen(false); }}
+                  className="flex items-center space-x-2 py-2 px-2 hover:bg-bloomberg-panel rounded transition-colors"
+                >
+                  <Bell className="h-4 w-4" />
+                  <span>Alert History</span>
+                </button>
                 <button
                   onClick={() => { navigate('/settings'); setIsMobileMenuOpen(false); }}
                   className="flex items-center space-x-2 py-2 px-2 hover:bg-bloomberg-panel rounded transition-colors"
@@ -574,7 +593,16 @@ const BloombergSimple = () => {
                 >
                   Overview
                 </span>
-                <span className="text-gray-400 hover:text-white cursor-pointer">News</span>
+                <span
+                  onClick={() => setActiveTab('news')}
+                  className={`pb-1 font-bold cursor-pointer transition-colors ${
+                    activeTab === 'news'
+                      ? 'text-bloomberg-activeTab border-b-2 border-bloomberg-activeTab'
+                      : 'text-gray-400 hover:text-white'
+                  }`}
+                >
+                  News
+                </span>
                 <span
                   onClick={() => setActiveTab('peers')}
                   className={`pb-1 font-bold cursor-pointer transition-colors ${
@@ -595,12 +623,24 @@ const BloombergSimple = () => {
                 >
                   Analysis
                 </span>
+                <span
+                  onClick={() => setActiveTab('fundamentals')}
+                  className={`pb-1 font-bold cursor-pointer transition-colors ${
+                    activeTab === 'fundamentals'
+                      ? 'text-bloomberg-activeTab border-b-2 border-bloomberg-activeTab'
+                      : 'text-gray-400 hover:text-white'
+                  }`}
+                >
+                  Fundamentals
+                </span>
               </div>
             </div>
 
             {/* Overview Tab Content */}
             {activeTab === 'overview' && (
             <>
+            <PriceChart symbol={selectedStock} />
+
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
               <div>
                 <h3 className="text-gray-300 font-bold mb-2" style={{ fontSize: '13px' }}>
@@ -777,6 +817,13 @@ const BloombergSimple = () => {
           </>
         )}
 
+        {/* News Tab Content */}
+        {activeTab === 'news' && (
+          <div>
+            <NewsPanel symbol={selectedStock} watchlistSymbols={watchedSymbols} />
+          </div>
+        )}
+
         {/* Analysis Tab Content */}
         {activeTab === 'analysis' && (
           <div>
@@ -790,9 +837,18 @@ const BloombergSimple = () => {
             <PeerAnalysis symbol={selectedStock} />
           </div>
         )}
+
+        {/* Fundamentals Tab Content */}
+        {activeTab === 'fundamentals' && (
+          <div>
+            <FundamentalsPanel symbol={selectedStock} />
+          </div>
+        )}
       </div>
         )}
 
+      <AlertHistoryPanel isOpen={isAlertHistoryOpen} onClose={() => setIsAlertHistoryOpen(false)} />
+
       {/* Status Indicator */}
       <div className="fixed bottom-2 right-2 sm:bottom-4 sm:right-4 bg-bloomberg-status-connected text-black px-2 py-1 sm:px-3 sm:py-2 rounded text-xs font-bold">
         <span className="hidden sm:inline">Bloomberg Terminal ✓ Online</span>
@@ -1,15 +1,42 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { storeSession } from '../services/authService';
 
 const API_BASE = process.env.REACT_APP_WORKER_URL || '/api';
 
+// Format a lockout countdown as m:ss
+const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
 export default function Login() {
   const [user, setUser] = useState('');
   const [pass, setPass] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [lockoutUntil, setLockoutUntil] = useState(null);
+  const [lockoutSeconds, setLockoutSeconds] = useState(0);
   const navigate = useNavigate();
 
+  // Count down the server-imposed lockout
+  useEffect(() => {
+    if (!lockoutUntil) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((lockoutUntil - Date.now()) / 1000));
+      setLockoutSeconds(remaining);
+      if (remaining === 0) {
+        setLockoutUntil(null);
+        setError('');
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [lockoutUntil]);
+
+  const isLockedOut = lockoutSeconds > 0;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -39,21 +66,26 @@ export default function Login() {
       const data = await response.json();
 
       if (response.status === 429) {
-        setError(`Too many login attempts. Try again in ${data.retryAfter} seconds.`);
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || data.retryAfter || 60;
+        setLockoutUntil(Date.now() + retryAfter * 1000);
+        setError('Too many failed login attempts. Login is locked.');
         setIsLoading(false);
         return;
       }
 
       if (!response.ok || !data.success) {
-        setError(data.error || 'Invalid username or password');
+        const remaining = data.attemptsRemaining;
+        setError(
+          remaining !== undefined && remaining <= 2
+            ? `${data.error || 'Invalid username or password'} (${remaining} attempt${remaining === 1 ? '' : 's'} left before lockout)`
+            : data.error || 'Invalid username or password'
+        );
         setIsLoading(false);
         return;
       }
 
-      // Store JWT token
-      sessionStorage.setItem('authToken', data.token);
-      sessionStorage.setItem('isAuth', 'true');
-      sessionStorage.setItem('authUser', normalizedUser);
+      // Store access + refresh tokens
+      storeSession({ username: normalizedUser, role: 'user', ...data });
 
       // Dispatch custom event to notify App component immediately
       window.dispatchEvent(new CustomEvent('authStateChanged', {
@@ -123,22 +155,23 @@ export default function Login() {
             
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || isLockedOut}
               className={`w-full bg-bloomberg-button border border-bloomberg-orange text-bloomberg-orange
                        py-3 rounded-terminal font-bloomberg-sans font-bold text-terminal-base
                        transition-all duration-200 transform
-                       ${isLoading
+                       ${isLoading || isLockedOut
                          ? 'opacity-50 cursor-not-allowed'
                          : 'hover:bg-bloomberg-orange hover:text-bloomberg-primary hover:scale-105'
                        }`}
             >
-              {isLoading ? 'AUTHENTICATING...' : 'ACCESS TERMINAL'}
+              {isLoading ? 'AUTHENTICATING...' : isLockedOut ? `LOCKED ${formatCountdown(lockoutSeconds)}` : 'ACCESS TERMINAL'}
             </button>
             
             {error && (
               <div className="bg-bloomberg-status-error/20 border-l-4 border-bloomberg-status-error p-3 rounded-terminal">
                 <p className="text-bloomberg-status-error text-terminal-sm font-bloomberg-mono">
                   {error}
+                  {isLockedOut && ` Try again in ${formatCountdown(lockoutSeconds)}.`}
                 </p>
               </div>
             )}
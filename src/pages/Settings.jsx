@@ -1,10 +1,11 @@
 /**
  * Settings Panel Page
  * Comprehensive settings management for the Market Terminal
- * Includes preferences, cache stats, sync controls, and data export/import
+ * Includes preferences, alert rules, cache stats, sync controls, data export/import, account
+ * management and (for admins) worker metrics
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Settings as SettingsIcon,
   Database,
@@ -19,13 +20,20 @@ import {
   Info,
   CheckCircle,
   AlertCircle,
-  X
+  X,
+  User,
+  Activity
 } from 'lucide-react';
 import { usePreferencesStore } from '../store/usePreferencesStore';
 import { useWatchlistStore } from '../store/useWatchlistStore';
 import { useNavigate } from 'react-router-dom';
 import indexedDBService from '../services/indexedDBService';
 import { useSync } from '../hooks/useSync';
+import AccountSettings from '../components/AccountSettings';
+import AdminMetrics from '../components/AdminMetrics';
+import AlertRulesSettings from '../components/AlertRulesSettings';
+import { getAuthRole } from '../services/authService';
+import SyncEncryptionSettings from '../components/SyncEncryptionSettings';
 import {
   downloadWatchlist,
   downloadPreferences,
@@ -48,6 +56,8 @@ const Settings = () => {
     lastSyncTime,
     pendingChanges,
     syncError,
+    queueLength,
+    lastReplayError,
     syncAll,
     getTimeSinceSync
   } = useSync();
@@ -206,15 +216,16 @@ const Settings = () => {
     }
   };
 
-  const showSuccessMessage = (message) => {
+  // Stable callbacks - child tabs load their data in effects that depend on them
+  const showSuccessMessage = useCallback((message) => {
     setShowSuccess(message);
     setTimeout(() => setShowSuccess(''), 3000);
-  };
+  }, []);
 
-  const showErrorMessage = (message) => {
+  const showErrorMessage = useCallback((message) => {
     setShowError(message);
     setTimeout(() => setShowError(''), 5000);
-  };
+  }, []);
 
   // Tab components
   const PreferencesTab = () => (
@@ -359,6 +370,22 @@ const Settings = () => {
             />
           </div>
 
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Earnings Reminder (days before report, 0 = off)
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="7"
+              value={preferences.earningsReminderDays}
+              onChange={(e) => preferences.setNotificationPreferences({
+                earningsReminderDays: parseInt(e.target.value, 10) || 0
+              })}
+              className="w-full bg-bloomberg-panel border border-bloomberg-border rounded px-3 py-2 text-white focus:outline-none focus:border-bloomberg-orange"
+            />
+          </div>
+
           <div>
             <label className="block text-sm text-gray-400 mb-1">
               Notification Duration (seconds)
@@ -493,6 +520,21 @@ const Settings = () => {
             </span>
           </div>
 
+          {queueLength > 0 && (
+            <div className="flex justify-between items-center">
+              <span className="text-sm text-gray-400">Queued Offline</span>
+              <span className="text-sm text-bloomberg-orange">
+                {queueLength} push{queueLength === 1 ? '' : 'es'} waiting for connection
+              </span>
+            </div>
+          )}
+
+          {lastReplayError && (
+            <div className="p-2 bg-red-600/20 border border-red-600 rounded text-xs text-red-400">
+              Replay failed: {lastReplayError}
+            </div>
+          )}
+
           {syncError && (
             <div className="p-2 bg-red-600/20 border border-red-600 rounded text-xs text-red-400">
               {syncError}
@@ -639,9 +681,12 @@ const Settings = () => {
         <div className="flex space-x-1 mb-6 border-b border-bloomberg-border">
           {[
             { id: 'preferences', label: 'Preferences', icon: SettingsIcon },
+            { id: 'alerts', label: 'Alerts', icon: Bell },
             { id: 'cache', label: 'Cache', icon: Database },
             { id: 'sync', label: 'Sync', icon: Cloud },
-            { id: 'data', label: 'Data', icon: Download }
+            { id: 'data', label: 'Data', icon: Download },
+            { id: 'account', label: 'Account', icon: User },
+            ...(getAuthRole() === 'admin' ? [{ id: 'admin', label: 'Admin', icon: Activity }] : [])
           ].map(tab => (
             <button
               key={tab.id}
@@ -661,9 +706,21 @@ const Settings = () => {
         {/* Tab Content */}
         <div>
           {activeTab === 'preferences' && <PreferencesTab />}
+          {activeTab === 'alerts' && (
+            <AlertRulesSettings onSuccess={showSuccessMessage} onError={showErrorMessage} />
+          )}
           {activeTab === 'cache' && <CacheTab />}
-          {activeTab === 'sync' && <SyncTab />}
+          {activeTab === 'sync' && (
+            <div className="space-y-6">
+              <SyncTab />
+              <SyncEncryptionSettings onSuccess={showSuccessMessage} onError={showErrorMessage} />
+            </div>
+          )}
           {activeTab === 'data' && <DataTab />}
+          {activeTab === 'account' && (
+            <AccountSettings onSuccess={showSuccessMessage} onError={showErrorMessage} />
+          )}
+          {activeTab === 'admin' && <AdminMetrics onError={showErrorMessage} />}
         </div>
 
         {/* Footer Info */}
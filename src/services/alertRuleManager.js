@@ -0,0 +1,293 @@
+/**
+ * Alert Rule Manager
+ * Keeps the user's alert rules (utils/alertRules.js) in IndexedDB, evaluates them
+ * against polled quotes and daily-bar indicators, and syncs the rule list through
+ * /api/sync/alerts (the whole list, last write wins).
+ *
+ * Crossing conditions compare each quote with the one evaluated before it, so a
+ * crossing is only seen from the second poll after the page loads.
+ *
+ * The worker also evaluates synced rules on a cron while no tab is open
+ * (workers/alerts.js); fetchMissedAlerts() brings what it fired into the alert history
+ * and onto the rules (the worker never rewrites the synced rule list).
+ */
+
+import indexedDBService from './indexedDBService';
+import syncManager from './syncManager';
+import { fetchTDSeries, computeIndicators } from './tdStats';
+import {
+  buildAlertSnapshot,
+  ruleUsesIndicators,
+  evaluateRule,
+  applyTrigger,
+  mergeTriggerState,
+  createAlertRuleMessage,
+} from '../utils/alertRules';
+
+// Newest server-fired alert already fetched (ms)
+const LAST_FIRED_ALERT_KEY = 'lastFiredAlertAt';
+
+class AlertRuleManager {
+  constructor() {
+    this.rules = [];
+    this.loadPromise = null;
+    this.listeners = [];
+    this.previousSnapshots = {}; // symbol -> metric values at the last evaluation
+    this.evaluatedAt = {}; // symbol -> timestamp of the last quote evaluated
+    this.evaluation = Promise.resolve();
+  }
+
+  /**
+   * Load rules from IndexedDB (once)
+   * @returns {Promise<Array>} Current rules
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = indexedDBService
+        .getAlertRules()
+        .then((rules) => this.setRules(rules))
+        .catch((error) => {
+          console.error('❌ Failed to load alert rules:', error);
+          this.loadPromise = null;
+        });
+    }
+    await this.loadPromise;
+    return this.rules;
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+    this.notifyListeners({ type: 'rulesUpdated', data: rules });
+  }
+
+  /**
+   * Add or update a rule, then push the list to the cloud
+   * @param {Object} rule - From createAlertRule (throws when invalid)
+   */
+  async saveRule(rule) {
+    await this.load();
+    await indexedDBService.saveAlertRule(rule);
+
+    const exists = this.rules.some((existing) => existing.id === rule.id);
+    this.setRules(
+      exists
+        ? this.rules.map((existing) => (existing.id === rule.id ? rule : existing))
+        : [...this.rules, rule]
+    );
+
+    this.pushToCloud();
+    return rule;
+  }
+
+  /**
+   * Delete a rule, then push the list to the cloud
+   */
+  async deleteRule(id) {
+    await this.load();
+    await indexedDBService.deleteAlertRule(id);
+    this.setRules(this.rules.filter((rule) => rule.id !== id));
+    this.pushToCloud();
+  }
+
+  /**
+   * Turn a rule on or off (turning a fired one-shot rule back on re-arms it)
+   */
+  async setRuleEnabled(id, enabled) {
+    const rule = this.rules.find((existing) => existing.id === id);
+    if (!rule) return null;
+    return this.saveRule({ ...rule, enabled, updatedAt: Date.now() });
+  }
+
+  /**
+   * Replace the local rules with the cloud copy (sync pull)
+   * @param {Array} rules - Rules from /api/sync/alerts
+   */
+  async applyCloudRules(rules) {
+    const stored = await indexedDBService.replaceAlertRules(rules || []);
+    this.loadPromise = Promise.resolve();
+    this.setRules(stored);
+    console.log(`🔔 Applied ${stored.length} alert rules from the cloud`);
+  }
+
+  /**
+   * Push the rule list (queued when offline; skipped when not logged in)
+   */
+  pushToCloud() {
+    syncManager.markPendingChanges('alerts', true);
+    syncManager.syncAlerts('push', this.rules).catch((error) => {
+      console.warn('Alert rules not synced:', error.message);
+    });
+  }
+
+  /**
+   * Fetch alerts the server fired since the last check, save them to the alert history,
+   * record the firings on their rules and notify 'missedAlerts' (App shows them)
+   * @returns {Promise<Array>} Fired alerts, oldest first
+   */
+  async fetchMissedAlerts() {
+    if (!(await syncManager.getAuthToken())) return [];
+
+    const since = Number(localStorage.getItem(LAST_FIRED_ALERT_KEY)) || 0;
+    let alerts;
+    try {
+      alerts = await syncManager.getFiredAlerts(since);
+    } catch (error) {
+      console.warn('Missed alerts not fetched:', error.message);
+      return [];
+    }
+    if (alerts.length === 0) return alerts;
+
+    for (const alert of alerts) {
+      await indexedDBService
+        .saveAlert({
+          symbol: alert.symbol,
+          type: 'price_alert',
+          message: alert.message,
+          timestamp: alert.firedAt,
+          metadata: { ruleId: alert.ruleId, price: alert.price, source: 'server' },
+        })
+        .catch((error) => console.warn('Failed to save alert to IndexedDB:', error));
+    }
+
+    await this.applyServerTriggers(alerts);
+
+    localStorage.setItem(LAST_FIRED_ALERT_KEY, String(alerts[alerts.length - 1].firedAt));
+    this.notifyListeners({ type: 'missedAlerts', data: alerts });
+    return alerts;
+  }
+
+  /**
+   * Disable fired one-shot rules and start cooldowns, as the server did when it fired them,
+   * then push the list once
+   * @param {Array} alerts - Fired alerts, oldest first
+   */
+  async applyServerTriggers(alerts) {
+    await this.load();
+    let rules = this.rules;
+
+    for (const alert of alerts) {
+      rules = rules.map((rule) =>
+        rule.id === alert.ruleId
+          ? mergeTriggerState(rule, {
+              lastTriggeredAt: alert.firedAt,
+              triggerCount: (rule.triggerCount || 0) + 1,
+              enabled: rule.mode === 'recurring',
+            })
+          : rule
+      );
+    }
+
+    const changed = rules.filter((rule, i) => rule !== this.rules[i]);
+    if (changed.length === 0) return;
+
+    for (const rule of changed) {
+      await indexedDBService.saveAlertRule(rule);
+    }
+    this.setRules(rules);
+    this.pushToCloud();
+  }
+
+  /**
+   * Evaluate the rules against the latest quotes
+   * Calls are serialized so a slow indicator fetch can't evaluate a quote twice.
+   * @param {Object} stockData - useSmartPolling stockData (symbol -> quote)
+   * @returns {Promise<Array>} Rules that fired
+   */
+  evaluate(stockData, now = Date.now()) {
+    this.evaluation = this.evaluation
+      .then(() => this.evaluateQuotes(stockData, now))
+      .catch((error) => {
+        console.error('Error evaluating alert rules:', error);
+        return [];
+      });
+    return this.evaluation;
+  }
+
+  async evaluateQuotes(stockData, now) {
+    await this.load();
+    const fired = [];
+
+    const symbols = [
+      ...new Set(this.rules.filter((rule) => rule.enabled).map((rule) => rule.symbol)),
+    ];
+
+    for (const symbol of symbols) {
+      const quote = stockData?.[symbol];
+      // Only fresh quotes - stockData changes whenever any symbol updates
+      if (!quote?.price || quote.timestamp === this.evaluatedAt[symbol]) continue;
+      this.evaluatedAt[symbol] = quote.timestamp;
+
+      const rules = this.rules.filter((rule) => rule.enabled && rule.symbol === symbol);
+      const indicators = rules.some(ruleUsesIndicators)
+        ? await this.getIndicators(symbol, quote.price)
+        : null;
+      const snapshot = buildAlertSnapshot(quote, indicators);
+      const previous = this.previousSnapshots[symbol] || null;
+      this.previousSnapshots[symbol] = snapshot;
+
+      for (const rule of rules) {
+        if (!evaluateRule(rule, snapshot, previous, now)) continue;
+
+        const triggered = applyTrigger(rule, now);
+        await this.saveRule(triggered);
+        fired.push(triggered);
+        this.notifyListeners({
+          type: 'ruleTriggered',
+          data: { rule: triggered, snapshot, message: createAlertRuleMessage(triggered, snapshot) },
+        });
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Technical indicators from split-adjusted daily bars (same series as StatsTile, so cached)
+   * @returns {Promise<Object|null>} computeIndicators output, null when bars are unavailable
+   */
+  async getIndicators(symbol, price) {
+    try {
+      const bars = await fetchTDSeries(symbol, '1day', 200, { adjust: 'splits' });
+      return computeIndicators(bars, price);
+    } catch (error) {
+      console.warn(`No indicators for ${symbol} alert rules:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Subscribe to rule events ('rulesUpdated', 'ruleTriggered', 'missedAlerts')
+   * @param {Function} listener - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in alert rule listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const alertRuleManager = new AlertRuleManager();
+
+// Expose to window for debugging
+if (typeof window !== 'undefined') {
+  window.alertRuleManager = alertRuleManager;
+}
+
+export default alertRuleManager;
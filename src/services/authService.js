@@ -0,0 +1,224 @@
+/**
+ * Auth Service
+ * Session tokens and account management calls against the Cloudflare Worker auth endpoints
+ * (the login form itself lives in pages/Login.jsx)
+ *
+ * Access tokens are short-lived; the refresh token rotates on every refresh
+ */
+
+const API_BASE = process.env.REACT_APP_WORKER_URL || '/api';
+
+// Refresh when the access token has less than this many seconds left
+const REFRESH_MARGIN_SECONDS = 120;
+
+// Single in-flight refresh - a rotated refresh token can only be used once
+let refreshPromise = null;
+
+/**
+ * Store the tokens returned by /auth/login or /auth/refresh
+ */
+export function storeSession(data) {
+  sessionStorage.setItem('authToken', data.token);
+  sessionStorage.setItem('isAuth', 'true');
+  if (data.username) sessionStorage.setItem('authUser', data.username);
+  if (data.role) sessionStorage.setItem('authRole', data.role);
+  if (data.refreshToken) sessionStorage.setItem('refreshToken', data.refreshToken);
+}
+
+/**
+ * Remove all session tokens from storage
+ */
+export function clearSession() {
+  sessionStorage.removeItem('authToken');
+  sessionStorage.removeItem('isAuth');
+  sessionStorage.removeItem('authUser');
+  sessionStorage.removeItem('authRole');
+  sessionStorage.removeItem('refreshToken');
+  sessionStorage.removeItem('syncEncryptionKey'); // syncEncryption's session key
+}
+
+/**
+ * Seconds until a JWT expires (0 if expired or unreadable)
+ */
+export function getTokenTimeLeft(token) {
+  if (!token) return 0;
+
+  try {
+    const parts = token.split('.');
+    if (parts.length !== 3) return 0;
+
+    const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (!payload.exp) return Infinity;
+
+    return Math.max(0, payload.exp - Math.floor(Date.now() / 1000));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Exchange the refresh token for a new token pair
+ * @returns {Promise<boolean>} True if the session was renewed
+ */
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = sessionStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(false);
+
+  refreshPromise = (async () => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        // Revoked, expired or reused - the refresh token is dead
+        if (response.status === 401) sessionStorage.removeItem('refreshToken');
+        return false;
+      }
+
+      const data = await response.json();
+      storeSession(data);
+      console.log('🔑 Session refreshed');
+      return true;
+    } catch (error) {
+      console.error('Session refresh failed:', error);
+      return false;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+}
+
+/**
+ * Get an access token, refreshing first if it is about to expire
+ * @returns {Promise<string|null>}
+ */
+export async function getValidAccessToken() {
+  const token = sessionStorage.getItem('authToken');
+
+  if (getTokenTimeLeft(token) > REFRESH_MARGIN_SECONDS) {
+    return token;
+  }
+
+  const refreshed = await refreshSession();
+  return refreshed ? sessionStorage.getItem('authToken') : token;
+}
+
+/**
+ * Revoke this device's session on the server
+ */
+export async function logoutSession() {
+  const refreshToken = sessionStorage.getItem('refreshToken');
+  if (!refreshToken) return;
+
+  try {
+    await fetch(`${API_BASE}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+  } catch (error) {
+    console.warn('Server logout failed:', error.message);
+  }
+}
+
+/**
+ * Get the signed-in user's role (admin, user or readonly)
+ */
+export function getAuthRole() {
+  return sessionStorage.getItem('authRole') || 'user';
+}
+
+/**
+ * POST/GET JSON with the session's Bearer token
+ * Retries once after refreshing if the access token was rejected
+ * @throws {Error} With the worker's error message on non-2xx responses
+ */
+async function authFetch(path, options = {}, isRetry = false) {
+  const token = await getValidAccessToken();
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers
+    }
+  });
+
+  if (response.status === 401 && !isRetry && (await refreshSession())) {
+    return authFetch(path, options, true);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (HTTP ${response.status})`);
+  }
+
+  return data;
+}
+
+/**
+ * Change the signed-in user's password
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ */
+export function changePassword(currentPassword, newPassword) {
+  return authFetch('/auth/change-password', {
+    method: 'POST',
+    body: JSON.stringify({ currentPassword, newPassword })
+  });
+}
+
+/**
+ * Create an account (admins may pick the role; others need an invite code)
+ * @param {Object} account - { username, password, role?, inviteCode? }
+ */
+export function registerUser(account) {
+  return authFetch('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify(account)
+  });
+}
+
+/**
+ * List all accounts (admin only)
+ * @returns {Promise<Array>} [{ username, role, createdAt, lastLoginAt }]
+ */
+export async function listUsers() {
+  const data = await authFetch('/admin/users');
+  return data.users || [];
+}
+
+/**
+ * Rolling worker request metrics (admin only)
+ * @returns {Promise<Object>} { scope, generatedAt, windows: { "1h": {...}, "24h": {...} } }
+ */
+export function getWorkerMetrics() {
+  return authFetch('/admin/metrics');
+}
+
+/**
+ * List this user's active sessions (devices)
+ * @returns {Promise<Array>} [{ sessionId, createdAt, lastUsedAt, userAgent, country, current }]
+ */
+export async function listSessions() {
+  const data = await authFetch('/auth/sessions');
+  return data.sessions || [];
+}
+
+/**
+ * Revoke one session, or every other session when no id is given
+ * @param {string|null} sessionId
+ */
+export function revokeSession(sessionId = null) {
+  const query = sessionId ? `?id=${encodeURIComponent(sessionId)}` : '';
+  return authFetch(`/auth/sessions${query}`, { method: 'DELETE' });
+}
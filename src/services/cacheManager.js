@@ -1,10 +1,12 @@
 /**
  * Cache Manager
  * Central cache with localStorage persistence and market-hours-aware TTLs
+ * (each symbol follows its own exchange's hours - see exchanges.js)
  * Implements stale-while-revalidate pattern for optimal UX
  */
 
-import { isMarketOpen } from '../utils/marketHours';
+import { isMarketOpen, isExtendedHours, getTimeUntilMarketOpen } from '../utils/marketHours';
+import { getSymbolExchange } from '../utils/exchanges';
 
 // Cache key prefix to avoid collisions
 const CACHE_PREFIX = 'mkt_cache_';
@@ -14,6 +16,7 @@ const CACHE_META_KEY = 'mkt_cache_meta';
 const TTL_CONFIG = {
   quote: {
     marketOpen: 1 * 60 * 1000,      // 1 minute during trading
+    extendedHours: 2 * 60 * 1000,   // 2 minutes in pre-market/after-hours
     marketClosed: 60 * 60 * 1000    // 1 hour when closed
   },
   statistics: {
@@ -27,20 +30,73 @@ const TTL_CONFIG = {
   timeSeries: {
     marketOpen: 1 * 60 * 1000,      // 1 minute during trading
     marketClosed: 60 * 60 * 1000    // 1 hour when closed
+  },
+  fundamentals: {
+    marketOpen: 24 * 60 * 60 * 1000,  // 24 hours always (statements change quarterly)
+    marketClosed: 24 * 60 * 60 * 1000
+  },
+  corporateActions: {
+    marketOpen: 24 * 60 * 60 * 1000,  // 24 hours always (announced weeks ahead)
+    marketClosed: 24 * 60 * 60 * 1000
+  },
+  earnings: {
+    marketOpen: 12 * 60 * 60 * 1000,  // 12 hours always (report dates rarely move)
+    marketClosed: 12 * 60 * 60 * 1000
+  },
+  earningsCalendar: {
+    marketOpen: 12 * 60 * 60 * 1000,  // 12 hours always (same as earnings)
+    marketClosed: 12 * 60 * 60 * 1000
+  },
+  news: {
+    marketOpen: 5 * 60 * 1000,      // 5 minutes during trading
+    marketClosed: 30 * 60 * 1000    // 30 minutes when closed
   }
 };
 
+// Time series TTL during trading, by bar interval (in milliseconds)
+// A bar is final once its interval has passed, so there's no point refetching sooner
+const SERIES_TTL_BY_INTERVAL = {
+  '1min': 1 * 60 * 1000,
+  '5min': 5 * 60 * 1000,
+  '15min': 15 * 60 * 1000,
+  '1h': 15 * 60 * 1000,
+  '1day': 15 * 60 * 1000
+};
+
 // Stale threshold multiplier (data is stale after TTL, but usable until this multiple)
 const STALE_MULTIPLIER = 5;
 
 /**
- * Get the appropriate TTL for a data type based on market status
- * @param {string} dataType - Type of data (quote, statistics, peers, timeSeries)
+ * Get the TTL for time series bars of an interval
+ * Closed-market bars can't change until the next session, so they stay fresh until it opens.
+ * @param {string} interval - Bar interval ('1min', '5min', '15min', '1h', '1day')
+ * @param {string} [symbol] - Symbol the bars are for (its exchange's hours apply; US when omitted)
  * @returns {number} TTL in milliseconds
  */
-function getTTL(dataType) {
+export function getSeriesTTL(interval, symbol) {
+  const exchange = getSymbolExchange(symbol);
+  if (!isMarketOpen(exchange)) {
+    return Math.max(TTL_CONFIG.timeSeries.marketClosed, getTimeUntilMarketOpen(exchange));
+  }
+  return SERIES_TTL_BY_INTERVAL[interval] || TTL_CONFIG.timeSeries.marketOpen;
+}
+
+/**
+ * Get the appropriate TTL for a data type based on the status of the symbol's market
+ * @param {string} dataType - Type of data (quote, statistics, peers, fundamentals, corporateActions, earnings, earningsCalendar, news, timeSeries or timeSeries:<interval>)
+ * @param {string} symbol - Stock symbol
+ * @returns {number} TTL in milliseconds
+ */
+function getTTL(dataType, symbol) {
+  if (dataType.startsWith('timeSeries:')) {
+    return getSeriesTTL(dataType.slice('timeSeries:'.length), symbol);
+  }
+  const exchange = getSymbolExchange(symbol);
   const config = TTL_CONFIG[dataType] || TTL_CONFIG.quote;
-  return isMarketOpen() ? config.marketOpen : config.marketClosed;
+  if (config.extendedHours && isExtendedHours(exchange)) {
+    return config.extendedHours;
+  }
+  return isMarketOpen(exchange) ? config.marketOpen : config.marketClosed;
 }
 
 /**
@@ -68,7 +124,7 @@ export function getFromCache(symbol, dataType) {
 
     const { data, timestamp, ttl } = JSON.parse(cached);
     const age = Date.now() - timestamp;
-    const currentTTL = getTTL(dataType);
+    const currentTTL = getTTL(dataType, symbol);
 
     // Check if data is still fresh
     const isFresh = age < currentTTL;
@@ -109,7 +165,7 @@ export function getFromCache(symbol, dataType) {
 export function setInCache(symbol, dataType, data) {
   try {
     const key = getCacheKey(symbol, dataType);
-    const ttl = getTTL(dataType);
+    const ttl = getTTL(dataType, symbol);
 
     const cacheEntry = {
       data,
@@ -128,7 +184,7 @@ export function setInCache(symbol, dataType, data) {
         localStorage.setItem(getCacheKey(symbol, dataType), JSON.stringify({
           data,
           timestamp: Date.now(),
-          ttl: getTTL(dataType)
+          ttl: getTTL(dataType, symbol)
         }));
       } catch (e) {
         console.error('Cache write failed even after cleanup:', e);
@@ -158,7 +214,7 @@ export function removeFromCache(symbol, dataType) {
  * @param {string} symbol - Stock symbol
  */
 export function clearSymbolCache(symbol) {
-  const dataTypes = ['quote', 'statistics', 'peers', 'timeSeries'];
+  const dataTypes = ['quote', 'statistics', 'peers', 'timeSeries', 'corporateActions', 'earnings', 'earningsCalendar'];
   dataTypes.forEach(dataType => removeFromCache(symbol, dataType));
 }
 
@@ -257,7 +313,7 @@ export function getCacheStats() {
           // Extract data type from key
           const keyParts = key.replace(CACHE_PREFIX, '').split('_');
           const dataType = keyParts[0];
-          const ttl = getTTL(dataType);
+          const ttl = getTTL(dataType, keyParts.slice(1).join('_'));
 
           stats.byType[dataType] = (stats.byType[dataType] || 0) + 1;
 
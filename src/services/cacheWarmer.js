@@ -152,6 +152,7 @@ export function stopWarmCache() {
 
 /**
  * Schedule cache warming when market opens
+ * Targets the next real session - weekends, holidays and early closes come from the trading calendar
  * @param {string[]} symbols - Array of stock symbols to warm
  * @param {Function} getSymbols - Function that returns current symbols (for dynamic lists)
  */
@@ -1,19 +1,24 @@
 /**
  * IndexedDB Service
- * Manages local database for historical quotes, alerts, and time series data
+ * Manages local database for historical quotes, alerts, alert rules, time series data,
+ * the sync op log and the offline sync write queue
  * Database: MarketTerminalDB
- * Retention: 90 days for quotes/alerts, 7 days for 1min bars, 2 years for daily bars
+ * Retention: 90 days for quotes/alerts, 7 days for 1min bars, 2 years for daily bars,
+ * 7 days for sync ops once pushed
  */
 
+import schemaMigrations from './schemaMigrations';
+
 const DB_NAME = 'MarketTerminalDB';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 
 // Retention periods in milliseconds
 const RETENTION = {
   QUOTES: 90 * 24 * 60 * 60 * 1000,        // 90 days
   ALERTS: 90 * 24 * 60 * 60 * 1000,        // 90 days
   TIME_SERIES_1MIN: 7 * 24 * 60 * 60 * 1000,   // 7 days
-  TIME_SERIES_1DAY: 2 * 365 * 24 * 60 * 60 * 1000  // 2 years
+  TIME_SERIES_1DAY: 2 * 365 * 24 * 60 * 60 * 1000,  // 2 years
+  SYNC_OPS: 7 * 24 * 60 * 60 * 1000        // 7 days (pushed ops only)
 };
 
 class IndexedDBService {
@@ -89,6 +94,20 @@ class IndexedDBService {
           timeSeriesStore.createIndex('datetime', 'datetime', { unique: false });
           console.log('📦 Created timeSeries store');
         }
+
+        // Store 4: Sync op log (v2) - watchlist/preferences mutations awaiting push
+        // `pushed` is 0/1 because IndexedDB can't index booleans
+        if (!db.objectStoreNames.contains('syncOps')) {
+          const opsStore = db.createObjectStore('syncOps', {
+            keyPath: 'id'
+          });
+          opsStore.createIndex('ts', 'ts', { unique: false });
+          opsStore.createIndex('pushed', 'pushed', { unique: false });
+          console.log('📦 Created syncOps store');
+        }
+
+        // Stores added from v3 on are declared in schemaMigrations
+        schemaMigrations.upgradeStores(db, event.oldVersion);
       };
     });
 
@@ -166,7 +185,7 @@ class IndexedDBService {
 
   /**
    * Save an alert event
-   * @param {Object} alertData - Alert data (symbol, type, message, metadata)
+   * @param {Object} alertData - Alert data (symbol, type, message, metadata, optional timestamp)
    */
   async saveAlert(alertData) {
     await this.init();
@@ -174,11 +193,13 @@ class IndexedDBService {
     const transaction = this.db.transaction(['alertHistory'], 'readwrite');
     const store = transaction.objectStore('alertHistory');
 
+    // Alerts fired elsewhere (the server's alert cron) keep the time they fired
+    const timestamp = alertData.timestamp || Date.now();
     const alert = {
-      id: `alert_${Date.now()}_${alertData.symbol}_${alertData.type}`,
+      id: `alert_${timestamp}_${alertData.symbol}_${alertData.type}`,
       symbol: alertData.symbol.toUpperCase(),
       type: alertData.type,
-      timestamp: Date.now(),
+      timestamp,
       message: alertData.message,
       metadata: alertData.metadata || {},
       savedAt: new Date().toISOString()
@@ -236,11 +257,105 @@ class IndexedDBService {
     });
   }
 
+  /**
+   * Save an alert rule (insert or replace)
+   * @param {Object} rule - Rule from utils/alertRules.createAlertRule
+   */
+  async saveAlertRule(rule) {
+    await this.init();
+
+    const validation = schemaMigrations.validate('alertRule', rule);
+    if (!validation.valid) {
+      throw new Error(`Invalid alert rule: ${validation.error}`);
+    }
+
+    const transaction = this.db.transaction(['alertRules'], 'readwrite');
+    const store = transaction.objectStore('alertRules');
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(rule);
+      request.onsuccess = () => resolve(rule);
+      request.onerror = () => {
+        console.error(`❌ Failed to save alert rule for ${rule.symbol}:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get all alert rules (oldest first)
+   * @returns {Promise<Array>} Array of rules
+   */
+  async getAlertRules() {
+    await this.init();
+
+    const transaction = this.db.transaction(['alertRules'], 'readonly');
+    const store = transaction.objectStore('alertRules');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt - b.createdAt));
+      request.onerror = () => {
+        console.error('❌ Failed to get alert rules:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Delete an alert rule
+   * @param {string} id - Rule id
+   */
+  async deleteAlertRule(id) {
+    await this.init();
+
+    const transaction = this.db.transaction(['alertRules'], 'readwrite');
+    const store = transaction.objectStore('alertRules');
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => {
+        console.error(`❌ Failed to delete alert rule ${id}:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Replace every alert rule (applying the cloud copy after a sync pull)
+   * Invalid rules are skipped rather than failing the whole set
+   * @param {Array} rules - Rules to keep
+   * @returns {Promise<Array>} The rules that were stored
+   */
+  async replaceAlertRules(rules) {
+    await this.init();
+
+    const valid = rules.filter(rule => {
+      const validation = schemaMigrations.validate('alertRule', rule);
+      if (!validation.valid) console.warn(`⚠️ Skipping invalid alert rule: ${validation.error}`);
+      return validation.valid;
+    });
+
+    const transaction = this.db.transaction(['alertRules'], 'readwrite');
+    const store = transaction.objectStore('alertRules');
+
+    return new Promise((resolve, reject) => {
+      store.clear();
+      valid.forEach(rule => store.put(rule));
+      transaction.oncomplete = () => resolve(valid);
+      transaction.onerror = () => {
+        console.error('❌ Failed to replace alert rules:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
   /**
    * Save time series data (OHLCV bars for charts)
    * @param {string} symbol - Stock symbol
-   * @param {string} interval - Time interval ('1min', '5min', '1hour', '1day', etc.)
-   * @param {Array} bars - Array of OHLCV bars
+   * @param {string} interval - Time interval ('1min', '5min', '15min', '1h', '1day')
+   * @param {Array} bars - Array of OHLCV bars with a Twelve Data `datetime`
    */
   async saveTimeSeries(symbol, interval, bars) {
     await this.init();
@@ -280,7 +395,7 @@ class IndexedDBService {
   /**
    * Get time series data for a symbol
    * @param {string} symbol - Stock symbol
-   * @param {string} interval - Time interval ('1min', '5min', '1hour', '1day', etc.)
+   * @param {string} interval - Time interval ('1min', '5min', '15min', '1h', '1day')
    * @param {number} days - Number of days of data (default: 7)
    * @returns {Promise<Array>} Array of OHLCV bars
    */
@@ -289,16 +404,17 @@ class IndexedDBService {
 
     const transaction = this.db.transaction(['timeSeries'], 'readonly');
     const store = transaction.objectStore('timeSeries');
-    const index = store.index('symbol');
 
     const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
 
+    // The primary key is [symbol, interval, datetime], so one interval is a key range
+    const upperSymbol = symbol.toUpperCase();
+    const range = IDBKeyRange.bound([upperSymbol, interval, ''], [upperSymbol, interval, '\uffff']);
+
     return new Promise((resolve, reject) => {
-      const request = index.getAll(symbol.toUpperCase());
+      const request = store.getAll(range);
       request.onsuccess = () => {
-        let bars = request.result.filter(
-          b => b.interval === interval && b.timestamp >= cutoff
-        );
+        let bars = request.result.filter(b => b.timestamp >= cutoff);
         // Sort by timestamp (oldest first)
         bars.sort((a, b) => a.timestamp - b.timestamp);
         console.log(`📈 Retrieved ${bars.length} ${interval} bars for ${symbol}`);
@@ -311,6 +427,168 @@ class IndexedDBService {
     });
   }
 
+  /**
+   * Record a sync op (not yet pushed)
+   * @param {Object} op - { id, deviceId, ts, type, key, value }
+   */
+  async saveSyncOp(op) {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncOps'], 'readwrite');
+    const store = transaction.objectStore('syncOps');
+
+    return new Promise((resolve, reject) => {
+      const request = store.put({ ...op, pushed: 0 });
+      request.onsuccess = () => resolve(op);
+      request.onerror = () => {
+        console.error(`❌ Failed to save sync op ${op.type}:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get ops that haven't been pushed yet (oldest first)
+   * @param {number} limit - Maximum number of ops to return
+   * @returns {Promise<Array>} Array of ops
+   */
+  async getPendingSyncOps(limit = 200) {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncOps'], 'readonly');
+    const index = transaction.objectStore('syncOps').index('pushed');
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(0);
+      request.onsuccess = () => {
+        const ops = request.result.sort((a, b) => a.ts - b.ts).slice(0, limit);
+        resolve(ops.map(({ pushed, ...op }) => op));
+      };
+      request.onerror = () => {
+        console.error('❌ Failed to get pending sync ops:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Count ops that haven't been pushed yet
+   */
+  async countPendingSyncOps() {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncOps'], 'readonly');
+    const index = transaction.objectStore('syncOps').index('pushed');
+
+    return new Promise((resolve, reject) => {
+      const request = index.count(0);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Mark ops as pushed to the cloud
+   * @param {string[]} ids - Op ids
+   */
+  async markSyncOpsPushed(ids) {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncOps'], 'readwrite');
+    const store = transaction.objectStore('syncOps');
+
+    const promises = ids.map(id => new Promise((resolve, reject) => {
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) return resolve();
+        const putRequest = store.put({ ...getRequest.result, pushed: 1 });
+        putRequest.onsuccess = () => resolve();
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    }));
+
+    await Promise.all(promises);
+  }
+
+  /**
+   * Queue a sync push for replay (replaces any queued push of the same type)
+   * @param {Object} entry - { type, payload, queuedAt, attempts, lastError }
+   */
+  async putQueuedSyncWrite(entry) {
+    await this.init();
+
+    const validation = schemaMigrations.validate('syncQueueEntry', entry);
+    if (!validation.valid) {
+      throw new Error(`Invalid sync queue entry: ${validation.error}`);
+    }
+
+    const transaction = this.db.transaction(['syncQueue'], 'readwrite');
+    const store = transaction.objectStore('syncQueue');
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(entry);
+      request.onsuccess = () => resolve(entry);
+      request.onerror = () => {
+        console.error(`❌ Failed to queue ${entry.type} sync:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get queued sync pushes (oldest first)
+   * @returns {Promise<Array>} Array of queue entries
+   */
+  async getQueuedSyncWrites() {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncQueue'], 'readonly');
+    const index = transaction.objectStore('syncQueue').index('queuedAt');
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to get queued sync writes:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Remove a replayed push - only if it wasn't replaced by a newer one meanwhile
+   * @param {string} type - Sync type
+   * @param {number} queuedAt - queuedAt of the entry that was replayed
+   */
+  async removeQueuedSyncWrite(type, queuedAt) {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncQueue'], 'readwrite');
+    const store = transaction.objectStore('syncQueue');
+
+    return new Promise((resolve, reject) => {
+      const getRequest = store.get(type);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result || getRequest.result.queuedAt !== queuedAt) return resolve(false);
+        const deleteRequest = store.delete(type);
+        deleteRequest.onsuccess = () => resolve(true);
+        deleteRequest.onerror = () => reject(deleteRequest.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  /**
+   * Count queued sync pushes
+   */
+  async countQueuedSyncWrites() {
+    await this.init();
+
+    const transaction = this.db.transaction(['syncQueue'], 'readonly');
+    return this._countStore(transaction.objectStore('syncQueue'));
+  }
+
   /**
    * Clean up old data based on retention policies
    * Removes entries older than retention period for each store
@@ -321,7 +599,7 @@ class IndexedDBService {
 
     const now = Date.now();
     const transaction = this.db.transaction(
-      ['historicalQuotes', 'alertHistory', 'timeSeries'],
+      ['historicalQuotes', 'alertHistory', 'timeSeries', 'syncOps'],
       'readwrite'
     );
 
@@ -339,9 +617,44 @@ class IndexedDBService {
     const timeSeriesStore = transaction.objectStore('timeSeries');
     await this._cleanupTimeSeries(timeSeriesStore, now);
 
+    // Cleanup pushed sync ops (7 days) - unpushed ops are kept until they reach the cloud
+    const opsStore = transaction.objectStore('syncOps');
+    await this._cleanupPushedOps(opsStore, now - RETENTION.SYNC_OPS);
+
     console.log('✅ IndexedDB cleanup complete');
   }
 
+  /**
+   * Helper: Clean up sync ops that were pushed before the cutoff
+   */
+  async _cleanupPushedOps(store, cutoff) {
+    return new Promise((resolve, reject) => {
+      const request = store.index('pushed').openCursor(IDBKeyRange.only(1));
+      let deletedCount = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          if (cursor.value.ts < cutoff) {
+            cursor.delete();
+            deletedCount++;
+          }
+          cursor.continue();
+        } else {
+          if (deletedCount > 0) {
+            console.log(`🗑️ Deleted ${deletedCount} old sync ops`);
+          }
+          resolve();
+        }
+      };
+
+      request.onerror = () => {
+        console.error('❌ Failed to cleanup sync ops:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
   /**
    * Helper: Clean up a store by timestamp
    */
@@ -476,14 +789,16 @@ class IndexedDBService {
     console.log('⚠️ Clearing all IndexedDB data...');
 
     const transaction = this.db.transaction(
-      ['historicalQuotes', 'alertHistory', 'timeSeries'],
+      ['historicalQuotes', 'alertHistory', 'timeSeries', 'syncOps', 'syncQueue'],
       'readwrite'
     );
 
     const promises = [
       new Promise((resolve) => transaction.objectStore('historicalQuotes').clear().onsuccess = resolve),
       new Promise((resolve) => transaction.objectStore('alertHistory').clear().onsuccess = resolve),
-      new Promise((resolve) => transaction.objectStore('timeSeries').clear().onsuccess = resolve)
+      new Promise((resolve) => transaction.objectStore('timeSeries').clear().onsuccess = resolve),
+      new Promise((resolve) => transaction.objectStore('syncOps').clear().onsuccess = resolve),
+      new Promise((resolve) => transaction.objectStore('syncQueue').clear().onsuccess = resolve)
     ];
 
     await Promise.all(promises);
@@ -0,0 +1,359 @@
+/**
+ * Op Log Service
+ * Records every watchlist/preferences mutation as a timestamped op in IndexedDB
+ * and syncs them through /api/sync/ops (push pending ops, pull ops since a cursor)
+ *
+ * Remote ops are applied last-writer-wins per symbol and per preference key,
+ * so ops can arrive late, out of order or twice without conflicting.
+ * With sync encryption on, each pushed batch is one encrypted blob.
+ */
+
+import indexedDBService from './indexedDBService';
+import { getValidAccessToken } from './authService';
+import syncEncryption from './syncEncryption';
+import { useWatchlistStore } from '../store/useWatchlistStore';
+import { usePreferencesStore } from '../store/usePreferencesStore';
+
+const WORKER_URL = process.env.REACT_APP_WORKER_URL || 'https://twelvedata.noamteshuva.workers.dev/api';
+
+const DEVICE_ID_KEY = 'syncDeviceId';
+const CURSOR_KEY = 'syncOpsCursor';
+const CLOCKS_KEY = 'syncOpsClocks';
+
+// Ops per POST (the worker accepts up to 500)
+const MAX_OPS_PER_PUSH = 200;
+
+// Safety cap on pull pages per sync
+const MAX_PULL_PAGES = 20;
+
+// Preference fields that sync (store actions are not state)
+const SYNCED_PREFERENCES = Object.keys(usePreferencesStore.getState().getAllPreferences());
+
+/**
+ * Clock key for last-writer-wins: one clock per symbol / preference key
+ */
+const getClockKey = (op) => (op.type.startsWith('watchlist.') ? `watchlist:${op.key}` : `preferences:${op.key}`);
+
+/**
+ * Whether an op is newer than the last write seen for its key
+ * Ties on timestamp are broken by device id so every device picks the same winner
+ */
+export const isNewerOp = (op, clock) =>
+  !clock || op.ts > clock.ts || (op.ts === clock.ts && op.deviceId > clock.deviceId);
+
+class OpLog {
+  constructor() {
+    this.deviceId = this.getDeviceId();
+    this.cursor = localStorage.getItem(CURSOR_KEY);
+    this.clocks = JSON.parse(localStorage.getItem(CLOCKS_KEY) || '{}');
+    this.applyingRemote = false;
+    this.unsubscribers = [];
+    this.listeners = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Stable id for this browser (tags ops so we skip our own on pull)
+   */
+  getDeviceId() {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Start recording store mutations (idempotent)
+   */
+  start() {
+    if (this.unsubscribers.length > 0) return;
+
+    this.unsubscribers.push(
+      useWatchlistStore.subscribe((state, prev) => {
+        if (this.applyingRemote || state.symbols === prev.symbols) return;
+
+        const before = new Set(prev.symbols);
+        const after = new Set(state.symbols);
+        state.symbols.filter(symbol => !before.has(symbol))
+          .forEach(symbol => this.record('watchlist.add', symbol));
+        prev.symbols.filter(symbol => !after.has(symbol))
+          .forEach(symbol => this.record('watchlist.remove', symbol));
+      }),
+
+      usePreferencesStore.subscribe((state, prev) => {
+        if (this.applyingRemote) return;
+
+        SYNCED_PREFERENCES
+          .filter(key => state[key] !== prev[key])
+          .forEach(key => this.record('preferences.set', key, state[key]));
+      })
+    );
+
+    console.log('📝 Op log recording started');
+  }
+
+  /**
+   * Stop recording store mutations
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Run store updates that came from the server without recording them as local ops
+   * @param {Function} apply - Updates the stores
+   */
+  applyRemote(apply) {
+    this.applyingRemote = true;
+    try {
+      apply();
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  /**
+   * Record a local op
+   * @param {string} type - 'watchlist.add', 'watchlist.remove' or 'preferences.set'
+   * @param {string} key - Symbol or preference key
+   * @param {*} value - New value (preferences only)
+   */
+  async record(type, key, value = null) {
+    const ts = Date.now();
+    const op = {
+      id: `${this.deviceId}:${ts}:${this.sequence++}`,
+      deviceId: this.deviceId,
+      ts,
+      type,
+      key,
+      value
+    };
+
+    this.setClock(op);
+
+    try {
+      await indexedDBService.saveSyncOp(op);
+      this.notifyListeners({ type: 'opRecorded', data: op });
+    } catch (error) {
+      console.error('Failed to record sync op:', error);
+    }
+
+    return op;
+  }
+
+  setClock(op) {
+    this.clocks[getClockKey(op)] = { ts: op.ts, deviceId: op.deviceId };
+    localStorage.setItem(CLOCKS_KEY, JSON.stringify(this.clocks));
+  }
+
+  setCursor(cursor) {
+    this.cursor = cursor;
+    localStorage.setItem(CURSOR_KEY, cursor);
+  }
+
+  /**
+   * Whether this device has pulled the op log at least once
+   */
+  hasCursor() {
+    return this.cursor !== null;
+  }
+
+  /**
+   * Number of ops waiting to be pushed
+   */
+  getPendingCount() {
+    return indexedDBService.countPendingSyncOps();
+  }
+
+  /**
+   * Push pending ops to the cloud
+   * @returns {Promise<number>} Number of ops pushed
+   */
+  async push(token) {
+    let pushed = 0;
+
+    for (;;) {
+      const ops = await indexedDBService.getPendingSyncOps(MAX_OPS_PER_PUSH);
+      if (ops.length === 0) break;
+
+      const response = await fetch(`${WORKER_URL}/sync/ops`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(syncEncryption.isEnabled()
+          ? { deviceId: this.deviceId, count: ops.length, encrypted: await syncEncryption.encrypt(ops) }
+          : { deviceId: this.deviceId, ops })
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || 'Failed to push sync ops');
+        error.status = response.status;
+        throw error;
+      }
+
+      await indexedDBService.markSyncOpsPushed(ops.map(op => op.id));
+      pushed += ops.length;
+
+      if (ops.length < MAX_OPS_PER_PUSH) break;
+    }
+
+    return pushed;
+  }
+
+  /**
+   * Pull ops from other devices since the cursor and apply them
+   * @returns {Promise<Object>} { applied, reset } - reset means the log expired past our cursor
+   */
+  async pull(token) {
+    let applied = 0;
+
+    for (let page = 0; page < MAX_PULL_PAGES; page++) {
+      const since = encodeURIComponent(this.cursor || '');
+      const response = await fetch(`${WORKER_URL}/sync/ops?since=${since}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || 'Failed to pull sync ops');
+        error.status = response.status;
+        throw error;
+      }
+
+      const result = await response.json();
+
+      if (result.reset) {
+        this.setCursor(result.cursor || '');
+        return { applied, reset: true };
+      }
+
+      const ops = [...(result.ops || [])];
+      for (const batch of result.encryptedBatches || []) {
+        ops.push(...await syncEncryption.decrypt(batch));
+      }
+
+      applied += this.applyRemoteOps(ops);
+
+      const advanced = result.cursor !== (this.cursor || '');
+      this.setCursor(result.cursor || '');
+
+      if (!result.hasMore || !advanced) break;
+    }
+
+    return { applied, reset: false };
+  }
+
+  /**
+   * Apply ops from other devices to the stores (last-writer-wins per key)
+   * @returns {number} Number of ops that changed local state
+   */
+  applyRemoteOps(ops) {
+    const winners = ops
+      .filter(op => op.deviceId !== this.deviceId)
+      .sort((a, b) => a.ts - b.ts)
+      .filter(op => {
+        if (!isNewerOp(op, this.clocks[getClockKey(op)])) return false;
+        this.setClock(op);
+        return true;
+      });
+
+    if (winners.length === 0) return 0;
+
+    const symbols = [...useWatchlistStore.getState().symbols];
+    const preferences = {};
+
+    for (const op of winners) {
+      if (op.type === 'watchlist.add' && !symbols.includes(op.key)) {
+        symbols.push(op.key);
+      } else if (op.type === 'watchlist.remove' && symbols.includes(op.key)) {
+        symbols.splice(symbols.indexOf(op.key), 1);
+      } else if (op.type === 'preferences.set' && SYNCED_PREFERENCES.includes(op.key)) {
+        preferences[op.key] = op.value;
+      }
+    }
+
+    this.applyRemote(() => {
+      useWatchlistStore.getState().setWatchlist(symbols);
+      if (Object.keys(preferences).length > 0) {
+        usePreferencesStore.getState().setFromSyncedData(preferences);
+      }
+    });
+
+    console.log(`📥 Applied ${winners.length} remote sync ops`);
+    this.notifyListeners({ type: 'opsApplied', data: winners });
+    return winners.length;
+  }
+
+  /**
+   * Push local ops, then pull remote ones
+   * @returns {Promise<Object>} { pushed, applied, reset }
+   */
+  async sync() {
+    const token = await getValidAccessToken();
+    if (!token) {
+      throw new Error('Not authenticated - please log in');
+    }
+
+    const pushed = await this.push(token);
+    const { applied, reset } = await this.pull(token);
+
+    return { pushed, applied, reset };
+  }
+
+  /**
+   * Subscribe to op log events
+   * @param {Function} listener - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify all listeners of op log events
+   */
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in op log listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Forget the cursor and clocks (next pull replays the whole cloud log)
+   */
+  reset() {
+    localStorage.removeItem(CURSOR_KEY);
+    localStorage.removeItem(CLOCKS_KEY);
+    this.cursor = null;
+    this.clocks = {};
+    console.log('🗑️ Op log cursor reset');
+  }
+}
+
+// Create singleton instance
+const opLog = new OpLog();
+
+// Expose to window for debugging
+if (typeof window !== 'undefined') {
+  window.opLog = opLog;
+}
+
+export default opLog;
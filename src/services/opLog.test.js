@@ -0,0 +1,203 @@
+/**
+ * Tests for the Op Log Service
+ * Last-writer-wins ordering of remote ops and how pulls follow the worker's cursor
+ *
+ * Run with: npm test opLog.test.js
+ */
+
+import opLog, { isNewerOp } from './opLog';
+import { useWatchlistStore } from '../store/useWatchlistStore';
+import { usePreferencesStore } from '../store/usePreferencesStore';
+
+jest.mock('./indexedDBService', () => ({
+  __esModule: true,
+  default: { saveSyncOp: jest.fn(async () => {}) },
+}));
+jest.mock('./authService', () => ({ getValidAccessToken: jest.fn(async () => 'token') }));
+jest.mock('./syncEncryption', () => ({
+  __esModule: true,
+  default: { isEnabled: () => false, decrypt: jest.fn() },
+}));
+jest.mock('../utils/peerFetcher', () => ({
+  getCachedPeers: jest.fn(),
+  getPeersWithInfo: jest.fn(),
+}));
+
+const LOCAL = 'device-local';
+const PHONE = 'device-phone';
+const TABLET = 'device-tablet';
+
+let sequence = 0;
+const op = (deviceId, ts, type, key, value = null) => ({
+  id: `${deviceId}:${ts}:${sequence++}`,
+  deviceId,
+  ts,
+  type,
+  key,
+  value,
+});
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+describe('opLog', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    opLog.reset();
+    opLog.deviceId = LOCAL;
+    useWatchlistStore.getState().setWatchlist(['AAPL']);
+    usePreferencesStore.getState().setFromSyncedData({ refreshInterval: 60000 });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    delete global.fetch;
+  });
+
+  test('isNewerOp compares timestamps, then device ids', () => {
+    const clock = { ts: 100, deviceId: PHONE };
+
+    expect(isNewerOp(op(TABLET, 50, 'watchlist.add', 'X'), undefined)).toBe(true);
+    expect(isNewerOp(op(LOCAL, 101, 'watchlist.add', 'X'), clock)).toBe(true);
+    expect(isNewerOp(op(TABLET, 99, 'watchlist.add', 'X'), clock)).toBe(false);
+    // Same millisecond: the higher device id wins on every device
+    expect(isNewerOp(op(TABLET, 100, 'watchlist.add', 'X'), clock)).toBe(true);
+    expect(isNewerOp(op(LOCAL, 100, 'watchlist.add', 'X'), clock)).toBe(false);
+  });
+
+  test('ops arriving out of order settle on the latest write per symbol', () => {
+    const add = op(PHONE, 100, 'watchlist.add', 'MSFT');
+    const remove = op(TABLET, 200, 'watchlist.remove', 'MSFT');
+
+    // The removal is pulled before the add it follows
+    expect(opLog.applyRemoteOps([remove])).toBe(1);
+    expect(opLog.applyRemoteOps([add])).toBe(0);
+    expect(useWatchlistStore.getState().symbols).toEqual(['AAPL']);
+
+    // In one page they are sorted by time first
+    opLog.reset();
+    expect(
+      opLog.applyRemoteOps([
+        op(TABLET, 400, 'watchlist.add', 'NVDA'),
+        op(PHONE, 300, 'watchlist.remove', 'NVDA'),
+      ])
+    ).toBe(2);
+    expect(useWatchlistStore.getState().symbols).toEqual(['AAPL', 'NVDA']);
+  });
+
+  test('duplicates and our own ops are skipped', () => {
+    const add = op(PHONE, 100, 'watchlist.add', 'TSLA');
+
+    expect(opLog.applyRemoteOps([add, op(LOCAL, 150, 'watchlist.remove', 'AAPL')])).toBe(1);
+    expect(opLog.applyRemoteOps([add])).toBe(0);
+    expect(useWatchlistStore.getState().symbols).toEqual(['AAPL', 'TSLA']);
+  });
+
+  test('a newer local write beats an older remote one', async () => {
+    const now = Date.now();
+    await opLog.record('preferences.set', 'refreshInterval', 30000);
+    usePreferencesStore.getState().setFromSyncedData({ refreshInterval: 30000 });
+
+    expect(
+      opLog.applyRemoteOps([op(PHONE, now - 1000, 'preferences.set', 'refreshInterval', 5000)])
+    ).toBe(0);
+    expect(usePreferencesStore.getState().refreshInterval).toBe(30000);
+
+    expect(
+      opLog.applyRemoteOps([op(PHONE, now + 1000, 'preferences.set', 'refreshInterval', 15000)])
+    ).toBe(1);
+    expect(usePreferencesStore.getState().refreshInterval).toBe(15000);
+  });
+
+  test('remote changes are not recorded as new local ops', async () => {
+    const indexedDBService = (await import('./indexedDBService')).default;
+    indexedDBService.saveSyncOp.mockClear();
+    opLog.start();
+
+    opLog.applyRemoteOps([op(PHONE, 100, 'watchlist.add', 'AMD')]);
+    expect(indexedDBService.saveSyncOp).not.toHaveBeenCalled();
+
+    useWatchlistStore.getState().setWatchlist(['AAPL', 'AMD', 'INTC']);
+    expect(indexedDBService.saveSyncOp).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'watchlist.add', key: 'INTC', deviceId: LOCAL })
+    );
+    opLog.stop();
+  });
+
+  test('a snapshot applied as remote is not recorded, and recording resumes after it', async () => {
+    const indexedDBService = (await import('./indexedDBService')).default;
+    indexedDBService.saveSyncOp.mockClear();
+    opLog.start();
+
+    // A day-old cloud snapshot without the symbols added since
+    opLog.applyRemote(() => useWatchlistStore.getState().setWatchlist(['MSFT']));
+    expect(indexedDBService.saveSyncOp).not.toHaveBeenCalled();
+    expect(opLog.applyingRemote).toBe(false);
+
+    expect(() =>
+      opLog.applyRemote(() => {
+        throw new Error('bad snapshot');
+      })
+    ).toThrow('bad snapshot');
+    expect(opLog.applyingRemote).toBe(false);
+
+    useWatchlistStore.getState().setWatchlist(['MSFT', 'AMZN']);
+    expect(indexedDBService.saveSyncOp).toHaveBeenCalledTimes(1);
+    expect(indexedDBService.saveSyncOp).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'watchlist.add', key: 'AMZN' })
+    );
+    opLog.stop();
+  });
+
+  test('pull follows the cursor until it stops advancing', async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(
+        jsonResponse({
+          ops: [op(PHONE, 100, 'watchlist.add', 'META')],
+          cursor: 'b1',
+          hasMore: true,
+        })
+      )
+      .mockResolvedValueOnce(
+        jsonResponse({
+          ops: [op(PHONE, 200, 'watchlist.add', 'ORCL')],
+          cursor: 'b2',
+          hasMore: true,
+        })
+      )
+      // Newest batches haven't settled - same cursor, so stop and ask again next sync
+      .mockResolvedValueOnce(
+        jsonResponse({
+          ops: [op(TABLET, 300, 'watchlist.add', 'IBM')],
+          cursor: 'b2',
+          hasMore: true,
+        })
+      );
+
+    expect(await opLog.pull('token')).toEqual({ applied: 3, reset: false });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(global.fetch.mock.calls.map(([url]) => url.split('since=')[1])).toEqual([
+      '',
+      'b1',
+      'b2',
+    ]);
+    expect(opLog.cursor).toBe('b2');
+    expect(localStorage.getItem('syncOpsCursor')).toBe('b2');
+
+    // The unsettled batch comes back on the next pull and changes nothing
+    global.fetch = jest.fn(async () =>
+      jsonResponse({ ops: [op(TABLET, 300, 'watchlist.add', 'IBM')], cursor: 'b3', hasMore: false })
+    );
+    expect((await opLog.pull('token')).applied).toBe(0);
+    expect(opLog.cursor).toBe('b3');
+    expect(useWatchlistStore.getState().symbols).toEqual(['AAPL', 'META', 'ORCL', 'IBM']);
+  });
+
+  test('an expired cursor asks for a resync from snapshots', async () => {
+    opLog.setCursor('000001000000000-old');
+    global.fetch = jest.fn(async () => jsonResponse({ reset: true, ops: [], cursor: '' }));
+
+    expect(await opLog.pull('token')).toEqual({ applied: 0, reset: true });
+    expect(opLog.cursor).toBe('');
+  });
+});
@@ -7,6 +7,7 @@
  */
 
 import { isMarketOpen } from '../utils/marketHours';
+import { getSymbolExchange } from '../utils/exchanges';
 
 const CACHE_KEY = 'peerQuotesCache';
 const CACHE_TTL = 300000; // 5 minutes
@@ -29,7 +30,7 @@ export const getCachedPeerQuotes = (parentSymbol) => {
 
     const { data, timestamp } = cache[upperSymbol];
     const age = Date.now() - timestamp;
-    const marketOpen = isMarketOpen();
+    const marketOpen = isMarketOpen(getSymbolExchange(upperSymbol));
 
     // During market closed: use any cached data (ignore TTL)
     if (!marketOpen) {
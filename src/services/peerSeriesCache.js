@@ -8,6 +8,7 @@
  */
 
 import { isMarketOpen } from '../utils/marketHours';
+import { getSymbolExchange } from '../utils/exchanges';
 
 const CACHE_KEY = 'peerSeriesCache';
 const CACHE_TTL = 3600000; // 1 hour
@@ -29,7 +30,7 @@ export const getCachedPeerSeries = (symbol) => {
 
     const { data, timestamp } = cache[upperSymbol];
     const age = Date.now() - timestamp;
-    const marketOpen = isMarketOpen();
+    const marketOpen = isMarketOpen(getSymbolExchange(upperSymbol));
 
     // During market closed: use any cached data (daily bars don't change)
     if (!marketOpen) {
@@ -4,8 +4,10 @@
  * Validates data integrity on load
  */
 
+import { ALERT_METRICS, ALERT_OPERATORS, ALERT_MODES, ALERT_COMBINATORS } from '../utils/alertRules';
+
 const SCHEMA_VERSION_KEY = 'schema_version';
-const CURRENT_SCHEMA_VERSION = 1;
+const CURRENT_SCHEMA_VERSION = 4;
 
 /**
  * Migration registry
@@ -20,13 +22,61 @@ const migrations = {
     return Promise.resolve();
   },
 
+  2: (db) => {
+    console.log('📦 Running migration v2: Sync op log');
+    // syncOps store is created by indexedDBService.js onupgradeneeded (DB_VERSION 2)
+    return Promise.resolve();
+  },
+
+  3: (db) => {
+    console.log('📦 Running migration v3: Offline sync write queue');
+    // syncQueue store is created by storeUpgrades[3] during onupgradeneeded (DB_VERSION 3)
+    return Promise.resolve();
+  },
+
+  4: (db) => {
+    console.log('📦 Running migration v4: Alert rules');
+    // alertRules store is created by storeUpgrades[4] during onupgradeneeded (DB_VERSION 4)
+    return Promise.resolve();
+  },
+
   // Future migrations would go here:
-  // 2: async (db) => {
-  //   console.log('📦 Running migration v2: Add new index...');
+  // 5: async (db) => {
+  //   console.log('📦 Running migration v5: Add new index...');
   //   // Add new indexes or object stores
   // },
 };
 
+/**
+ * Object store changes per IndexedDB version
+ * Stores can only be created inside the versionchange transaction, so these run
+ * synchronously from indexedDBService's onupgradeneeded (see upgradeStores)
+ */
+const storeUpgrades = {
+  3: (db) => {
+    // Sync pushes that failed or were made offline, replayed when back online
+    // Keyed by data type: a newer push of the same type replaces the queued one
+    if (!db.objectStoreNames.contains('syncQueue')) {
+      const queueStore = db.createObjectStore('syncQueue', {
+        keyPath: 'type'
+      });
+      queueStore.createIndex('queuedAt', 'queuedAt', { unique: false });
+      console.log('📦 Created syncQueue store');
+    }
+  },
+
+  4: (db) => {
+    // User-defined alert rules (see utils/alertRules.js), synced via /api/sync/alerts
+    if (!db.objectStoreNames.contains('alertRules')) {
+      const rulesStore = db.createObjectStore('alertRules', {
+        keyPath: 'id'
+      });
+      rulesStore.createIndex('symbol', 'symbol', { unique: false });
+      console.log('📦 Created alertRules store');
+    }
+  }
+};
+
 /**
  * Schema validation rules
  * Defines expected structure for each data type
@@ -84,6 +134,52 @@ const validators = {
     return { valid: true };
   },
 
+  /**
+   * Validate alert rule structure
+   */
+  alertRule: (data) => {
+    const required = ['id', 'symbol', 'conditions', 'combinator', 'mode'];
+    for (const field of required) {
+      if (data[field] === undefined || data[field] === null) {
+        return { valid: false, error: `Missing required field: ${field}` };
+      }
+    }
+
+    if (typeof data.symbol !== 'string' || !data.symbol) {
+      return { valid: false, error: 'symbol must be a non-empty string' };
+    }
+
+    if (!Array.isArray(data.conditions) || data.conditions.length === 0) {
+      return { valid: false, error: 'conditions must be a non-empty array' };
+    }
+
+    for (const condition of data.conditions) {
+      if (!ALERT_METRICS[condition.metric]) {
+        return { valid: false, error: `Unknown metric: ${condition.metric}` };
+      }
+      if (!ALERT_OPERATORS[condition.operator]) {
+        return { valid: false, error: `Unknown operator: ${condition.operator}` };
+      }
+      if (condition.target !== undefined ? !ALERT_METRICS[condition.target] : !Number.isFinite(condition.value)) {
+        return { valid: false, error: 'Each condition needs a numeric value or a known target metric' };
+      }
+    }
+
+    if (!ALERT_COMBINATORS.includes(data.combinator)) {
+      return { valid: false, error: `Unknown combinator: ${data.combinator}` };
+    }
+
+    if (!ALERT_MODES.includes(data.mode)) {
+      return { valid: false, error: `Unknown mode: ${data.mode}` };
+    }
+
+    if (data.cooldownMinutes !== undefined && (typeof data.cooldownMinutes !== 'number' || data.cooldownMinutes < 0)) {
+      return { valid: false, error: 'cooldownMinutes must be a non-negative number' };
+    }
+
+    return { valid: true };
+  },
+
   /**
    * Validate time series bar structure
    */
@@ -123,6 +219,50 @@ const validators = {
       return { valid: false, error: 'low must be <= open and close' };
     }
 
+    return { valid: true };
+  },
+
+  /**
+   * Validate sync op structure
+   */
+  syncOp: (data) => {
+    const required = ['id', 'deviceId', 'ts', 'type', 'key'];
+    for (const field of required) {
+      if (data[field] === undefined || data[field] === null) {
+        return { valid: false, error: `Missing required field: ${field}` };
+      }
+    }
+
+    if (typeof data.ts !== 'number' || data.ts <= 0) {
+      return { valid: false, error: 'ts must be a positive number' };
+    }
+
+    if (!['watchlist.add', 'watchlist.remove', 'preferences.set'].includes(data.type)) {
+      return { valid: false, error: `Unknown op type: ${data.type}` };
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * Validate queued sync write structure
+   */
+  syncQueueEntry: (data) => {
+    const required = ['type', 'queuedAt', 'attempts'];
+    for (const field of required) {
+      if (data[field] === undefined || data[field] === null) {
+        return { valid: false, error: `Missing required field: ${field}` };
+      }
+    }
+
+    if (!['watchlist', 'preferences', 'alerts', 'ops'].includes(data.type)) {
+      return { valid: false, error: `Unknown sync type: ${data.type}` };
+    }
+
+    if (typeof data.attempts !== 'number' || data.attempts < 0) {
+      return { valid: false, error: 'attempts must be a non-negative number' };
+    }
+
     return { valid: true };
   }
 };
@@ -186,9 +326,23 @@ class SchemaMigrations {
     console.log(`✅ Schema migration complete (now at v${CURRENT_SCHEMA_VERSION})`);
   }
 
+  /**
+   * Apply object store changes for an IndexedDB upgrade
+   * Must be called synchronously from onupgradeneeded
+   * @param {IDBDatabase} db - Database in its versionchange transaction
+   * @param {number} oldVersion - Version the database is upgrading from
+   */
+  upgradeStores(db, oldVersion) {
+    for (let version = oldVersion + 1; version <= CURRENT_SCHEMA_VERSION; version++) {
+      if (storeUpgrades[version]) {
+        storeUpgrades[version](db);
+      }
+    }
+  }
+
   /**
    * Validate data before saving
-   * @param {string} type - Data type ('quoteSnapshot', 'alert', 'timeSeriesBar')
+   * @param {string} type - Data type ('quoteSnapshot', 'alert', 'alertRule', 'timeSeriesBar', 'syncOp', 'syncQueueEntry')
    * @param {Object} data - Data to validate
    * @returns {Object} Validation result { valid, error }
    */
@@ -0,0 +1,198 @@
+/**
+ * Sync Channel Service
+ * Live WebSocket to /api/sync/live - the worker pushes a message whenever another
+ * session of this user writes its watchlist, preferences, alerts or op log
+ *
+ * Messages: { type: 'change', dataType: 'watchlist' | 'preferences' | 'alerts' | 'ops', at }
+ * The channel only notifies; the data itself is still pulled through syncManager.
+ */
+
+import { getValidAccessToken } from './authService';
+
+const WORKER_URL = process.env.REACT_APP_WORKER_URL || 'https://twelvedata.noamteshuva.workers.dev/api';
+
+// Reconnect backoff: 1s, 2s, 4s ... capped at 30s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Heartbeat so proxies don't drop an idle connection
+const PING_INTERVAL = 30000;
+
+/**
+ * Build the WebSocket URL for the live channel (http -> ws, https -> wss)
+ */
+export const getLiveUrl = (token, baseUrl = WORKER_URL) => {
+  const url = new URL(`${baseUrl}/sync/live`, typeof window !== 'undefined' ? window.location.href : undefined);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+export class SyncChannel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.WebSocketImpl - WebSocket constructor (injectable for tests)
+   * @param {Function} options.getToken - Resolves to an access token or null
+   */
+  constructor({ WebSocketImpl, getToken = getValidAccessToken } = {}) {
+    this.WebSocketImpl = WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.getToken = getToken;
+    this.socket = null;
+    this.listeners = [];
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.shouldConnect = false;
+    this.isConnected = false;
+  }
+
+  /**
+   * Open the channel (idempotent)
+   */
+  async connect() {
+    this.shouldConnect = true;
+    if (this.socket || !this.WebSocketImpl) return;
+
+    const token = await this.getToken();
+    // Not signed in, or disconnect() was called while we waited for the token
+    if (!token || !this.shouldConnect || this.socket) return;
+
+    const socket = new this.WebSocketImpl(getLiveUrl(token));
+    this.socket = socket;
+
+    socket.onopen = () => {
+      const reconnected = this.reconnectAttempts > 0;
+      this.reconnectAttempts = 0;
+      this.isConnected = true;
+      this.startPing();
+      console.log('🔌 Live sync channel connected');
+      this.notifyListeners({ type: 'connected', reconnected });
+    };
+
+    socket.onmessage = (event) => {
+      if (event.data === 'pong') return;
+
+      try {
+        const message = JSON.parse(event.data);
+        if (message.type === 'change') {
+          this.notifyListeners({ type: 'change', dataType: message.dataType, at: message.at });
+        }
+      } catch (error) {
+        console.error('Invalid sync channel message:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+
+      const wasConnected = this.isConnected;
+      this.socket = null;
+      this.isConnected = false;
+      this.stopPing();
+
+      if (wasConnected) {
+        this.notifyListeners({ type: 'disconnected' });
+      }
+
+      if (this.shouldConnect) {
+        this.scheduleReconnect();
+      }
+    };
+
+    // onclose follows onerror, which handles the reconnect
+    socket.onerror = () => {};
+  }
+
+  /**
+   * Close the channel and stop reconnecting
+   */
+  disconnect() {
+    this.shouldConnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopPing();
+
+    if (this.socket) {
+      const socket = this.socket;
+      const wasConnected = this.isConnected;
+      this.socket = null;
+      this.isConnected = false;
+      socket.close();
+
+      if (wasConnected) {
+        this.notifyListeners({ type: 'disconnected' });
+      }
+    }
+
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+    this.reconnectAttempts++;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  startPing() {
+    this.stopPing();
+    this.pingTimer = setInterval(() => {
+      if (this.socket && this.isConnected) {
+        this.socket.send('ping');
+      }
+    }, PING_INTERVAL);
+  }
+
+  stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+  }
+
+  /**
+   * Subscribe to channel events - the first subscriber opens the channel,
+   * the last one to unsubscribe closes it
+   * @param {Function} listener - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    this.connect();
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+      if (this.listeners.length === 0) {
+        this.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Notify all listeners of channel events
+   */
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in sync channel listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const syncChannel = new SyncChannel();
+
+// Expose to window for debugging
+if (typeof window !== 'undefined') {
+  window.syncChannel = syncChannel;
+}
+
+export default syncChannel;
@@ -0,0 +1,195 @@
+/**
+ * Tests for Sync Channel Service
+ * Runs the client against a fake WebSocket wired to the worker's SyncNotifier
+ *
+ * Run with: npm test syncChannel.test.js
+ */
+
+import { SyncChannel, getLiveUrl } from './syncChannel';
+import { SyncNotifier } from '../../workers/twelvedata';
+
+/**
+ * Local stand-in for the Durable Object state (hibernation API subset)
+ */
+class FakeNotifierState {
+  constructor() {
+    this.sockets = new Map();
+  }
+
+  acceptWebSocket(ws, tags) {
+    this.sockets.set(ws, tags);
+  }
+
+  getWebSockets() {
+    return [...this.sockets.keys()];
+  }
+
+  getTags(ws) {
+    return this.sockets.get(ws) || [];
+  }
+}
+
+const notifier = new SyncNotifier(new FakeNotifierState());
+
+/**
+ * Fake browser WebSocket - connects to the notifier stand-in with the token's session id
+ */
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closed = false;
+    FakeWebSocket.instances.push(this);
+
+    // Server side of the pair: what the notifier sends lands in our onmessage
+    this.server = {
+      send: (data) => this.onmessage && this.onmessage({ data }),
+      close: () => {}
+    };
+  }
+
+  open() {
+    const sid = new URL(this.url).searchParams.get('token');
+    notifier.state.acceptWebSocket(this.server, [sid]);
+    this.onopen && this.onopen();
+  }
+
+  send(data) {
+    this.sent.push(data);
+    notifier.webSocketMessage(this.server, data);
+  }
+
+  close() {
+    this.closed = true;
+    notifier.state.sockets.delete(this.server);
+  }
+
+  // Simulate the connection dropping
+  drop() {
+    notifier.state.sockets.delete(this.server);
+    this.onclose && this.onclose();
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createChannel = (sessionId) =>
+  new SyncChannel({ WebSocketImpl: FakeWebSocket, getToken: async () => sessionId });
+
+describe('Sync Channel', () => {
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    notifier.state.sockets.clear();
+  });
+
+  describe('getLiveUrl', () => {
+    test('switches https to wss and appends the token', () => {
+      expect(getLiveUrl('abc', 'https://example.workers.dev/api')).toBe(
+        'wss://example.workers.dev/api/sync/live?token=abc'
+      );
+    });
+
+    test('resolves a relative worker URL against the page', () => {
+      expect(getLiveUrl('abc', '/api')).toBe('ws://localhost/api/sync/live?token=abc');
+    });
+  });
+
+  test('delivers changes to other sessions but not the writer', async () => {
+    const laptop = createChannel('laptop');
+    const phone = createChannel('phone');
+    const laptopEvents = [];
+    const phoneEvents = [];
+
+    laptop.subscribe(event => laptopEvents.push(event));
+    phone.subscribe(event => phoneEvents.push(event));
+    await flush();
+    FakeWebSocket.instances.forEach(ws => ws.open());
+
+    const delivered = notifier.broadcast({ dataType: 'watchlist', sid: 'laptop', at: 123 });
+
+    expect(delivered).toBe(1);
+    expect(phoneEvents).toContainEqual({ type: 'change', dataType: 'watchlist', at: 123 });
+    expect(laptopEvents.some(event => event.type === 'change')).toBe(false);
+
+    laptop.disconnect();
+    phone.disconnect();
+  });
+
+  test('does not connect without an access token', async () => {
+    const channel = new SyncChannel({ WebSocketImpl: FakeWebSocket, getToken: async () => null });
+    channel.subscribe(() => {});
+    await flush();
+
+    expect(FakeWebSocket.instances).toHaveLength(0);
+  });
+
+  test('last unsubscribe closes the socket', async () => {
+    const channel = createChannel('laptop');
+    const unsubscribe = channel.subscribe(() => {});
+    await flush();
+    const socket = FakeWebSocket.instances[0];
+    socket.open();
+
+    unsubscribe();
+
+    expect(socket.closed).toBe(true);
+    expect(notifier.state.getWebSockets()).toHaveLength(0);
+  });
+
+  describe('with fake timers', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('reconnects with exponential backoff and reports the reconnect', async () => {
+      const channel = createChannel('phone');
+      const events = [];
+      channel.subscribe(event => events.push(event));
+      await Promise.resolve();
+      FakeWebSocket.instances[0].open();
+
+      // First drop: retry after 1s
+      FakeWebSocket.instances[0].drop();
+      jest.advanceTimersByTime(999);
+      expect(FakeWebSocket.instances).toHaveLength(1);
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+      expect(FakeWebSocket.instances).toHaveLength(2);
+
+      // Second attempt fails before opening: next retry waits 2s
+      FakeWebSocket.instances[1].drop();
+      jest.advanceTimersByTime(1999);
+      await Promise.resolve();
+      expect(FakeWebSocket.instances).toHaveLength(2);
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+      expect(FakeWebSocket.instances).toHaveLength(3);
+
+      FakeWebSocket.instances[2].open();
+      expect(events).toContainEqual({ type: 'disconnected' });
+      expect(events[events.length - 1]).toEqual({ type: 'connected', reconnected: true });
+      expect(channel.reconnectAttempts).toBe(0);
+
+      channel.disconnect();
+    });
+
+    test('sends a heartbeat ping that the notifier answers', async () => {
+      const channel = createChannel('phone');
+      channel.subscribe(() => {});
+      await Promise.resolve();
+      const socket = FakeWebSocket.instances[0];
+      socket.open();
+
+      jest.advanceTimersByTime(30000);
+
+      expect(socket.sent).toEqual(['ping']);
+      channel.disconnect();
+    });
+  });
+});
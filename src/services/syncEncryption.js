@@ -0,0 +1,190 @@
+/**
+ * Sync Encryption Service
+ * Opt-in end-to-end encryption of synced data (watchlist, preferences, alerts, op log)
+ *
+ * The sync passphrase never leaves the browser. The derived key is kept in
+ * sessionStorage for the tab's lifetime (like the auth token) and cleared on logout;
+ * localStorage only remembers that encryption is on, plus a key check value
+ * used to verify the passphrase when unlocking.
+ */
+
+import {
+  deriveSyncKey,
+  exportSyncKey,
+  importSyncKey,
+  encryptPayload,
+  decryptPayload
+} from '../utils/syncCrypto';
+
+const SETTINGS_KEY = 'syncEncryption';
+const SESSION_KEY = 'syncEncryptionKey';
+const KEY_CHECK_VALUE = 'market-terminal-sync-key-check';
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const LOCKED_MESSAGE = 'Sync data is end-to-end encrypted - enter your sync passphrase in Settings';
+
+class SyncEncryption {
+  constructor() {
+    this.settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    this.rawKey = null;
+    this.key = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Whether this device encrypts what it syncs
+   */
+  isEnabled() {
+    return !!this.settings?.enabled;
+  }
+
+  /**
+   * Whether the key is available for this session
+   */
+  isUnlocked() {
+    return !!sessionStorage.getItem(SESSION_KEY);
+  }
+
+  /**
+   * Current session key (null when locked)
+   */
+  async getKey() {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    if (!raw) return null;
+
+    if (raw !== this.rawKey) {
+      this.key = await importSyncKey(raw);
+      this.rawKey = raw;
+    }
+    return this.key;
+  }
+
+  async setKey(key) {
+    const raw = await exportSyncKey(key);
+    sessionStorage.setItem(SESSION_KEY, raw);
+    this.rawKey = raw;
+    this.key = key;
+  }
+
+  /**
+   * Turn encryption on with a new passphrase
+   * @param {string} passphrase - Sync passphrase (use the same one on every device)
+   * @param {string} username - Signed-in user
+   */
+  async enable(passphrase, username) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Sync passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const key = await deriveSyncKey(passphrase, username);
+    const keyCheck = await encryptPayload(key, KEY_CHECK_VALUE);
+
+    await this.setKey(key);
+    this.saveSettings({ enabled: true, keyCheck, enabledAt: Date.now() });
+    console.log('🔐 Sync encryption enabled');
+  }
+
+  /**
+   * Unlock for this session after a reload or new login
+   */
+  async unlock(passphrase, username) {
+    const key = await deriveSyncKey(passphrase, username);
+
+    if (this.settings?.keyCheck) {
+      const check = await decryptPayload(key, this.settings.keyCheck).catch(() => null);
+      if (check !== KEY_CHECK_VALUE) {
+        throw new Error('Wrong sync passphrase');
+      }
+    }
+
+    await this.setKey(key);
+    this.notifyListeners({ type: 'unlocked' });
+  }
+
+  /**
+   * Turn encryption off (next snapshots are uploaded in plaintext)
+   */
+  disable() {
+    this.saveSettings(null);
+    this.lock();
+    console.log('🔓 Sync encryption disabled');
+  }
+
+  /**
+   * Forget the session key
+   */
+  lock() {
+    sessionStorage.removeItem(SESSION_KEY);
+    this.rawKey = null;
+    this.key = null;
+  }
+
+  saveSettings(settings) {
+    this.settings = settings;
+    if (settings) {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } else {
+      localStorage.removeItem(SETTINGS_KEY);
+    }
+    this.notifyListeners({ type: 'settingsChanged', data: settings });
+  }
+
+  /**
+   * Encrypt a payload for upload
+   * @throws when encryption is on but the key isn't unlocked
+   */
+  async encrypt(data) {
+    const key = await this.getKey();
+    if (!key) {
+      throw new Error(LOCKED_MESSAGE);
+    }
+    return encryptPayload(key, data);
+  }
+
+  /**
+   * Decrypt a downloaded envelope
+   * @throws when locked or when the passphrase doesn't match
+   */
+  async decrypt(envelope) {
+    const key = await this.getKey();
+    if (!key) {
+      throw new Error(LOCKED_MESSAGE);
+    }
+    return decryptPayload(key, envelope);
+  }
+
+  /**
+   * Subscribe to encryption setting changes
+   * @param {Function} listener - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify all listeners of encryption events
+   */
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in sync encryption listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const syncEncryption = new SyncEncryption();
+
+// Expose to window for debugging
+if (typeof window !== 'undefined') {
+  window.syncEncryption = syncEncryption;
+}
+
+export default syncEncryption;
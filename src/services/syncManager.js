@@ -3,23 +3,138 @@
  * Handles multi-device sync of watchlist, preferences, and alerts
  * Uses Cloudflare Worker + KV for cloud storage
  * Local-first strategy with conflict resolution
+ * (versioned watchlist writes, three-way merged on conflict)
+ *
+ * Day-to-day changes travel as small ops through the op log (opLog.js);
+ * full documents are only pushed as periodic snapshots for new devices.
+ * Pushes made offline or lost to network errors go to the sync queue (syncQueue.js)
+ * and are replayed once back online.
+ * With end-to-end encryption on (syncEncryption.js), documents are sealed before upload.
  */
 
+import { getValidAccessToken } from './authService';
+import opLog from './opLog';
+import offlineDetector from './offlineDetector';
+import syncQueue, { isRetryableError } from './syncQueue';
+import syncEncryption from './syncEncryption';
+import { mergeSymbolLists, sameSymbols } from '../utils/syncMerge';
+
 const WORKER_URL = process.env.REACT_APP_WORKER_URL || 'https://twelvedata.noamteshuva.workers.dev/api';
 
+// How many times to merge and retry when the cloud watchlist keeps changing underneath us
+const MAX_MERGE_ATTEMPTS = 3;
+
+// Full-document snapshots are refreshed at most this often (ops carry changes in between)
+const SNAPSHOT_INTERVAL = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an Error from a failed response, keeping the status for retry decisions
+ */
+const responseError = async (response, fallback) => {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error || fallback);
+  error.status = response.status;
+  return error;
+};
+
 class SyncManager {
   constructor() {
     this.isSyncing = false;
     this.lastSyncTime = this.getLastSyncTime();
     this.pendingChanges = this.getPendingChanges();
     this.listeners = [];
+
+    // Every recorded op means that data type has something to push
+    opLog.subscribe((event) => {
+      if (event.type === 'opRecorded') {
+        this.markPendingChanges(event.data.type.split('.')[0], true);
+      }
+    });
+
+    syncQueue.start((entry) => this.replayQueuedPush(entry));
+  }
+
+  /**
+   * Seal a document for upload (unchanged unless encryption is on)
+   */
+  async sealDocument(data) {
+    if (!syncEncryption.isEnabled()) return data;
+    return { encrypted: await syncEncryption.encrypt(data) };
+  }
+
+  /**
+   * Open a downloaded document - decrypts { encrypted } and keeps the server metadata
+   * (timestamp, version); plaintext documents from before encryption pass through
+   */
+  async openDocument(doc) {
+    if (!doc?.encrypted) return doc;
+
+    const { encrypted, ...metadata } = doc;
+    return { ...metadata, ...(await syncEncryption.decrypt(encrypted)) };
+  }
+
+  /**
+   * Re-upload every document on the next sync (e.g. after encryption was turned on or off)
+   */
+  resetSnapshots() {
+    ['watchlist', 'preferences', 'alerts'].forEach(type => {
+      this.lastSyncTime[type] = null;
+    });
+    localStorage.setItem('lastSyncTime', JSON.stringify(this.lastSyncTime));
+    this.notifyListeners({ type: 'syncTimeUpdated', data: this.lastSyncTime });
+  }
+
+  /**
+   * Push now, or queue the push when offline or the network fails
+   * @param {string} type - 'watchlist', 'preferences', 'alerts' or 'ops'
+   * @param {*} payload - Data to push (kept in the queue for replay)
+   * @param {Function} push - Performs the push
+   * @returns {Promise<Object>} Push result, or { queued: true } when deferred
+   */
+  async pushOrQueue(type, payload, push) {
+    if (offlineDetector.isOffline) {
+      await syncQueue.enqueue(type, payload, 'Offline');
+      return { direction: 'push', success: false, queued: true };
+    }
+
+    try {
+      return await push();
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+
+      await syncQueue.enqueue(type, payload, error.message);
+      return { direction: 'push', success: false, queued: true, error: error.message };
+    }
   }
 
   /**
-   * Get auth token from session storage
+   * Replay a queued push (called by syncQueue once back online)
+   * Throws so the queue can back off and retry
+   */
+  async replayQueuedPush(entry) {
+    let result;
+
+    if (entry.type === 'watchlist') {
+      result = await this.pushWatchlist(entry.payload);
+    } else if (entry.type === 'preferences') {
+      result = await this.pushPreferences(entry.payload);
+    } else if (entry.type === 'alerts') {
+      result = await this.pushAlerts(entry.payload);
+    } else if (entry.type === 'ops') {
+      result = await this.runOpSync();
+    } else {
+      throw new Error(`Unknown queued sync type: ${entry.type}`);
+    }
+
+    this.notifyListeners({ type: 'queuedPushReplayed', data: { type: entry.type, result } });
+    return result;
+  }
+
+  /**
+   * Get auth token from session storage (refreshed first if about to expire)
    */
   getAuthToken() {
-    return sessionStorage.getItem('authToken');
+    return getValidAccessToken();
   }
 
   /**
@@ -64,6 +179,57 @@ class SyncManager {
     this.notifyListeners({ type: 'pendingChangesUpdated', data: this.pendingChanges });
   }
 
+  /**
+   * Get the last synced document per type ({ version, symbols }) - the merge base
+   */
+  getSyncBase() {
+    const stored = localStorage.getItem('syncBase');
+    return stored ? JSON.parse(stored) : {};
+  }
+
+  /**
+   * Remember the version and contents this device last agreed with the cloud on
+   */
+  setSyncBase(type, base) {
+    const bases = this.getSyncBase();
+    bases[type] = base;
+    localStorage.setItem('syncBase', JSON.stringify(bases));
+  }
+
+  /**
+   * Whether a full-document snapshot of this type is due
+   */
+  isSnapshotDue(type) {
+    const lastSync = this.lastSyncTime[type];
+    return !lastSync || Date.now() - lastSync > SNAPSHOT_INTERVAL;
+  }
+
+  /**
+   * Incremental sync: push this device's recorded ops, then pull other devices' ops
+   * @returns {Promise<Object>} { pushed, applied, reset }
+   */
+  async syncOps() {
+    // Pending ops already persist in IndexedDB - the queue entry just schedules a retry
+    return this.pushOrQueue('ops', null, () => this.runOpSync());
+  }
+
+  /**
+   * Exchange ops now (no queueing)
+   */
+  async runOpSync() {
+    const result = await opLog.sync();
+
+    const pendingCount = await opLog.getPendingCount();
+    if (pendingCount === 0) {
+      this.markPendingChanges('watchlist', false);
+      this.markPendingChanges('preferences', false);
+    }
+
+    this.setLastSyncTime('ops', Date.now());
+    console.log(`✅ Ops synced (${result.pushed} pushed, ${result.applied} applied)`);
+    return result;
+  }
+
   /**
    * Check if there are any pending changes
    */
@@ -73,202 +239,293 @@ class SyncManager {
 
   /**
    * Sync watchlist to/from cloud
+   * Pushes are versioned: if another device wrote first (409), local additions and
+   * removals since the last sync are merged onto the cloud copy and the push retried.
    * @param {string} direction - 'push' or 'pull'
    * @param {Object} localData - Local watchlist data (for push)
-   * @returns {Promise<Object>} Sync result
+   * @returns {Promise<Object>} Sync result ({ merged, symbols } tell the caller to update the store)
    */
   async syncWatchlist(direction = 'push', localData = null) {
-    const token = this.getAuthToken();
-    if (!token) {
-      throw new Error('Not authenticated - please log in');
-    }
-
     if (direction === 'push') {
       // Upload local watchlist to cloud
       if (!localData || !Array.isArray(localData.symbols)) {
         throw new Error('Invalid watchlist data');
       }
 
+      return this.pushOrQueue('watchlist', localData, () => this.pushWatchlist(localData));
+    }
+
+    const token = await this.getAuthToken();
+    if (!token) {
+      throw new Error('Not authenticated - please log in');
+    }
+
+    // Download watchlist from cloud
+    const response = await fetch(`${WORKER_URL}/sync/watchlist`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch watchlist');
+    }
+
+    const result = await response.json();
+
+    if (!result.exists) {
+      console.log('📭 No watchlist found in cloud');
+      return { direction: 'pull', success: true, exists: false };
+    }
+
+    const data = await this.openDocument(result.data);
+    this.setSyncBase('watchlist', { version: result.version || 0, symbols: data.symbols || [] });
+    this.setLastSyncTime('watchlist', result.lastModified);
+    console.log('✅ Watchlist downloaded from cloud');
+
+    return {
+      direction: 'pull',
+      success: true,
+      exists: true,
+      data,
+      version: result.version || 0,
+      lastModified: result.lastModified
+    };
+  }
+
+  /**
+   * Upload the local watchlist (merging and retrying on version conflicts)
+   */
+  async pushWatchlist(localData) {
+    const token = await this.getAuthToken();
+    if (!token) {
+      throw new Error('Not authenticated - please log in');
+    }
+
+    const base = this.getSyncBase().watchlist || { version: 0, symbols: [] };
+    let symbols = localData.symbols;
+    let baseVersion = base.version;
+
+    for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
       const response = await fetch(`${WORKER_URL}/sync/watchlist`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ symbols: localData.symbols })
+        body: JSON.stringify({ ...(await this.sealDocument({ symbols })), baseVersion })
       });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to sync watchlist');
+      if (response.status === 409) {
+        const conflict = await response.json();
+        const current = await this.openDocument(conflict.current);
+        symbols = mergeSymbolLists(base.symbols, localData.symbols, current?.symbols || []);
+        baseVersion = conflict.version;
+        console.log(`🔀 Watchlist changed on another device (v${conflict.version}) - merged, retrying`);
+        continue;
       }
 
-      const result = await response.json();
-      this.setLastSyncTime('watchlist', result.timestamp);
-      this.markPendingChanges('watchlist', false);
-
-      console.log('✅ Watchlist synced to cloud');
-      return { direction: 'push', success: true, timestamp: result.timestamp };
-    } else {
-      // Download watchlist from cloud
-      const response = await fetch(`${WORKER_URL}/sync/watchlist`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch watchlist');
+        throw await responseError(response, 'Failed to sync watchlist');
       }
 
       const result = await response.json();
+      this.setSyncBase('watchlist', { version: result.version, symbols });
+      this.setLastSyncTime('watchlist', result.timestamp);
+      this.markPendingChanges('watchlist', false);
 
-      if (!result.exists) {
-        console.log('📭 No watchlist found in cloud');
-        return { direction: 'pull', success: true, exists: false };
-      }
-
-      this.setLastSyncTime('watchlist', result.lastModified);
-      console.log('✅ Watchlist downloaded from cloud');
-
+      const merged = !sameSymbols(symbols, localData.symbols);
+      console.log(`✅ Watchlist synced to cloud (v${result.version}${merged ? ', merged' : ''})`);
       return {
-        direction: 'pull',
+        direction: 'push',
         success: true,
-        exists: true,
-        data: result.data,
-        lastModified: result.lastModified
+        timestamp: result.timestamp,
+        version: result.version,
+        merged,
+        symbols
       };
     }
+
+    throw new Error('Watchlist kept changing on another device - please sync again');
   }
 
   /**
    * Sync preferences to/from cloud
    */
   async syncPreferences(direction = 'push', localData = null) {
-    const token = this.getAuthToken();
+    if (direction === 'push') {
+      return this.pushOrQueue('preferences', localData || {}, () => this.pushPreferences(localData));
+    }
+
+    const token = await this.getAuthToken();
     if (!token) {
       throw new Error('Not authenticated - please log in');
     }
 
-    if (direction === 'push') {
-      const response = await fetch(`${WORKER_URL}/sync/preferences`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(localData || {})
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to sync preferences');
+    const response = await fetch(`${WORKER_URL}/sync/preferences`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
       }
+    });
 
-      const result = await response.json();
-      this.setLastSyncTime('preferences', result.timestamp);
-      this.markPendingChanges('preferences', false);
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch preferences');
+    }
 
-      console.log('✅ Preferences synced to cloud');
-      return { direction: 'push', success: true, timestamp: result.timestamp };
-    } else {
-      const response = await fetch(`${WORKER_URL}/sync/preferences`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+    const result = await response.json();
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch preferences');
-      }
+    if (!result.exists) {
+      console.log('📭 No preferences found in cloud');
+      return { direction: 'pull', success: true, exists: false };
+    }
 
-      const result = await response.json();
+    const data = await this.openDocument(result.data);
+    this.setLastSyncTime('preferences', result.lastModified);
+    console.log('✅ Preferences downloaded from cloud');
 
-      if (!result.exists) {
-        console.log('📭 No preferences found in cloud');
-        return { direction: 'pull', success: true, exists: false };
-      }
+    return {
+      direction: 'pull',
+      success: true,
+      exists: true,
+      data,
+      lastModified: result.lastModified
+    };
+  }
 
-      this.setLastSyncTime('preferences', result.lastModified);
-      console.log('✅ Preferences downloaded from cloud');
+  /**
+   * Upload local preferences
+   */
+  async pushPreferences(localData) {
+    const token = await this.getAuthToken();
+    if (!token) {
+      throw new Error('Not authenticated - please log in');
+    }
 
-      return {
-        direction: 'pull',
-        success: true,
-        exists: true,
-        data: result.data,
-        lastModified: result.lastModified
-      };
+    const response = await fetch(`${WORKER_URL}/sync/preferences`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(await this.sealDocument(localData || {}))
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to sync preferences');
     }
+
+    const result = await response.json();
+    this.setLastSyncTime('preferences', result.timestamp);
+    this.markPendingChanges('preferences', false);
+
+    console.log('✅ Preferences synced to cloud');
+    return { direction: 'push', success: true, timestamp: result.timestamp };
   }
 
   /**
    * Sync alerts to/from cloud
    */
   async syncAlerts(direction = 'push', localData = null) {
-    const token = this.getAuthToken();
+    if (direction === 'push') {
+      return this.pushOrQueue('alerts', localData || [], () => this.pushAlerts(localData));
+    }
+
+    const token = await this.getAuthToken();
     if (!token) {
       throw new Error('Not authenticated - please log in');
     }
 
-    if (direction === 'push') {
-      const response = await fetch(`${WORKER_URL}/sync/alerts`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ alerts: localData || [] })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to sync alerts');
+    const response = await fetch(`${WORKER_URL}/sync/alerts`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
       }
+    });
 
-      const result = await response.json();
-      this.setLastSyncTime('alerts', result.timestamp);
-      this.markPendingChanges('alerts', false);
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch alerts');
+    }
 
-      console.log('✅ Alerts synced to cloud');
-      return { direction: 'push', success: true, timestamp: result.timestamp };
-    } else {
-      const response = await fetch(`${WORKER_URL}/sync/alerts`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+    const result = await response.json();
+    const data = result.encrypted
+      ? (await syncEncryption.decrypt(result.encrypted)).alerts
+      : result.data;
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch alerts');
-      }
+    this.setLastSyncTime('alerts', result.lastModified || Date.now());
+    console.log('✅ Alerts downloaded from cloud');
 
-      const result = await response.json();
+    return {
+      direction: 'pull',
+      success: true,
+      exists: result.exists,
+      data: data || [],
+      lastModified: result.lastModified
+    };
+  }
 
-      this.setLastSyncTime('alerts', result.lastModified || Date.now());
-      console.log('✅ Alerts downloaded from cloud');
+  /**
+   * Upload local alerts
+   */
+  async pushAlerts(localData) {
+    const token = await this.getAuthToken();
+    if (!token) {
+      throw new Error('Not authenticated - please log in');
+    }
 
-      return {
-        direction: 'pull',
-        success: true,
-        exists: result.exists,
-        data: result.data || [],
-        lastModified: result.lastModified
-      };
+    const response = await fetch(`${WORKER_URL}/sync/alerts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(await this.sealDocument({ alerts: localData || [] }))
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to sync alerts');
+    }
+
+    const result = await response.json();
+    this.setLastSyncTime('alerts', result.timestamp);
+    this.markPendingChanges('alerts', false);
+
+    console.log('✅ Alerts synced to cloud');
+    return { direction: 'push', success: true, timestamp: result.timestamp };
+  }
+
+  /**
+   * Alerts the server's alert cron fired after a timestamp
+   * @param {number} since - Timestamp (ms) of the newest alert already seen
+   * @returns {Promise<Array>} [{ id, ruleId, symbol, message, price, firedAt }], oldest first
+   */
+  async getFiredAlerts(since = 0) {
+    const token = await this.getAuthToken();
+    if (!token) {
+      throw new Error('Not authenticated - please log in');
+    }
+
+    const response = await fetch(`${WORKER_URL}/sync/alerts/fired?since=${since}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch fired alerts');
     }
+
+    const result = await response.json();
+    return result.alerts || [];
   }
 
   /**
    * Get sync status from server
    */
   async getSyncStatus() {
-    const token = this.getAuthToken();
+    const token = await this.getAuthToken();
     if (!token) {
       throw new Error('Not authenticated - please log in');
     }
@@ -290,6 +547,8 @@ class SyncManager {
 
   /**
    * Sync all data (watchlist + preferences + alerts)
+   * Ops are always exchanged first. Full documents are pulled on request, and pushed
+   * only when a snapshot is due or the op log expired past this device's cursor.
    * @param {string} direction - 'push' or 'pull'
    * @param {Object} localData - { watchlist, preferences, alerts }
    */
@@ -302,6 +561,7 @@ class SyncManager {
     this.notifyListeners({ type: 'syncStarted' });
 
     const results = {
+      ops: null,
       watchlist: null,
       preferences: null,
       alerts: null,
@@ -309,8 +569,20 @@ class SyncManager {
     };
 
     try {
+      // Exchange ops (cheap, conflict-free)
+      try {
+        results.ops = await this.syncOps();
+      } catch (error) {
+        console.error('Op sync failed:', error);
+        results.errors.push({ type: 'ops', error: error.message });
+      }
+
+      const forceSnapshot = !results.ops || results.ops.reset;
+      const shouldSync = (type) =>
+        direction === 'pull' || (!!localData[type] && (forceSnapshot || this.isSnapshotDue(type)));
+
       // Sync watchlist
-      if (localData.watchlist || direction === 'pull') {
+      if (shouldSync('watchlist')) {
         try {
           results.watchlist = await this.syncWatchlist(direction, localData.watchlist);
         } catch (error) {
@@ -320,7 +592,7 @@ class SyncManager {
       }
 
       // Sync preferences
-      if (localData.preferences || direction === 'pull') {
+      if (shouldSync('preferences')) {
         try {
           results.preferences = await this.syncPreferences(direction, localData.preferences);
         } catch (error) {
@@ -330,7 +602,7 @@ class SyncManager {
       }
 
       // Sync alerts
-      if (localData.alerts || direction === 'pull') {
+      if (shouldSync('alerts')) {
         try {
           results.alerts = await this.syncAlerts(direction, localData.alerts);
         } catch (error) {
@@ -405,6 +677,7 @@ class SyncManager {
   clearSyncData() {
     localStorage.removeItem('lastSyncTime');
     localStorage.removeItem('pendingChanges');
+    localStorage.removeItem('syncBase');
     this.lastSyncTime = { watchlist: null, preferences: null, alerts: null };
     this.pendingChanges = { watchlist: false, preferences: false, alerts: false };
     console.log('🗑️ Sync data cleared');
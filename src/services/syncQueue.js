@@ -0,0 +1,239 @@
+/**
+ * Sync Queue Service
+ * Persistent outbound queue for sync pushes that failed on the network or were made offline
+ *
+ * Entries live in the IndexedDB syncQueue store (one per data type - the latest push wins)
+ * and are replayed when offlineDetector reports `online`, retrying with exponential backoff.
+ */
+
+import indexedDBService from './indexedDBService';
+import offlineDetector from './offlineDetector';
+
+// Replay retry backoff: 2s, 4s, 8s ... capped at 5 minutes
+const REPLAY_BASE_DELAY = 2000;
+const REPLAY_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Whether a failed push is worth retrying later
+ * fetch() rejects with a TypeError on network failure; 408/429/5xx are transient.
+ * Anything else (validation, auth, 4xx) would fail the same way again.
+ */
+export const isRetryableError = (error) => {
+  if (error instanceof TypeError) return true;
+  const status = error?.status;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+export class SyncQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Queue persistence (indexedDBService by default)
+   * @param {Object} options.detector - Online/offline events (offlineDetector by default)
+   */
+  constructor({ storage = indexedDBService, detector = offlineDetector } = {}) {
+    this.storage = storage;
+    this.detector = detector;
+    this.replayHandler = null;
+    this.length = 0;
+    this.lastReplayError = null;
+    this.isReplaying = false;
+    this.retryAttempts = 0;
+    this.retryTimer = null;
+    this.listeners = [];
+    this.unsubscribeDetector = null;
+  }
+
+  /**
+   * Start replaying queued pushes
+   * @param {Function} replayHandler - async (entry) => performs the push, throws on failure
+   */
+  start(replayHandler) {
+    this.replayHandler = replayHandler;
+
+    if (!this.unsubscribeDetector) {
+      this.unsubscribeDetector = this.detector.subscribe((event) => {
+        if (event.type === 'online') {
+          // Connectivity is back - retry right away instead of waiting out the backoff
+          this.retryAttempts = 0;
+          this.replay();
+        } else if (event.type === 'offline') {
+          clearTimeout(this.retryTimer);
+          this.retryTimer = null;
+        }
+      });
+    }
+
+    // Pick up anything left from a previous session
+    this.refreshLength().then(() => {
+      if (this.length > 0) {
+        this.replay();
+      }
+    });
+  }
+
+  /**
+   * Stop listening for connectivity changes
+   */
+  stop() {
+    if (this.unsubscribeDetector) {
+      this.unsubscribeDetector();
+      this.unsubscribeDetector = null;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Queue a push for replay
+   * @param {string} type - 'watchlist', 'preferences', 'alerts' or 'ops'
+   * @param {*} payload - Data the push would have sent
+   * @param {string} reason - Why it couldn't be sent now
+   */
+  async enqueue(type, payload, reason) {
+    try {
+      await this.storage.putQueuedSyncWrite({
+        type,
+        payload,
+        queuedAt: Date.now(),
+        attempts: 0,
+        lastError: reason || null
+      });
+      console.log(`📮 Queued ${type} sync for replay (${reason})`);
+    } catch (error) {
+      console.error('Failed to queue sync write:', error);
+    }
+
+    await this.refreshLength();
+  }
+
+  /**
+   * Replay queued pushes in order; stops at the first transient failure and schedules a retry
+   */
+  async replay() {
+    if (this.isReplaying || !this.replayHandler || this.detector.isOffline) return;
+
+    this.isReplaying = true;
+    this.lastReplayError = null;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    let retryScheduled = false;
+
+    try {
+      const entries = await this.storage.getQueuedSyncWrites();
+
+      for (const entry of entries) {
+        try {
+          await this.replayHandler(entry);
+          await this.storage.removeQueuedSyncWrite(entry.type, entry.queuedAt);
+          console.log(`📤 Replayed queued ${entry.type} sync`);
+        } catch (error) {
+          this.lastReplayError = error.message;
+
+          if (!isRetryableError(error)) {
+            // Would fail the same way forever - drop it and surface the error
+            await this.storage.removeQueuedSyncWrite(entry.type, entry.queuedAt);
+            console.error(`Dropped queued ${entry.type} sync:`, error);
+            continue;
+          }
+
+          await this.storage.putQueuedSyncWrite({
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: error.message
+          });
+          this.scheduleRetry();
+          retryScheduled = true;
+          break;
+        }
+      }
+
+      if (!retryScheduled) {
+        this.retryAttempts = 0;
+        if (entries.length > 0 && !this.lastReplayError) {
+          this.notifyListeners({ type: 'replayCompleted', data: entries.length });
+        }
+      }
+    } catch (error) {
+      console.error('Sync queue replay failed:', error);
+      this.lastReplayError = error.message;
+    } finally {
+      this.isReplaying = false;
+    }
+
+    if (this.lastReplayError) {
+      this.notifyListeners({ type: 'replayFailed', error: this.lastReplayError });
+    }
+
+    await this.refreshLength();
+  }
+
+  /**
+   * Retry the replay with exponential backoff
+   */
+  scheduleRetry() {
+    const delay = Math.min(REPLAY_BASE_DELAY * 2 ** this.retryAttempts, REPLAY_MAX_DELAY);
+    this.retryAttempts++;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, delay);
+
+    console.log(`⏳ Retrying queued sync in ${Math.round(delay / 1000)}s`);
+  }
+
+  /**
+   * Re-read the queue length and tell listeners
+   */
+  async refreshLength() {
+    try {
+      this.length = await this.storage.countQueuedSyncWrites();
+    } catch (error) {
+      // IndexedDB unavailable (private mode, tests) - nothing can be queued either
+      this.length = 0;
+    }
+
+    this.notifyListeners({
+      type: 'queueUpdated',
+      data: { length: this.length, lastReplayError: this.lastReplayError }
+    });
+    return this.length;
+  }
+
+  /**
+   * Subscribe to queue events
+   * @param {Function} listener - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify all listeners of queue events
+   */
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in sync queue listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const syncQueue = new SyncQueue();
+
+// Expose to window for debugging
+if (typeof window !== 'undefined') {
+  window.syncQueue = syncQueue;
+}
+
+export default syncQueue;
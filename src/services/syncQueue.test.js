@@ -0,0 +1,186 @@
+/**
+ * Tests for Sync Queue Service
+ * Uses an in-memory stand-in for the IndexedDB syncQueue store
+ *
+ * Run with: npm test syncQueue.test.js
+ */
+
+import { SyncQueue, isRetryableError } from './syncQueue';
+
+// The real services are replaced by the stand-ins below
+jest.mock('./indexedDBService', () => ({ __esModule: true, default: {} }));
+jest.mock('./offlineDetector', () => ({ __esModule: true, default: {} }));
+
+/**
+ * In-memory version of the indexedDBService queue methods
+ */
+const createStorage = () => {
+  const entries = new Map();
+  return {
+    entries,
+    putQueuedSyncWrite: async (entry) => entries.set(entry.type, entry),
+    getQueuedSyncWrites: async () => [...entries.values()].sort((a, b) => a.queuedAt - b.queuedAt),
+    removeQueuedSyncWrite: async (type, queuedAt) => {
+      if (entries.get(type)?.queuedAt !== queuedAt) return false;
+      return entries.delete(type);
+    },
+    countQueuedSyncWrites: async () => entries.size
+  };
+};
+
+/**
+ * Minimal offlineDetector stand-in
+ */
+const createDetector = () => {
+  const listeners = [];
+  return {
+    isOffline: true,
+    subscribe: (listener) => {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    },
+    emit(type) {
+      this.isOffline = type === 'offline';
+      listeners.forEach(listener => listener({ type }));
+    }
+  };
+};
+
+const networkError = () => new TypeError('Failed to fetch');
+
+// Let queued promise chains settle under fake timers
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('Sync Queue', () => {
+  let storage;
+  let detector;
+  let queue;
+  let handler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    storage = createStorage();
+    detector = createDetector();
+    handler = jest.fn().mockResolvedValue({ success: true });
+    queue = new SyncQueue({ storage, detector });
+    queue.start(handler);
+  });
+
+  afterEach(() => {
+    queue.stop();
+    jest.useRealTimers();
+  });
+
+  describe('isRetryableError', () => {
+    test('network failures and transient statuses are retryable', () => {
+      expect(isRetryableError(networkError())).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('busy'), { status: 503 }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('slow down'), { status: 429 }))).toBe(true);
+    });
+
+    test('client errors are not', () => {
+      expect(isRetryableError(Object.assign(new Error('forbidden'), { status: 403 }))).toBe(false);
+      expect(isRetryableError(new Error('Invalid watchlist data'))).toBe(false);
+    });
+  });
+
+  test('a newer push of the same type replaces the queued one', async () => {
+    await queue.enqueue('watchlist', { symbols: ['AAPL'] }, 'Offline');
+    await queue.enqueue('watchlist', { symbols: ['AAPL', 'MSFT'] }, 'Offline');
+    await queue.enqueue('alerts', [], 'Offline');
+
+    expect(queue.length).toBe(2);
+    expect(storage.entries.get('watchlist').payload.symbols).toEqual(['AAPL', 'MSFT']);
+  });
+
+  test('does not replay while offline', async () => {
+    await queue.enqueue('preferences', { theme: 'dark' }, 'Offline');
+    await queue.replay();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(queue.length).toBe(1);
+  });
+
+  test('replays everything when the detector reports online', async () => {
+    const events = [];
+    queue.subscribe(event => events.push(event));
+
+    await queue.enqueue('watchlist', { symbols: ['AAPL'] }, 'Offline');
+    await queue.enqueue('ops', null, 'Offline');
+
+    detector.emit('online');
+    await flush();
+
+    expect(handler.mock.calls.map(([entry]) => entry.type)).toEqual(['watchlist', 'ops']);
+    expect(queue.length).toBe(0);
+    expect(events).toContainEqual({ type: 'replayCompleted', data: 2 });
+    expect(events[events.length - 1]).toEqual({
+      type: 'queueUpdated',
+      data: { length: 0, lastReplayError: null }
+    });
+  });
+
+  test('backs off exponentially on network failures and keeps the entry', async () => {
+    handler
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue({ success: true });
+
+    await queue.enqueue('preferences', { theme: 'dark' }, 'Offline');
+    detector.emit('online');
+    await flush();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(queue.lastReplayError).toBe('Failed to fetch');
+    expect(storage.entries.get('preferences').attempts).toBe(1);
+
+    // First retry after 2s
+    jest.advanceTimersByTime(1999);
+    await flush();
+    expect(handler).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    // Second retry waits 4s
+    jest.advanceTimersByTime(3999);
+    await flush();
+    expect(handler).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    await flush();
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(queue.length).toBe(0);
+    expect(queue.lastReplayError).toBeNull();
+  });
+
+  test('drops a push the server rejects and reports the error', async () => {
+    handler.mockRejectedValueOnce(Object.assign(new Error('Forbidden - read-only account'), { status: 403 }));
+
+    await queue.enqueue('alerts', [], 'Offline');
+    detector.emit('online');
+    await flush();
+
+    expect(queue.length).toBe(0);
+    expect(queue.lastReplayError).toBe('Forbidden - read-only account');
+  });
+
+  test('going offline cancels a scheduled retry', async () => {
+    handler.mockRejectedValueOnce(networkError());
+
+    await queue.enqueue('ops', null, 'Offline');
+    detector.emit('online');
+    await flush();
+    detector.emit('offline');
+
+    jest.advanceTimersByTime(60000);
+    await flush();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(queue.length).toBe(1);
+  });
+});
@@ -3,18 +3,20 @@
  * Fetches and computes technical indicators using only TD API
  *
  * Rate Limit: 8 req/min (Basic plan after email confirmation)
- * Caching: 60s for quotes, 15min for time series
+ * Caching: 60s for quotes, time series by bar interval (see cacheManager.getSeriesTTL)
  */
 
 import { calculateEMA, calculateWilderSmoothing, calculateSMA } from '../utils/ema';
 import { isTDExhausted, handleTDResponse, getTimeUntilReset } from '../utils/rateLimitManager';
 import { incrementAPICallCount } from '../utils/apiCallCounter';
+import { getSeriesTTL } from './cacheManager';
+import { cachedTwelveDataAPI } from '../utils/api';
+import { getTodayET } from '../utils/earnings';
 
 const WORKER_URL = process.env.REACT_APP_WORKER_URL || '/api';
 
 // Cache configuration
 const QUOTE_CACHE_TTL = 60000; // 60 seconds
-const SERIES_CACHE_TTL = 900000; // 15 minutes
 const PERSISTENT_CACHE_TTL = 86400000; // 24 hours for localStorage fallback
 
 // In-memory cache
@@ -115,7 +117,7 @@ export const fetchTDQuote = async (symbol) => {
 
     // Count this API call (tdStats was previously invisible to the counter)
     const dataSource = response.headers.get('x-data-source') || 'Twelve Data';
-    if (dataSource !== 'Yahoo Finance') {
+    if (dataSource === 'Twelve Data') {
       incrementAPICallCount(`tdStats:quote:${symbol}`);
     }
 
@@ -177,9 +179,20 @@ export const fetchTDQuote = async (symbol) => {
 /**
  * Fetch time series data from Twelve Data
  * Returns array of OHLCV bars chronologically
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Bar interval ('1min', '5min', '15min', '1h', '1day')
+ * @param {number} outputsize - Number of bars
+ * @param {Object} options - Options
+ * @param {string} options.adjust - 'splits' (split-adjusted, default) or 'all' (splits and dividends).
+ *   Sent explicitly so indicators see the same bars whichever provider serves them
  */
-export const fetchTDSeries = async (symbol, interval = '1day', outputsize = 200) => {
-  const cacheKey = `${symbol.toUpperCase()}_${interval}_${outputsize}`;
+export const fetchTDSeries = async (
+  symbol,
+  interval = '1day',
+  outputsize = 200,
+  { adjust = 'splits' } = {}
+) => {
+  const cacheKey = `${symbol.toUpperCase()}_${interval}_${outputsize}_${adjust}`;
   const cached = seriesCache.get(cacheKey);
 
   // If exhausted, return cached data if available
@@ -195,7 +208,7 @@ export const fetchTDSeries = async (symbol, interval = '1day', outputsize = 200)
     throw new Error(`TD_EXHAUSTED:No cached data available. Rate limit resets in ${timeRemaining}`);
   }
 
-  if (cached && Date.now() - cached.timestamp < SERIES_CACHE_TTL) {
+  if (cached && Date.now() - cached.timestamp < getSeriesTTL(interval, symbol)) {
     console.log(`📋 [TDStats] Series cache hit for ${symbol}`);
     return cached.data;
   }
@@ -205,15 +218,17 @@ export const fetchTDSeries = async (symbol, interval = '1day', outputsize = 200)
       `📈 [TDStats] Fetching time series for ${symbol} (${interval}, ${outputsize} bars)...`
     );
     const response = await fetch(
-      `${WORKER_URL}/time_series?symbol=${encodeURIComponent(symbol)}&interval=${interval}&outputsize=${outputsize}`
+      `${WORKER_URL}/time_series?symbol=${encodeURIComponent(symbol)}&interval=${interval}&outputsize=${outputsize}&adjust=${adjust}`
     );
 
     if (!response.ok) {
       throw new Error(`Time series fetch failed: ${response.status}`);
     }
 
-    // Count this API call
-    incrementAPICallCount(`tdStats:series:${symbol}`);
+    // Count this API call (unless the worker failed over to another provider)
+    if ((response.headers.get('x-data-source') || 'Twelve Data') === 'Twelve Data') {
+      incrementAPICallCount(`tdStats:series:${symbol}`);
+    }
 
     const data = await response.json();
 
@@ -508,6 +523,78 @@ export const calculateReturns = (bars, currentPrice) => {
   };
 };
 
+/**
+ * Calculate Total Returns - price return plus dividends paid in the period (not reinvested)
+ * @param {Array} bars - Split-adjusted OHLCV bars (oldest first)
+ * @param {number} currentPrice - Current price
+ * @param {Array} dividends - Split-adjusted dividends [{ ex_date, amount }] (/api/corporate_actions)
+ * @returns {Object} - Total returns for the same periods as calculateReturns
+ */
+export const calculateTotalReturns = (bars, currentPrice, dividends = []) => {
+  const empty = {
+    totalReturn1D: null,
+    totalReturn5D: null,
+    totalReturn1M: null,
+    totalReturn3M: null,
+    totalReturn6M: null,
+    totalReturnYTD: null,
+    totalReturn1Y: null,
+  };
+
+  if (!bars || bars.length === 0) {
+    return empty;
+  }
+
+  // Dividends with an ex-date after the start bar were earned by holding from its close
+  const calcTotalReturn = (idx) => {
+    if (idx < 0 || !bars[idx].close) return null;
+    const startDate = bars[idx].datetime.slice(0, 10);
+    const paid = dividends
+      .filter((d) => d.ex_date > startDate)
+      .reduce((sum, d) => sum + d.amount, 0);
+    return ((currentPrice + paid - bars[idx].close) / bars[idx].close) * 100;
+  };
+
+  const lastIdx = bars.length - 1;
+  const currentYear = new Date().getFullYear();
+  const ytdIdx = bars.findIndex((bar) => new Date(bar.datetime).getFullYear() === currentYear);
+
+  return {
+    totalReturn1D: calcTotalReturn(lastIdx - 1),
+    totalReturn5D: calcTotalReturn(lastIdx - 5),
+    totalReturn1M: calcTotalReturn(lastIdx - 21),
+    totalReturn3M: calcTotalReturn(lastIdx - 63),
+    totalReturn6M: calcTotalReturn(lastIdx - 126),
+    totalReturnYTD: ytdIdx >= 0 ? calcTotalReturn(ytdIdx) : null,
+    totalReturn1Y: calcTotalReturn(lastIdx - 252),
+  };
+};
+
+/**
+ * Calculate dividend yield and ex-dates
+ * @param {Array} dividends - Dividends, newest first [{ ex_date, amount }]
+ * @param {number} price - Current price
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Object} - Trailing 12-month dividend and yield, last and next ex-dates
+ */
+export const calculateDividendStats = (dividends, price, now = new Date()) => {
+  const today = getTodayET(now);
+  const yearAgo = getTodayET(new Date(now.getTime() - 365 * 86400000));
+
+  const past = dividends.filter((d) => d.ex_date <= today);
+  const upcoming = dividends.filter((d) => d.ex_date > today);
+  const dividendTTM = past.filter((d) => d.ex_date > yearAgo).reduce((sum, d) => sum + d.amount, 0);
+
+  return {
+    dividendTTM: dividendTTM || null,
+    dividendYield: dividendTTM && price ? (dividendTTM / price) * 100 : null,
+    lastExDate: past[0]?.ex_date || null,
+    lastDividend: past[0]?.amount ?? null,
+    // Only known once declared (Twelve Data lists them; Yahoo doesn't)
+    nextExDate: upcoming.length > 0 ? upcoming[upcoming.length - 1].ex_date : null,
+  };
+};
+
 /**
  * Calculate Pivot Points and Support/Resistance levels
  * @param {Array} bars - OHLCV bars (oldest first)
@@ -823,16 +910,22 @@ export const computeIndicators = (bars, currentPrice) => {
 
 /**
  * Build complete stats object for a symbol
- * Fetches quote + series and computes all metrics
+ * Fetches quote + split-adjusted series (+ dividends) and computes all metrics
  */
 export const buildStats = async (symbol) => {
   try {
     console.log(`🔢 [TDStats] Building stats for ${symbol}...`);
 
-    // Fetch quote and series in parallel (2 TD API calls)
-    const [quote, bars] = await Promise.all([
+    // Fetch quote and series in parallel (2 TD API calls). Split-adjusted bars keep
+    // returns and SMA200 meaningful across a split inside the window.
+    // Corporate actions come from Yahoo (cached 24h) and are optional.
+    const [quote, bars, corporateActions] = await Promise.all([
       fetchTDQuote(symbol),
-      fetchTDSeries(symbol, '1day', 200),
+      fetchTDSeries(symbol, '1day', 200, { adjust: 'splits' }),
+      cachedTwelveDataAPI.getCorporateActions(symbol).catch((error) => {
+        console.warn(`[TDStats] No corporate actions for ${symbol}:`, error.message);
+        return null;
+      }),
     ]);
 
     // Calculate % change
@@ -853,6 +946,11 @@ export const buildStats = async (symbol) => {
     // Compute technical indicators (pass current price for MA calculations)
     const indicators = computeIndicators(bars, quote.close);
 
+    // Dividends - yield, ex-dates and returns including dividends
+    const dividends = corporateActions?.dividends || [];
+    const dividendStats = calculateDividendStats(dividends, quote.close);
+    const totalReturns = calculateTotalReturns(bars, quote.close, dividends);
+
     const stats = {
       symbol: symbol.toUpperCase(),
       price: quote.close,
@@ -888,6 +986,11 @@ export const buildStats = async (symbol) => {
       return6M: indicators.return6M,
       returnYTD: indicators.returnYTD,
       return1Y: indicators.return1Y,
+      // Total Returns (price + dividends)
+      ...totalReturns,
+      // Dividends (null when corporate actions are unavailable)
+      hasCorporateActions: !!corporateActions,
+      ...dividendStats,
       // Signal Summary
       signalSummary: indicators.signalSummary,
       // Pivot Points & S/R
@@ -0,0 +1,70 @@
+import { calculateTotalReturns, calculateDividendStats, fetchTDSeries } from './tdStats';
+
+jest.mock('../utils/api', () => ({ cachedTwelveDataAPI: {} }));
+
+// 2025-03-14 noon ET
+const NOW = new Date('2025-03-14T16:00:00Z');
+
+const dividends = [
+  { ex_date: '2025-05-09', amount: 0.26 },
+  { ex_date: '2025-02-10', amount: 0.25 },
+  { ex_date: '2024-11-08', amount: 0.25 },
+  { ex_date: '2024-08-12', amount: 0.25 },
+  { ex_date: '2024-05-10', amount: 0.25 },
+  { ex_date: '2024-02-09', amount: 0.24 }
+];
+
+describe('tdStats', () => {
+  test('dividend yield is trailing twelve months over price', () => {
+    const stats = calculateDividendStats(dividends, 100, NOW);
+
+    expect(stats.dividendTTM).toBeCloseTo(1.0);
+    expect(stats.dividendYield).toBeCloseTo(1.0);
+    expect(stats.lastExDate).toBe('2025-02-10');
+    expect(stats.lastDividend).toBe(0.25);
+    expect(stats.nextExDate).toBe('2025-05-09');
+  });
+
+  test('non-payers have no yield or ex-dates', () => {
+    expect(calculateDividendStats([], 100, NOW)).toEqual({
+      dividendTTM: null,
+      dividendYield: null,
+      lastExDate: null,
+      lastDividend: null,
+      nextExDate: null
+    });
+  });
+
+  test('total return adds dividends with an ex-date after the start bar', () => {
+    // Daily bars 2025-01-14 .. 2025-02-12
+    const bars = Array.from({ length: 30 }, (_, i) => ({
+      datetime: new Date(Date.UTC(2025, 0, 14 + i)).toISOString().slice(0, 10),
+      close: 100
+    }));
+
+    const returns = calculateTotalReturns(bars, 101, dividends.filter(d => d.ex_date <= '2025-02-12'));
+
+    // 1M starts on 2025-01-22, before the 2025-02-10 ex-date; 1D starts after it
+    expect(returns.totalReturn1M).toBeCloseTo(1.25);
+    expect(returns.totalReturn1D).toBeCloseTo(1);
+    expect(returns.totalReturn1Y).toBeNull();
+  });
+
+  test('series are split-adjusted unless asked otherwise, whichever provider serves them', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'Yahoo Finance' },
+      json: async () => ({ values: [{ datetime: '2025-03-13', open: '1', high: '1', low: '1', close: '1' }] })
+    }));
+
+    await fetchTDSeries('NVDA', '1day', 200);
+    await fetchTDSeries('NVDA', '1day', 200, { adjust: 'splits' });
+    await fetchTDSeries('NVDA', '1day', 200, { adjust: 'all' });
+
+    // The default and explicit split-adjusted requests share one cache entry
+    expect(global.fetch.mock.calls.map(([url]) => new URL(url, 'http://localhost').searchParams.get('adjust')))
+      .toEqual(['splits', 'all']);
+    delete global.fetch;
+  });
+});
@@ -26,6 +26,7 @@ export const usePreferencesStore = create(
       enableNotifications: true,
       notificationDuration: 8000, // 8 seconds
       volumeSpikeThreshold: 2.0, // 2x average volume
+      earningsReminderDays: 1, // Remind this many days before a report (0 = off)
 
       // Chart Settings
       defaultChartInterval: '1day',
@@ -103,11 +104,12 @@ export const usePreferencesStore = create(
       /**
        * Set notification preferences
        */
-      setNotificationPreferences: ({ enabled, duration, threshold }) => {
+      setNotificationPreferences: ({ enabled, duration, threshold, earningsReminderDays }) => {
         const updates = {};
         if (enabled !== undefined) updates.enableNotifications = enabled;
         if (duration !== undefined) updates.notificationDuration = duration;
         if (threshold !== undefined) updates.volumeSpikeThreshold = threshold;
+        if (earningsReminderDays !== undefined) updates.earningsReminderDays = earningsReminderDays;
         set(updates);
       },
 
@@ -164,6 +166,7 @@ export const usePreferencesStore = create(
           enableNotifications: true,
           notificationDuration: 8000,
           volumeSpikeThreshold: 2.0,
+          earningsReminderDays: 1,
           defaultChartInterval: '1day',
           defaultChartPeriod: 90,
           showTechnicalIndicators: true,
@@ -189,6 +192,7 @@ export const usePreferencesStore = create(
           enableNotifications: state.enableNotifications,
           notificationDuration: state.notificationDuration,
           volumeSpikeThreshold: state.volumeSpikeThreshold,
+          earningsReminderDays: state.earningsReminderDays,
           defaultChartInterval: state.defaultChartInterval,
           defaultChartPeriod: state.defaultChartPeriod,
           showTechnicalIndicators: state.showTechnicalIndicators,
@@ -218,6 +222,7 @@ export const usePreferencesStore = create(
         enableNotifications: state.enableNotifications,
         notificationDuration: state.notificationDuration,
         volumeSpikeThreshold: state.volumeSpikeThreshold,
+        earningsReminderDays: state.earningsReminderDays,
         defaultChartInterval: state.defaultChartInterval,
         defaultChartPeriod: state.defaultChartPeriod,
         showTechnicalIndicators: state.showTechnicalIndicators,
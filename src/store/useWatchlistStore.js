@@ -75,6 +75,25 @@ export const useWatchlistStore = create(
       getWatchlist: () => {
         return get().symbols;
       },
+
+      // Replace the whole watchlist (sync pull/merge, import)
+      // Accepts a symbol array or an imported { symbols } object
+      setWatchlist: (watchlist) => {
+        const list = Array.isArray(watchlist) ? watchlist : watchlist?.symbols || [];
+        const nextSymbols = [...new Set(list.map(symbol => String(symbol).toUpperCase()))]
+          .slice(0, MAX_WATCHLIST_SYMBOLS);
+        const keep = ([key]) => nextSymbols.includes(key);
+
+        set((state) => ({
+          symbols: nextSymbols,
+          // Drop peer data for symbols that are no longer watched
+          peersBySymbol: Object.fromEntries(Object.entries(state.peersBySymbol).filter(keep)),
+          peersInfo: Object.fromEntries(Object.entries(state.peersInfo).filter(keep)),
+          peerFetchFailed: Object.fromEntries(Object.entries(state.peerFetchFailed).filter(keep))
+        }));
+
+        return { success: true, message: `Watchlist set to ${nextSymbols.length} symbols` };
+      },
       
       // Event flag management
       setEventFlag: (symbol, eventType = 'volume_spike') => {
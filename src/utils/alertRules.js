@@ -0,0 +1,214 @@
+/**
+ * Alert rule evaluation
+ * A rule is one or more conditions on a symbol's quote and technical indicators,
+ * combined with AND/OR:
+ *   { id, symbol, conditions: [{ metric, operator, value | target }], combinator: 'and' | 'or',
+ *     mode: 'once' | 'recurring', cooldownMinutes, enabled, lastTriggeredAt, triggerCount,
+ *     createdAt, updatedAt }
+ * A condition compares a metric with a number (value) or another metric (target):
+ * "price crosses_above 200", "rsi14 < 30", "price crosses target sma50".
+ *
+ * Everything here is pure - snapshots come from the caller (buildAlertSnapshot),
+ * and crossings compare the current snapshot with the previous one.
+ */
+
+// Metrics a condition can test. Indicator metrics come from tdStats.computeIndicators (daily bars).
+export const ALERT_METRICS = {
+  price: { label: 'Price', indicator: false },
+  changePercent: { label: '% Change', indicator: false },
+  volume: { label: 'Volume', indicator: false },
+  rsi14: { label: 'RSI14', indicator: true },
+  sma20: { label: 'SMA20', indicator: true },
+  sma50: { label: 'SMA50', indicator: true },
+  sma200: { label: 'SMA200', indicator: true },
+  macdHistogram: { label: 'MACD Hist', indicator: true },
+  stochK: { label: 'Stoch %K', indicator: true },
+};
+
+export const ALERT_OPERATORS = {
+  '>': { label: '>', crossing: false },
+  '>=': { label: '>=', crossing: false },
+  '<': { label: '<', crossing: false },
+  '<=': { label: '<=', crossing: false },
+  crosses_above: { label: 'crosses above', crossing: true },
+  crosses_below: { label: 'crosses below', crossing: true },
+  crosses: { label: 'crosses', crossing: true },
+};
+
+export const ALERT_MODES = ['once', 'recurring'];
+export const ALERT_COMBINATORS = ['and', 'or'];
+
+export const DEFAULT_COOLDOWN_MINUTES = 60;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Metric values an alert rule can test, from a polled quote and (optionally) indicators
+ * @param {Object} quote - useSmartPolling quote ({ price, changePercent, volume })
+ * @param {Object} [indicators] - computeIndicators output
+ * @returns {Object} Metric -> number or null
+ */
+export const buildAlertSnapshot = (quote, indicators = null) => {
+  const snapshot = {};
+  Object.entries(ALERT_METRICS).forEach(([metric, { indicator }]) => {
+    const value = indicator ? indicators?.[metric] : quote?.[metric];
+    snapshot[metric] = isNumber(value) ? value : null;
+  });
+  return snapshot;
+};
+
+/**
+ * Whether any condition of a rule needs technical indicators (daily bars)
+ */
+export const ruleUsesIndicators = (rule) =>
+  rule.conditions.some(
+    (condition) =>
+      ALERT_METRICS[condition.metric]?.indicator || ALERT_METRICS[condition.target]?.indicator
+  );
+
+// The number a condition compares against, in a snapshot
+const getThreshold = (condition, snapshot) =>
+  condition.target ? snapshot?.[condition.target] : condition.value;
+
+/**
+ * Evaluate one condition
+ * @param {Object} condition - { metric, operator, value | target }
+ * @param {Object} snapshot - Current metric values
+ * @param {Object} [previous] - Metric values at the last evaluation (needed for crossings)
+ * @returns {boolean} False when a value is missing
+ */
+export const evaluateCondition = (condition, snapshot, previous = null) => {
+  const current = snapshot?.[condition.metric];
+  const threshold = getThreshold(condition, snapshot);
+  if (!isNumber(current) || !isNumber(threshold)) return false;
+
+  switch (condition.operator) {
+    case '>':
+      return current > threshold;
+    case '>=':
+      return current >= threshold;
+    case '<':
+      return current < threshold;
+    case '<=':
+      return current <= threshold;
+    default:
+      break;
+  }
+
+  // Crossings: on or below the line last time and above it now (or the reverse)
+  const before = previous?.[condition.metric];
+  const thresholdBefore = getThreshold(condition, previous);
+  if (!isNumber(before) || !isNumber(thresholdBefore)) return false;
+
+  const crossedAbove = before <= thresholdBefore && current > threshold;
+  const crossedBelow = before >= thresholdBefore && current < threshold;
+
+  if (condition.operator === 'crosses_above') return crossedAbove;
+  if (condition.operator === 'crosses_below') return crossedBelow;
+  if (condition.operator === 'crosses') return crossedAbove || crossedBelow;
+  return false;
+};
+
+/**
+ * Whether a rule fired recently enough to stay quiet
+ */
+export const isCoolingDown = (rule, now = Date.now()) =>
+  !!rule.lastTriggeredAt &&
+  now - rule.lastTriggeredAt < (rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+
+/**
+ * Whether a rule should fire now
+ * @param {Object} rule
+ * @param {Object} snapshot - Current metric values for rule.symbol
+ * @param {Object} [previous] - Metric values at the last evaluation
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {boolean}
+ */
+export const evaluateRule = (rule, snapshot, previous = null, now = Date.now()) => {
+  if (!rule.enabled || rule.conditions.length === 0 || isCoolingDown(rule, now)) return false;
+
+  const results = rule.conditions.map((condition) =>
+    evaluateCondition(condition, snapshot, previous)
+  );
+  return rule.combinator === 'or' ? results.some(Boolean) : results.every(Boolean);
+};
+
+/**
+ * The rule after it fired: one-shot rules are disabled, recurring ones start their cooldown
+ */
+export const applyTrigger = (rule, now = Date.now()) => ({
+  ...rule,
+  enabled: rule.mode === 'recurring',
+  lastTriggeredAt: now,
+  triggerCount: (rule.triggerCount || 0) + 1,
+  updatedAt: now,
+});
+
+/**
+ * The rule with a firing recorded elsewhere (the worker's cron, see workers/alerts.js)
+ * Ignored when the rule has fired since; a rule edited after the firing keeps its own
+ * enabled flag, so re-arming a one-shot rule isn't undone.
+ * @param {Object} rule
+ * @param {Object} [trigger] - { lastTriggeredAt, triggerCount, enabled }
+ */
+export const mergeTriggerState = (rule, trigger) => {
+  if (!trigger || (rule.lastTriggeredAt || 0) >= trigger.lastTriggeredAt) return rule;
+
+  return {
+    ...rule,
+    enabled:
+      (rule.updatedAt || 0) > trigger.lastTriggeredAt
+        ? rule.enabled
+        : rule.enabled && trigger.enabled,
+    lastTriggeredAt: trigger.lastTriggeredAt,
+    triggerCount: Math.max(rule.triggerCount || 0, trigger.triggerCount || 0),
+  };
+};
+
+/**
+ * A new rule with defaults filled in
+ * @param {Object} fields - { symbol, conditions, combinator, mode, cooldownMinutes }
+ */
+export const createAlertRule = (fields, now = Date.now()) => ({
+  id: fields.id || `rule_${now}_${Math.random().toString(36).slice(2, 8)}`,
+  symbol: fields.symbol.toUpperCase(),
+  conditions: fields.conditions.map(({ metric, operator, value, target }) =>
+    target ? { metric, operator, target } : { metric, operator, value: Number(value) }
+  ),
+  combinator: fields.combinator || 'and',
+  mode: fields.mode || 'once',
+  cooldownMinutes: fields.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+  enabled: fields.enabled ?? true,
+  lastTriggeredAt: fields.lastTriggeredAt || null,
+  triggerCount: fields.triggerCount || 0,
+  createdAt: fields.createdAt || now,
+  updatedAt: now,
+});
+
+/**
+ * "Price crosses above 200", "RSI14 < 30", "Price crosses SMA50"
+ */
+export const describeCondition = (condition) => {
+  const metric = ALERT_METRICS[condition.metric]?.label || condition.metric;
+  const operator = ALERT_OPERATORS[condition.operator]?.label || condition.operator;
+  const threshold = condition.target
+    ? ALERT_METRICS[condition.target]?.label || condition.target
+    : condition.value;
+  return `${metric} ${operator} ${threshold}`;
+};
+
+/**
+ * "AAPL: Price crosses above 200 AND RSI14 < 30"
+ */
+export const describeRule = (rule) =>
+  `${rule.symbol}: ${rule.conditions.map(describeCondition).join(rule.combinator === 'or' ? ' OR ' : ' AND ')}`;
+
+/**
+ * Notification message for a rule that fired
+ * @param {Object} rule
+ * @param {Object} snapshot - Metric values it fired on
+ */
+export const createAlertRuleMessage = (rule, snapshot) => {
+  const price = snapshot?.price;
+  return `🔔 ${describeRule(rule)}${isNumber(price) ? ` (now ${price.toFixed(2)})` : ''}`;
+};
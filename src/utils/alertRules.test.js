@@ -0,0 +1,131 @@
+import {
+  buildAlertSnapshot,
+  ruleUsesIndicators,
+  evaluateCondition,
+  evaluateRule,
+  applyTrigger,
+  mergeTriggerState,
+  createAlertRule,
+  describeRule,
+  createAlertRuleMessage
+} from './alertRules';
+
+const NOW = Date.UTC(2026, 9, 14, 15, 0);
+
+const snapshot = (quote, indicators = null) => buildAlertSnapshot(quote, indicators);
+
+describe('alertRules', () => {
+  test('builds a snapshot from a quote and indicators', () => {
+    const values = snapshot({ price: 201.5, changePercent: 5.2, volume: 1000 }, { rsi14: 28, sma50: 199 });
+
+    expect(values.price).toBe(201.5);
+    expect(values.changePercent).toBe(5.2);
+    expect(values.rsi14).toBe(28);
+    expect(values.sma50).toBe(199);
+    expect(values.sma200).toBeNull();
+  });
+
+  test('threshold operators compare with a value', () => {
+    const values = snapshot({ price: 150, changePercent: 5.5 }, { rsi14: 25 });
+
+    expect(evaluateCondition({ metric: 'rsi14', operator: '<', value: 30 }, values)).toBe(true);
+    expect(evaluateCondition({ metric: 'changePercent', operator: '>', value: 5 }, values)).toBe(true);
+    expect(evaluateCondition({ metric: 'price', operator: '>=', value: 151 }, values)).toBe(false);
+    // Missing indicator never matches
+    expect(evaluateCondition({ metric: 'sma200', operator: '<', value: 1000 }, values)).toBe(false);
+  });
+
+  test('crossings need the previous snapshot', () => {
+    const condition = { metric: 'price', operator: 'crosses_above', value: 200 };
+
+    expect(evaluateCondition(condition, snapshot({ price: 201 }))).toBe(false);
+    expect(evaluateCondition(condition, snapshot({ price: 201 }), snapshot({ price: 199 }))).toBe(true);
+    expect(evaluateCondition(condition, snapshot({ price: 201 }), snapshot({ price: 200 }))).toBe(true);
+    // Already above - no new crossing
+    expect(evaluateCondition(condition, snapshot({ price: 202 }), snapshot({ price: 201 }))).toBe(false);
+
+    const below = { metric: 'price', operator: 'crosses_below', value: 200 };
+    expect(evaluateCondition(below, snapshot({ price: 199 }), snapshot({ price: 201 }))).toBe(true);
+    expect(evaluateCondition({ ...below, operator: 'crosses' }, snapshot({ price: 199 }), snapshot({ price: 201 }))).toBe(true);
+  });
+
+  test('price crosses a moving average', () => {
+    const condition = { metric: 'price', operator: 'crosses', target: 'sma50' };
+    const previous = snapshot({ price: 98 }, { sma50: 100 });
+
+    expect(evaluateCondition(condition, snapshot({ price: 101 }, { sma50: 100.2 }), previous)).toBe(true);
+    expect(evaluateCondition(condition, snapshot({ price: 99 }, { sma50: 100.2 }), previous)).toBe(false);
+  });
+
+  test('combines conditions with AND / OR', () => {
+    const rule = createAlertRule({
+      symbol: 'aapl',
+      conditions: [
+        { metric: 'price', operator: '>', value: '200' },
+        { metric: 'rsi14', operator: '<', value: '30' }
+      ]
+    }, NOW);
+    const values = snapshot({ price: 205 }, { rsi14: 45 });
+
+    expect(evaluateRule(rule, values, null, NOW)).toBe(false);
+    expect(evaluateRule({ ...rule, combinator: 'or' }, values, null, NOW)).toBe(true);
+    expect(evaluateRule({ ...rule, enabled: false, combinator: 'or' }, values, null, NOW)).toBe(false);
+  });
+
+  test('one-shot rules disable themselves; recurring rules wait out the cooldown', () => {
+    const fields = { symbol: 'MSFT', conditions: [{ metric: 'price', operator: '>', value: 100 }] };
+    const values = snapshot({ price: 150 });
+
+    const once = applyTrigger(createAlertRule(fields, NOW), NOW);
+    expect(once.enabled).toBe(false);
+    expect(once.triggerCount).toBe(1);
+    expect(evaluateRule(once, values, null, NOW + 1000)).toBe(false);
+
+    const recurring = applyTrigger(createAlertRule({ ...fields, mode: 'recurring', cooldownMinutes: 30 }, NOW), NOW);
+    expect(recurring.enabled).toBe(true);
+    expect(recurring.lastTriggeredAt).toBe(NOW);
+    expect(evaluateRule(recurring, values, null, NOW + 29 * 60 * 1000)).toBe(false);
+    expect(evaluateRule(recurring, values, null, NOW + 30 * 60 * 1000)).toBe(true);
+  });
+
+  test('merges a firing recorded elsewhere unless the rule is newer', () => {
+    const rule = createAlertRule({ symbol: 'AAPL', conditions: [{ metric: 'price', operator: '>', value: 200 }] }, NOW);
+    const trigger = { lastTriggeredAt: NOW + 1000, triggerCount: 1, enabled: false };
+
+    expect(mergeTriggerState(rule, trigger)).toMatchObject({ enabled: false, lastTriggeredAt: NOW + 1000, triggerCount: 1 });
+    expect(mergeTriggerState(rule, undefined)).toBe(rule);
+    // Already fired since
+    expect(mergeTriggerState({ ...rule, lastTriggeredAt: NOW + 2000 }, trigger).lastTriggeredAt).toBe(NOW + 2000);
+    // Re-armed after the firing
+    expect(mergeTriggerState({ ...rule, updatedAt: NOW + 5000 }, trigger).enabled).toBe(true);
+  });
+
+  test('creates rules with defaults and describes them', () => {
+    const rule = createAlertRule({
+      symbol: 'aapl',
+      conditions: [
+        { metric: 'price', operator: 'crosses_above', value: '200', target: '' },
+        { metric: 'price', operator: 'crosses', target: 'sma50' }
+      ]
+    }, NOW);
+
+    expect(rule).toMatchObject({
+      symbol: 'AAPL',
+      combinator: 'and',
+      mode: 'once',
+      cooldownMinutes: 60,
+      enabled: true,
+      triggerCount: 0,
+      createdAt: NOW
+    });
+    expect(rule.conditions).toEqual([
+      { metric: 'price', operator: 'crosses_above', value: 200 },
+      { metric: 'price', operator: 'crosses', target: 'sma50' }
+    ]);
+    expect(ruleUsesIndicators(rule)).toBe(true);
+    expect(describeRule(rule)).toBe('AAPL: Price crosses above 200 AND Price crosses SMA50');
+    expect(createAlertRuleMessage(rule, snapshot({ price: 201.456 }))).toBe(
+      '🔔 AAPL: Price crosses above 200 AND Price crosses SMA50 (now 201.46)'
+    );
+  });
+});
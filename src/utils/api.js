@@ -5,6 +5,40 @@ import { cacheFirst, setInCache, getFromCache, hasFreshCache } from '../services
 // Twelve Data API configuration (via Cloudflare Worker proxy)
 const TWELVE_DATA_API_BASE = process.env.REACT_APP_WORKER_URL || '/api';
 
+const parseOptionalNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Convert a Twelve Data-format quote (from TD or the Yahoo fallback) to app format
+ * Pre-market/after-hours trading (extended_* fields) comes back as extendedSession
+ * ('pre' | 'post') with its own price and change - null when the provider has none.
+ * @param {Object} data - Raw quote from the worker
+ * @param {string} dataSource - Value of the x-data-source header
+ * @returns {Object} Parsed quote
+ */
+const parseQuoteData = (data, dataSource) => ({
+  symbol: data.symbol,
+  price: parseFloat(data.close) || 0,
+  change: parseFloat(data.change) || 0,
+  changePercent: parseFloat(data.percent_change) || 0,
+  volume: parseInt(data.volume) || 0,
+  averageVolume: parseInt(data.average_volume) || 0,
+  previousClose: parseFloat(data.previous_close) || 0,
+  open: parseFloat(data.open) || 0,
+  high: parseFloat(data.high) || 0,
+  low: parseFloat(data.low) || 0,
+  extendedSession: data.extended_session || null,
+  extendedPrice: parseOptionalNumber(data.extended_price),
+  extendedChange: parseOptionalNumber(data.extended_change),
+  extendedChangePercent: parseOptionalNumber(data.extended_percent_change),
+  lastUpdated: new Date(),
+  isRealData: true,
+  source: dataSource,
+  isYahooFinance: dataSource === 'Yahoo Finance'
+});
+
 // Twelve Data API functions (via Cloudflare Worker)
 export const twelveDataAPI = {
   // Get real-time quote
@@ -34,18 +68,19 @@ export const twelveDataAPI = {
       }
 
       // Check data source header BEFORE incrementing counter
+      // (the worker may have failed over to Yahoo Finance or Finnhub)
       const dataSource = response.headers.get('x-data-source') || 'Twelve Data';
-      const isYahooFinance = dataSource === 'Yahoo Finance';
+      const isTwelveData = dataSource === 'Twelve Data';
 
-      // Increment API call counter (only for Twelve Data requests, not Yahoo Finance)
-      if (!isYahooFinance) {
+      // Increment API call counter (only Twelve Data requests cost credits)
+      if (isTwelveData) {
         incrementAPICallCount(`quote:${symbol}`);
       }
 
       const data = await response.json();
 
       // Only check rate limit for Twelve Data responses
-      if (!isYahooFinance && handleTDResponse(response, data)) {
+      if (isTwelveData && handleTDResponse(response, data)) {
         const timeRemaining = getTimeUntilReset();
         throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
       }
@@ -54,22 +89,7 @@ export const twelveDataAPI = {
         throw new Error(data.message || 'Quote data unavailable');
       }
 
-      const parsedData = {
-        symbol: data.symbol,
-        price: parseFloat(data.close) || 0,
-        change: parseFloat(data.change) || 0,
-        changePercent: parseFloat(data.percent_change) || 0,
-        volume: parseInt(data.volume) || 0,
-        averageVolume: parseInt(data.average_volume) || 0,
-        previousClose: parseFloat(data.previous_close) || 0,
-        open: parseFloat(data.open) || 0,
-        high: parseFloat(data.high) || 0,
-        low: parseFloat(data.low) || 0,
-        lastUpdated: new Date(),
-        isRealData: true,
-        source: dataSource,
-        isYahooFinance: isYahooFinance
-      };
+      const parsedData = parseQuoteData(data, dataSource);
 
       console.log(`📊 ${data.symbol} quote data (${dataSource}):`, {
         raw_volume: data.volume,
@@ -85,6 +105,70 @@ export const twelveDataAPI = {
     }
   },
 
+  /**
+   * Get quotes for several symbols in one request (/api/quotes batch endpoint)
+   * Symbols that fail upstream come back as { symbol, error } instead of throwing
+   * @param {string[]} symbols - Stock symbols
+   * @returns {Promise<Object>} Map of symbol -> parsed quote or { symbol, error }
+   */
+  getQuotes: async (symbols) => {
+    if (isTDExhausted()) {
+      const timeRemaining = getTimeUntilReset();
+      console.warn(`⏸️ [TD API] Skipping batch of ${symbols.length} quotes - exhausted (resets in ${timeRemaining})`);
+      throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
+    }
+
+    try {
+      const response = await fetch(
+        `${TWELVE_DATA_API_BASE}/quotes?symbols=${symbols.map(encodeURIComponent).join(',')}`,
+        { cache: "no-store" }
+      );
+
+      if (response.status === 429) {
+        handleTDResponse(response, null);
+        const timeRemaining = getTimeUntilReset();
+        throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
+      }
+
+      if (!response.ok) {
+        throw new Error(`Batch quote fetch failed: ${response.status}`);
+      }
+
+      const dataSource = response.headers.get('x-data-source') || 'Twelve Data';
+      const isTwelveData = dataSource === 'Twelve Data';
+
+      const data = await response.json();
+
+      // Whole-batch errors (e.g. out of credits) come back as a single error object
+      if (isTwelveData && handleTDResponse(response, data)) {
+        const timeRemaining = getTimeUntilReset();
+        throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
+      }
+
+      const quotes = {};
+      for (const symbol of symbols) {
+        const entry = data[symbol.toUpperCase()];
+
+        if (!entry || entry.status === 'error') {
+          quotes[symbol] = { symbol, error: entry?.message || 'Quote data unavailable' };
+          continue;
+        }
+
+        if (isTwelveData) {
+          incrementAPICallCount(`quote:${symbol}`);
+        }
+        quotes[symbol] = parseQuoteData(entry, dataSource);
+      }
+
+      console.log(`📊 Batch quote for ${symbols.length} symbols (${dataSource}, cache: ${response.headers.get('x-cache')})`);
+
+      return quotes;
+    } catch (error) {
+      console.error('Twelve Data batch quote error:', error);
+      throw error;
+    }
+  },
+
   // Get statistics/fundamentals data (P/E, EPS, Beta, Market Cap)
   getStatistics: async (symbol) => {
     // Check if TD API is exhausted
@@ -113,17 +197,18 @@ export const twelveDataAPI = {
 
       // Check data source header BEFORE incrementing counter
       const dataSource = response.headers.get('x-data-source') || 'Twelve Data';
+      const isTwelveData = dataSource === 'Twelve Data';
       const isYahooFinance = dataSource === 'Yahoo Finance';
 
-      // Increment API call counter (only for Twelve Data requests, not Yahoo Finance)
-      if (!isYahooFinance) {
+      // Increment API call counter (only Twelve Data requests cost credits)
+      if (isTwelveData) {
         incrementAPICallCount(`statistics:${symbol}`);
       }
 
       const data = await response.json();
 
       // Only check rate limit for Twelve Data responses
-      if (!isYahooFinance && handleTDResponse(response, data)) {
+      if (isTwelveData && handleTDResponse(response, data)) {
         const timeRemaining = getTimeUntilReset();
         throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
       }
@@ -157,6 +242,156 @@ export const twelveDataAPI = {
     }
   },
 
+  // Get income statement, balance sheet and cash flow (normalized by the worker)
+  // Served by Yahoo first, so a Twelve Data exhaustion doesn't block it
+  getFundamentals: async (symbol, period = 'annual') => {
+    try {
+      const response = await fetch(
+        `${TWELVE_DATA_API_BASE}/fundamentals?symbol=${encodeURIComponent(symbol)}&period=${period}`,
+        { cache: "no-store" }
+      );
+
+      const dataSource = response.headers.get('x-data-source') || 'Twelve Data';
+      const data = await response.json().catch(() => ({}));
+
+      // Twelve Data fallback spends credits - keep the local ledger in step
+      if (dataSource === 'Twelve Data' && handleTDResponse(response, data)) {
+        const timeRemaining = getTimeUntilReset();
+        throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
+      }
+
+      if (!response.ok || data.status === 'error') {
+        throw new Error(data.error || data.message || `Fundamentals fetch failed: ${response.status}`);
+      }
+
+      return {
+        symbol: data.symbol,
+        period: data.period,
+        currency: data.currency,
+        statements: data.statements || [],
+        source: dataSource
+      };
+    } catch (error) {
+      console.error('Fundamentals error:', error);
+      throw error;
+    }
+  },
+
+  // Get dividends and splits (normalized by the worker, newest first)
+  // Served by Yahoo first, so a Twelve Data exhaustion doesn't block it
+  getCorporateActions: async (symbol) => {
+    try {
+      const response = await fetch(
+        `${TWELVE_DATA_API_BASE}/corporate_actions?symbol=${encodeURIComponent(symbol)}`,
+        { cache: "no-store" }
+      );
+
+      const dataSource = response.headers.get('x-data-source') || 'Twelve Data';
+      const data = await response.json().catch(() => ({}));
+
+      // Twelve Data fallback spends credits - keep the local ledger in step
+      if (dataSource === 'Twelve Data' && handleTDResponse(response, data)) {
+        const timeRemaining = getTimeUntilReset();
+        throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
+      }
+
+      if (!response.ok || data.status === 'error') {
+        throw new Error(data.error || data.message || `Corporate actions fetch failed: ${response.status}`);
+      }
+
+      return {
+        symbol: data.symbol,
+        currency: data.currency,
+        dividends: data.dividends || [],
+        splits: data.splits || [],
+        source: dataSource
+      };
+    } catch (error) {
+      console.error('Corporate actions error:', error);
+      throw error;
+    }
+  },
+
+  // Get next and past earnings reports with EPS estimate vs actual (Finnhub, no TD credits)
+  getEarnings: async (symbol) => {
+    try {
+      const response = await fetch(
+        `${TWELVE_DATA_API_BASE}/earnings?symbol=${encodeURIComponent(symbol)}`,
+        { cache: "no-store" }
+      );
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.status === 'error') {
+        throw new Error(data.error || data.message || `Earnings fetch failed: ${response.status}`);
+      }
+
+      return {
+        symbol: data.symbol,
+        upcoming: data.upcoming || null,
+        history: data.history || [],
+        source: response.headers.get('x-data-source') || 'Finnhub'
+      };
+    } catch (error) {
+      console.error('Earnings error:', error);
+      throw error;
+    }
+  },
+
+  // Get the next earnings report of several symbols in one request (Finnhub calendar, no TD credits)
+  getEarningsCalendar: async (symbols) => {
+    try {
+      const response = await fetch(
+        `${TWELVE_DATA_API_BASE}/earnings_calendar?symbols=${symbols.map(encodeURIComponent).join(',')}`,
+        { cache: "no-store" }
+      );
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.status === 'error') {
+        throw new Error(data.error || data.message || `Earnings calendar fetch failed: ${response.status}`);
+      }
+
+      const source = response.headers.get('x-data-source') || 'Finnhub';
+      return Object.fromEntries(symbols.map(symbol => [symbol, {
+        symbol,
+        upcoming: data[symbol.toUpperCase()]?.upcoming || null,
+        source
+      }]));
+    } catch (error) {
+      console.error('Earnings calendar error:', error);
+      throw error;
+    }
+  },
+
+  // Get company news, newest first and deduplicated by the worker (Finnhub, no TD credits)
+  // from/to are YYYY-MM-DD; the worker defaults to the last 7 days
+  getNews: async (symbol, { from, to } = {}) => {
+    try {
+      const params = new URLSearchParams({ symbol });
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
+
+      const response = await fetch(`${TWELVE_DATA_API_BASE}/news?${params}`, { cache: "no-store" });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.status === 'error') {
+        throw new Error(data.error || data.message || `News fetch failed: ${response.status}`);
+      }
+
+      return {
+        symbol: data.symbol,
+        from: data.from,
+        to: data.to,
+        items: data.items || [],
+        source: 'Finnhub'
+      };
+    } catch (error) {
+      console.error('News error:', error);
+      throw error;
+    }
+  },
+
   // Get time series data (for intraday/volume calculations)
   getTimeSeries: async (symbol, interval = '1min', outputsize = '1') => {
     // Check if TD API is exhausted
@@ -179,8 +414,9 @@ export const twelveDataAPI = {
         throw new Error(`TD_EXHAUSTED:Rate limit exhausted. Resets in ${timeRemaining}`);
       }
 
-      // Increment API call counter (only for successful requests)
-      if (response.ok) {
+      // Increment API call counter (only for successful Twelve Data requests)
+      const isTwelveData = (response.headers.get('x-data-source') || 'Twelve Data') === 'Twelve Data';
+      if (response.ok && isTwelveData) {
         incrementAPICallCount(`time_series:${symbol}`);
       }
 
@@ -202,6 +438,7 @@ export const twelveDataAPI = {
 
       const values = data.values || [];
       return values.map(item => ({
+        datetime: item.datetime,
         timestamp: new Date(item.datetime),
         open: parseFloat(item.open),
         high: parseFloat(item.high),
@@ -286,6 +523,81 @@ export const cachedTwelveDataAPI = {
     return cacheFirst(symbol, 'quote', () => twelveDataAPI.getQuote(symbol));
   },
 
+  /**
+   * Get quotes for several symbols with cache-first strategy
+   * Fresh cache entries are served directly; everything else is fetched in one
+   * batch request. Stale entries are returned immediately and revalidated by that batch.
+   * @param {string[]} symbols - Stock symbols
+   * @param {Object} options - Options
+   * @param {boolean} options.skipCache - Skip cache and force fresh fetch
+   * @returns {Promise<Object>} Map of symbol -> quote (with cache metadata) or { symbol, error }
+   */
+  getQuotes: async (symbols, { skipCache = false } = {}) => {
+    const results = {};
+    const toFetch = [];
+    const staleSymbols = [];
+
+    for (const symbol of symbols) {
+      const cached = skipCache ? null : getFromCache(symbol, 'quote');
+
+      if (cached?.isFresh) {
+        results[symbol] = { ...cached.data, _cached: true, _stale: false, _cacheAge: cached.age, _offline: false };
+      } else if (cached?.isStale) {
+        results[symbol] = { ...cached.data, _cached: true, _stale: true, _cacheAge: cached.age, _offline: false };
+        staleSymbols.push(symbol);
+      } else {
+        toFetch.push(symbol);
+      }
+    }
+
+    const storeFetched = (fetched) => {
+      Object.values(fetched).forEach(quote => {
+        if (!quote.error) setInCache(quote.symbol, 'quote', quote);
+      });
+    };
+
+    // Revalidate stale entries in the background (don't await)
+    if (staleSymbols.length > 0 && toFetch.length === 0) {
+      twelveDataAPI.getQuotes(staleSymbols).then(storeFetched).catch(error => {
+        console.warn(`⚠️ Background batch revalidation failed:`, error.message);
+      });
+    } else if (staleSymbols.length > 0) {
+      toFetch.push(...staleSymbols);
+    }
+
+    if (toFetch.length === 0) return results;
+
+    try {
+      const fetched = await twelveDataAPI.getQuotes(toFetch);
+      storeFetched(fetched);
+
+      for (const symbol of toFetch) {
+        const quote = fetched[symbol];
+        if (quote && !quote.error) {
+          results[symbol] = { ...quote, _cached: false, _stale: false, _offline: false };
+        } else if (!results[symbol]) {
+          results[symbol] = quote || { symbol, error: 'Quote data unavailable' };
+        }
+      }
+    } catch (error) {
+      // Fall back to any cached data (even stale) for symbols we couldn't fetch
+      for (const symbol of toFetch) {
+        if (results[symbol]) continue;
+        const cached = getFromCache(symbol, 'quote');
+        results[symbol] = cached
+          ? { ...cached.data, _cached: true, _stale: true, _offline: true, _error: error.message }
+          : { symbol, error: error.message };
+      }
+
+      // Nothing usable at all - surface the error to the caller
+      if (Object.values(results).every(quote => quote.error)) {
+        throw error;
+      }
+    }
+
+    return results;
+  },
+
   /**
    * Get statistics with cache-first strategy
    * Statistics change infrequently, so longer TTLs are used
@@ -304,6 +616,91 @@ export const cachedTwelveDataAPI = {
     return cacheFirst(symbol, 'statistics', () => twelveDataAPI.getStatistics(symbol));
   },
 
+  /**
+   * Get financial statements with cache-first strategy
+   * @param {string} symbol - Stock symbol
+   * @param {string} period - 'annual' or 'quarterly'
+   * @returns {Promise<Object>} Fundamentals with cache metadata
+   */
+  getFundamentals: async (symbol, period = 'annual') => {
+    return cacheFirst(`${symbol}_${period}`, 'fundamentals', () => twelveDataAPI.getFundamentals(symbol, period));
+  },
+
+  /**
+   * Get dividends and splits with cache-first strategy
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} { symbol, currency, dividends, splits } with cache metadata
+   */
+  getCorporateActions: async (symbol) => {
+    return cacheFirst(symbol, 'corporateActions', () => twelveDataAPI.getCorporateActions(symbol));
+  },
+
+  /**
+   * Get earnings calendar and surprises with cache-first strategy
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} { symbol, upcoming, history } with cache metadata
+   */
+  getEarnings: async (symbol) => {
+    return cacheFirst(symbol, 'earnings', () => twelveDataAPI.getEarnings(symbol));
+  },
+
+  /**
+   * Get the next earnings report of several symbols with cache-first strategy
+   * Fresh cache entries are served directly; everything else comes from one
+   * /api/earnings_calendar request. Stale entries are used if that request fails.
+   * @param {string[]} symbols - Stock symbols
+   * @returns {Promise<Object>} Map of symbol -> { symbol, upcoming } with cache metadata
+   */
+  getEarningsCalendar: async (symbols) => {
+    const results = {};
+    const toFetch = [];
+
+    for (const symbol of symbols) {
+      const cached = getFromCache(symbol, 'earningsCalendar');
+
+      if (cached?.isFresh) {
+        results[symbol] = { ...cached.data, _cached: true, _stale: false, _cacheAge: cached.age, _offline: false };
+      } else {
+        toFetch.push(symbol);
+      }
+    }
+
+    if (toFetch.length === 0) return results;
+
+    try {
+      const fetched = await twelveDataAPI.getEarningsCalendar(toFetch);
+
+      for (const symbol of toFetch) {
+        setInCache(symbol, 'earningsCalendar', fetched[symbol]);
+        results[symbol] = { ...fetched[symbol], _cached: false, _stale: false, _offline: false };
+      }
+    } catch (error) {
+      // Fall back to stale entries for symbols we couldn't fetch
+      for (const symbol of toFetch) {
+        const cached = getFromCache(symbol, 'earningsCalendar');
+        if (cached) {
+          results[symbol] = { ...cached.data, _cached: true, _stale: true, _offline: true, _error: error.message };
+        }
+      }
+
+      if (Object.keys(results).length === 0) {
+        throw error;
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Get company news with cache-first strategy
+   * @param {string} symbol - Stock symbol
+   * @param {Object} range - { from, to } (YYYY-MM-DD)
+   * @returns {Promise<Object>} { symbol, from, to, items } with cache metadata
+   */
+  getNews: async (symbol, { from, to } = {}) => {
+    return cacheFirst(`${symbol}_${from || ''}_${to || ''}`, 'news', () => twelveDataAPI.getNews(symbol, { from, to }));
+  },
+
   /**
    * Get time series with cache-first strategy
    * @param {string} symbol - Stock symbol
@@ -314,16 +711,18 @@ export const cachedTwelveDataAPI = {
    * @returns {Promise<Array>} Time series data with cache metadata
    */
   getTimeSeries: async (symbol, interval = '1min', outputsize = '1', { skipCache = false } = {}) => {
-    const cacheKey = `${symbol}_${interval}_${outputsize}`;
+    // Interval goes in the data type so each interval gets its own TTL
+    const cacheKey = `${symbol}_${outputsize}`;
+    const dataType = `timeSeries:${interval}`;
 
     if (skipCache) {
       const freshData = await twelveDataAPI.getTimeSeries(symbol, interval, outputsize);
       // Wrap array in object so cacheManager spread doesn't break it
-      setInCache(cacheKey, 'timeSeries', { values: freshData });
+      setInCache(cacheKey, dataType, { values: freshData });
       return { data: freshData, _cached: false, _stale: false, _offline: false };
     }
 
-    const result = await cacheFirst(cacheKey, 'timeSeries', async () => {
+    const result = await cacheFirst(cacheKey, dataType, async () => {
       const data = await twelveDataAPI.getTimeSeries(symbol, interval, outputsize);
       // Wrap array in object so cacheManager spread doesn't break it
       return { values: data };
@@ -2,10 +2,12 @@
  * API Call Counter
  * Tracks Twelve Data API calls per day with localStorage persistence
  * Resets at midnight ET (when Twelve Data limits reset)
+ * When the worker reports its shared credit ledger, that takes precedence
  */
 
 const STORAGE_KEY = 'td_api_call_count';
 const STORAGE_DATE_KEY = 'td_api_call_date';
+const SERVER_CREDITS_KEY = 'td_api_server_credits';
 
 /**
  * Get today's date in ET timezone as YYYY-MM-DD
@@ -60,24 +62,67 @@ export const incrementAPICallCount = (endpoint = 'unknown') => {
   return newCount;
 };
 
+/**
+ * Record the worker's authoritative credit ledger from response headers
+ * The worker adds x-credits-used / x-credits-remaining / x-credits-reset to every API response
+ * @param {Headers} headers - Response headers
+ */
+export const recordServerCredits = (headers) => {
+  if (!headers || typeof headers.get !== 'function') return;
+
+  const used = parseInt(headers.get('x-credits-used'), 10);
+  const remaining = parseInt(headers.get('x-credits-remaining'), 10);
+
+  if (isNaN(used) || isNaN(remaining)) return;
+
+  localStorage.setItem(SERVER_CREDITS_KEY, JSON.stringify({
+    used,
+    remaining,
+    resetAt: headers.get('x-credits-reset'),
+    date: getTodayET(),
+    receivedAt: Date.now()
+  }));
+};
+
+/**
+ * Get the last credit ledger reported by the worker (null if none for today)
+ */
+const getServerCredits = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SERVER_CREDITS_KEY));
+    if (!stored) return null;
+
+    // Ledger resets at midnight ET - ignore numbers from a previous day
+    const resetPassed = stored.resetAt && Date.now() >= Date.parse(stored.resetAt);
+    if (stored.date !== getTodayET() || resetPassed) return null;
+
+    return stored;
+  } catch (e) {
+    return null;
+  }
+};
+
 /**
  * Reset API call counter (for testing or manual reset)
  */
 export const resetAPICallCount = () => {
   localStorage.setItem(STORAGE_KEY, '0');
   localStorage.setItem(STORAGE_DATE_KEY, getTodayET());
+  localStorage.removeItem(SERVER_CREDITS_KEY);
   console.log('✅ [API Counter] Counter manually reset');
 };
 
 /**
  * Get detailed counter state
+ * Prefers the worker's ledger (shared across tabs and devices) over the local count
  */
 export const getAPICounterState = () => {
-  const count = getAPICallCount();
-  const date = localStorage.getItem(STORAGE_DATE_KEY);
-  const limit = 800; // Twelve Data free tier limit
-  const remaining = Math.max(0, limit - count);
-  const percentUsed = ((count / limit) * 100).toFixed(1);
+  const server = getServerCredits();
+  const count = server ? server.used : getAPICallCount();
+  const date = server ? server.date : localStorage.getItem(STORAGE_DATE_KEY);
+  const limit = server ? server.used + server.remaining : 800; // Twelve Data free tier limit
+  const remaining = server ? server.remaining : Math.max(0, limit - count);
+  const percentUsed = limit > 0 ? ((count / limit) * 100).toFixed(1) : '100';
 
   return {
     count,
@@ -85,8 +130,10 @@ export const getAPICounterState = () => {
     limit,
     remaining,
     percentUsed: parseFloat(percentUsed),
-    isNearLimit: count >= 700,
-    isAtLimit: count >= 800
+    isNearLimit: count >= limit * 0.875,
+    isAtLimit: remaining <= 0,
+    source: server ? 'server' : 'local',
+    resetAt: server?.resetAt || null
   };
 };
 
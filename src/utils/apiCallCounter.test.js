@@ -0,0 +1,83 @@
+import {
+  getAPICallCount,
+  incrementAPICallCount,
+  recordServerCredits,
+  getAPICounterState,
+  resetAPICallCount,
+} from './apiCallCounter';
+
+// Wednesday 2026-03-11, 10:00 AM ET
+const NOW = new Date('2026-03-11T14:00:00Z');
+const NEXT_MIDNIGHT_ET = '2026-03-12T04:00:00.000Z';
+
+const creditHeaders = (used, remaining, reset = NEXT_MIDNIGHT_ET) =>
+  new Map([
+    ['x-credits-used', String(used)],
+    ['x-credits-remaining', String(remaining)],
+    ['x-credits-reset', reset],
+  ]);
+
+describe('apiCallCounter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+    resetAPICallCount();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('counts calls locally until the worker reports its ledger', () => {
+    incrementAPICallCount('quote');
+    incrementAPICallCount('quote');
+
+    expect(getAPICallCount()).toBe(2);
+    expect(getAPICounterState()).toMatchObject({
+      count: 2,
+      limit: 800,
+      remaining: 798,
+      source: 'local',
+      resetAt: null,
+    });
+  });
+
+  test("the worker's ledger takes precedence over the local count", () => {
+    incrementAPICallCount('quote');
+    recordServerCredits(creditHeaders(700, 100));
+
+    expect(getAPICounterState()).toMatchObject({
+      count: 700,
+      limit: 800,
+      remaining: 100,
+      isNearLimit: true,
+      isAtLimit: false,
+      source: 'server',
+      resetAt: NEXT_MIDNIGHT_ET,
+    });
+
+    // Later responses replace the reported ledger
+    recordServerCredits(creditHeaders(800, 0));
+    expect(getAPICounterState()).toMatchObject({ count: 800, remaining: 0, isAtLimit: true });
+  });
+
+  test('responses without credit headers leave the ledger alone', () => {
+    recordServerCredits(creditHeaders(120, 680));
+    recordServerCredits(new Map());
+    recordServerCredits(undefined);
+
+    expect(getAPICounterState()).toMatchObject({ count: 120, source: 'server' });
+  });
+
+  test('falls back to the local count once the ledger has reset', () => {
+    incrementAPICallCount('quote');
+    recordServerCredits(creditHeaders(800, 0));
+
+    jest.setSystemTime(new Date('2026-03-12T04:00:01Z'));
+
+    expect(getAPICounterState()).toMatchObject({ count: 0, remaining: 800, source: 'local' });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Calendar date helpers for the trading calendar
+ * Dates are YYYY-MM-DD strings and times are wall-clock minutes after midnight in
+ * an exchange's time zone; conversion to instants goes through Intl, so DST is
+ * handled by the platform's time zone data. Shared with the Cloudflare Worker -
+ * keep it free of browser APIs.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall clock in a time zone for an instant
+ * @returns {Object} { date: "YYYY-MM-DD", minutes (after midnight), weekday (0 = Sunday) }
+ */
+export function getZonedParts(now, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(now)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+const toUTCDay = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const fromUTCDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Calendar date arithmetic on YYYY-MM-DD strings
+ */
+export function addDays(date, days) {
+  return fromUTCDay(toUTCDay(date) + days * DAY_MS);
+}
+
+/**
+ * Day of the week of a date (0 = Sunday)
+ */
+export function getWeekday(date) {
+  return new Date(toUTCDay(date)).getUTCDay();
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timeZone - IANA zone, e.g. "Europe/London"
+ * @returns {Date}
+ */
+export function getZonedInstant(date, minutes, timeZone) {
+  const wallClock = toUTCDay(date) + minutes * 60 * 1000;
+  let instant = wallClock; // UTC guess, corrected below
+
+  // Once for the offset, once more if that moved us across a DST switch
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    instant += wallClock - (toUTCDay(parts.date) + parts.minutes * 60 * 1000);
+  }
+
+  return new Date(instant);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const makeDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * nth weekday of a month (n = -1 for the last one)
+ */
+export function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = makeDate(year, month, new Date(Date.UTC(year, month, 0)).getUTCDate());
+    return addDays(last, -((getWeekday(last) - weekday + 7) % 7));
+  }
+  const first = makeDate(year, month, 1);
+  return addDays(first, ((weekday - getWeekday(first) + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+export function getEaster(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return makeDate(year, month, day);
+}
+
+const hebrewFormatter = new Intl.DateTimeFormat('en-US-u-ca-hebrew', {
+  timeZone: 'UTC',
+  month: 'long',
+  day: 'numeric',
+});
+
+const hebrewYearCache = new Map();
+
+/**
+ * Hebrew calendar dates falling in a Gregorian year
+ * @returns {Map} "15 Nisan" -> "YYYY-MM-DD" (Adar is "Adar" in common years, "Adar II" in leap years)
+ */
+export function getHebrewDates(year) {
+  if (hebrewYearCache.has(year)) return hebrewYearCache.get(year);
+
+  const dates = new Map();
+  for (let date = makeDate(year, 1, 1); date.startsWith(`${year}-`); date = addDays(date, 1)) {
+    const parts = {};
+    hebrewFormatter.formatToParts(new Date(toUTCDay(date))).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    dates.set(`${parts.day} ${parts.month}`, date);
+  }
+
+  hebrewYearCache.set(year, dates);
+  return dates;
+}
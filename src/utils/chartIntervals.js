@@ -0,0 +1,52 @@
+/**
+ * Chart intervals and periods
+ * Shared by the price chart, its data hook and the series caches
+ */
+
+// Bars Twelve Data returns at most per request
+const MAX_OUTPUTSIZE = 5000;
+
+/**
+ * Supported bar intervals (Twelve Data names)
+ * maxPeriod caps the lookback in days - 1min history only goes back about a week upstream
+ */
+export const CHART_INTERVALS = [
+  { value: '1min', label: '1m', barsPerSession: 390, maxPeriod: 5, intraday: true },
+  { value: '5min', label: '5m', barsPerSession: 78, maxPeriod: 30, intraday: true },
+  { value: '15min', label: '15m', barsPerSession: 26, maxPeriod: 90, intraday: true },
+  { value: '1h', label: '1H', barsPerSession: 7, maxPeriod: 365, intraday: true },
+  { value: '1day', label: '1D', barsPerSession: 1, maxPeriod: 5 * 365, intraday: false }
+];
+
+// Lookback periods in days (matches usePreferencesStore.defaultChartPeriod)
+export const CHART_PERIODS = [
+  { value: 1, label: '1D' },
+  { value: 5, label: '5D' },
+  { value: 30, label: '1M' },
+  { value: 90, label: '3M' },
+  { value: 365, label: '1Y' }
+];
+
+/**
+ * Look up an interval, falling back to daily bars for unknown values
+ */
+export const getChartInterval = (interval) =>
+  CHART_INTERVALS.find(option => option.value === interval) || CHART_INTERVALS[CHART_INTERVALS.length - 1];
+
+/**
+ * Period actually charted for an interval (e.g. 1min bars are capped at 5 days)
+ */
+export const clampChartPeriod = (interval, periodDays) =>
+  Math.max(1, Math.min(periodDays || 1, getChartInterval(interval).maxPeriod));
+
+/**
+ * Number of bars to request for an interval and a lookback in calendar days
+ * @param {string} interval - '1min', '5min', '15min', '1h' or '1day'
+ * @param {number} periodDays - Calendar days to cover
+ * @returns {number} outputsize for /api/time_series
+ */
+export const getChartOutputsize = (interval, periodDays) => {
+  const { barsPerSession } = getChartInterval(interval);
+  const sessions = Math.ceil(clampChartPeriod(interval, periodDays) * 5 / 7);
+  return Math.min(MAX_OUTPUTSIZE, Math.max(1, sessions) * barsPerSession);
+};
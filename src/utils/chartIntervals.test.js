@@ -0,0 +1,52 @@
+import { getChartOutputsize, clampChartPeriod, getChartInterval } from './chartIntervals';
+import { getSeriesTTL } from '../services/cacheManager';
+import { isMarketOpen, getTimeUntilMarketOpen } from './marketHours';
+
+jest.mock('./marketHours', () => ({
+  isMarketOpen: jest.fn(),
+  getTimeUntilMarketOpen: jest.fn()
+}));
+
+describe('chartIntervals', () => {
+  test('requests one session of bars per trading day in the period', () => {
+    expect(getChartOutputsize('1day', 365)).toBe(261);
+    expect(getChartOutputsize('1h', 30)).toBe(22 * 7);
+    expect(getChartOutputsize('5min', 1)).toBe(78);
+  });
+
+  test('caps the period by what the interval supports', () => {
+    expect(clampChartPeriod('1min', 90)).toBe(5);
+    expect(getChartOutputsize('1min', 90)).toBe(4 * 390);
+    expect(clampChartPeriod('1day', 90)).toBe(90);
+  });
+
+  test('never asks for more than 5000 bars', () => {
+    expect(getChartOutputsize('15min', 365)).toBeLessThanOrEqual(5000);
+    expect(getChartOutputsize('1day', 5 * 365)).toBe(1304);
+  });
+
+  test('unknown intervals fall back to daily bars', () => {
+    expect(getChartInterval('4h').value).toBe('1day');
+  });
+});
+
+describe('getSeriesTTL', () => {
+  test('follows the bar interval while the market is open', () => {
+    isMarketOpen.mockReturnValue(true);
+
+    expect(getSeriesTTL('1min')).toBe(60 * 1000);
+    expect(getSeriesTTL('5min')).toBe(5 * 60 * 1000);
+    expect(getSeriesTTL('1h')).toBe(15 * 60 * 1000);
+  });
+
+  test('lasts until the next session opens while the market is closed', () => {
+    isMarketOpen.mockReturnValue(false);
+    getTimeUntilMarketOpen.mockReturnValue(63 * 60 * 60 * 1000);
+
+    expect(getSeriesTTL('1min')).toBe(63 * 60 * 60 * 1000);
+
+    // Never shorter than the closed-market floor (1 hour)
+    getTimeUntilMarketOpen.mockReturnValue(10 * 60 * 1000);
+    expect(getSeriesTTL('5min')).toBe(60 * 60 * 1000);
+  });
+});
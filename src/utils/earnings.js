@@ -0,0 +1,57 @@
+/**
+ * Earnings helpers
+ * Days-until math and labels for /api/earnings (Finnhub report dates are US/Eastern dates)
+ */
+
+// Watchlist badge shows reports up to this many days out
+export const EARNINGS_BADGE_DAYS = 14;
+
+// Finnhub report time codes
+const HOUR_LABELS = {
+  bmo: 'before open',
+  amc: 'after close',
+  dmh: 'during market hours'
+};
+
+/**
+ * Today's date in ET as YYYY-MM-DD
+ * @param {Date} now - Current time (injectable for tests)
+ */
+export const getTodayET = (now = new Date()) =>
+  now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+/**
+ * Calendar days from today (ET) until a report date
+ * @param {string} date - Report date (YYYY-MM-DD)
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {number|null} 0 = today, negative = already past, null without a date
+ */
+export const getDaysUntilEarnings = (date, now = new Date()) => {
+  if (!date) return null;
+  const today = Date.parse(`${getTodayET(now)}T00:00:00Z`);
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - today) / 86400000);
+};
+
+/**
+ * Report time as text ('after close'), empty when Finnhub doesn't know
+ */
+export const formatEarningsHour = (hour) => HOUR_LABELS[hour] || '';
+
+/**
+ * "today", "tomorrow" or "in N days"
+ */
+export const formatDaysUntil = (days) => {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+};
+
+/**
+ * Most recent reported quarter's EPS surprise (percent), if known
+ * @param {Object} earnings - /api/earnings response
+ * @returns {number|null}
+ */
+export const getLastSurprisePercent = (earnings) => {
+  const last = earnings?.history?.find(report => report.surprise_percent !== null && report.surprise_percent !== undefined);
+  return last ? last.surprise_percent : null;
+};
@@ -0,0 +1,33 @@
+import { getTodayET, getDaysUntilEarnings, formatDaysUntil, getLastSurprisePercent } from './earnings';
+
+// 2025-04-29 23:30 ET - already the 30th in UTC
+const LATE_EVENING_ET = new Date('2025-04-30T03:30:00Z');
+
+describe('earnings', () => {
+  test('days until a report are counted in ET calendar days', () => {
+    expect(getTodayET(LATE_EVENING_ET)).toBe('2025-04-29');
+    expect(getDaysUntilEarnings('2025-04-29', LATE_EVENING_ET)).toBe(0);
+    expect(getDaysUntilEarnings('2025-05-01', LATE_EVENING_ET)).toBe(2);
+    expect(getDaysUntilEarnings('2025-04-28', LATE_EVENING_ET)).toBe(-1);
+    expect(getDaysUntilEarnings(null, LATE_EVENING_ET)).toBeNull();
+  });
+
+  test('days until are phrased for reminders', () => {
+    expect(formatDaysUntil(0)).toBe('today');
+    expect(formatDaysUntil(1)).toBe('tomorrow');
+    expect(formatDaysUntil(3)).toBe('in 3 days');
+  });
+
+  test('last surprise skips quarters without one', () => {
+    const earnings = {
+      history: [
+        { year: 2025, quarter: 1, surprise_percent: null },
+        { year: 2024, quarter: 4, surprise_percent: 4.1 }
+      ]
+    };
+
+    expect(getLastSurprisePercent(earnings)).toBe(4.1);
+    expect(getLastSurprisePercent({ history: [] })).toBeNull();
+    expect(getLastSurprisePercent(null)).toBeNull();
+  });
+});
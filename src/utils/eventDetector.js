@@ -1,4 +1,8 @@
-import { twelveDataAPI } from './api.js';
+import { twelveDataAPI, cachedTwelveDataAPI } from './api.js';
+import { getDaysUntilEarnings, formatDaysUntil, formatEarningsHour, getLastSurprisePercent } from './earnings.js';
+
+// Remind this many days before a report unless preferences say otherwise (0 = off)
+const DEFAULT_EARNINGS_REMINDER_DAYS = 1;
 
 /**
  * Get average daily volume from Twelve Data API
@@ -153,13 +157,116 @@ export const createVolumeSpikeMessage = (data) => {
   return `🚨 ${symbol} Volume Spike Alert! Today: ${formattedToday} (${ratio.toFixed(1)}x avg of ${formattedAverage})`;
 };
 
+/**
+ * Check if a symbol's next earnings report is close enough for a reminder
+ * @param {Object} earnings - /api/earnings response ({ upcoming, history })
+ * @param {number} daysBefore - Remind when the report is at most this many days away
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {boolean} - Whether to remind
+ */
+export const shouldRemindEarnings = (earnings, daysBefore = DEFAULT_EARNINGS_REMINDER_DAYS, now = new Date()) => {
+  const days = getDaysUntilEarnings(earnings?.upcoming?.date, now);
+  return days !== null && days >= 0 && days <= daysBefore;
+};
+
+/**
+ * Check all symbols in watchlist for upcoming earnings reports
+ * One earnings calendar request covers the watchlist; the full report (for the last
+ * surprise) is only fetched for symbols that are due. Both are cached for 12 hours.
+ * @param {string[]} symbols - Array of symbols to check
+ * @param {Function} onEarningsReminder - Callback when a report is coming up
+ * @param {Function} hasEventFiredToday - Function to check if event already fired today
+ * @param {Function} setEventFlag - Function to set event flag
+ * @param {Object} options - { daysBefore, now }
+ */
+export const checkWatchlistForEarnings = async (
+  symbols,
+  onEarningsReminder,
+  hasEventFiredToday,
+  setEventFlag,
+  { daysBefore = DEFAULT_EARNINGS_REMINDER_DAYS, now = new Date() } = {}
+) => {
+  const results = [];
+  const pending = symbols.filter(symbol => !hasEventFiredToday(symbol, 'earnings_reminder'));
+
+  if (pending.length === 0) {
+    return results;
+  }
+
+  let calendar;
+  try {
+    calendar = await cachedTwelveDataAPI.getEarningsCalendar(pending);
+  } catch (error) {
+    console.error('Error checking the earnings calendar:', error);
+    return results;
+  }
+
+  for (const symbol of pending) {
+    try {
+      if (!shouldRemindEarnings(calendar[symbol], daysBefore, now)) {
+        continue;
+      }
+
+      const earnings = await cachedTwelveDataAPI.getEarnings(symbol);
+
+      if (shouldRemindEarnings(earnings, daysBefore, now)) {
+        const { upcoming } = earnings;
+        const notificationData = {
+          symbol,
+          type: 'earnings_reminder',
+          date: upcoming.date,
+          hour: upcoming.hour,
+          daysUntil: getDaysUntilEarnings(upcoming.date, now),
+          epsEstimate: upcoming.eps_estimate,
+          lastSurprisePercent: getLastSurprisePercent(earnings),
+          timestamp: new Date().toISOString()
+        };
+
+        onEarningsReminder(notificationData);
+        setEventFlag(symbol, 'earnings_reminder');
+        results.push(notificationData);
+      }
+    } catch (error) {
+      console.error(`Error checking earnings for ${symbol}:`, error);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Create notification message for an upcoming earnings report
+ * @param {Object} data - Notification data
+ * @returns {string} - Formatted notification message
+ */
+export const createEarningsReminderMessage = (data) => {
+  const { symbol, daysUntil, hour, epsEstimate, lastSurprisePercent } = data;
+  const when = [formatDaysUntil(daysUntil), formatEarningsHour(hour)].filter(Boolean).join(' ');
+
+  let message = `📅 ${symbol} reports earnings ${when}`;
+  if (epsEstimate !== null && epsEstimate !== undefined) {
+    message += ` - EPS est. $${epsEstimate.toFixed(2)}`;
+  }
+  if (lastSurprisePercent !== null && lastSurprisePercent !== undefined) {
+    const verb = lastSurprisePercent >= 0 ? 'beat' : 'missed';
+    message += ` (${verb} by ${Math.abs(lastSurprisePercent).toFixed(1)}% last quarter)`;
+  }
+  return message;
+};
+
 /**
  * Enhanced event detector class for managing multiple event types
  */
 export class EventDetector {
-  constructor(watchlistStore, notificationCallback) {
+  /**
+   * @param {Object} watchlistStore - Store with getState() (watchlist and event flags)
+   * @param {Function} notificationCallback - Called with each event's data (check data.type)
+   * @param {Object} preferencesStore - Store with getState() for earningsReminderDays (optional)
+   */
+  constructor(watchlistStore, notificationCallback, preferencesStore = null) {
     this.watchlistStore = watchlistStore;
     this.notificationCallback = notificationCallback;
+    this.preferencesStore = preferencesStore;
     this.isRunning = false;
     this.intervalId = null;
   }
@@ -224,6 +331,18 @@ export class EventDetector {
         this.watchlistStore.getState().hasEventFiredToday,
         this.watchlistStore.getState().setEventFlag
       );
+
+      // Check for upcoming earnings reports
+      const daysBefore = this.preferencesStore?.getState().earningsReminderDays ?? DEFAULT_EARNINGS_REMINDER_DAYS;
+      if (daysBefore > 0) {
+        await checkWatchlistForEarnings(
+          symbols,
+          this.notificationCallback,
+          this.watchlistStore.getState().hasEventFiredToday,
+          this.watchlistStore.getState().setEventFlag,
+          { daysBefore }
+        );
+      }
       
     } catch (error) {
       console.error('Error in event detection:', error);
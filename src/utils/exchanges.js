@@ -0,0 +1,411 @@
+/**
+ * Exchange definitions
+ * Time zone, weekly hours, holidays and early closes for every exchange the app
+ * follows, and how a symbol resolves to its exchange. Sessions are computed from
+ * these by tradingCalendar.js. Shared with the Cloudflare Worker - keep it free of
+ * browser APIs.
+ *
+ * Listings outside the US are written "TICKER:EXCHANGE" with Twelve Data's exchange
+ * code ("BARC:LSE", "SAP:XETR"), which Twelve Data accepts as-is; Yahoo-style
+ * suffixes ("BARC.L") are understood too. Plain tickers are US listings.
+ */
+
+import {
+  addDays,
+  getWeekday,
+  makeDate,
+  nthWeekday,
+  getEaster,
+  getHebrewDates,
+} from './calendarDates';
+
+export const DEFAULT_EXCHANGE = 'NYSE';
+
+// US session, minutes after midnight ET
+export const PRE_MARKET_OPEN = 4 * 60; // 4:00 AM
+export const REGULAR_OPEN = 9 * 60 + 30; // 9:30 AM
+export const REGULAR_CLOSE = 16 * 60; // 4:00 PM
+export const EARLY_CLOSE = 13 * 60; // 1:00 PM
+export const AFTER_HOURS_CLOSE = 20 * 60; // 8:00 PM
+export const EARLY_AFTER_HOURS_CLOSE = 17 * 60; // 5:00 PM on early-close days
+
+const MON_FRI = [1, 2, 3, 4, 5];
+
+/**
+ * { weekday: { open, close } } for days sharing the same hours
+ */
+const weeklyHours = (days, open, close) =>
+  Object.fromEntries(days.map((day) => [day, { open, close }]));
+
+const weekdayOn = (date) => getWeekday(date) >= 1 && getWeekday(date) <= 5;
+
+/**
+ * Fixed-date holiday moved off the weekend the US way (Saturday -> Friday, Sunday -> Monday)
+ */
+function observedUS(date) {
+  const weekday = getWeekday(date);
+  if (weekday === 6) return addDays(date, -1);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Weekend holidays moved to the next free weekday (UK and Canada)
+ * Christmas on a Saturday closes Monday and Tuesday (with Boxing Day), and so on.
+ * @param {Map} holidays - Updated in place
+ * @param {Array} entries - [[date, name]] in date order
+ */
+function addWithSubstitutes(holidays, entries) {
+  entries.forEach(([date, name]) => {
+    let day = date;
+    while (!weekdayOn(day) || holidays.has(day)) day = addDays(day, 1);
+    holidays.set(day, name);
+  });
+}
+
+/**
+ * NYSE (NYSE Rule 7.2)
+ */
+function getNYSECalendar(year) {
+  const holidays = new Map();
+  const earlyCloses = new Map();
+
+  // New Year's Day on a Saturday isn't observed (the Friday is the end of the previous year)
+  const newYear = makeDate(year, 1, 1);
+  if (getWeekday(newYear) !== 6) holidays.set(observedUS(newYear), "New Year's Day");
+
+  holidays.set(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  holidays.set(addDays(getEaster(year), -2), 'Good Friday');
+  holidays.set(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  if (year >= 2022) holidays.set(observedUS(makeDate(year, 6, 19)), 'Juneteenth');
+  holidays.set(observedUS(makeDate(year, 7, 4)), 'Independence Day');
+  holidays.set(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  holidays.set(thanksgiving, 'Thanksgiving Day');
+  holidays.set(observedUS(makeDate(year, 12, 25)), 'Christmas Day');
+
+  // 1:00 PM closes: the day before Independence Day (only when July 4th falls Tuesday-Friday),
+  // the day after Thanksgiving, and Christmas Eve on a weekday
+  const july3 = makeDate(year, 7, 3);
+  if (getWeekday(july3) >= 1 && getWeekday(july3) <= 4) earlyCloses.set(july3, 'Independence Day');
+  earlyCloses.set(addDays(thanksgiving, 1), 'Day after Thanksgiving');
+  const christmasEve = makeDate(year, 12, 24);
+  if (getWeekday(christmasEve) >= 1 && getWeekday(christmasEve) <= 4)
+    earlyCloses.set(christmasEve, 'Christmas Eve');
+
+  return { holidays, earlyCloses };
+}
+
+/**
+ * London Stock Exchange (England and Wales bank holidays)
+ */
+function getLSECalendar(year) {
+  const holidays = new Map();
+  const earlyCloses = new Map();
+  const easter = getEaster(year);
+
+  addWithSubstitutes(holidays, [[makeDate(year, 1, 1), "New Year's Day"]]);
+  holidays.set(addDays(easter, -2), 'Good Friday');
+  holidays.set(addDays(easter, 1), 'Easter Monday');
+  holidays.set(nthWeekday(year, 5, 1, 1), 'Early May Bank Holiday');
+  holidays.set(nthWeekday(year, 5, 1, -1), 'Spring Bank Holiday');
+  holidays.set(nthWeekday(year, 8, 1, -1), 'Summer Bank Holiday');
+  addWithSubstitutes(holidays, [
+    [makeDate(year, 12, 25), 'Christmas Day'],
+    [makeDate(year, 12, 26), 'Boxing Day'],
+  ]);
+
+  // 12:30 PM closes on Christmas Eve and New Year's Eve
+  [
+    [makeDate(year, 12, 24), 'Christmas Eve'],
+    [makeDate(year, 12, 31), "New Year's Eve"],
+  ]
+    .filter(([date]) => weekdayOn(date))
+    .forEach(([date, reason]) => earlyCloses.set(date, reason));
+
+  return { holidays, earlyCloses };
+}
+
+/**
+ * Toronto Stock Exchange
+ */
+function getTSXCalendar(year) {
+  const holidays = new Map();
+  const earlyCloses = new Map();
+  const may24 = makeDate(year, 5, 24);
+
+  addWithSubstitutes(holidays, [[makeDate(year, 1, 1), "New Year's Day"]]);
+  holidays.set(nthWeekday(year, 2, 1, 3), 'Family Day');
+  holidays.set(addDays(getEaster(year), -2), 'Good Friday');
+  holidays.set(addDays(may24, -((getWeekday(may24) + 6) % 7)), 'Victoria Day'); // Monday on or before May 24th
+  addWithSubstitutes(holidays, [[makeDate(year, 7, 1), 'Canada Day']]);
+  holidays.set(nthWeekday(year, 8, 1, 1), 'Civic Holiday');
+  holidays.set(nthWeekday(year, 9, 1, 1), 'Labour Day');
+  holidays.set(nthWeekday(year, 10, 1, 2), 'Thanksgiving Day');
+  addWithSubstitutes(holidays, [
+    [makeDate(year, 12, 25), 'Christmas Day'],
+    [makeDate(year, 12, 26), 'Boxing Day'],
+  ]);
+
+  // 1:00 PM close on Christmas Eve
+  const christmasEve = makeDate(year, 12, 24);
+  if (weekdayOn(christmasEve)) earlyCloses.set(christmasEve, 'Christmas Eve');
+
+  return { holidays, earlyCloses };
+}
+
+/**
+ * Xetra (Deutsche Börse) - fixed dates, no substitutes
+ */
+function getXetraCalendar(year) {
+  const holidays = new Map();
+  const easter = getEaster(year);
+
+  holidays.set(makeDate(year, 1, 1), "New Year's Day");
+  holidays.set(addDays(easter, -2), 'Good Friday');
+  holidays.set(addDays(easter, 1), 'Easter Monday');
+  holidays.set(makeDate(year, 5, 1), 'Labour Day');
+  holidays.set(makeDate(year, 12, 24), 'Christmas Eve');
+  holidays.set(makeDate(year, 12, 25), 'Christmas Day');
+  holidays.set(makeDate(year, 12, 26), 'Boxing Day');
+  holidays.set(makeDate(year, 12, 31), "New Year's Eve");
+
+  return { holidays, earlyCloses: new Map() };
+}
+
+// TASE closes on the Jewish holidays and their eves (Hebrew calendar dates)
+const TASE_HOLIDAYS = [
+  ['14 Adar', 'Purim'],
+  ['14 Adar II', 'Purim'],
+  ['14 Nisan', 'Passover Eve'],
+  ['15 Nisan', 'Passover'],
+  ['20 Nisan', 'Seventh Day of Passover Eve'],
+  ['21 Nisan', 'Seventh Day of Passover'],
+  ['5 Sivan', 'Shavuot Eve'],
+  ['6 Sivan', 'Shavuot'],
+  ['29 Elul', 'Rosh Hashanah Eve'],
+  ['1 Tishri', 'Rosh Hashanah'],
+  ['2 Tishri', 'Rosh Hashanah'],
+  ['9 Tishri', 'Yom Kippur Eve'],
+  ['10 Tishri', 'Yom Kippur'],
+  ['14 Tishri', 'Sukkot Eve'],
+  ['15 Tishri', 'Sukkot'],
+  ['21 Tishri', 'Simchat Torah Eve'],
+  ['22 Tishri', 'Simchat Torah'],
+];
+
+/**
+ * Tel Aviv Stock Exchange
+ */
+function getTASECalendar(year) {
+  const holidays = new Map();
+  const hebrewDates = getHebrewDates(year);
+
+  TASE_HOLIDAYS.filter(([hebrewDate]) => hebrewDates.has(hebrewDate)).forEach(
+    ([hebrewDate, name]) => holidays.set(hebrewDates.get(hebrewDate), name)
+  );
+
+  // Independence Day (5 Iyar) moves off Friday and Saturday to the Thursday before, and off Monday to Tuesday
+  const independenceDay = hebrewDates.get('5 Iyar');
+  if (independenceDay) {
+    const shift = { 5: -1, 6: -2, 1: 1 }[getWeekday(independenceDay)] || 0;
+    holidays.set(addDays(independenceDay, shift), 'Independence Day');
+  }
+
+  // Tisha B'Av (9 Av) falling on the Sabbath is kept on the Sunday
+  const tishaBav = hebrewDates.get('9 Av');
+  if (tishaBav) {
+    holidays.set(getWeekday(tishaBav) === 6 ? addDays(tishaBav, 1) : tishaBav, "Tisha B'Av");
+  }
+
+  return { holidays, earlyCloses: new Map() };
+}
+
+/**
+ * Exchanges by id
+ *   timeZone      - IANA zone the hours are in
+ *   schedule      - Weekly hours, newest first: [{ from (YYYY-MM-DD, optional), hours: { weekday: { open, close } } }]
+ *   earlyClose    - Close on early-close days (minutes)
+ *   extendedHours - Pre-market and after-hours trading, when quoted: { open, close, earlyClose }
+ *   getCalendar   - (year) => { holidays: Map(date -> name), earlyCloses: Map(date -> reason) }
+ *   specialClosures - One-off closures (national days of mourning etc.)
+ *   twelveDataCode - Exchange code in "TICKER:CODE" symbols (null for US listings)
+ *   yahooSuffix   - Yahoo Finance ticker suffix
+ *   aliases       - Exchange names seen in search results and quotes
+ */
+export const EXCHANGES = {
+  NYSE: {
+    id: 'NYSE',
+    label: 'US',
+    name: 'NYSE / Nasdaq',
+    timeZone: 'America/New_York',
+    schedule: [{ hours: weeklyHours(MON_FRI, REGULAR_OPEN, REGULAR_CLOSE) }],
+    earlyClose: EARLY_CLOSE,
+    extendedHours: {
+      open: PRE_MARKET_OPEN,
+      close: AFTER_HOURS_CLOSE,
+      earlyClose: EARLY_AFTER_HOURS_CLOSE,
+    },
+    getCalendar: getNYSECalendar,
+    specialClosures: {
+      '2025-01-09': 'National Day of Mourning (President Carter)',
+    },
+    twelveDataCode: null,
+    yahooSuffix: '',
+    aliases: [
+      'NYSE',
+      'NASDAQ',
+      'NMS',
+      'NYQ',
+      'NYSE ARCA',
+      'NYSEARCA',
+      'ARCA',
+      'AMEX',
+      'BATS',
+      'CBOE',
+      'XNYS',
+      'XNAS',
+      'US',
+    ],
+  },
+  LSE: {
+    id: 'LSE',
+    label: 'LSE',
+    name: 'London Stock Exchange',
+    timeZone: 'Europe/London',
+    schedule: [{ hours: weeklyHours(MON_FRI, 8 * 60, 16 * 60 + 30) }],
+    earlyClose: 12 * 60 + 30,
+    getCalendar: getLSECalendar,
+    specialClosures: {
+      '2023-05-08': 'Coronation of King Charles III',
+    },
+    twelveDataCode: 'LSE',
+    yahooSuffix: '.L',
+    aliases: ['LSE', 'LON', 'XLON'],
+  },
+  TASE: {
+    id: 'TASE',
+    label: 'TASE',
+    name: 'Tel Aviv Stock Exchange',
+    timeZone: 'Asia/Jerusalem',
+    // Sunday-Thursday until TASE moved to a Monday-Friday week on 5 January 2026
+    schedule: [
+      {
+        from: '2026-01-05',
+        hours: {
+          ...weeklyHours([1, 2, 3, 4], 9 * 60 + 59, 17 * 60 + 25),
+          ...weeklyHours([5], 9 * 60 + 59, 13 * 60 + 50),
+        },
+      },
+      {
+        hours: {
+          ...weeklyHours([0], 9 * 60 + 59, 15 * 60 + 50),
+          ...weeklyHours([1, 2, 3, 4], 9 * 60 + 59, 17 * 60 + 25),
+        },
+      },
+    ],
+    getCalendar: getTASECalendar,
+    twelveDataCode: 'TASE',
+    yahooSuffix: '.TA',
+    aliases: ['TASE', 'TLV', 'XTAE'],
+  },
+  TSX: {
+    id: 'TSX',
+    label: 'TSX',
+    name: 'Toronto Stock Exchange',
+    timeZone: 'America/Toronto',
+    schedule: [{ hours: weeklyHours(MON_FRI, 9 * 60 + 30, 16 * 60) }],
+    earlyClose: 13 * 60,
+    getCalendar: getTSXCalendar,
+    twelveDataCode: 'TSX',
+    yahooSuffix: '.TO',
+    aliases: ['TSX', 'TOR', 'XTSE'],
+  },
+  XETRA: {
+    id: 'XETRA',
+    label: 'XETRA',
+    name: 'Xetra',
+    timeZone: 'Europe/Berlin',
+    schedule: [{ hours: weeklyHours(MON_FRI, 9 * 60, 17 * 60 + 30) }],
+    getCalendar: getXetraCalendar,
+    twelveDataCode: 'XETR',
+    yahooSuffix: '.DE',
+    aliases: ['XETRA', 'XETR', 'GER', 'ETR'],
+  },
+};
+
+/**
+ * Exchange definition by id (unknown ids get the US exchange)
+ */
+export function getExchange(id) {
+  return EXCHANGES[id] || EXCHANGES[DEFAULT_EXCHANGE];
+}
+
+/**
+ * Exchange id for a name or code ("XETR", "TLV", "NASDAQ")
+ * @returns {string|null}
+ */
+export function findExchange(name) {
+  if (!name) return null;
+  const upper = String(name).toUpperCase();
+  const exchange = Object.values(EXCHANGES).find(
+    (ex) => ex.id === upper || ex.aliases.includes(upper)
+  );
+  return exchange ? exchange.id : null;
+}
+
+/**
+ * Split a symbol into its ticker and exchange
+ * "BARC:LSE" and "BARC.L" are London listings; anything else is the symbol as given.
+ * @returns {Object} { ticker, exchange } - exchange is null when the symbol doesn't say
+ */
+export function parseListing(symbol) {
+  const upper = String(symbol || '')
+    .trim()
+    .toUpperCase();
+
+  const colon = upper.lastIndexOf(':');
+  if (colon > 0) {
+    const exchange = findExchange(upper.slice(colon + 1));
+    if (exchange) return { ticker: upper.slice(0, colon), exchange };
+  }
+
+  const suffixed = Object.values(EXCHANGES).find(
+    (ex) => ex.yahooSuffix && upper.endsWith(ex.yahooSuffix)
+  );
+  if (suffixed && upper.length > suffixed.yahooSuffix.length) {
+    return { ticker: upper.slice(0, -suffixed.yahooSuffix.length), exchange: suffixed.id };
+  }
+
+  return { ticker: upper, exchange: null };
+}
+
+/**
+ * The exchange a symbol trades on
+ * @param {string} symbol - "AAPL", "TEVA:TASE", "SHOP.TO"
+ * @param {Object} [metadata] - Search result or quote with an exchange field
+ * @returns {string} Exchange id (US when nothing says otherwise)
+ */
+export function getSymbolExchange(symbol, metadata = {}) {
+  return parseListing(symbol).exchange || findExchange(metadata.exchange) || DEFAULT_EXCHANGE;
+}
+
+/**
+ * The symbol to store for a listing: plain for US tickers, "TICKER:CODE" elsewhere
+ * @param {string} symbol
+ * @param {string} [exchange] - Exchange name from search metadata, when the symbol has none
+ */
+export function toListingSymbol(symbol, exchange) {
+  const { ticker } = parseListing(symbol);
+  const { twelveDataCode } = getExchange(getSymbolExchange(symbol, { exchange }));
+  return twelveDataCode ? `${ticker}:${twelveDataCode}` : ticker;
+}
+
+/**
+ * Yahoo Finance ticker for a symbol ("TEVA:TASE" -> "TEVA.TA")
+ */
+export function toYahooSymbol(symbol) {
+  const { ticker, exchange } = parseListing(symbol);
+  return exchange ? ticker + getExchange(exchange).yahooSuffix : ticker;
+}
@@ -5,6 +5,7 @@
  */
 
 import indexedDBService from '../services/indexedDBService';
+import { toListingSymbol } from './exchanges';
 
 /**
  * Export watchlist to JSON
@@ -263,8 +264,8 @@ export async function importWatchlistCSV(file) {
             if (index === 0 && line.trim().toLowerCase() === 'symbol') return false;
             return true;
           })
-          .map(line => line.trim().toUpperCase())
-          .filter(symbol => /^[A-Z]+$/.test(symbol)); // Only valid symbols
+          .map(line => toListingSymbol(line.trim()))
+          .filter(symbol => /^[A-Z]+(:[A-Z]+)?$/.test(symbol)); // Only valid symbols ("AAPL", "TEVA:TASE")
 
         if (symbols.length === 0) {
           reject(new Error('No valid symbols found in CSV'));
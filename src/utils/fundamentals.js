@@ -0,0 +1,90 @@
+/**
+ * Fundamentals helpers
+ * Growth rates, margins and formatting for the normalized /api/fundamentals statements
+ * (newest first - see workers/providers/fundamentals.js)
+ */
+
+// Periods back to the same period a year earlier
+const YEAR_AGO_OFFSET = { annual: 1, quarterly: 4 };
+
+/**
+ * Growth from `previous` to `current` as a fraction (0.12 = +12%)
+ * Uses |previous| so a loss shrinking to a smaller loss reads as growth
+ * @returns {number|null} null when either value is missing or previous is 0
+ */
+export const getGrowthRate = (current, previous) => {
+  if (current === null || current === undefined || !previous) return null;
+  return (current - previous) / Math.abs(previous);
+};
+
+/**
+ * Year-over-year growth of one field for every statement
+ * Quarterly statements compare with the same quarter a year earlier, so seasonality cancels out.
+ * @param {Array} statements - Normalized statements, newest first
+ * @param {string} period - 'annual' or 'quarterly'
+ * @param {string} section - 'income', 'balance' or 'cash_flow'
+ * @param {string} field - e.g. 'revenue'
+ * @returns {Array<number|null>} Growth per statement (null when the year-ago period is missing)
+ */
+export const getYoYGrowth = (statements, period, section, field) => {
+  const offset = YEAR_AGO_OFFSET[period] || 1;
+  return statements.map((statement, i) => {
+    const yearAgo = statements[i + offset];
+    return yearAgo ? getGrowthRate(statement[section]?.[field], yearAgo[section]?.[field]) : null;
+  });
+};
+
+/**
+ * Compound annual growth rate between the oldest and newest annual values
+ * @returns {number|null}
+ */
+export const getCAGR = (statements, section, field) => {
+  const newest = statements[0]?.[section]?.[field];
+  const oldest = statements[statements.length - 1]?.[section]?.[field];
+  const years = statements.length - 1;
+
+  if (years < 1 || !newest || !oldest || newest <= 0 || oldest <= 0) return null;
+  return Math.pow(newest / oldest, 1 / years) - 1;
+};
+
+/**
+ * Value as a fraction of revenue (margins)
+ * @returns {number|null}
+ */
+export const getMargin = (value, revenue) => {
+  if (value === null || value === undefined || !revenue) return null;
+  return value / revenue;
+};
+
+/**
+ * Format a statement amount: $391.0B, -$2.1M
+ */
+export const formatFinancial = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return '---';
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  if (abs >= 1e12) return `${sign}$${(abs / 1e12).toFixed(2)}T`;
+  if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`;
+  return `${sign}$${abs.toFixed(2)}`;
+};
+
+/**
+ * Format a fraction as a signed percentage: +12.3%
+ */
+export const formatPercent = (value, { signed = true } = {}) => {
+  if (value === null || value === undefined || isNaN(value)) return '---';
+  const sign = signed && value > 0 ? '+' : '';
+  return `${sign}${(value * 100).toFixed(1)}%`;
+};
+
+/**
+ * Column label for a statement: "FY2024" or "Sep '24"
+ */
+export const formatFiscalPeriod = (fiscalDate, period) => {
+  const [year, month] = fiscalDate.split('-').map(Number);
+  if (period === 'annual') return `FY${year}`;
+  const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  return `${monthName} '${String(year).slice(2)}`;
+};
@@ -0,0 +1,47 @@
+import { getGrowthRate, getYoYGrowth, getCAGR, formatFinancial, formatFiscalPeriod } from './fundamentals';
+
+const statement = (fiscal_date, revenue) => ({ fiscal_date, income: { revenue } });
+
+describe('fundamentals', () => {
+  test('growth is measured against the absolute previous value', () => {
+    expect(getGrowthRate(110, 100)).toBeCloseTo(0.1);
+    // A loss narrowing from -100 to -50 is an improvement
+    expect(getGrowthRate(-50, -100)).toBeCloseTo(0.5);
+    expect(getGrowthRate(10, 0)).toBeNull();
+    expect(getGrowthRate(null, 100)).toBeNull();
+  });
+
+  test('quarterly growth compares with the same quarter a year earlier', () => {
+    const quarters = [
+      statement('2024-12-31', 130),
+      statement('2024-09-30', 90),
+      statement('2024-06-30', 85),
+      statement('2024-03-31', 80),
+      statement('2023-12-31', 100)
+    ];
+
+    const growth = getYoYGrowth(quarters, 'quarterly', 'income', 'revenue');
+
+    expect(growth[0]).toBeCloseTo(0.3);
+    expect(growth.slice(1)).toEqual([null, null, null, null]);
+  });
+
+  test('annual growth compares with the previous year', () => {
+    const years = [statement('2024-09-30', 121), statement('2023-09-30', 110), statement('2022-09-30', 100)];
+
+    expect(getYoYGrowth(years, 'annual', 'income', 'revenue')[0]).toBeCloseTo(0.1);
+    expect(getCAGR(years, 'income', 'revenue')).toBeCloseTo(0.1);
+  });
+
+  test('CAGR is undefined across a loss', () => {
+    expect(getCAGR([statement('2024-09-30', 100), statement('2023-09-30', -5)], 'income', 'revenue')).toBeNull();
+  });
+
+  test('formats amounts and period labels', () => {
+    expect(formatFinancial(391035000000)).toBe('$391.0B');
+    expect(formatFinancial(-2100000)).toBe('-$2.1M');
+    expect(formatFinancial(null)).toBe('---');
+    expect(formatFiscalPeriod('2024-09-28', 'annual')).toBe('FY2024');
+    expect(formatFiscalPeriod('2024-09-28', 'quarterly')).toBe("Sep '24");
+  });
+});
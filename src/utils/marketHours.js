@@ -1,8 +1,13 @@
 /**
  * Market Hours Utility
- * Shared utility for checking US market hours (NYSE/NASDAQ)
+ * Shared utility for checking market hours - the US market (NYSE/NASDAQ) unless
+ * an exchange id is passed (see exchanges.js)
+ * Sessions, holidays and early closes come from the trading calendar
  */
 
+import { getMarketPhase, getNextMarketOpen } from './tradingCalendar';
+import { DEFAULT_EXCHANGE } from './exchanges';
+
 /**
  * Get current time in Eastern Time zone
  * @returns {Date} Current time in ET
@@ -13,99 +18,62 @@ export function getEasternTime() {
 }
 
 /**
- * Check if US stock market is currently open
- * Market hours: Monday-Friday, 9:30 AM - 4:00 PM ET
+ * Check if a stock market is currently open
+ * US regular session: 9:30 AM - 4:00 PM ET (1:00 PM on early-close days), trading days only
+ * @param {string} [exchange] - Exchange id ('NYSE', 'LSE', 'TASE', 'TSX', 'XETRA')
  * @returns {boolean} True if market is open
  */
-export function isMarketOpen() {
-  const etTime = getEasternTime();
-  const day = etTime.getDay(); // 0 = Sunday, 6 = Saturday
-  const hours = etTime.getHours();
-  const minutes = etTime.getMinutes();
-  const totalMinutes = hours * 60 + minutes;
-
-  // Market hours: Monday-Friday, 9:30 AM - 4:00 PM ET
-  const isWeekday = day >= 1 && day <= 5;
-  const marketOpen = 9 * 60 + 30; // 9:30 AM in minutes
-  const marketClose = 16 * 60; // 4:00 PM in minutes
-  const isDuringMarketHours = totalMinutes >= marketOpen && totalMinutes < marketClose;
-
-  return isWeekday && isDuringMarketHours;
+export function isMarketOpen(exchange = DEFAULT_EXCHANGE) {
+  return getMarketPhase(new Date(), exchange) === 'open';
 }
 
 /**
  * Check if we're in extended hours (pre-market or after-hours)
  * Pre-market: 4:00 AM - 9:30 AM ET
- * After-hours: 4:00 PM - 8:00 PM ET
+ * After-hours: close - 8:00 PM ET (5:00 PM on early-close days)
+ * Only the US market has quoted extended hours - always false elsewhere
+ * @param {string} [exchange] - Exchange id
  * @returns {boolean} True if in extended hours
  */
-export function isExtendedHours() {
-  const etTime = getEasternTime();
-  const day = etTime.getDay();
-  const hours = etTime.getHours();
-  const minutes = etTime.getMinutes();
-  const totalMinutes = hours * 60 + minutes;
-
-  const isWeekday = day >= 1 && day <= 5;
-  const preMarketStart = 4 * 60; // 4:00 AM
-  const marketOpen = 9 * 60 + 30; // 9:30 AM
-  const marketClose = 16 * 60; // 4:00 PM
-  const afterHoursEnd = 20 * 60; // 8:00 PM
-
-  const isPreMarket = totalMinutes >= preMarketStart && totalMinutes < marketOpen;
-  const isAfterHours = totalMinutes >= marketClose && totalMinutes < afterHoursEnd;
+export function isExtendedHours(exchange = DEFAULT_EXCHANGE) {
+  const phase = getMarketPhase(new Date(), exchange);
+  return phase === 'pre' || phase === 'post';
+}
 
-  return isWeekday && (isPreMarket || isAfterHours);
+/**
+ * Short label for a quote's extended-hours price
+ * @param {string} session - quote.extendedSession ('pre' or 'post')
+ * @returns {string|null} "PRE", "POST", or null
+ */
+export function getExtendedSessionLabel(session) {
+  if (session === 'pre') return 'PRE';
+  if (session === 'post') return 'POST';
+  return null;
 }
 
 /**
  * Get time until market opens (in milliseconds)
- * Returns 0 if market is currently open
+ * Returns 0 if market is currently open; skips weekends and holidays
+ * @param {string} [exchange] - Exchange id
  * @returns {number} Milliseconds until market opens
  */
-export function getTimeUntilMarketOpen() {
-  if (isMarketOpen()) return 0;
-
-  const etTime = getEasternTime();
-  const day = etTime.getDay();
-  const hours = etTime.getHours();
-  const minutes = etTime.getMinutes();
-  const totalMinutes = hours * 60 + minutes;
-
-  const marketOpen = 9 * 60 + 30; // 9:30 AM in minutes
+export function getTimeUntilMarketOpen(exchange = DEFAULT_EXCHANGE) {
+  if (isMarketOpen(exchange)) return 0;
 
-  let daysToAdd = 0;
-
-  if (day === 0) {
-    // Sunday - wait until Monday
-    daysToAdd = 1;
-  } else if (day === 6) {
-    // Saturday - wait until Monday
-    daysToAdd = 2;
-  } else if (totalMinutes >= 16 * 60) {
-    // After market close - wait until next weekday
-    daysToAdd = day === 5 ? 3 : 1; // Friday goes to Monday
-  }
-
-  // Calculate milliseconds until market open
-  const minutesUntilOpen = daysToAdd > 0
-    ? (daysToAdd * 24 * 60) + marketOpen - totalMinutes
-    : marketOpen - totalMinutes;
-
-  return minutesUntilOpen * 60 * 1000;
+  const now = new Date();
+  return getNextMarketOpen(now, exchange).getTime() - now.getTime();
 }
 
 /**
  * Get market status as a string for display
+ * @param {string} [exchange] - Exchange id
  * @returns {string} "OPEN", "PRE-MARKET", "AFTER-HOURS", or "CLOSED"
  */
-export function getMarketStatus() {
-  if (isMarketOpen()) return 'OPEN';
-  if (isExtendedHours()) {
-    const etTime = getEasternTime();
-    const hours = etTime.getHours();
-    return hours < 9 ? 'PRE-MARKET' : 'AFTER-HOURS';
-  }
+export function getMarketStatus(exchange = DEFAULT_EXCHANGE) {
+  const phase = getMarketPhase(new Date(), exchange);
+  if (phase === 'open') return 'OPEN';
+  if (phase === 'pre') return 'PRE-MARKET';
+  if (phase === 'post') return 'AFTER-HOURS';
   return 'CLOSED';
 }
 
@@ -29,7 +29,8 @@ export const parseNasdaqList = async (fileUrl) => {
         financialStatus: parts[4],
         roundLotSize: parts[5],
         etf: parts[6] === 'Y',
-        nextShares: parts[7] === 'Y'
+        nextShares: parts[7] === 'Y',
+        exchange: 'NASDAQ'
       };
 
       // Filter out test issues
@@ -0,0 +1,90 @@
+/**
+ * News helpers
+ * Date ranges, feed merging and alert linking for /api/news items
+ * ({ id, symbol, datetime (unix seconds), headline, summary, source, url, related })
+ */
+
+import { getTodayET } from './earnings';
+
+// Days of news the panels ask for
+export const NEWS_LOOKBACK_DAYS = 7;
+
+// A volume spike is linked to news published up to this long before it (or shortly after,
+// since the detector only runs every 15 minutes)
+export const SPIKE_NEWS_WINDOW = {
+  before: 18 * 60 * 60 * 1000,
+  after: 2 * 60 * 60 * 1000
+};
+
+const toDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * { from, to } covering the last `days` days (ET dates)
+ * @param {number} days - Days back from today
+ * @param {Date} now - Current time (injectable for tests)
+ */
+export const getNewsDateRange = (days = NEWS_LOOKBACK_DAYS, now = new Date()) => {
+  const to = getTodayET(now);
+  return { from: toDate(Date.parse(`${to}T00:00:00Z`) - days * 86400000), to };
+};
+
+/**
+ * { from, to } (ET dates) covering the news window around an alert
+ * @param {number} timestamp - Alert time (ms)
+ */
+export const getNewsRangeForAlert = (timestamp) => ({
+  from: getTodayET(new Date(timestamp - SPIKE_NEWS_WINDOW.before)),
+  to: getTodayET(new Date(timestamp + SPIKE_NEWS_WINDOW.after))
+});
+
+/**
+ * Merge per-symbol feeds into one, newest first
+ * The same story often appears under several watchlist symbols - it's kept once,
+ * using the worker's rule (same URL or same headline).
+ * @param {Array<Array>} feeds - Item arrays, one per symbol
+ * @param {number} limit - Max items
+ */
+export const mergeNewsFeeds = (feeds, limit = 100) => {
+  const seenUrls = new Set();
+  const seenHeadlines = new Set();
+
+  return feeds
+    .flat()
+    .sort((a, b) => b.datetime - a.datetime)
+    .filter(item => {
+      const headline = item.headline.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+      if (seenUrls.has(item.url) || seenHeadlines.has(headline)) return false;
+      seenUrls.add(item.url);
+      seenHeadlines.add(headline);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+/**
+ * News published around a volume spike alert, closest first
+ * @param {Array} items - News items for the alert's symbol
+ * @param {number} timestamp - Alert time (ms)
+ * @param {number} limit - Max items
+ */
+export const getNewsNearTimestamp = (items, timestamp, limit = 3) => items
+  .filter(item => {
+    const published = item.datetime * 1000;
+    return published >= timestamp - SPIKE_NEWS_WINDOW.before && published <= timestamp + SPIKE_NEWS_WINDOW.after;
+  })
+  .sort((a, b) => Math.abs(a.datetime * 1000 - timestamp) - Math.abs(b.datetime * 1000 - timestamp))
+  .slice(0, limit);
+
+/**
+ * Article age: "Just now", "12m ago", "3h ago", "2d ago"
+ */
+export const formatNewsAge = (datetime, now = Date.now()) => {
+  const minutes = Math.floor((now - datetime * 1000) / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d ago`;
+  if (hours > 0) return `${hours}h ago`;
+  if (minutes > 0) return `${minutes}m ago`;
+  return 'Just now';
+};
@@ -0,0 +1,41 @@
+import { getNewsDateRange, mergeNewsFeeds, getNewsNearTimestamp, formatNewsAge } from './news';
+
+const HOUR = 60 * 60 * 1000;
+const item = (id, datetime, headline, url = `https://news.test/${id}`) => ({ id, datetime, headline, url });
+
+describe('news', () => {
+  test('date range ends today in ET', () => {
+    // 2025-03-10 22:00 ET is already the 11th in UTC
+    expect(getNewsDateRange(7, new Date('2025-03-11T02:00:00Z'))).toEqual({ from: '2025-03-03', to: '2025-03-10' });
+  });
+
+  test('watchlist feeds merge newest first without repeating a story', () => {
+    const aapl = [item(1, 300, 'Apple and Microsoft team up'), item(2, 100, 'Apple earnings')];
+    const msft = [item(3, 300, 'Apple and Microsoft Team Up'), item(4, 200, 'Azure growth', 'https://news.test/2')];
+
+    expect(mergeNewsFeeds([aapl, msft]).map(n => n.id)).toEqual([1, 4]);
+    expect(mergeNewsFeeds([aapl, msft], 1)).toHaveLength(1);
+  });
+
+  test('spike news comes from the hours before the alert, closest first', () => {
+    const alertAt = Date.parse('2025-03-10T18:00:00Z');
+    const seconds = (ms) => ms / 1000;
+    const items = [
+      item(1, seconds(alertAt - 20 * HOUR), 'Too early'),
+      item(2, seconds(alertAt - 6 * HOUR), 'Morning headline'),
+      item(3, seconds(alertAt - 1 * HOUR), 'Midday headline'),
+      item(4, seconds(alertAt + 1 * HOUR), 'Follow-up'),
+      item(5, seconds(alertAt + 5 * HOUR), 'Too late')
+    ];
+
+    expect(getNewsNearTimestamp(items, alertAt).map(n => n.id)).toEqual([3, 4, 2]);
+    expect(getNewsNearTimestamp(items, alertAt, 1).map(n => n.id)).toEqual([3]);
+  });
+
+  test('article age is relative to now', () => {
+    const now = Date.parse('2025-03-10T18:00:00Z');
+    expect(formatNewsAge((now - 90 * 60 * 1000) / 1000, now)).toBe('1h ago');
+    expect(formatNewsAge((now - 3 * 24 * HOUR) / 1000, now)).toBe('3d ago');
+    expect(formatNewsAge(now / 1000, now)).toBe('Just now');
+  });
+});
@@ -4,6 +4,8 @@
  * When TD API returns "run out of API credits", blocks all further requests until midnight ET
  */
 
+import { recordServerCredits } from './apiCallCounter';
+
 // Global exhaustion state (persisted to localStorage to survive page refreshes)
 const RL_STORAGE_KEY = 'td_exhausted_until';
 let TD_EXHAUSTED_UNTIL = (() => {
@@ -54,9 +56,10 @@ export const isTDExhausted = () => {
 
 /**
  * Mark TD API as exhausted until midnight
+ * @param {number} until - Optional reset timestamp reported by the worker (ms)
  */
-export const markTDExhausted = () => {
-  TD_EXHAUSTED_UNTIL = getMidnightET();
+export const markTDExhausted = (until = null) => {
+  TD_EXHAUSTED_UNTIL = until && until > Date.now() ? until : getMidnightET();
   try { localStorage.setItem(RL_STORAGE_KEY, String(TD_EXHAUSTED_UNTIL)); } catch (e) { /* ignore */ }
   const resetTime = new Date(TD_EXHAUSTED_UNTIL).toLocaleTimeString('en-US', {
     timeZone: 'America/New_York',
@@ -64,7 +67,7 @@ export const markTDExhausted = () => {
     minute: '2-digit'
   });
 
-  console.error(`🚫 [RateLimit] TD API exhausted. Blocking all requests until midnight ET (${resetTime})`);
+  console.error(`🚫 [RateLimit] TD API exhausted. Blocking all requests until ${resetTime} ET`);
   console.log('[RateLimit] Switching to cached data only');
 };
 
@@ -114,15 +117,29 @@ export const isRateLimitError = (error) => {
  * @returns {boolean} - True if rate limit was hit
  */
 export const handleTDResponse = (response, data) => {
+  // Keep the shared credit ledger (worker headers) up to date
+  recordServerCredits(response?.headers);
+
+  // Worker tells us exactly when its daily budget resets
+  const resetHeader = response?.headers?.get?.('x-credits-reset');
+  let resetAt = (data && Date.parse(data.resetAt)) || (resetHeader && Date.parse(resetHeader)) || null;
+
+  // The worker already failed over to its other providers and they failed too -
+  // back off for its retry-after instead of going dark until midnight
+  if (response?.headers?.get?.('x-fallback-reason')) {
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10) || 60;
+    resetAt = Date.now() + retryAfter * 1000;
+  }
+
   // Check if data contains rate limit error
   if (data && isRateLimitError(data)) {
-    markTDExhausted();
+    markTDExhausted(resetAt);
     return true;
   }
 
   // Check response status
   if (response && response.status === 429) {
-    markTDExhausted();
+    markTDExhausted(resetAt);
     return true;
   }
 
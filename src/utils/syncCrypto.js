@@ -0,0 +1,121 @@
+/**
+ * Sync encryption helpers
+ * AES-GCM encryption of sync payloads with a key derived from a sync passphrase (Web Crypto)
+ *
+ * Envelope format: { v: 1, alg: 'AES-GCM', iv, ciphertext } (base64)
+ * The key is derived with PBKDF2 from the passphrase and the username, so every device
+ * of the same user derives the same key without the server ever holding a secret.
+ */
+
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 250000;
+const SALT_PREFIX = 'market-terminal-sync:';
+const IV_LENGTH = 12; // 96-bit IV recommended for AES-GCM
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+/**
+ * Derive the AES-GCM sync key from a passphrase
+ * @param {string} passphrase - Sync passphrase (separate from the login password)
+ * @param {string} username - Account name (salt - same key on every device)
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+export async function deriveSyncKey(passphrase, username) {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: encoder.encode(`${SALT_PREFIX}${username}`),
+      iterations: PBKDF2_ITERATIONS,
+      hash: 'SHA-256'
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Export a key so it can be kept for the browser session
+ * @returns {Promise<string>} Base64 raw key
+ */
+export async function exportSyncKey(key) {
+  return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+/**
+ * Import a key saved with exportSyncKey
+ */
+export function importSyncKey(raw) {
+  return crypto.subtle.importKey('raw', fromBase64(raw), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt any JSON-serializable value
+ * @returns {Promise<Object>} Envelope
+ */
+export async function encryptPayload(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const plaintext = new TextEncoder().encode(JSON.stringify(data));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+  return {
+    v: ENVELOPE_VERSION,
+    alg: 'AES-GCM',
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt an envelope made by encryptPayload
+ * AES-GCM authenticates the data, so a wrong key fails instead of returning garbage.
+ * @returns {Promise<*>} Original value
+ */
+export async function decryptPayload(key, envelope) {
+  if (!isEncryptedEnvelope(envelope)) {
+    throw new Error('Not an encrypted sync payload');
+  }
+
+  if (envelope.v !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encryption version: ${envelope.v}`);
+  }
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.ciphertext)
+    );
+  } catch (error) {
+    throw new Error('Wrong sync passphrase or corrupted data');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Whether a value is an encryption envelope
+ */
+export function isEncryptedEnvelope(value) {
+  return !!value && typeof value === 'object' &&
+    typeof value.iv === 'string' && typeof value.ciphertext === 'string';
+}
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+// Jest 27 doesn't expose Node's Web Crypto as a global - install it for the module under test
+import { webcrypto } from 'crypto';
+
+import {
+  deriveSyncKey,
+  encryptPayload,
+  decryptPayload,
+  exportSyncKey,
+  importSyncKey,
+  isEncryptedEnvelope
+} from './syncCrypto';
+
+global.crypto = webcrypto;
+
+describe('syncCrypto', () => {
+  let key;
+
+  beforeAll(async () => {
+    key = await deriveSyncKey('correct horse battery', 'alice');
+  });
+
+  test('round-trips a payload', async () => {
+    const watchlist = { symbols: ['AAPL', 'NVDA'], positions: { AAPL: 120 } };
+    const envelope = await encryptPayload(key, watchlist);
+
+    expect(isEncryptedEnvelope(envelope)).toBe(true);
+    expect(envelope.alg).toBe('AES-GCM');
+    expect(envelope.ciphertext).not.toContain('AAPL');
+    await expect(decryptPayload(key, envelope)).resolves.toEqual(watchlist);
+  });
+
+  test('uses a fresh IV for every encryption', async () => {
+    const a = await encryptPayload(key, ['AAPL']);
+    const b = await encryptPayload(key, ['AAPL']);
+
+    expect(a.iv).not.toBe(b.iv);
+    expect(a.ciphertext).not.toBe(b.ciphertext);
+  });
+
+  test('the same passphrase derives the same key on another device', async () => {
+    const envelope = await encryptPayload(key, { theme: 'dark' });
+    const otherDevice = await deriveSyncKey('correct horse battery', 'alice');
+
+    await expect(decryptPayload(otherDevice, envelope)).resolves.toEqual({ theme: 'dark' });
+  });
+
+  test('rejects a wrong passphrase or another user', async () => {
+    const envelope = await encryptPayload(key, { theme: 'dark' });
+    const wrongPassphrase = await deriveSyncKey('incorrect horse', 'alice');
+    const otherUser = await deriveSyncKey('correct horse battery', 'bob');
+
+    await expect(decryptPayload(wrongPassphrase, envelope)).rejects.toThrow('Wrong sync passphrase');
+    await expect(decryptPayload(otherUser, envelope)).rejects.toThrow('Wrong sync passphrase');
+  });
+
+  test('rejects tampered ciphertext', async () => {
+    const envelope = await encryptPayload(key, { symbols: ['AAPL'] });
+    const bytes = Buffer.from(envelope.ciphertext, 'base64');
+    bytes[0] ^= 1;
+
+    await expect(
+      decryptPayload(key, { ...envelope, ciphertext: bytes.toString('base64') })
+    ).rejects.toThrow('corrupted');
+  });
+
+  test('exported keys import back for the session', async () => {
+    const restored = await importSyncKey(await exportSyncKey(key));
+    const envelope = await encryptPayload(restored, 'hello');
+
+    await expect(decryptPayload(key, envelope)).resolves.toBe('hello');
+  });
+
+  test('isEncryptedEnvelope ignores plaintext documents', () => {
+    expect(isEncryptedEnvelope({ symbols: ['AAPL'] })).toBe(false);
+    expect(isEncryptedEnvelope(null)).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Sync merge helpers
+ * Three-way merge of symbol lists for versioned watchlist sync
+ */
+
+/**
+ * Merge local and remote watchlists against their common ancestor (base)
+ * Local additions and removals since base are replayed on top of remote,
+ * so edits made on different devices are both kept.
+ * Remote order is preserved; local additions are appended in local order.
+ * @param {string[]} base - Symbols as of the last successful sync
+ * @param {string[]} local - Symbols on this device
+ * @param {string[]} remote - Symbols currently in the cloud
+ * @returns {string[]} Merged symbols
+ */
+export function mergeSymbolLists(base = [], local = [], remote = []) {
+  const baseSet = new Set(base);
+  const localSet = new Set(local);
+
+  const added = local.filter(symbol => !baseSet.has(symbol));
+  const removed = new Set(base.filter(symbol => !localSet.has(symbol)));
+
+  const merged = remote.filter(symbol => !removed.has(symbol));
+  const mergedSet = new Set(merged);
+
+  for (const symbol of added) {
+    if (!mergedSet.has(symbol)) {
+      merged.push(symbol);
+      mergedSet.add(symbol);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Check whether two symbol lists have the same symbols in the same order
+ */
+export function sameSymbols(a = [], b = []) {
+  return a.length === b.length && a.every((symbol, i) => symbol === b[i]);
+}
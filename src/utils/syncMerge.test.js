@@ -0,0 +1,48 @@
+import { mergeSymbolLists, sameSymbols } from './syncMerge';
+
+describe('syncMerge', () => {
+  describe('mergeSymbolLists', () => {
+    test('keeps an addition on one device and a removal on another', () => {
+      const base = ['AAPL', 'MSFT', 'GOOGL'];
+      const laptop = ['AAPL', 'MSFT', 'GOOGL', 'NVDA']; // added NVDA
+      const phone = ['AAPL', 'GOOGL']; // removed MSFT
+
+      expect(mergeSymbolLists(base, laptop, phone)).toEqual(['AAPL', 'GOOGL', 'NVDA']);
+    });
+
+    test('returns remote unchanged when there are no local edits', () => {
+      const base = ['AAPL', 'MSFT'];
+      expect(mergeSymbolLists(base, base, ['MSFT', 'TSLA'])).toEqual(['MSFT', 'TSLA']);
+    });
+
+    test('does not duplicate a symbol added on both sides', () => {
+      const base = ['AAPL'];
+      expect(mergeSymbolLists(base, ['AAPL', 'AMD'], ['AAPL', 'AMD', 'INTC'])).toEqual([
+        'AAPL',
+        'AMD',
+        'INTC'
+      ]);
+    });
+
+    test('a symbol removed on both sides stays removed', () => {
+      const base = ['AAPL', 'MSFT'];
+      expect(mergeSymbolLists(base, ['AAPL'], ['AAPL'])).toEqual(['AAPL']);
+    });
+
+    test('treats a missing base as "everything local is new"', () => {
+      expect(mergeSymbolLists(undefined, ['AAPL', 'MSFT'], ['MSFT', 'TSLA'])).toEqual([
+        'MSFT',
+        'TSLA',
+        'AAPL'
+      ]);
+    });
+  });
+
+  describe('sameSymbols', () => {
+    test('compares order-sensitively', () => {
+      expect(sameSymbols(['A', 'B'], ['A', 'B'])).toBe(true);
+      expect(sameSymbols(['A', 'B'], ['B', 'A'])).toBe(false);
+      expect(sameSymbols(['A'], ['A', 'B'])).toBe(false);
+    });
+  });
+});
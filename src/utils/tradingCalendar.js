@@ -0,0 +1,172 @@
+/**
+ * Trading Calendar
+ * Sessions, holidays and early closes per exchange (see exchanges.js), shared by
+ * the app and the Cloudflare Worker (workers/twelvedata.js imports this file
+ * directly - keep it free of browser APIs). Every function takes an exchange id
+ * and defaults to the US market (NYSE/Nasdaq).
+ *
+ * Holidays and half-days are computed from each exchange's rules, so there is no
+ * yearly list to maintain - only one-off closures go in an exchange's
+ * specialClosures. Times are wall-clock minutes in the exchange's time zone.
+ */
+
+import { getZonedParts, getZonedInstant, addDays, getWeekday } from './calendarDates';
+import { DEFAULT_EXCHANGE, getExchange } from './exchanges';
+
+export {
+  PRE_MARKET_OPEN,
+  REGULAR_OPEN,
+  REGULAR_CLOSE,
+  EARLY_CLOSE,
+  AFTER_HOURS_CLOSE,
+  EARLY_AFTER_HOURS_CLOSE,
+} from './exchanges';
+export { addDays } from './calendarDates';
+
+export const MARKET_TIME_ZONE = 'America/New_York';
+
+/**
+ * ET wall clock for an instant
+ * @returns {Object} { date: "YYYY-MM-DD", minutes (after midnight), weekday (0 = Sunday) }
+ */
+export function getEasternParts(now = new Date()) {
+  return getZonedParts(now, MARKET_TIME_ZONE);
+}
+
+/**
+ * Today's date in ET as YYYY-MM-DD
+ */
+export function getTodayET(now = new Date()) {
+  return getEasternParts(now).date;
+}
+
+/**
+ * The instant an ET wall-clock time happens
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight ET
+ * @returns {Date}
+ */
+export function getEasternInstant(date, minutes) {
+  return getZonedInstant(date, minutes, MARKET_TIME_ZONE);
+}
+
+const yearCache = new Map();
+
+/**
+ * Holidays and early closes for one exchange and year
+ * @returns {Object} { holidays: Map(date -> name), earlyCloses: Map(date -> reason) }
+ */
+function getYearCalendar(exchange, year) {
+  const key = `${exchange.id}:${year}`;
+  if (yearCache.has(key)) return yearCache.get(key);
+
+  const calendar = exchange.getCalendar(year);
+  Object.entries(exchange.specialClosures || {})
+    .filter(([date]) => date.startsWith(`${year}-`))
+    .forEach(([date, name]) => calendar.holidays.set(date, name));
+
+  yearCache.set(key, calendar);
+  return calendar;
+}
+
+/**
+ * Regular hours on a date (ignoring holidays)
+ * @returns {Object|null} { open, close } in minutes, null on the exchange's weekend
+ */
+function getRegularHours(exchange, date) {
+  const { hours } = exchange.schedule.find((entry) => !entry.from || date >= entry.from);
+  return hours[getWeekday(date)] || null;
+}
+
+/**
+ * Name of the market holiday on a date
+ * @param {string} date - YYYY-MM-DD (exchange time)
+ * @param {string} [exchangeId] - Exchange id, e.g. "TASE"
+ * @returns {string|null} null on trading days and weekends
+ */
+export function getMarketHoliday(date, exchangeId = DEFAULT_EXCHANGE) {
+  return (
+    getYearCalendar(getExchange(exchangeId), Number(date.slice(0, 4))).holidays.get(date) || null
+  );
+}
+
+/**
+ * The trading session on a date
+ * @param {string} date - YYYY-MM-DD (exchange time)
+ * @param {string} [exchangeId] - Exchange id
+ * @returns {Object|null} { date, exchange, open, close, earlyClose } in exchange-time minutes,
+ *   null when the market is closed all day
+ */
+export function getTradingSession(date, exchangeId = DEFAULT_EXCHANGE) {
+  const exchange = getExchange(exchangeId);
+  const hours = getRegularHours(exchange, date);
+  if (!hours || getMarketHoliday(date, exchange.id)) return null;
+
+  const earlyClose = getYearCalendar(exchange, Number(date.slice(0, 4))).earlyCloses.has(date);
+  return {
+    date,
+    exchange: exchange.id,
+    open: hours.open,
+    close: earlyClose ? exchange.earlyClose : hours.close,
+    earlyClose,
+  };
+}
+
+/**
+ * Where a market is in its day
+ * @param {Date} [now]
+ * @param {string} [exchangeId] - Exchange id
+ * @returns {string} "pre" (US: 4:00 AM to the open), "open", "post" (US: close to 8:00 PM,
+ *   5:00 PM after an early close) or "closed". Exchanges without quoted extended hours
+ *   are only ever "open" or "closed".
+ */
+export function getMarketPhase(now = new Date(), exchangeId = DEFAULT_EXCHANGE) {
+  const exchange = getExchange(exchangeId);
+  const { date, minutes } = getZonedParts(now, exchange.timeZone);
+  const session = getTradingSession(date, exchange.id);
+  const extended = exchange.extendedHours;
+
+  if (!session) return 'closed';
+  if (minutes < session.open) return extended && minutes >= extended.open ? 'pre' : 'closed';
+  if (minutes < session.close) return 'open';
+  if (extended && minutes < (session.earlyClose ? extended.earlyClose : extended.close))
+    return 'post';
+  return 'closed';
+}
+
+/**
+ * Whether the regular session is trading
+ */
+export function isMarketOpenAt(now = new Date(), exchangeId = DEFAULT_EXCHANGE) {
+  return getMarketPhase(now, exchangeId) === 'open';
+}
+
+/**
+ * The next regular session after now (today's if it hasn't opened yet)
+ * @returns {Object} { date, exchange, open, close, earlyClose, opensAt: Date, closesAt: Date }
+ */
+export function getNextSession(now = new Date(), exchangeId = DEFAULT_EXCHANGE) {
+  const exchange = getExchange(exchangeId);
+  const { date: today, minutes } = getZonedParts(now, exchange.timeZone);
+
+  // Long weekends are at most four days and TASE's holiday weeks about a week; fourteen covers both
+  for (let i = 0; i < 14; i++) {
+    const session = getTradingSession(addDays(today, i), exchange.id);
+    if (session && (i > 0 || minutes < session.open)) {
+      return {
+        ...session,
+        opensAt: getZonedInstant(session.date, session.open, exchange.timeZone),
+        closesAt: getZonedInstant(session.date, session.close, exchange.timeZone),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * When the next regular session opens
+ * @returns {Date}
+ */
+export function getNextMarketOpen(now = new Date(), exchangeId = DEFAULT_EXCHANGE) {
+  return getNextSession(now, exchangeId).opensAt;
+}
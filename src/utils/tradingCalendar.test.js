@@ -0,0 +1,111 @@
+import {
+  getMarketHoliday,
+  getTradingSession,
+  getMarketPhase,
+  getNextMarketOpen,
+  getNextSession,
+  getEasternInstant,
+  getTodayET,
+  EARLY_CLOSE
+} from './tradingCalendar';
+import { getSymbolExchange } from './exchanges';
+
+describe('tradingCalendar', () => {
+  test('computes the NYSE holidays for a year', () => {
+    const holidays2026 = [
+      '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+      '2026-07-03', // July 4th is a Saturday - observed Friday
+      '2026-09-07', '2026-11-26', '2026-12-25'
+    ];
+
+    holidays2026.forEach(date => expect(getMarketHoliday(date)).not.toBeNull());
+    expect(getMarketHoliday('2026-11-26')).toBe('Thanksgiving Day');
+    expect(getMarketHoliday('2026-11-27')).toBeNull();
+    // New Year's Day 2022 was a Saturday - not observed on the Friday before
+    expect(getMarketHoliday('2021-12-31')).toBeNull();
+    // Sunday holidays move to Monday
+    expect(getMarketHoliday('2023-01-02')).toBe("New Year's Day");
+  });
+
+  test('half-days close at 1:00 PM', () => {
+    expect(getTradingSession('2025-11-28')).toMatchObject({ earlyClose: true, close: EARLY_CLOSE });
+    expect(getTradingSession('2025-12-24').earlyClose).toBe(true);
+    expect(getTradingSession('2025-07-03').earlyClose).toBe(true);
+    // July 3rd 2026 is the observed holiday itself, and July 2nd is a full day
+    expect(getTradingSession('2026-07-03')).toBeNull();
+    expect(getTradingSession('2026-07-02').earlyClose).toBe(false);
+    expect(getTradingSession('2025-12-27')).toBeNull(); // Saturday
+  });
+
+  test('market phase follows the session, early closes and extended hours', () => {
+    // 2025-11-28 (day after Thanksgiving), EST = UTC-5
+    expect(getMarketPhase(new Date('2025-11-28T14:00:00Z'))).toBe('pre'); // 9:00 AM
+    expect(getMarketPhase(new Date('2025-11-28T17:59:00Z'))).toBe('open'); // 12:59 PM
+    expect(getMarketPhase(new Date('2025-11-28T18:30:00Z'))).toBe('post'); // 1:30 PM
+    expect(getMarketPhase(new Date('2025-11-28T22:30:00Z'))).toBe('closed'); // 5:30 PM
+    // Thanksgiving itself
+    expect(getMarketPhase(new Date('2025-11-27T16:00:00Z'))).toBe('closed');
+  });
+
+  test('the next open skips weekends and holidays', () => {
+    // Wednesday before Thanksgiving, after the close -> Friday
+    expect(getNextMarketOpen(new Date('2025-11-26T21:30:00Z')).toISOString()).toBe('2025-11-28T14:30:00.000Z');
+    // Friday half-day, after the close -> Monday
+    expect(getNextSession(new Date('2025-11-28T19:00:00Z'))).toMatchObject({ date: '2025-12-01', earlyClose: false });
+    // Before today's open -> today
+    expect(getNextMarketOpen(new Date('2025-12-01T12:00:00Z')).toISOString()).toBe('2025-12-01T14:30:00.000Z');
+  });
+
+  test('ET times are converted across DST switches', () => {
+    // Friday before DST starts (EST) -> Monday open in EDT
+    expect(getNextMarketOpen(new Date('2025-03-07T22:00:00Z')).toISOString()).toBe('2025-03-10T13:30:00.000Z');
+    expect(getEasternInstant('2025-11-03', 9 * 60 + 30).toISOString()).toBe('2025-11-03T14:30:00.000Z');
+    expect(getTodayET(new Date('2025-04-30T03:30:00Z'))).toBe('2025-04-29');
+  });
+
+  describe('other exchanges', () => {
+    test('holidays follow each exchange\'s rules', () => {
+      // LSE: Boxing Day 2026 is a Saturday - substitute on Monday the 28th
+      expect(getMarketHoliday('2026-12-28', 'LSE')).not.toBeNull();
+      expect(getMarketHoliday('2026-05-25', 'LSE')).not.toBeNull(); // Spring bank holiday
+      expect(getMarketHoliday('2026-07-03', 'LSE')).toBeNull(); // US-only holiday
+      // TSX: Victoria Day, and Canada Day 2023 (Saturday) moved to Monday
+      expect(getMarketHoliday('2026-05-18', 'TSX')).not.toBeNull();
+      expect(getMarketHoliday('2023-07-03', 'TSX')).not.toBeNull();
+      // Xetra: fixed dates, Christmas Eve closed
+      expect(getMarketHoliday('2025-12-24', 'XETRA')).not.toBeNull();
+      expect(getMarketHoliday('2025-10-03', 'XETRA')).toBeNull(); // German Unity Day trades
+    });
+
+    test('TASE holidays follow the Hebrew calendar', () => {
+      expect(getMarketHoliday('2025-10-02', 'TASE')).not.toBeNull(); // Yom Kippur
+      expect(getMarketHoliday('2025-05-01', 'TASE')).not.toBeNull(); // Independence Day, moved back a day
+      expect(getMarketHoliday('2025-04-13', 'TASE')).not.toBeNull(); // Passover
+    });
+
+    test('TASE trades Sunday to Thursday, then Monday to Friday from 2026', () => {
+      expect(getTradingSession('2025-11-30', 'TASE')).not.toBeNull(); // Sunday
+      expect(getTradingSession('2025-11-28', 'TASE')).toBeNull(); // Friday
+      expect(getTradingSession('2026-02-01', 'TASE')).toBeNull(); // Sunday
+      expect(getTradingSession('2026-02-06', 'TASE')).toMatchObject({ close: 13 * 60 + 50 }); // Friday short day
+    });
+
+    test('phases and opens use the exchange\'s time zone', () => {
+      // London in BST (UTC+1): 8:00 AM open, 4:30 PM close, no extended hours
+      expect(getMarketPhase(new Date('2025-07-01T06:59:00Z'), 'LSE')).toBe('closed');
+      expect(getMarketPhase(new Date('2025-07-01T07:00:00Z'), 'LSE')).toBe('open');
+      expect(getMarketPhase(new Date('2025-07-01T15:45:00Z'), 'LSE')).toBe('closed');
+      // Same instant, US pre-market
+      expect(getMarketPhase(new Date('2025-07-01T10:00:00Z'))).toBe('pre');
+      // Friday evening in London -> Monday 8:00 AM GMT
+      expect(getNextMarketOpen(new Date('2025-11-28T18:00:00Z'), 'LSE').toISOString()).toBe('2025-12-01T08:00:00.000Z');
+    });
+
+    test('symbols resolve to their exchange', () => {
+      expect(getSymbolExchange('AAPL')).toBe('NYSE');
+      expect(getSymbolExchange('TEVA:TASE')).toBe('TASE');
+      expect(getSymbolExchange('SHOP.TO')).toBe('TSX');
+      expect(getSymbolExchange('SAP', { exchange: 'XETR' })).toBe('XETRA');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Server-side alert evaluation - run by the worker's cron trigger (wrangler.toml)
+ *
+ * Each run reads every account's synced alert rules (user:<name>:alerts, written by
+ * /api/sync/alerts), evaluates the ones whose exchange is in its regular session
+ * against cached quotes, and records what fired under user:<name>:firedAlerts.
+ * Clients fetch those with GET /api/sync/alerts/fired?since= when they connect,
+ * so alerts fire even when no browser tab is open.
+ *
+ * Rules use the same evaluation as the app (src/utils/alertRules.js). The rule list
+ * itself is never written here - a device may be pushing an edit at the same time.
+ * What fired (one-shot rules disabled, cooldowns started) is kept per rule id under
+ * user:<name>:alertState and merged into the rules on every run; devices apply the
+ * same change from the fired alerts they fetch. Not evaluated here: rules with indicator conditions (RSI, SMA...) - those need daily
+ * bars and stay with the browser - and end-to-end encrypted rule lists, which the
+ * worker can't read.
+ */
+
+import {
+  buildAlertSnapshot,
+  ruleUsesIndicators,
+  evaluateRule,
+  applyTrigger,
+  mergeTriggerState,
+  createAlertRuleMessage,
+  ALERT_OPERATORS,
+} from '../src/utils/alertRules.js';
+import { getMarketPhase } from '../src/utils/tradingCalendar.js';
+import { EXCHANGES, getSymbolExchange } from '../src/utils/exchanges.js';
+
+// Accounts live under account:<username> (see twelvedata.js)
+const ACCOUNT_PREFIX = 'account:';
+
+// Fired alerts kept per user for clients to catch up on
+export const MAX_FIRED_ALERTS = 100;
+export const FIRED_ALERT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const alertsKey = (username) => `user:${username}:alerts`;
+const firedAlertsKey = (username) => `user:${username}:firedAlerts`;
+const alertStateKey = (username) => `user:${username}:alertState`;
+
+/**
+ * Whether any exchange is in its regular session (the cron does nothing otherwise)
+ */
+export function isAnyMarketOpen(now) {
+  return Object.keys(EXCHANGES).some((id) => getMarketPhase(now, id) === 'open');
+}
+
+/**
+ * Quote metrics from a cached quote (Twelve Data format, as the edge cache stores it)
+ * @returns {Object|null} { price, changePercent, volume }, null without a price
+ */
+export function toAlertQuote(quote) {
+  const price = parseFloat(quote?.close);
+  if (!quote || quote.status === 'error' || !Number.isFinite(price)) return null;
+
+  return {
+    price,
+    changePercent: parseFloat(quote.percent_change),
+    volume: parseInt(quote.volume, 10),
+  };
+}
+
+/**
+ * Rules the worker can evaluate right now
+ */
+function getEvaluableRules(rules, now) {
+  return rules.filter(
+    (rule) =>
+      rule.enabled &&
+      !ruleUsesIndicators(rule) &&
+      getMarketPhase(now, getSymbolExchange(rule.symbol)) === 'open'
+  );
+}
+
+const usesCrossings = (rule) =>
+  rule.conditions.some((condition) => ALERT_OPERATORS[condition.operator]?.crossing);
+
+/**
+ * Evaluate one user's rules against a round of quotes
+ * @param {Object} options
+ * @param {Array} options.rules - The user's synced rules
+ * @param {Object} options.quotes - Symbol -> toAlertQuote output
+ * @param {Object} [options.previous] - Symbol -> snapshot from the last run (crossings)
+ * @param {Object} [options.triggers] - Rule id -> trigger state from earlier runs
+ * @param {Date} options.now
+ * @returns {Object} { rules (with fired ones updated), fired: [fired alert records], snapshots,
+ *   triggers (rule id -> { lastTriggeredAt, triggerCount, enabled }, this run's firings included) }
+ */
+export function evaluateUserAlerts({ rules, quotes, previous = {}, triggers = {}, now }) {
+  const timestamp = now.getTime();
+  const current = rules.map((rule) => mergeTriggerState(rule, triggers[rule.id]));
+  const evaluable = new Set(getEvaluableRules(current, now).map((rule) => rule.id));
+  const snapshots = {};
+  const fired = [];
+  const nextTriggers = {};
+
+  // Only rules that still exist keep their trigger state
+  rules.forEach((rule) => {
+    if (triggers[rule.id]) nextTriggers[rule.id] = triggers[rule.id];
+  });
+
+  const updated = current.map((rule) => {
+    if (!evaluable.has(rule.id) || !quotes[rule.symbol]) return rule;
+
+    const snapshot =
+      snapshots[rule.symbol] || (snapshots[rule.symbol] = buildAlertSnapshot(quotes[rule.symbol]));
+    if (!evaluateRule(rule, snapshot, previous[rule.symbol] || null, timestamp)) return rule;
+
+    const triggered = applyTrigger(rule, timestamp);
+    nextTriggers[rule.id] = {
+      lastTriggeredAt: triggered.lastTriggeredAt,
+      triggerCount: triggered.triggerCount,
+      enabled: triggered.enabled,
+    };
+    fired.push({
+      id: `fired_${timestamp}_${rule.id}`,
+      ruleId: rule.id,
+      symbol: rule.symbol,
+      message: createAlertRuleMessage(triggered, snapshot),
+      price: snapshot.price,
+      firedAt: timestamp,
+    });
+    return triggered;
+  });
+
+  return { rules: updated, fired, snapshots, triggers: nextTriggers };
+}
+
+/**
+ * Fired alerts newer than a timestamp, oldest first
+ */
+export async function getFiredAlerts(kv, username, since = 0) {
+  const data = await kv.get(firedAlertsKey(username), { type: 'json' });
+  return (data?.alerts || []).filter((alert) => alert.firedAt > since);
+}
+
+/**
+ * Append fired alerts, dropping old ones past the retention period and count
+ */
+async function recordFiredAlerts(kv, username, fired, now) {
+  const existing = await getFiredAlerts(kv, username, now.getTime() - FIRED_ALERT_RETENTION_MS);
+  const alerts = [...existing, ...fired].slice(-MAX_FIRED_ALERTS);
+  await kv.put(firedAlertsKey(username), JSON.stringify({ alerts, timestamp: now.getTime() }));
+}
+
+/**
+ * Every account name (KV list is paginated)
+ */
+async function listUsernames(kv) {
+  const usernames = [];
+  let cursor;
+
+  do {
+    const page = await kv.list({ prefix: ACCOUNT_PREFIX, cursor });
+    page.keys.forEach((key) => usernames.push(key.name.slice(ACCOUNT_PREFIX.length)));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return usernames;
+}
+
+/**
+ * One cron run: evaluate every user's rules and record what fired
+ * @param {Object} env - Worker env (MARKET_TERMINAL_SYNC)
+ * @param {Object} options
+ * @param {Date} options.now - Scheduled time
+ * @param {Function} options.getQuotes - (symbols) => Promise<symbol -> cached quote (Twelve Data format)>
+ * @param {Function} [options.notify] - (username) => Promise, tells the user's devices the rules changed
+ * @returns {Promise<Object>} { users, symbols, fired } counts for the log
+ */
+export async function runAlertEvaluation(env, { now, getQuotes, notify = async () => {} }) {
+  const kv = env.MARKET_TERMINAL_SYNC;
+  const summary = { users: 0, symbols: 0, fired: 0 };
+  if (!kv || !isAnyMarketOpen(now)) return summary;
+
+  // Load rule lists first so quotes are fetched once for everyone
+  const users = [];
+  for (const username of await listUsernames(kv)) {
+    const data = await kv.get(alertsKey(username), { type: 'json' });
+    if (!Array.isArray(data?.alerts)) continue; // None synced, or end-to-end encrypted
+
+    // Rules this cron disabled or put on cooldown since the devices last pushed
+    const state = await kv.get(alertStateKey(username), { type: 'json' });
+    const triggers = state?.triggers || {};
+    const rules = getEvaluableRules(
+      data.alerts.map((rule) => mergeTriggerState(rule, triggers[rule.id])),
+      now
+    );
+
+    if (rules.length > 0) {
+      users.push({
+        username,
+        rules: data.alerts,
+        state,
+        symbols: rules.map((rule) => rule.symbol),
+        crossings: rules.some(usesCrossings),
+      });
+    }
+  }
+
+  const symbols = [...new Set(users.flatMap((user) => user.symbols))];
+  if (symbols.length === 0) return summary;
+
+  const cached = await getQuotes(symbols);
+  const quotes = {};
+  symbols.forEach((symbol) => {
+    const quote = toAlertQuote(cached[symbol]);
+    if (quote) quotes[symbol] = quote;
+  });
+
+  for (const user of users) {
+    const { state } = user;
+    const result = evaluateUserAlerts({
+      rules: user.rules,
+      quotes,
+      previous: state?.snapshots,
+      triggers: state?.triggers,
+      now,
+    });
+
+    // Crossings compare with the last run - keep this run's values for the next one
+    if (user.crossings || result.fired.length > 0) {
+      await kv.put(
+        alertStateKey(user.username),
+        JSON.stringify({
+          snapshots: user.crossings
+            ? { ...state?.snapshots, ...result.snapshots }
+            : state?.snapshots || {},
+          triggers: result.triggers,
+          timestamp: now.getTime(),
+        })
+      );
+    }
+
+    if (result.fired.length > 0) {
+      await recordFiredAlerts(kv, user.username, result.fired, now);
+      await notify(user.username);
+      summary.fired += result.fired.length;
+    }
+  }
+
+  summary.users = users.length;
+  summary.symbols = Object.keys(quotes).length;
+  return summary;
+}
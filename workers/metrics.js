@@ -0,0 +1,257 @@
+/**
+ * Worker observability - structured request logs and rolling counters
+ *
+ * Every /api request produces one JSON log line (see buildRequestEvent) and is
+ * added to this isolate's MetricsBuffer. Buffers are flushed to the
+ * MetricsCollector Durable Object, which keeps 5-minute buckets for a day and
+ * answers /api/admin/metrics.
+ *
+ * Counters are plain additive maps so buffers and buckets merge by summing:
+ *   { requests, errors, coalesced,
+ *     routes: { "/api/quote": 12 }, cache: { HIT: 9, MISS: 3 },
+ *     providers: { "Yahoo Finance": { requests, upstreamCalls, upstreamErrors, latencyTotalMs, latencyMaxMs } },
+ *     upstreamStatus: { "200": 3 }, credits: { AAPL: 2 } }
+ */
+
+export const METRICS_BUCKET_MS = 5 * 60 * 1000;
+export const METRICS_RETENTION_MS = 24 * 60 * 60 * 1000;
+export const METRICS_WINDOWS = { "1h": 60 * 60 * 1000, "24h": METRICS_RETENTION_MS };
+
+// Flush a buffer after this long or this many requests, whichever comes first
+const FLUSH_INTERVAL_MS = 30 * 1000;
+const FLUSH_MAX_REQUESTS = 200;
+
+// Distinct keys per map - anything past this is counted under "other",
+// so arbitrary paths or symbols can't grow the counters without bound
+const MAX_KEYS = 100;
+const TOP_LIST_LENGTH = 10;
+
+export function emptyCounters() {
+  return { requests: 0, errors: 0, coalesced: 0, routes: {}, cache: {}, providers: {}, upstreamStatus: {}, credits: {} };
+}
+
+function increment(map, key, amount = 1) {
+  const name = key in map || Object.keys(map).length < MAX_KEYS ? key : "other";
+  map[name] = (map[name] || 0) + amount;
+}
+
+function getProviderStats(providers, provider) {
+  if (!providers[provider]) {
+    providers[provider] = { requests: 0, upstreamCalls: 0, upstreamErrors: 0, latencyTotalMs: 0, latencyMaxMs: 0 };
+  }
+  return providers[provider];
+}
+
+/**
+ * Add one set of counters into another (in place)
+ * @returns {Object} target
+ */
+export function mergeCounters(target, source) {
+  target.requests += source.requests;
+  target.errors += source.errors;
+  target.coalesced += source.coalesced;
+
+  for (const field of ["routes", "cache", "upstreamStatus", "credits"]) {
+    for (const [key, count] of Object.entries(source[field])) {
+      increment(target[field], key, count);
+    }
+  }
+
+  for (const [provider, stats] of Object.entries(source.providers)) {
+    const current = getProviderStats(target.providers, provider);
+    current.requests += stats.requests;
+    current.upstreamCalls += stats.upstreamCalls;
+    current.upstreamErrors += stats.upstreamErrors;
+    current.latencyTotalMs += stats.latencyTotalMs;
+    current.latencyMaxMs = Math.max(current.latencyMaxMs, stats.latencyMaxMs);
+  }
+
+  return target;
+}
+
+/**
+ * Upstream latency from a Server-Timing header ("upstream;dur=123")
+ * @returns {number|null} Milliseconds, null when no upstream call was made
+ */
+export function parseUpstreamTiming(serverTiming) {
+  const match = /(?:^|,)\s*upstream;dur=([\d.]+)/.exec(serverTiming || "");
+  return match ? Math.round(Number(match[1])) : null;
+}
+
+/**
+ * Structured log event for one request, from the response the client gets
+ * @param {Request} request
+ * @param {Response} response
+ * @param {number} durationMs - Time spent in the worker
+ */
+export function buildRequestEvent(request, response, durationMs) {
+  const { pathname, searchParams } = new URL(request.url);
+  const headers = response.headers;
+  const cache = headers.get("x-cache");
+  const upstreamMs = parseUpstreamTiming(headers.get("server-timing"));
+
+  return {
+    type: "request",
+    method: request.method,
+    route: pathname,
+    symbol: searchParams.get("symbol") || undefined,
+    status: response.status,
+    provider: headers.get("x-data-source") || undefined,
+    cache: cache || undefined,
+    coalesced: headers.get("x-coalesced") || undefined,
+    // Only a request that went upstream has an upstream status and latency
+    upstreamStatus: upstreamMs !== null ? response.status : undefined,
+    upstreamMs: upstreamMs ?? undefined,
+    fallback: headers.get("x-fallback-reason") || undefined,
+    durationMs
+  };
+}
+
+/**
+ * Write one JSON log line (picked up by Workers Logs / `wrangler tail`)
+ * @param {Object} event - { type, ... }
+ */
+export function logEvent(event) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...event });
+  if (event.level === "error" || event.status >= 500) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Counters for the requests seen by this isolate since the last flush
+ */
+export class MetricsBuffer {
+  constructor(now = Date.now()) {
+    this.counters = emptyCounters();
+    this.since = now;
+  }
+
+  /**
+   * Count one request
+   * @param {Object} event - From buildRequestEvent
+   */
+  record(event) {
+    const counters = this.counters;
+    counters.requests++;
+    if (event.status >= 500) counters.errors++;
+    if (event.coalesced && event.coalesced !== "false") counters.coalesced++;
+    increment(counters.routes, event.route);
+    if (event.cache) increment(counters.cache, event.cache);
+
+    if (event.upstreamStatus !== undefined) {
+      increment(counters.upstreamStatus, String(event.upstreamStatus));
+    }
+
+    if (event.provider) {
+      const stats = getProviderStats(counters.providers, event.provider);
+      stats.requests++;
+      if (event.upstreamMs !== undefined) {
+        stats.upstreamCalls++;
+        stats.latencyTotalMs += event.upstreamMs;
+        stats.latencyMaxMs = Math.max(stats.latencyMaxMs, event.upstreamMs);
+        if (event.upstreamStatus >= 400) stats.upstreamErrors++;
+      }
+    }
+  }
+
+  /**
+   * Count credits spent on a symbol
+   */
+  recordCredits(symbol, credits) {
+    increment(this.counters.credits, symbol, credits);
+  }
+
+  shouldFlush(now = Date.now()) {
+    return this.counters.requests >= FLUSH_MAX_REQUESTS ||
+      (this.counters.requests > 0 && now - this.since >= FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Take the counters and start over
+   * @returns {Object} Counters since the last drain
+   */
+  drain(now = Date.now()) {
+    const counters = this.counters;
+    this.counters = emptyCounters();
+    this.since = now;
+    return counters;
+  }
+}
+
+/**
+ * Start of the bucket a timestamp falls in
+ */
+export function getBucketStart(timestamp) {
+  return timestamp - (timestamp % METRICS_BUCKET_MS);
+}
+
+/**
+ * Add counters to the current bucket and drop buckets past the retention period
+ * @param {Map} buckets - Bucket start -> counters (updated in place)
+ * @returns {Array<number>} Starts of the dropped buckets
+ */
+export function addToBuckets(buckets, counters, now = Date.now()) {
+  const start = getBucketStart(now);
+  buckets.set(start, mergeCounters(buckets.get(start) || emptyCounters(), counters));
+
+  const removed = [...buckets.keys()].filter(bucketStart => bucketStart + METRICS_BUCKET_MS <= now - METRICS_RETENTION_MS);
+  removed.forEach(bucketStart => buckets.delete(bucketStart));
+  return removed;
+}
+
+function topEntries(map, keyName, valueName) {
+  return Object.entries(map)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_LIST_LENGTH)
+    .map(([key, value]) => ({ [keyName]: key, [valueName]: value }));
+}
+
+/**
+ * Readable summary of some counters (one rolling window)
+ */
+export function summarizeCounters(counters) {
+  const cacheLookups = Object.values(counters.cache).reduce((sum, count) => sum + count, 0);
+
+  return {
+    requests: counters.requests,
+    errors: counters.errors,
+    errorRate: counters.requests ? counters.errors / counters.requests : null,
+    cache: counters.cache,
+    cacheHitRatio: cacheLookups ? (counters.cache.HIT || 0) / cacheLookups : null,
+    coalesced: counters.coalesced,
+    upstreamStatus: counters.upstreamStatus,
+    routes: topEntries(counters.routes, "route", "requests"),
+    providers: Object.entries(counters.providers)
+      .map(([provider, stats]) => ({
+        provider,
+        requests: stats.requests,
+        upstreamCalls: stats.upstreamCalls,
+        upstreamErrors: stats.upstreamErrors,
+        avgLatencyMs: stats.upstreamCalls ? Math.round(stats.latencyTotalMs / stats.upstreamCalls) : null,
+        maxLatencyMs: stats.upstreamCalls ? stats.latencyMaxMs : null
+      }))
+      .sort((a, b) => b.requests - a.requests),
+    topCreditSymbols: topEntries(counters.credits, "symbol", "credits")
+  };
+}
+
+/**
+ * Summaries for every rolling window
+ * @param {Array} buckets - [{ start, counters }]
+ */
+export function summarizeBuckets(buckets, now = Date.now()) {
+  const windows = {};
+
+  for (const [name, length] of Object.entries(METRICS_WINDOWS)) {
+    const counters = emptyCounters();
+    buckets
+      .filter(bucket => bucket.start + METRICS_BUCKET_MS > now - length)
+      .forEach(bucket => mergeCounters(counters, bucket.counters));
+    windows[name] = summarizeCounters(counters);
+  }
+
+  return windows;
+}
@@ -0,0 +1,81 @@
+/**
+ * Normalized /api/corporate_actions response, and the time_series `adjust` modes
+ * Every provider maps its dividends and splits onto the same shape:
+ *
+ *   { symbol, currency,
+ *     dividends: [{ ex_date: "2024-11-08", amount: 0.25 }],
+ *     splits: [{ date: "2020-08-31", numerator: 4, denominator: 1, ratio: 4 }],
+ *     status: "ok", _source }
+ *
+ * Both lists are newest first. Dividend amounts are per share as of today - split-adjusted,
+ * the way Yahoo reports them - so they line up with split-adjusted bars.
+ * ratio = new shares per old share (4 for a 4-for-1 split, 0.1 for a 1-for-10 reverse split).
+ */
+
+// /api/time_series?adjust= - none (as traded), splits, all (splits and dividends)
+export const ADJUST_MODES = ["none", "splits", "all"];
+
+// Without the parameter bars are split-adjusted - Yahoo can't serve them any other way,
+// so Twelve Data is asked for the same rather than its unadjusted default
+export const DEFAULT_ADJUST = "splits";
+
+/**
+ * The requested adjust mode
+ * @returns {string|null} undefined when not given, null when invalid
+ */
+export function parseAdjust(value) {
+  if (!value) return undefined;
+  return ADJUST_MODES.includes(value) ? value : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Split with every field present
+ * @returns {Object|null} null when the ratio is unknown
+ */
+export function buildSplit(date, numerator, denominator) {
+  const num = toNumber(numerator);
+  const den = toNumber(denominator);
+  if (!date || !num || !den) return null;
+  return { date, numerator: num, denominator: den, ratio: num / den };
+}
+
+/**
+ * Split-adjust as-paid dividend amounts (for providers that don't)
+ * @param {Array} dividends - [{ ex_date, amount }]
+ * @param {Array} splits - Normalized splits
+ */
+export function splitAdjustDividends(dividends, splits) {
+  return dividends.map(dividend => {
+    const factor = splits
+      .filter(split => split.date > dividend.ex_date)
+      .reduce((product, split) => product * split.ratio, 1);
+    return { ...dividend, amount: dividend.amount / factor };
+  });
+}
+
+/**
+ * Assemble the response body
+ * @param {Object} options - { symbol, currency, dividends, splits, source }
+ */
+export function buildCorporateActions({ symbol, currency, dividends, splits, source }) {
+  return {
+    symbol,
+    currency: currency || null,
+    dividends: dividends
+      .map(dividend => ({ ex_date: dividend.ex_date, amount: toNumber(dividend.amount) }))
+      .filter(dividend => dividend.ex_date && dividend.amount !== null)
+      .sort((a, b) => b.ex_date.localeCompare(a.ex_date)),
+    splits: splits
+      .filter(Boolean)
+      .sort((a, b) => b.date.localeCompare(a.date)),
+    status: "ok",
+    // Source indicator for frontend
+    _source: source
+  };
+}
@@ -0,0 +1,402 @@
+/**
+ * Finnhub adapter
+ * Real-time quotes on the free tier (60 calls/minute, no daily cap), used as a
+ * backup quote source. Finnhub's /quote only has prices, so the name, exchange
+ * and volume fields of the Twelve Data format are left empty.
+ * Also the only earnings source: report dates from /calendar/earnings and
+ * EPS estimate vs actual from /stock/earnings, and the whole market's calendar
+ * (every company reporting in the next month) for /api/earnings_calendar.
+ * Company news (/api/news) goes through the worker's Finnhub passthrough and is
+ * only normalized here (transformFinnhubToNews).
+ */
+
+import { toYahooSymbol } from '../../src/utils/exchanges.js';
+
+const BASE_URL = 'https://finnhub.io/api/v1';
+
+// Earnings calendar window around today (calendar days)
+const EARNINGS_LOOKBACK_DAYS = 365;
+const EARNINGS_LOOKAHEAD_DAYS = 120;
+// /api/earnings_calendar covers the watchlist badge and earnings reminders
+const CALENDAR_LOOKAHEAD_DAYS = 30;
+
+// /api/news defaults to the last week; Finnhub's free tier has a year of company news
+export const NEWS_DEFAULT_DAYS = 7;
+const NEWS_MAX_DAYS = 365;
+const MAX_NEWS_ITEMS = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Transform a Finnhub /quote response to Twelve Data quote format
+ * Finnhub returns { c, d, dp, h, l, o, pc, t } - all zeros for unknown symbols
+ */
+export function transformFinnhubToQuote(symbol, quote) {
+  const timestamp = quote.t || Math.floor(Date.now() / 1000);
+
+  return {
+    symbol,
+    datetime: new Date(timestamp * 1000).toISOString(),
+    timestamp,
+    open: quote.o?.toString(),
+    high: quote.h?.toString(),
+    low: quote.l?.toString(),
+    close: quote.c?.toString(),
+    previous_close: quote.pc?.toString(),
+    change: quote.d?.toString(),
+    percent_change: quote.dp?.toString(),
+    // Source indicator for frontend
+    _source: 'finnhub',
+  };
+}
+
+function buildUrl(params, env, path = '/quote') {
+  const url = new URL(`${BASE_URL}${path}`);
+  url.searchParams.set('symbol', toYahooSymbol(params.symbol)); // Finnhub uses Yahoo's exchange suffixes
+  url.searchParams.set('token', env.FINNHUB_TOKEN);
+  return url;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * YYYY-MM-DD in ET, `offsetDays` from now (Finnhub calendar dates are US dates)
+ */
+function getDateET(offsetDays = 0, now = Date.now()) {
+  return new Date(now + offsetDays * 86400000).toLocaleDateString('en-CA', {
+    timeZone: 'America/New_York',
+  });
+}
+
+/**
+ * Validate the /api/news from/to dates (YYYY-MM-DD), defaulting to the last NEWS_DEFAULT_DAYS
+ * @returns {Object|null} { from, to }, or null when invalid
+ */
+export function parseNewsRange(from, to, now = Date.now()) {
+  const end = to || getDateET(0, now);
+  const start =
+    from ||
+    new Date(Date.parse(`${end}T00:00:00Z`) - NEWS_DEFAULT_DAYS * 86400000)
+      .toISOString()
+      .slice(0, 10);
+
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) return null;
+
+  const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000;
+  if (isNaN(days) || days < 0 || days > NEWS_MAX_DAYS) return null;
+
+  return { from: start, to: end };
+}
+
+/**
+ * Dedupe keys for an article - wire stories are republished under new URLs and
+ * the same URL sometimes comes back with an edited headline
+ */
+function getNewsKeys(article) {
+  const headline = (article.headline || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  const url = (article.url || '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+  return [headline && `h:${headline}`, url && `u:${url}`].filter(Boolean);
+}
+
+/**
+ * Normalize and dedupe a Finnhub /company-news response
+ * @param {string} symbol - Stock symbol
+ * @param {Array} articles - Finnhub articles { id, datetime (unix s), headline, summary, source, url, image, related }
+ * @param {Object} range - { from, to }
+ * @returns {Object} { symbol, from, to, items, status, _source } - items newest first, at most MAX_NEWS_ITEMS
+ */
+export function transformFinnhubToNews(symbol, articles, range) {
+  const seen = new Set();
+  const items = [];
+
+  const sorted = [...articles].sort((a, b) => (b.datetime || 0) - (a.datetime || 0));
+
+  for (const article of sorted) {
+    const keys = getNewsKeys(article);
+    if (!keys.length || keys.some((key) => seen.has(key))) continue;
+    keys.forEach((key) => seen.add(key));
+
+    items.push({
+      id: article.id,
+      symbol,
+      datetime: article.datetime,
+      headline: article.headline || '',
+      summary: article.summary || '',
+      source: article.source || '',
+      url: article.url || '',
+      image: article.image || '',
+      related: article.related ? article.related.split(',').filter(Boolean) : [],
+    });
+
+    if (items.length >= MAX_NEWS_ITEMS) break;
+  }
+
+  return {
+    symbol,
+    from: range.from,
+    to: range.to,
+    items,
+    status: 'ok',
+    // Source indicator for frontend
+    _source: 'finnhub',
+  };
+}
+
+/**
+ * Next report of a calendar entry, as /api/earnings reports it
+ */
+function toUpcoming(entry) {
+  return {
+    date: entry.date,
+    hour: entry.hour || '',
+    quarter: entry.quarter,
+    year: entry.year,
+    eps_estimate: toNumber(entry.epsEstimate),
+    revenue_estimate: toNumber(entry.revenueEstimate),
+  };
+}
+
+/**
+ * Combine Finnhub's earnings calendar and surprises into one response
+ * @param {string} symbol - Stock symbol
+ * @param {Array} calendar - /calendar/earnings earningsCalendar entries
+ * @param {Array} surprises - /stock/earnings entries (last 4 quarters)
+ * @param {string} today - YYYY-MM-DD (ET)
+ * @returns {Object} { symbol, upcoming, history, status, _source }
+ *   upcoming - next report { date, hour: "bmo"|"amc"|"dmh"|"", quarter, year, eps_estimate, revenue_estimate } or null
+ *   history  - past reports, newest first, with eps_actual, surprise and surprise_percent
+ */
+export function transformFinnhubToEarnings(symbol, calendar, surprises, today) {
+  const upcoming = calendar
+    .filter((entry) => entry.date >= today && entry.epsActual == null)
+    .sort((a, b) => a.date.localeCompare(b.date))[0];
+
+  const reported = calendar.filter((entry) => entry.epsActual != null);
+  const history = new Map();
+
+  // Report dates and revenue from the calendar...
+  for (const entry of reported) {
+    history.set(`${entry.year}Q${entry.quarter}`, {
+      date: entry.date,
+      quarter: entry.quarter,
+      year: entry.year,
+      eps_estimate: toNumber(entry.epsEstimate),
+      eps_actual: toNumber(entry.epsActual),
+      revenue_estimate: toNumber(entry.revenueEstimate),
+      revenue_actual: toNumber(entry.revenueActual),
+    });
+  }
+
+  // ...and the surprise figures (period is the fiscal quarter end, not the report date)
+  for (const entry of surprises) {
+    const key = `${entry.year}Q${entry.quarter}`;
+    const existing = history.get(key) || {
+      date: null,
+      quarter: entry.quarter,
+      year: entry.year,
+      revenue_estimate: null,
+      revenue_actual: null,
+    };
+
+    history.set(key, {
+      ...existing,
+      period: entry.period,
+      eps_estimate: toNumber(entry.estimate ?? existing.eps_estimate),
+      eps_actual: toNumber(entry.actual ?? existing.eps_actual),
+    });
+  }
+
+  const past = [...history.values()].map((report) => {
+    const surprise =
+      report.eps_actual !== null && report.eps_estimate !== null
+        ? report.eps_actual - report.eps_estimate
+        : null;
+
+    return {
+      ...report,
+      surprise,
+      surprise_percent:
+        surprise !== null && report.eps_estimate
+          ? (surprise / Math.abs(report.eps_estimate)) * 100
+          : null,
+    };
+  });
+
+  past.sort((a, b) => b.year - a.year || b.quarter - a.quarter);
+
+  return {
+    symbol,
+    upcoming: upcoming ? toUpcoming(upcoming) : null,
+    history: past,
+    status: 'ok',
+    // Source indicator for frontend
+    _source: 'finnhub',
+  };
+}
+
+/**
+ * Index the market-wide earnings calendar by symbol
+ * @param {Array} calendar - /calendar/earnings earningsCalendar entries (every company)
+ * @param {string} today - YYYY-MM-DD (ET)
+ * @returns {Object} Finnhub symbol -> next unreported report (the /api/earnings upcoming shape)
+ */
+export function indexEarningsCalendar(calendar, today) {
+  const index = {};
+
+  for (const entry of calendar) {
+    if (!entry.symbol || entry.date < today || entry.epsActual != null) continue;
+
+    const symbol = entry.symbol.toUpperCase();
+    if (!index[symbol] || entry.date < index[symbol].date) {
+      index[symbol] = toUpcoming(entry);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Upcoming reports of the requested symbols from an indexed calendar
+ * @param {Object} calendar - { earnings } as returned for earnings_calendar
+ * @param {string[]} symbols - Symbols as requested ("TEVA:TASE" is looked up as "TEVA.TA")
+ * @returns {Object} Symbol -> { symbol, upcoming } (upcoming null when nothing is due)
+ */
+export function selectEarningsCalendar(calendar, symbols) {
+  return Object.fromEntries(
+    symbols.map((symbol) => [
+      symbol,
+      {
+        symbol,
+        upcoming: calendar.earnings?.[toYahooSymbol(symbol).toUpperCase()] || null,
+      },
+    ])
+  );
+}
+
+function errorResult(status) {
+  if (status === 429) {
+    console.error('FINNHUB_429: Rate limit exceeded');
+  }
+  return {
+    ok: false,
+    status,
+    body: JSON.stringify({ error: `Finnhub error ${status}`, status }),
+  };
+}
+
+/**
+ * Fetch the earnings calendar (past year + next 4 months) and EPS surprises
+ */
+async function fetchEarnings(params, env) {
+  const calendarUrl = buildUrl(params, env, '/calendar/earnings');
+  calendarUrl.searchParams.set('from', getDateET(-EARNINGS_LOOKBACK_DAYS));
+  calendarUrl.searchParams.set('to', getDateET(EARNINGS_LOOKAHEAD_DAYS));
+
+  const [calendar, surprises] = await Promise.all([
+    fetch(calendarUrl, { cf: { cacheTtl: 0, cacheEverything: false } }),
+    fetch(buildUrl(params, env, '/stock/earnings'), {
+      cf: { cacheTtl: 0, cacheEverything: false },
+    }),
+  ]);
+
+  if (!calendar.ok) return errorResult(calendar.status);
+  if (!surprises.ok) return errorResult(surprises.status);
+
+  const calendarData = await calendar.json();
+  const surpriseData = await surprises.json();
+
+  const earnings = transformFinnhubToEarnings(
+    params.symbol,
+    calendarData?.earningsCalendar || [],
+    Array.isArray(surpriseData) ? surpriseData : [],
+    getDateET()
+  );
+
+  return { ok: true, status: 200, body: JSON.stringify(earnings) };
+}
+
+/**
+ * Fetch every company's reports for the next month in one call, indexed by symbol
+ */
+async function fetchEarningsCalendar(env) {
+  const from = getDateET();
+  const to = getDateET(CALENDAR_LOOKAHEAD_DAYS);
+
+  const url = new URL(`${BASE_URL}/calendar/earnings`);
+  url.searchParams.set('from', from);
+  url.searchParams.set('to', to);
+  url.searchParams.set('token', env.FINNHUB_TOKEN);
+
+  const upstream = await fetch(url, { cf: { cacheTtl: 0, cacheEverything: false } });
+  if (!upstream.ok) return errorResult(upstream.status);
+
+  const data = await upstream.json();
+  const earnings = indexEarningsCalendar(data?.earningsCalendar || [], from);
+
+  return {
+    ok: true,
+    status: 200,
+    body: JSON.stringify({ from, to, earnings, status: 'ok', _source: 'finnhub' }),
+  };
+}
+
+export default {
+  id: 'finnhub',
+  label: 'Finnhub',
+  endpoints: ['quote', 'earnings', 'earnings_calendar'],
+
+  isConfigured(env) {
+    return !!env.FINNHUB_TOKEN;
+  },
+
+  cacheKey(endpoint, params, env) {
+    // Not the upstream URL - /api/finnhub/* caches raw calendar responses under that
+    if (endpoint === 'earnings') {
+      return `https://finnhub-cache/${params.symbol}/api/earnings`;
+    }
+    // One calendar per day for every symbol
+    if (endpoint === 'earnings_calendar') {
+      return `https://finnhub-cache/api/earnings_calendar?from=${getDateET()}`;
+    }
+    return buildUrl(params, env).toString();
+  },
+
+  async fetch(endpoint, params, env) {
+    if (endpoint === 'earnings') {
+      return fetchEarnings(params, env);
+    }
+    if (endpoint === 'earnings_calendar') {
+      return fetchEarningsCalendar(env);
+    }
+
+    const upstream = await fetch(buildUrl(params, env), {
+      cf: { cacheTtl: 0, cacheEverything: false },
+    });
+
+    if (!upstream.ok) {
+      return errorResult(upstream.status);
+    }
+
+    const quote = await upstream.json();
+    if (!quote || (!quote.c && !quote.pc)) {
+      return {
+        ok: false,
+        status: 404,
+        body: JSON.stringify({ error: 'Symbol not found on Finnhub' }),
+      };
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      body: JSON.stringify(transformFinnhubToQuote(params.symbol, quote)),
+    };
+  },
+};
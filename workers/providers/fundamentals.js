@@ -0,0 +1,85 @@
+/**
+ * Normalized /api/fundamentals response
+ * Every provider maps its statements onto the same shape (Twelve Data-style snake_case):
+ *
+ *   { symbol, period: "annual"|"quarterly", currency, statements: [
+ *       { fiscal_date: "2024-09-28",
+ *         income: { revenue, cost_of_revenue, gross_profit, operating_income, net_income, ebitda, eps_diluted },
+ *         balance: { total_assets, total_liabilities, total_equity, cash, total_debt },
+ *         cash_flow: { operating_cash_flow, capital_expenditure, free_cash_flow } }
+ *     ], status: "ok", _source }
+ *
+ * Statements are newest first. Fields a provider doesn't report are null.
+ */
+
+export const FUNDAMENTALS_PERIODS = ["annual", "quarterly"];
+
+// Enough history for year-over-year growth on every period shown
+const MAX_STATEMENTS = { annual: 5, quarterly: 8 };
+
+export const FUNDAMENTALS_FIELDS = {
+  income: ["revenue", "cost_of_revenue", "gross_profit", "operating_income", "net_income", "ebitda", "eps_diluted"],
+  balance: ["total_assets", "total_liabilities", "total_equity", "cash", "total_debt"],
+  cash_flow: ["operating_cash_flow", "capital_expenditure", "free_cash_flow"]
+};
+
+/**
+ * The requested period, defaulting to annual
+ * @returns {string|null} null for anything other than annual/quarterly
+ */
+export function parsePeriod(value) {
+  if (!value) return "annual";
+  return FUNDAMENTALS_PERIODS.includes(value) ? value : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Statement with every field present (null when unknown)
+ * @param {string} fiscalDate - Period end date (YYYY-MM-DD)
+ * @param {Object} values - { income: {...}, balance: {...}, cash_flow: {...} } partial values
+ */
+export function buildStatement(fiscalDate, values = {}) {
+  const statement = { fiscal_date: fiscalDate };
+
+  for (const [section, fields] of Object.entries(FUNDAMENTALS_FIELDS)) {
+    statement[section] = {};
+    for (const field of fields) {
+      statement[section][field] = toNumber(values[section]?.[field]);
+    }
+  }
+
+  // Free cash flow isn't reported by every provider - derive it when we can
+  const cashFlow = statement.cash_flow;
+  if (cashFlow.free_cash_flow === null && cashFlow.operating_cash_flow !== null && cashFlow.capital_expenditure !== null) {
+    // Capex is reported as a negative outflow
+    cashFlow.free_cash_flow = cashFlow.operating_cash_flow - Math.abs(cashFlow.capital_expenditure);
+  }
+
+  return statement;
+}
+
+/**
+ * Assemble the response body
+ * @param {Object} options - { symbol, period, currency, statements, source }
+ */
+export function buildFundamentals({ symbol, period, currency, statements, source }) {
+  const sorted = statements
+    .filter(statement => statement.fiscal_date)
+    .sort((a, b) => b.fiscal_date.localeCompare(a.fiscal_date))
+    .slice(0, MAX_STATEMENTS[period]);
+
+  return {
+    symbol,
+    period,
+    currency: currency || null,
+    statements: sorted,
+    status: "ok",
+    // Source indicator for frontend
+    _source: source
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Market data providers
+ * Adding a provider = one adapter file here + an entry in PROVIDERS and in the
+ * worker's PROVIDER_PRIORITY (or the PROVIDER_PRIORITY var).
+ */
+
+import twelveData from './twelvedata.js';
+import yahoo from './yahoo.js';
+import finnhub from './finnhub.js';
+
+export { ProviderRegistry, CircuitBreaker, isProviderFailure } from './registry.js';
+export { InFlightRequests } from './inflight.js';
+
+export const PROVIDERS = [twelveData, yahoo, finnhub];
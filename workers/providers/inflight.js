@@ -0,0 +1,38 @@
+/**
+ * In-flight request coalescing
+ * Concurrent cache misses for the same upstream URL share one fetch (and one
+ * credit): the first caller runs it, everyone arriving before it settles gets
+ * the same result. Nothing is kept once it settles - that's the edge cache's job.
+ *
+ * Results must be plain data ({ ok, status, body }) - a Response body can only
+ * be read once, so each caller builds its own Response from the shared result.
+ */
+export class InFlightRequests {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  /**
+   * Run fetcher for key, or join the fetch already running for it
+   * @param {string} key - Upstream identity, e.g. the edge cache URL
+   * @param {Function} fetcher - () => Promise<result>
+   * @returns {Promise<Object>} { result, coalesced } - coalesced when another caller's fetch was reused
+   */
+  async run(key, fetcher) {
+    const pending = this.pending.get(key);
+    if (pending) {
+      return { result: await pending, coalesced: true };
+    }
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, promise);
+
+    return { result: await promise, coalesced: false };
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Market data provider registry
+ * Picks which upstream serves an endpoint, in a configurable priority order,
+ * and skips providers whose circuit breaker is open.
+ *
+ * An adapter is a plain object (see twelvedata.js / yahoo.js / finnhub.js):
+ *   id           - "yahoo"
+ *   label        - Sent to the frontend as x-data-source ("Yahoo Finance")
+ *   endpoints    - Endpoints it serves ("quote", "statistics", "time_series", "quotes", "fundamentals"; "*" = any)
+ *   isConfigured - (env) => whether its credentials are set (optional)
+ *   accepts      - (endpoint, params) => whether it can serve these params, e.g. an interval (optional)
+ *   cacheTtl     - (endpoint, marketPhase) => { maxAge, swr } replacing the worker's TTLs, or null (optional)
+ *   cacheKey     - (endpoint, params, env) => edge cache URL
+ *   fetch        - (endpoint, params, env) => { ok, status, body } with body in Twelve Data shape
+ *                  (plus code when an HTTP 200 carries an error, as Twelve Data does)
+ *   fetchBatch   - (symbols, env) => { ok, status, body, quotes } for "quotes" (optional)
+ *   usesCredits  - Calls are drawn from the daily credit ledger (optional)
+ *   creditCost   - (endpoint) => credits one fetch spends, default 1 (optional)
+ */
+
+// Consecutive failures before a provider is skipped, and for how long
+const BREAKER_THRESHOLD = 3;
+const BREAKER_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Whether an upstream result should count against a provider
+ * Rate limits, outages and network errors do; "symbol not found" doesn't.
+ */
+export function isProviderFailure(result) {
+  if (!result || result.ok) return false;
+  const status = result.code || result.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Whether to try the next provider instead of returning this result
+ */
+function shouldFailover(result) {
+  if (result.ok || result.partial) return false;
+  return !!result.exhausted || isProviderFailure(result);
+}
+
+/**
+ * Short machine-readable reason for x-fallback-reason
+ * @returns {string} "credits_exhausted", "rate_limited", "upstream_503", "network_error"
+ */
+export function describeFailure(result) {
+  if (result.exhausted) return 'credits_exhausted';
+  const status = result.code || result.status;
+  if (!status) return 'network_error';
+  if (status === 429) return 'rate_limited';
+  return `upstream_${status}`;
+}
+
+/**
+ * Per-provider circuit breaker
+ * State lives in the isolate (like the in-memory login fallback) - each edge
+ * location learns about an outage on its own, which is what we want anyway.
+ * After the cooldown a single request is let through as a probe (half-open) while
+ * the others keep skipping the provider; the probe's success closes the circuit,
+ * its failure re-opens it for another cooldown.
+ */
+export class CircuitBreaker {
+  constructor({
+    threshold = BREAKER_THRESHOLD,
+    cooldownMs = BREAKER_COOLDOWN_MS,
+    now = () => Date.now(),
+  } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.circuits = new Map();
+  }
+
+  /**
+   * "closed" | "open" | "half-open"
+   */
+  getState(id) {
+    const circuit = this.circuits.get(id);
+    if (!circuit || !circuit.openUntil) return 'closed';
+    return this.now() >= circuit.openUntil ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may go to the provider
+   * In half-open state this claims the probe - call recordSuccess, recordFailure
+   * or releaseProbe once it settles. A probe that never settles is given up on
+   * after another cooldown.
+   */
+  allows(id) {
+    const state = this.getState(id);
+    if (state !== 'half-open') return state === 'closed';
+
+    const circuit = this.circuits.get(id);
+    if (circuit.probeStartedAt && this.now() - circuit.probeStartedAt < this.cooldownMs) {
+      return false;
+    }
+
+    circuit.probeStartedAt = this.now();
+    return true;
+  }
+
+  /**
+   * Give the probe back without a verdict (e.g. it was served from cache)
+   */
+  releaseProbe(id) {
+    const circuit = this.circuits.get(id);
+    if (circuit) circuit.probeStartedAt = 0;
+  }
+
+  recordSuccess(id) {
+    this.circuits.delete(id);
+  }
+
+  recordFailure(id) {
+    const circuit = this.circuits.get(id) || { failures: 0, openUntil: 0, probeStartedAt: 0 };
+    circuit.failures++;
+
+    // A failed probe re-opens straight away; otherwise wait for the threshold
+    if (circuit.probeStartedAt || circuit.failures >= this.threshold) {
+      circuit.openUntil = this.now() + this.cooldownMs;
+      circuit.probeStartedAt = 0;
+    }
+
+    this.circuits.set(id, circuit);
+  }
+
+  /**
+   * Snapshot for logs and admin views
+   */
+  describe() {
+    const snapshot = {};
+    for (const [id, circuit] of this.circuits) {
+      snapshot[id] = {
+        state: this.getState(id),
+        failures: circuit.failures,
+        openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null,
+        probing: !!circuit.probeStartedAt,
+      };
+    }
+    return snapshot;
+  }
+}
+
+/**
+ * Parse the PROVIDER_PRIORITY var (JSON, same shape as the default priority)
+ * Invalid JSON is ignored so a typo can't take market data down.
+ */
+function parsePriorityOverride(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('Ignoring invalid PROVIDER_PRIORITY:', error.message);
+    return {};
+  }
+}
+
+export class ProviderRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.priority - Per-endpoint order: { quote: { open: [...ids], closed: [...ids] }, default: [...ids] }
+   *   An optional extended: [...ids] is used in pre-market and after-hours (closed otherwise).
+   *   An endpoint may also map to a plain array when market hours don't matter.
+   * @param {CircuitBreaker} [options.breaker]
+   */
+  constructor({ priority = {}, breaker = new CircuitBreaker() } = {}) {
+    this.priority = priority;
+    this.breaker = breaker;
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!adapter?.id || typeof adapter.fetch !== 'function') {
+      throw new Error('Provider adapters need an id and a fetch function');
+    }
+    this.adapters.set(adapter.id, adapter);
+    return this;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  /**
+   * Whether an adapter can serve an endpoint
+   */
+  supports(adapter, endpoint) {
+    if (endpoint === 'quotes' && typeof adapter.fetchBatch !== 'function') return false;
+    return adapter.endpoints.includes(endpoint) || adapter.endpoints.includes('*');
+  }
+
+  /**
+   * Configured providers for an endpoint, in priority order
+   * @param {string} endpoint - "quote", "statistics", "time_series", "quotes", ...
+   * @param {Object} options - { marketOpen, extendedHours, env, params } (env.PROVIDER_PRIORITY overrides the defaults)
+   * @returns {Object[]} Adapters
+   */
+  getOrder(endpoint, { marketOpen = true, extendedHours = false, env = {}, params = {} } = {}) {
+    const override = parsePriorityOverride(env.PROVIDER_PRIORITY);
+    const config =
+      override[endpoint] ||
+      this.priority[endpoint] ||
+      override.default ||
+      this.priority.default ||
+      [];
+    const ids = Array.isArray(config)
+      ? config
+      : (marketOpen ? config.open : (extendedHours && config.extended) || config.closed) || [];
+
+    return ids
+      .map((id) => this.adapters.get(id))
+      .filter((adapter) => adapter && this.supports(adapter, endpoint))
+      .filter((adapter) => !adapter.accepts || adapter.accepts(endpoint, params))
+      .filter((adapter) => !adapter.isConfigured || adapter.isConfigured(env));
+  }
+
+  /**
+   * Serve an endpoint, failing over down the priority list
+   * Providers with an open circuit are skipped; a provider that is rate limited,
+   * out of credits or down is recorded and the next one is tried.
+   * @param {string} endpoint
+   * @param {Object} options
+   * @param {boolean} options.marketOpen
+   * @param {boolean} [options.extendedHours] - Pre-market or after-hours (only when the market isn't open)
+   * @param {Object} options.env - Worker env
+   * @param {Function} options.attempt - (adapter) => result; defaults to adapter.fetch.
+   *   Results with upstream: false (cache hits, budget checks) don't touch the breaker;
+   *   exhausted: true fails over, partial: true (some data served) doesn't.
+   * @returns {Promise<Object>} { provider, result, skipped } - the provider that answered
+   *   (the last one tried when all failed, null when none could be tried) and
+   *   [{ provider, reason }] for every provider that was skipped or failed
+   */
+  async execute(
+    endpoint,
+    { marketOpen = true, extendedHours = false, env = {}, params = {}, attempt } = {}
+  ) {
+    const run = attempt || ((adapter) => adapter.fetch(endpoint, params, env));
+    const skipped = [];
+    let last = { provider: null, result: null };
+
+    for (const adapter of this.getOrder(endpoint, { marketOpen, extendedHours, env, params })) {
+      if (!this.breaker.allows(adapter.id)) {
+        skipped.push({ provider: adapter.id, reason: 'circuit_open' });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await run(adapter);
+      } catch (error) {
+        console.error(`Provider ${adapter.id} failed for ${endpoint}:`, error);
+        result = { ok: false, status: 0, error: error.message };
+      }
+
+      this.record(adapter.id, result);
+
+      if (!shouldFailover(result)) {
+        return { provider: adapter, result, skipped };
+      }
+
+      console.warn(`↪️ ${adapter.id} failed for ${endpoint} (${describeFailure(result)})`);
+      skipped.push({ provider: adapter.id, reason: describeFailure(result) });
+      last = { provider: adapter, result };
+    }
+
+    // Every provider failed - return the last error (also listed in skipped)
+    return { ...last, skipped };
+  }
+
+  /**
+   * Feed a result into the circuit breaker
+   */
+  record(id, result) {
+    if (result?.upstream === false) {
+      this.breaker.releaseProbe(id);
+      return;
+    }
+
+    if (isProviderFailure(result)) {
+      this.breaker.recordFailure(id);
+      if (this.breaker.getState(id) === 'open') {
+        console.error(`⚡ Circuit open for ${id} (${this.breaker.threshold} consecutive failures)`);
+      }
+    } else {
+      this.breaker.recordSuccess(id);
+    }
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * Twelve Data adapter
+ * The frontend's native format - responses pass through untouched, except
+ * fundamentals (three statement endpoints) and corporate actions (dividends + splits),
+ * which are assembled from several endpoints.
+ * Every upstream symbol costs API credits (usesCredits, creditCost), which the
+ * worker reserves from the CreditLedger before calling fetch/fetchBatch.
+ */
+
+import { buildStatement, buildFundamentals } from './fundamentals.js';
+import {
+  buildSplit,
+  buildCorporateActions,
+  splitAdjustDividends,
+  DEFAULT_ADJUST,
+} from './corporateActions.js';
+
+const BASE_URL = 'https://api.twelvedata.com';
+
+// income_statement, balance_sheet and cash_flow cost 100 credits each
+const STATEMENT_ENDPOINTS = ['income_statement', 'balance_sheet', 'cash_flow'];
+const STATEMENT_CREDITS = 100;
+
+// dividends and splits cost 20 credits each
+const CORPORATE_ACTION_ENDPOINTS = ['dividends', 'splits'];
+const CORPORATE_ACTION_CREDITS = 20;
+
+/**
+ * Upstream URL for an endpoint (also the edge cache key, as before the registry)
+ */
+function buildUrl(endpoint, params, env) {
+  const td = new URL(`${BASE_URL}/${endpoint}`);
+  td.searchParams.set('symbol', params.symbol);
+  td.searchParams.set('apikey', env.TWELVEDATA_KEY);
+
+  // Default parameters for time_series
+  if (endpoint === 'time_series') {
+    td.searchParams.set('interval', params.interval || '1min');
+    td.searchParams.set('outputsize', params.outputsize || '1');
+  }
+
+  // Price adjustment for splits/dividends (see corporateActions.js)
+  if (endpoint === 'time_series') {
+    td.searchParams.set('adjust', params.adjust || DEFAULT_ADJUST);
+  }
+
+  if (endpoint === 'fundamentals' || STATEMENT_ENDPOINTS.includes(endpoint)) {
+    td.searchParams.set('period', params.period || 'annual');
+  }
+
+  if (CORPORATE_ACTION_ENDPOINTS.includes(endpoint)) {
+    td.searchParams.set('range', 'full');
+  }
+
+  return td;
+}
+
+/**
+ * Error code from a Twelve Data error body
+ * Some errors (e.g. out of credits) arrive as HTTP 200 with { status: "error", code }
+ * @returns {number|null}
+ */
+function getErrorCode(text) {
+  if (!/"status"\s*:\s*"error"/.test(text || '')) return null;
+
+  try {
+    return JSON.parse(text).code || 502;
+  } catch (error) {
+    return 502;
+  }
+}
+
+/**
+ * Map Twelve Data's three statements (matched by fiscal_date) to the normalized fundamentals format
+ * @param {string} symbol - Stock symbol
+ * @param {string} period - "annual" or "quarterly"
+ * @param {Object} data - { income_statement, balance_sheet, cash_flow } response bodies
+ */
+export function transformTwelveDataToFundamentals(symbol, period, data) {
+  const byDate = {};
+  const valuesFor = (date) =>
+    byDate[date] || (byDate[date] = { income: {}, balance: {}, cash_flow: {} });
+
+  for (const row of data.income_statement?.income_statement || []) {
+    Object.assign(valuesFor(row.fiscal_date).income, {
+      revenue: row.sales,
+      cost_of_revenue: row.cost_of_goods,
+      gross_profit: row.gross_profit,
+      operating_income: row.operating_income,
+      net_income: row.net_income,
+      ebitda: row.ebitda,
+      eps_diluted: row.eps_diluted,
+    });
+  }
+
+  for (const row of data.balance_sheet?.balance_sheet || []) {
+    const shortTermDebt = row.liabilities?.current_liabilities?.short_term_debt;
+    const longTermDebt = row.liabilities?.non_current_liabilities?.long_term_debt;
+
+    Object.assign(valuesFor(row.fiscal_date).balance, {
+      total_assets: row.assets?.total_assets,
+      total_liabilities: row.liabilities?.total_liabilities,
+      total_equity: row.shareholders_equity?.total_shareholders_equity,
+      cash:
+        row.assets?.current_assets?.cash_and_cash_equivalents ?? row.assets?.current_assets?.cash,
+      total_debt:
+        shortTermDebt == null && longTermDebt == null
+          ? null
+          : (shortTermDebt || 0) + (longTermDebt || 0),
+    });
+  }
+
+  for (const row of data.cash_flow?.cash_flow || []) {
+    Object.assign(valuesFor(row.fiscal_date).cash_flow, {
+      operating_cash_flow: row.operating_activities?.operating_cash_flow,
+      capital_expenditure: row.investing_activities?.capital_expenditures,
+      free_cash_flow: row.free_cash_flow,
+    });
+  }
+
+  return buildFundamentals({
+    symbol,
+    period,
+    currency: data.income_statement?.meta?.currency,
+    statements: Object.entries(byDate).map(([date, values]) => buildStatement(date, values)),
+    source: 'twelvedata',
+  });
+}
+
+/**
+ * Map Twelve Data dividends and splits to the normalized corporate actions format
+ * Twelve Data dividends are as paid, so they are split-adjusted here.
+ * @param {string} symbol - Stock symbol
+ * @param {Object} data - { dividends, splits } response bodies
+ */
+export function transformTwelveDataToCorporateActions(symbol, data) {
+  // from_factor is the new share count: a 4-for-1 split is { from_factor: 4, to_factor: 1 }
+  const splits = (data.splits?.splits || [])
+    .map((split) => buildSplit(split.date, split.from_factor, split.to_factor))
+    .filter(Boolean);
+
+  const dividends = (data.dividends?.dividends || [])
+    .filter((dividend) => dividend.ex_date && dividend.amount != null)
+    .map((dividend) => ({ ex_date: dividend.ex_date, amount: Number(dividend.amount) }));
+
+  return buildCorporateActions({
+    symbol,
+    currency: data.dividends?.meta?.currency,
+    dividends: splitAdjustDividends(dividends, splits),
+    splits,
+    source: 'twelvedata',
+  });
+}
+
+/**
+ * Fetch several endpoints for one symbol in parallel
+ * Any endpoint failing (e.g. not on this plan, out of credits) fails the whole request
+ * @returns {Promise<Object>} { failure } (a provider result) or { data } keyed by endpoint
+ */
+async function fetchEndpoints(endpoints, params, env) {
+  const responses = await Promise.all(
+    endpoints.map(async (endpoint) => {
+      const upstream = await fetch(buildUrl(endpoint, params, env), {
+        cf: { cacheTtl: 0, cacheEverything: false },
+      });
+      const text = await upstream.text();
+      return { endpoint, upstream, text, code: getErrorCode(text) };
+    })
+  );
+
+  const failed = responses.find(({ upstream, code }) => !upstream.ok || code);
+  if (failed) {
+    logRateLimit(failed.code || failed.upstream.status);
+    return {
+      failure: {
+        ok: false,
+        status: failed.upstream.status,
+        code: failed.code,
+        body: failed.text || `Upstream error ${failed.upstream.status}`,
+      },
+    };
+  }
+
+  const data = {};
+  for (const { endpoint, text } of responses) {
+    data[endpoint] = JSON.parse(text);
+  }
+  return { data };
+}
+
+/**
+ * Fetch the three statements and merge them
+ */
+async function fetchFundamentals(params, env) {
+  const { failure, data } = await fetchEndpoints(STATEMENT_ENDPOINTS, params, env);
+  if (failure) return failure;
+
+  const period = params.period || 'annual';
+  return {
+    ok: true,
+    status: 200,
+    body: JSON.stringify(transformTwelveDataToFundamentals(params.symbol, period, data)),
+  };
+}
+
+/**
+ * Fetch dividends and splits and merge them
+ */
+async function fetchCorporateActions(params, env) {
+  const { failure, data } = await fetchEndpoints(CORPORATE_ACTION_ENDPOINTS, params, env);
+  if (failure) return failure;
+
+  return {
+    ok: true,
+    status: 200,
+    body: JSON.stringify(transformTwelveDataToCorporateActions(params.symbol, data)),
+  };
+}
+
+function logRateLimit(status) {
+  if (status === 429) {
+    console.error('TD_429_MINUTE: Twelve Data rate limit exceeded');
+  }
+}
+
+export default {
+  id: 'twelvedata',
+  label: 'Twelve Data',
+  usesCredits: true,
+  // Any other /api/* path is proxied to Twelve Data as-is
+  endpoints: [
+    'quote',
+    'statistics',
+    'time_series',
+    'quotes',
+    'fundamentals',
+    'corporate_actions',
+    '*',
+  ],
+
+  isConfigured(env) {
+    return !!env.TWELVEDATA_KEY;
+  },
+
+  // Credits one fetch() spends
+  creditCost(endpoint) {
+    if (endpoint === 'fundamentals') return STATEMENT_ENDPOINTS.length * STATEMENT_CREDITS;
+    if (endpoint === 'corporate_actions')
+      return CORPORATE_ACTION_ENDPOINTS.length * CORPORATE_ACTION_CREDITS;
+    return 1;
+  },
+
+  cacheKey(endpoint, params, env) {
+    return buildUrl(endpoint, params, env).toString();
+  },
+
+  async fetch(endpoint, params, env) {
+    if (endpoint === 'fundamentals') {
+      return fetchFundamentals(params, env);
+    }
+
+    if (endpoint === 'corporate_actions') {
+      return fetchCorporateActions(params, env);
+    }
+
+    const upstream = await fetch(buildUrl(endpoint, params, env), {
+      cf: { cacheTtl: 0, cacheEverything: false },
+    });
+
+    const text = await upstream.text();
+    const code = getErrorCode(text);
+    logRateLimit(code || upstream.status);
+
+    // The HTTP status is passed through; code tells the registry what actually happened
+    return {
+      ok: upstream.ok && !code,
+      status: upstream.status,
+      code,
+      body: text || `Upstream error ${upstream.status}`,
+    };
+  },
+
+  /**
+   * Fetch several quotes in one request (comma-separated symbols)
+   * @returns {Object} { ok, status, body, quotes } - quotes is keyed by symbol
+   */
+  async fetchBatch(symbols, env) {
+    const td = new URL(`${BASE_URL}/quote`);
+    td.searchParams.set('symbol', symbols.join(','));
+    td.searchParams.set('apikey', env.TWELVEDATA_KEY);
+
+    const upstream = await fetch(td, {
+      cf: { cacheTtl: 0, cacheEverything: false },
+    });
+
+    const text = await upstream.text();
+
+    if (!upstream.ok) {
+      logRateLimit(upstream.status);
+      return {
+        ok: false,
+        status: upstream.status,
+        body: text || `Upstream error ${upstream.status}`,
+        quotes: {},
+      };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return {
+        ok: false,
+        status: 502,
+        body: JSON.stringify({ error: 'Invalid Twelve Data response' }),
+        quotes: {},
+      };
+    }
+
+    // A single symbol comes back as a flat quote, several as a symbol-keyed map.
+    // A top-level error (e.g. out of credits) applies to the whole batch.
+    if (symbols.length === 1) {
+      return {
+        ok: data.status !== 'error',
+        status: data.code || 200,
+        body: text,
+        quotes: { [symbols[0]]: data },
+      };
+    }
+
+    if (data.status === 'error') {
+      return { ok: false, status: data.code || 502, body: text, quotes: {} };
+    }
+
+    const quotes = {};
+    for (const [symbol, quote] of Object.entries(data)) {
+      quotes[symbol.toUpperCase()] = quote;
+    }
+
+    return { ok: true, status: 200, body: text, quotes };
+  },
+};
@@ -0,0 +1,599 @@
+/**
+ * Yahoo Finance adapter
+ * Free and unmetered, so it serves quotes, statistics and historical bars while
+ * the market is closed, and financial statements and corporate actions at any time.
+ * Responses are transformed to the Twelve Data format.
+ */
+
+import { buildStatement, buildFundamentals } from './fundamentals.js';
+import { buildSplit, buildCorporateActions, DEFAULT_ADJUST } from './corporateActions.js';
+// Listings outside the US are "TICKER:EXCHANGE" in the app and suffixed tickers on Yahoo
+import { toYahooSymbol } from '../../src/utils/exchanges.js';
+
+const QUOTE_URL = 'https://query1.finance.yahoo.com/v7/finance/quote';
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const FUNDAMENTALS_URL =
+  'https://query1.finance.yahoo.com/ws/fundamentals-timeseries/v1/finance/timeseries';
+
+// Twelve Data interval -> Yahoo chart interval, bar length in trading minutes,
+// and how far back Yahoo keeps that resolution (calendar days)
+const CHART_INTERVALS = {
+  '1min': { interval: '1m', minutes: 1, maxDays: 7 },
+  '5min': { interval: '5m', minutes: 5, maxDays: 59 },
+  '15min': { interval: '15m', minutes: 15, maxDays: 59 },
+  '30min': { interval: '30m', minutes: 30, maxDays: 59 },
+  '1h': { interval: '60m', minutes: 60, maxDays: 729 },
+  '1day': { interval: '1d', minutes: 390 },
+  '1week': { interval: '1wk', minutes: 390 * 5 },
+  '1month': { interval: '1mo', minutes: 390 * 21 },
+};
+
+// Yahoo fundamentals series (without the annual/quarterly prefix) -> normalized field
+const FUNDAMENTALS_TYPES = {
+  TotalRevenue: ['income', 'revenue'],
+  CostOfRevenue: ['income', 'cost_of_revenue'],
+  GrossProfit: ['income', 'gross_profit'],
+  OperatingIncome: ['income', 'operating_income'],
+  NetIncome: ['income', 'net_income'],
+  EBITDA: ['income', 'ebitda'],
+  DilutedEPS: ['income', 'eps_diluted'],
+  TotalAssets: ['balance', 'total_assets'],
+  TotalLiabilitiesNetMinorityInterest: ['balance', 'total_liabilities'],
+  StockholdersEquity: ['balance', 'total_equity'],
+  CashAndCashEquivalents: ['balance', 'cash'],
+  TotalDebt: ['balance', 'total_debt'],
+  OperatingCashFlow: ['cash_flow', 'operating_cash_flow'],
+  CapitalExpenditure: ['cash_flow', 'capital_expenditure'],
+  FreeCashFlow: ['cash_flow', 'free_cash_flow'],
+};
+
+// Statement history to ask for (Yahoo keeps roughly 4-5 years)
+const FUNDAMENTALS_LOOKBACK_DAYS = 6 * 365;
+
+// Dividend and split history to ask for (monthly bars keep the response small)
+const CORPORATE_ACTIONS_RANGE = '10y';
+
+const MINUTES_PER_SESSION = 390;
+const MAX_OUTPUTSIZE = 5000;
+
+// Yahoo Finance rejects requests without a browser-like User-Agent
+const YAHOO_REQUEST_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  Accept: 'application/json',
+};
+
+// TTL for Yahoo data (market closed): 1 hour fresh, 2 hours stale-while-revalidate
+const YAHOO_CLOSED_TTL = { maxAge: 3600, swr: 7200 };
+
+/**
+ * Fetch raw Yahoo quotes for one or more symbols
+ * @returns {Promise<Object>} { ok, status, results } - results is Yahoo's quote array
+ */
+async function fetchYahooQuotes(symbols) {
+  const upstream = await fetch(`${QUOTE_URL}?symbols=${encodeURIComponent(symbols.join(','))}`, {
+    headers: YAHOO_REQUEST_HEADERS,
+    cf: { cacheTtl: 0, cacheEverything: false },
+  });
+
+  if (!upstream.ok) {
+    console.error(`Yahoo Finance error ${upstream.status} for ${symbols.join(',')}`);
+    return { ok: false, status: upstream.status, results: [] };
+  }
+
+  const yahooData = await upstream.json();
+  return { ok: true, status: 200, results: yahooData?.quoteResponse?.result || [] };
+}
+
+/**
+ * Calendar days of history needed for `outputsize` bars (weekends and holidays included)
+ */
+function getLookbackDays(spec, outputsize) {
+  const sessions = Math.ceil((outputsize * spec.minutes) / MINUTES_PER_SESSION);
+  const days = Math.ceil((sessions * 7) / 5) + 4;
+  return spec.maxDays ? Math.min(days, spec.maxDays) : days;
+}
+
+function parseOutputsize(value) {
+  const size = parseInt(value, 10) || 1;
+  return Math.min(Math.max(size, 1), MAX_OUTPUTSIZE);
+}
+
+/**
+ * Bar time in the exchange's timezone, formatted like Twelve Data
+ * ("2024-01-05 15:59:00" intraday, "2024-01-05" for daily and longer)
+ */
+function formatBarTime(timestamp, timeZone, intraday) {
+  const date = new Date(timestamp * 1000);
+  const day = date.toLocaleDateString('en-CA', { timeZone });
+  if (!intraday) return day;
+  return `${day} ${date.toLocaleTimeString('en-GB', { timeZone, hour12: false })}`;
+}
+
+function errorBody(status) {
+  return JSON.stringify({ error: `Yahoo Finance error ${status}`, status });
+}
+
+/**
+ * Pre-market or after-hours trading, in Twelve Data's prepost field names
+ * Yahoo keeps a session's numbers after it ends (post-market prices stay up
+ * overnight), so the most recent of the two wins. Nothing during regular hours.
+ * @returns {Object} { extended_session: "pre" | "post", extended_price, extended_change,
+ *   extended_percent_change, extended_timestamp }, or {} when there is no extended-hours trade
+ */
+function getExtendedHoursFields(quote) {
+  if (quote.marketState === 'REGULAR') return {};
+
+  const [latest] = [
+    {
+      session: 'pre',
+      price: quote.preMarketPrice,
+      change: quote.preMarketChange,
+      percent: quote.preMarketChangePercent,
+      time: quote.preMarketTime,
+    },
+    {
+      session: 'post',
+      price: quote.postMarketPrice,
+      change: quote.postMarketChange,
+      percent: quote.postMarketChangePercent,
+      time: quote.postMarketTime,
+    },
+  ]
+    .filter((trade) => typeof trade.price === 'number')
+    .sort((a, b) => (b.time || 0) - (a.time || 0));
+
+  if (!latest) return {};
+
+  return {
+    extended_session: latest.session,
+    extended_price: latest.price.toString(),
+    extended_change: latest.change?.toString(),
+    extended_percent_change: latest.percent?.toString(),
+    extended_timestamp: latest.time,
+  };
+}
+
+/**
+ * Transform Yahoo Finance quote to Twelve Data quote format
+ */
+export function transformYahooToQuote(quote) {
+  return {
+    symbol: quote.symbol,
+    name: quote.shortName || quote.longName,
+    exchange: quote.exchange,
+    currency: quote.currency,
+    datetime: new Date().toISOString(),
+    timestamp: Math.floor(Date.now() / 1000),
+    open: quote.regularMarketOpen?.toString(),
+    high: quote.regularMarketDayHigh?.toString(),
+    low: quote.regularMarketDayLow?.toString(),
+    close: quote.regularMarketPrice?.toString(),
+    previous_close: quote.regularMarketPreviousClose?.toString(),
+    change: quote.regularMarketChange?.toString(),
+    percent_change: quote.regularMarketChangePercent?.toString(),
+    volume: quote.regularMarketVolume,
+    average_volume: quote.averageDailyVolume10Day || quote.averageDailyVolume3Month,
+    // marketState: PREPRE, PRE, REGULAR, POST, POSTPOST or CLOSED
+    is_market_open: quote.marketState === 'REGULAR',
+    ...getExtendedHoursFields(quote),
+    // Source indicator for frontend
+    _source: 'yahoo',
+  };
+}
+
+/**
+ * Transform Yahoo Finance data to Twelve Data statistics format
+ */
+export function transformYahooToStatistics(quote) {
+  return {
+    symbol: quote.symbol,
+    name: quote.shortName || quote.longName,
+    exchange: quote.exchange,
+    currency: quote.currency,
+    statistics: {
+      // Valuation
+      market_capitalization: quote.marketCap,
+      enterprise_value: quote.enterpriseValue,
+      trailing_pe: quote.trailingPE,
+      forward_pe: quote.forwardPE,
+      peg_ratio: quote.pegRatio,
+      price_to_sales_ttm: quote.priceToSalesTrailing12Months,
+      price_to_book: quote.priceToBook,
+      enterprise_to_revenue: quote.enterpriseToRevenue,
+      enterprise_to_ebitda: quote.enterpriseToEbitda,
+
+      // Financial metrics
+      profit_margin: quote.profitMargins,
+      operating_margin: quote.operatingMargins,
+      return_on_assets: quote.returnOnAssets,
+      return_on_equity: quote.returnOnEquity,
+      revenue: quote.totalRevenue,
+      revenue_per_share: quote.revenuePerShare,
+      quarterly_revenue_growth: quote.revenueGrowth,
+      gross_profit: quote.grossProfits,
+      ebitda: quote.ebitda,
+      net_income: quote.netIncomeToCommon,
+      diluted_eps_ttm: quote.epsTrailingTwelveMonths,
+      quarterly_earnings_growth: quote.earningsQuarterlyGrowth,
+
+      // Stock metrics
+      beta: quote.beta,
+      '52_week_high': quote.fiftyTwoWeekHigh,
+      '52_week_low': quote.fiftyTwoWeekLow,
+      '50_day_ma': quote.fiftyDayAverage,
+      '200_day_ma': quote.twoHundredDayAverage,
+      shares_outstanding: quote.sharesOutstanding,
+      shares_float: quote.floatShares,
+      shares_short: quote.sharesShort,
+      short_ratio: quote.shortRatio,
+      short_percent_of_float: quote.shortPercentOfFloat,
+
+      // Dividends
+      dividend_rate: quote.dividendRate,
+      dividend_yield: quote.dividendYield,
+      trailing_annual_dividend_rate: quote.trailingAnnualDividendRate,
+      trailing_annual_dividend_yield: quote.trailingAnnualDividendYield,
+      payout_ratio: quote.payoutRatio,
+      ex_dividend_date: quote.exDividendDate,
+    },
+    // Source indicator for frontend
+    _source: 'yahoo',
+  };
+}
+
+/**
+ * Transform a Yahoo chart result to a Twelve Data time_series response
+ * Values are newest first, like Twelve Data; bars Yahoo left empty are dropped.
+ * Yahoo prices are split-adjusted; adjust "all" also applies dividends (from adjclose).
+ * @param {Object} result - chart.result[0]
+ * @param {string} interval - Twelve Data interval ("1min", "1day", ...)
+ * @param {number} outputsize - Max number of bars
+ * @param {string} [adjust] - "splits" (default) or "all" (see corporateActions.js)
+ */
+export function transformYahooToTimeSeries(result, interval, outputsize, adjust) {
+  const meta = result.meta || {};
+  const quote = result.indicators?.quote?.[0] || {};
+  const adjClose = adjust === 'all' ? result.indicators?.adjclose?.[0]?.adjclose : null;
+  const timeZone = meta.exchangeTimezoneName || 'America/New_York';
+  const intraday = CHART_INTERVALS[interval].minutes < MINUTES_PER_SESSION;
+
+  const values = [];
+  const timestamps = result.timestamp || [];
+
+  for (let i = timestamps.length - 1; i >= 0 && values.length < outputsize; i--) {
+    if (quote.close?.[i] == null) continue;
+
+    const factor = adjClose?.[i] != null ? adjClose[i] / quote.close[i] : 1;
+    const price = (value) => String(factor === 1 ? value : Number((value * factor).toFixed(4)));
+
+    values.push({
+      datetime: formatBarTime(timestamps[i], timeZone, intraday),
+      open: price(quote.open[i]),
+      high: price(quote.high[i]),
+      low: price(quote.low[i]),
+      close: price(quote.close[i]),
+      volume: String(quote.volume?.[i] ?? 0),
+    });
+  }
+
+  return {
+    meta: {
+      symbol: meta.symbol,
+      interval,
+      currency: meta.currency,
+      exchange_timezone: timeZone,
+      exchange: meta.exchangeName,
+      type: meta.instrumentType,
+    },
+    values,
+    status: 'ok',
+    // Source indicator for frontend
+    _source: 'yahoo',
+  };
+}
+
+/**
+ * Fetch bars from the Yahoo chart API
+ */
+async function fetchTimeSeries(params) {
+  const interval = params.interval || '1min';
+  const spec = CHART_INTERVALS[interval];
+  const outputsize = parseOutputsize(params.outputsize);
+
+  const now = Math.floor(Date.now() / 1000);
+  const url = new URL(`${CHART_URL}/${encodeURIComponent(toYahooSymbol(params.symbol))}`);
+  url.searchParams.set('interval', spec.interval);
+  url.searchParams.set('period1', String(now - getLookbackDays(spec, outputsize) * 86400));
+  url.searchParams.set('period2', String(now));
+  url.searchParams.set('includePrePost', 'false');
+  if (params.adjust === 'all') {
+    url.searchParams.set('events', 'div,splits');
+  }
+
+  const upstream = await fetch(url, {
+    headers: YAHOO_REQUEST_HEADERS,
+    cf: { cacheTtl: 0, cacheEverything: false },
+  });
+
+  // Unknown symbols come back as 404 with { chart: { error } }
+  if (upstream.status === 404) {
+    return {
+      ok: false,
+      status: 404,
+      body: JSON.stringify({ error: 'Symbol not found on Yahoo Finance' }),
+    };
+  }
+
+  if (!upstream.ok) {
+    console.error(`Yahoo Finance chart error ${upstream.status} for ${params.symbol}`);
+    return { ok: false, status: upstream.status, body: errorBody(upstream.status) };
+  }
+
+  const data = await upstream.json();
+  const result = data?.chart?.result?.[0];
+
+  if (!result) {
+    return {
+      ok: false,
+      status: 404,
+      body: JSON.stringify({ error: 'Symbol not found on Yahoo Finance' }),
+    };
+  }
+
+  return {
+    ok: true,
+    status: 200,
+    body: JSON.stringify(transformYahooToTimeSeries(result, interval, outputsize, params.adjust)),
+  };
+}
+
+/**
+ * Transform the dividend and split events of a Yahoo chart result
+ * @param {string} symbol - Stock symbol
+ * @param {Object} result - chart.result[0] requested with events=div,splits
+ */
+export function transformYahooToCorporateActions(symbol, result) {
+  const meta = result.meta || {};
+  const timeZone = meta.exchangeTimezoneName || 'America/New_York';
+  const events = result.events || {};
+  const toDate = (timestamp) => formatBarTime(timestamp, timeZone, false);
+
+  return buildCorporateActions({
+    symbol,
+    currency: meta.currency,
+    dividends: Object.values(events.dividends || {}).map((event) => ({
+      ex_date: toDate(event.date),
+      amount: event.amount,
+    })),
+    splits: Object.values(events.splits || {}).map((event) =>
+      buildSplit(toDate(event.date), event.numerator, event.denominator)
+    ),
+    source: 'yahoo',
+  });
+}
+
+/**
+ * Fetch dividends and splits (chart events over monthly bars)
+ */
+async function fetchCorporateActions(params) {
+  const url = new URL(`${CHART_URL}/${encodeURIComponent(toYahooSymbol(params.symbol))}`);
+  url.searchParams.set('interval', '1mo');
+  url.searchParams.set('range', CORPORATE_ACTIONS_RANGE);
+  url.searchParams.set('events', 'div,splits');
+
+  const upstream = await fetch(url, {
+    headers: YAHOO_REQUEST_HEADERS,
+    cf: { cacheTtl: 0, cacheEverything: false },
+  });
+
+  if (upstream.status === 404) {
+    return {
+      ok: false,
+      status: 404,
+      body: JSON.stringify({ error: 'Symbol not found on Yahoo Finance' }),
+    };
+  }
+
+  if (!upstream.ok) {
+    console.error(`Yahoo Finance chart error ${upstream.status} for ${params.symbol}`);
+    return { ok: false, status: upstream.status, body: errorBody(upstream.status) };
+  }
+
+  const data = await upstream.json();
+  const result = data?.chart?.result?.[0];
+
+  if (!result) {
+    return {
+      ok: false,
+      status: 404,
+      body: JSON.stringify({ error: 'Symbol not found on Yahoo Finance' }),
+    };
+  }
+
+  // No events just means no dividends or splits in the range
+  return {
+    ok: true,
+    status: 200,
+    body: JSON.stringify(transformYahooToCorporateActions(params.symbol, result)),
+  };
+}
+
+/**
+ * Transform a Yahoo fundamentals-timeseries response to the normalized fundamentals format
+ * Each result is one series (e.g. annualTotalRevenue) with one entry per fiscal period.
+ * @param {string} symbol - Stock symbol
+ * @param {string} period - "annual" or "quarterly"
+ * @param {Array} results - timeseries.result
+ */
+export function transformYahooToFundamentals(symbol, period, results) {
+  const byDate = {};
+  let currency = null;
+
+  for (const series of results) {
+    const type = series.meta?.type?.[0] || '';
+    const mapping = FUNDAMENTALS_TYPES[type.replace(period, '')];
+    if (!mapping || !type.startsWith(period)) continue;
+
+    const [section, field] = mapping;
+    for (const entry of series[type] || []) {
+      if (!entry?.asOfDate) continue;
+      const values =
+        byDate[entry.asOfDate] ||
+        (byDate[entry.asOfDate] = { income: {}, balance: {}, cash_flow: {} });
+      values[section][field] = entry.reportedValue?.raw;
+      currency = currency || entry.currencyCode;
+    }
+  }
+
+  return buildFundamentals({
+    symbol,
+    period,
+    currency,
+    statements: Object.entries(byDate).map(([date, values]) => buildStatement(date, values)),
+    source: 'yahoo',
+  });
+}
+
+/**
+ * Fetch income statement, balance sheet and cash flow series in one request
+ */
+async function fetchFundamentals(params) {
+  const period = params.period || 'annual';
+  const now = Math.floor(Date.now() / 1000);
+
+  const yahooSymbol = toYahooSymbol(params.symbol);
+  const url = new URL(`${FUNDAMENTALS_URL}/${encodeURIComponent(yahooSymbol)}`);
+  url.searchParams.set('symbol', yahooSymbol);
+  url.searchParams.set(
+    'type',
+    Object.keys(FUNDAMENTALS_TYPES)
+      .map((type) => `${period}${type}`)
+      .join(',')
+  );
+  url.searchParams.set('period1', String(now - FUNDAMENTALS_LOOKBACK_DAYS * 86400));
+  url.searchParams.set('period2', String(now));
+
+  const upstream = await fetch(url, {
+    headers: YAHOO_REQUEST_HEADERS,
+    cf: { cacheTtl: 0, cacheEverything: false },
+  });
+
+  if (!upstream.ok) {
+    console.error(`Yahoo Finance fundamentals error ${upstream.status} for ${params.symbol}`);
+    return { ok: false, status: upstream.status, body: errorBody(upstream.status) };
+  }
+
+  const data = await upstream.json();
+  const fundamentals = transformYahooToFundamentals(
+    params.symbol,
+    period,
+    data?.timeseries?.result || []
+  );
+
+  // Unknown symbols (and ETFs) come back as series without any entries
+  if (fundamentals.statements.length === 0) {
+    return {
+      ok: false,
+      status: 404,
+      body: JSON.stringify({ error: 'No financial statements on Yahoo Finance' }),
+    };
+  }
+
+  return { ok: true, status: 200, body: JSON.stringify(fundamentals) };
+}
+
+export default {
+  id: 'yahoo',
+  label: 'Yahoo Finance',
+  endpoints: ['quote', 'statistics', 'quotes', 'time_series', 'fundamentals', 'corporate_actions'],
+
+  // Intervals Yahoo has no equivalent for (45min, 2h, 4h) go to the next provider, and so do
+  // unadjusted bars and dividend-adjusted intraday bars (adjclose is daily and longer only)
+  accepts(endpoint, params) {
+    if (endpoint !== 'time_series') return true;
+
+    const spec = CHART_INTERVALS[params.interval || '1min'];
+    if (!spec || params.adjust === 'none') return false;
+    return params.adjust !== 'all' || spec.minutes >= MINUTES_PER_SESSION;
+  },
+
+  // Yahoo quotes are end-of-day once after-hours trading ends - cache them longer
+  // (pre-market and after-hours quotes, time_series, fundamentals and corporate_actions use the worker's TTLs)
+  cacheTtl(endpoint, marketPhase) {
+    return marketPhase !== 'closed' ||
+      ['time_series', 'fundamentals', 'corporate_actions'].includes(endpoint)
+      ? null
+      : YAHOO_CLOSED_TTL;
+  },
+
+  // Separate from the Twelve Data cache
+  cacheKey(endpoint, params) {
+    if (endpoint === 'time_series') {
+      const interval = params.interval || '1min';
+      const adjust = params.adjust || DEFAULT_ADJUST;
+      return `https://yahoo-cache/${params.symbol}/api/time_series?interval=${interval}&outputsize=${parseOutputsize(params.outputsize)}&adjust=${adjust}`;
+    }
+    if (endpoint === 'fundamentals') {
+      return `https://yahoo-cache/${params.symbol}/api/fundamentals?period=${params.period || 'annual'}`;
+    }
+    return `https://yahoo-cache/${params.symbol}/api/${endpoint}`;
+  },
+
+  async fetch(endpoint, params) {
+    if (endpoint === 'time_series') {
+      return fetchTimeSeries(params);
+    }
+
+    if (endpoint === 'fundamentals') {
+      return fetchFundamentals(params);
+    }
+
+    if (endpoint === 'corporate_actions') {
+      return fetchCorporateActions(params);
+    }
+
+    const upstream = await fetchYahooQuotes([toYahooSymbol(params.symbol)]);
+
+    if (!upstream.ok) {
+      return { ok: false, status: upstream.status, body: errorBody(upstream.status) };
+    }
+
+    const quote = upstream.results[0];
+    if (!quote) {
+      return {
+        ok: false,
+        status: 404,
+        body: JSON.stringify({ error: 'Symbol not found on Yahoo Finance' }),
+      };
+    }
+
+    const data =
+      endpoint === 'statistics' ? transformYahooToStatistics(quote) : transformYahooToQuote(quote);
+    return { ok: true, status: 200, body: JSON.stringify({ ...data, symbol: params.symbol }) };
+  },
+
+  /**
+   * Fetch several quotes in one request
+   * @returns {Object} { ok, status, body, quotes } - quotes are in Twelve Data format
+   */
+  async fetchBatch(symbols) {
+    // Yahoo ticker -> the symbol as requested
+    const requested = new Map(
+      symbols.map((symbol) => [toYahooSymbol(symbol).toUpperCase(), symbol])
+    );
+    const upstream = await fetchYahooQuotes([...requested.keys()]);
+
+    if (!upstream.ok) {
+      return { ok: false, status: upstream.status, body: errorBody(upstream.status), quotes: {} };
+    }
+
+    const quotes = {};
+    for (const quote of upstream.results) {
+      const symbol = requested.get(quote.symbol.toUpperCase()) || quote.symbol.toUpperCase();
+      quotes[symbol] = { ...transformYahooToQuote(quote), symbol };
+    }
+
+    return { ok: true, status: 200, body: null, quotes };
+  },
+};
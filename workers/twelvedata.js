@@ -1,298 +1,1616 @@
 /**
  * Cloudflare Worker - Market Data API Proxy
- * Proxies Twelve Data and Finnhub APIs
+ * Proxies Twelve Data, Yahoo Finance and Finnhub through a provider registry (workers/providers)
+ * Company news (/api/news) and raw Finnhub calls (/api/finnhub/*) bypass the registry
  * Keeps API keys server-side and adds edge caching
  * Includes JWT-based authentication
+ * A cron trigger evaluates users' synced alert rules while markets are open (workers/alerts.js)
  */
 
+import { PROVIDERS, ProviderRegistry, InFlightRequests } from "./providers/index.js";
+import { parsePeriod } from "./providers/fundamentals.js";
+import { parseAdjust } from "./providers/corporateActions.js";
+import { parseNewsRange, transformFinnhubToNews, selectEarningsCalendar } from "./providers/finnhub.js";
+// Shared with the app: exchange sessions, holidays and early closes
+import {
+  getMarketPhase,
+  getNextMarketOpen,
+  getTodayET,
+  getEasternInstant,
+  addDays
+} from "../src/utils/tradingCalendar.js";
+import { getSymbolExchange } from "../src/utils/exchanges.js";
+import {
+  MetricsBuffer,
+  buildRequestEvent,
+  logEvent,
+  addToBuckets,
+  getBucketStart,
+  mergeCounters,
+  summarizeBuckets
+} from "./metrics.js";
+import { runAlertEvaluation, getFiredAlerts } from "./alerts.js";
+
 // JWT Secret should be set as environment variable: JWT_SECRET
 // Password hash should be set as environment variable: AUTH_PASSWORD_HASH
 // Username should be set as environment variable: AUTH_USERNAME
+// (the env login is the bootstrap admin; it is copied into KV on first login)
+// Invite code for self-registration should be set as environment variable: INVITE_CODE
 
 const CORS_HEADERS = {
   "access-control-allow-origin": "*",
-  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-methods": "GET, POST, DELETE, OPTIONS",
   "access-control-allow-headers": "Content-Type, Authorization"
 };
 
-// Rate limiting for login attempts (simple in-memory, resets on worker restart)
-const loginAttempts = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_ATTEMPTS = 5;
+// Market data provider order per endpoint ("open"/"closed" = regular trading hours,
+// "extended" = pre-market and after-hours, where only Yahoo reports the extended-hours price)
+// A provider that is rate limited, out of credits or down fails over to the next one
+// Override with the PROVIDER_PRIORITY var (JSON, same shape), e.g. {"quote":["finnhub","twelvedata"]}
+const PROVIDER_PRIORITY = {
+  quote: {
+    open: ["twelvedata", "finnhub", "yahoo"],
+    extended: ["yahoo", "twelvedata", "finnhub"],
+    closed: ["yahoo", "twelvedata", "finnhub"]
+  },
+  quotes: { open: ["twelvedata", "yahoo"], extended: ["yahoo", "twelvedata"], closed: ["yahoo", "twelvedata"] },
+  statistics: { open: ["twelvedata", "yahoo"], closed: ["yahoo", "twelvedata"] },
+  time_series: { open: ["twelvedata", "yahoo"], closed: ["yahoo", "twelvedata"] },
+  // Statements cost Twelve Data 300 credits - only spend them if Yahoo is down
+  fundamentals: ["yahoo", "twelvedata"],
+  corporate_actions: ["yahoo", "twelvedata"],
+  earnings: ["finnhub"],
+  earnings_calendar: ["finnhub"],
+  default: ["twelvedata"]
+};
+
+const providerRegistry = new ProviderRegistry({ priority: PROVIDER_PRIORITY });
+PROVIDERS.forEach(adapter => providerRegistry.register(adapter));
+
+// Upstream fetches in progress in this isolate, keyed by edge cache URL
+const inFlightRequests = new InFlightRequests();
+
+// Request counters not yet flushed to the MetricsCollector, and the isolate's
+// own buckets when it isn't bound
+const metricsBuffer = new MetricsBuffer();
+const isolateMetricsBuckets = new Map();
+const METRICS_BUCKET_PREFIX = "bucket:";
+
+// Time series TTL while the market is open, per bar interval (seconds)
+const SERIES_TTL_BY_INTERVAL = {
+  "1min": { maxAge: 60, swr: 60 },
+  "5min": { maxAge: 300, swr: 120 },
+  "15min": { maxAge: 900, swr: 300 },
+  "1h": { maxAge: 900, swr: 300 },
+  "1day": { maxAge: 900, swr: 300 }
+};
+
+// Twelve Data accepts up to 120 comma-separated symbols per batch request
+const MAX_BATCH_SYMBOLS = 120;
+
+// Twelve Data free tier: 800 API credits per day, reset at midnight ET
+// Override with the TD_DAILY_CREDITS var on paid plans
+const TD_DAILY_CREDIT_LIMIT = 800;
+
+// Custom headers the frontend reads (cross-origin reads need an explicit allowlist)
+const EXPOSED_HEADERS = "x-cache, x-coalesced, x-data-source, x-fallback-reason, x-market-open, x-market-phase, x-credits-used, x-credits-remaining, x-credits-reset, retry-after";
+
+// User accounts live in MARKET_TERMINAL_SYNC under account:<username>
+// Roles: admin (manage users), user (read/write sync), readonly (read-only sync)
+const ACCOUNT_PREFIX = "account:";
+const USER_ROLES = ["admin", "user", "readonly"];
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const PBKDF2_ITERATIONS = 100000; // Workers cap PBKDF2 at 100k iterations
+
+// Short-lived access tokens, renewed with rotating refresh tokens
+// Each login starts a session (refresh family) in KV under session:<username>:<sessionId>
+const SESSION_PREFIX = "session:";
+const ACCESS_TOKEN_TTL = 900; // 15 minutes
+const LEGACY_TOKEN_TTL = 86400; // 24 hours (no KV bound, so no refresh tokens)
+const REFRESH_TOKEN_TTL = 30 * 86400; // 30 days
+
+// Sync op log: each push is its own KV key (user:<name>:ops:<batchId>) so concurrent
+// devices never overwrite each other; batch ids sort by arrival time
+const OPLOG_TTL = 30 * 86400; // 30 days, after which clients fall back to snapshots
+const OPLOG_SETTLE_MS = 60000; // KV list() can lag writes by up to ~60s
+const MAX_OPS_PER_PUSH = 500;
+const MAX_OP_BATCHES_PER_PULL = 100;
+
+// End-to-end encrypted sync: clients may send { encrypted: { v, alg, iv, ciphertext } }
+// instead of plaintext. The worker stores the blob as-is and never sees the key.
+const MAX_ENCRYPTED_BLOB_LENGTH = 512 * 1024; // base64 characters
+
+// Login brute-force protection: failures are counted per IP and per username in the
+// LoginLimiter Durable Object. After LOGIN_FREE_ATTEMPTS failures each further failure
+// doubles the lockout, up to LOGIN_MAX_LOCKOUT.
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_BASE_LOCKOUT = 30 * 1000; // 30 seconds
+const LOGIN_MAX_LOCKOUT = 60 * 60 * 1000; // 1 hour
+const LOGIN_FAILURE_RESET = 24 * 60 * 60 * 1000; // Forget failures after a quiet day
+
+// In-memory fallback when the LOGIN_LIMITER binding is missing (per-isolate only)
+const loginAttempts = new Map();
+
+/**
+ * Get the next midnight ET (when the daily credit budget resets)
+ * @returns {Date}
+ */
+function getNextMidnightET(now = new Date()) {
+  return getEasternInstant(addDays(getTodayET(now), 1), 0);
+}
+
+/**
+ * Get appropriate cache TTL based on market status and endpoint
+ * @param {string} endpoint - API endpoint (e.g., "/quote", "/statistics")
+ * @param {string} [interval] - Bar interval for /time_series ("1min", "1day", ...)
+ * @param {string} [exchange] - Exchange id whose session applies (see getSymbolExchange)
+ * @returns {Object} { maxAge: number, staleWhileRevalidate: number }
+ */
+function getCacheTTL(endpoint, interval, exchange) {
+  const marketPhase = getMarketPhase(new Date(), exchange);
+  const marketOpen = marketPhase === "open";
+
+  // TTL configuration (in seconds)
+  const ttlConfig = {
+    '/quote': {
+      marketOpen: { maxAge: 60, swr: 120 },      // 1 min fresh, 2 min stale-ok
+      extendedHours: { maxAge: 120, swr: 240 },  // 2 min fresh, 4 min stale-ok (pre-market/after-hours trading)
+      marketClosed: { maxAge: 3600, swr: 7200 }  // 1 hr fresh, 2 hr stale-ok
+    },
+    '/statistics': {
+      marketOpen: { maxAge: 3600, swr: 7200 },     // 1 hr fresh, 2 hr stale-ok
+      marketClosed: { maxAge: 86400, swr: 172800 } // 24 hr fresh, 48 hr stale-ok
+    },
+    '/time_series': {
+      marketOpen: { maxAge: 60, swr: 120 }       // 1 min fresh, 2 min stale-ok
+    },
+    '/fundamentals': {
+      marketOpen: { maxAge: 86400, swr: 86400 },  // 24 hr fresh, 24 hr stale-ok (statements change quarterly)
+      marketClosed: { maxAge: 86400, swr: 86400 }
+    },
+    '/corporate_actions': {
+      marketOpen: { maxAge: 86400, swr: 86400 },  // 24 hr fresh, 24 hr stale-ok (announced well ahead)
+      marketClosed: { maxAge: 86400, swr: 86400 }
+    },
+    '/earnings': {
+      marketOpen: { maxAge: 43200, swr: 43200 },  // 12 hr fresh, 12 hr stale-ok (dates rarely move)
+      marketClosed: { maxAge: 43200, swr: 43200 }
+    },
+    '/news': {
+      marketOpen: { maxAge: 300, swr: 600 },      // 5 min fresh, 10 min stale-ok
+      marketClosed: { maxAge: 1800, swr: 3600 }   // 30 min fresh, 1 hr stale-ok
+    }
+  };
+
+  // Bars can't change while the market is closed - keep them until the next session opens
+  if (!marketOpen && endpoint === '/time_series') {
+    const maxAge = Math.max(60, Math.floor((getNextMarketOpen(new Date(), exchange).getTime() - Date.now()) / 1000));
+    return { maxAge, swr: 60 };
+  }
+
+  // While trading, the newest bar keeps forming - refresh about once per bar
+  if (marketOpen && endpoint === '/time_series' && SERIES_TTL_BY_INTERVAL[interval]) {
+    return SERIES_TTL_BY_INTERVAL[interval];
+  }
+
+  const config = ttlConfig[endpoint] || ttlConfig['/quote'];
+  if (isExtendedHours(marketPhase) && config.extendedHours) {
+    return config.extendedHours;
+  }
+  return marketOpen ? config.marketOpen : config.marketClosed;
+}
+
+/**
+ * Whether a market phase is pre-market or after-hours trading
+ */
+function isExtendedHours(marketPhase) {
+  return marketPhase === "pre" || marketPhase === "post";
+}
+
+// Market phases from least to most active
+const PHASE_ACTIVITY = ["closed", "pre", "post", "open"];
+
+/**
+ * The most active of several market phases (open, then pre-market/after-hours, then closed)
+ */
+function getMostActivePhase(phases) {
+  return phases.reduce((busiest, phase) =>
+    PHASE_ACTIVITY.indexOf(phase) > PHASE_ACTIVITY.indexOf(busiest) ? phase : busiest, "closed");
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const { pathname } = new URL(request.url);
+
+    // Handle CORS preflight
+    if (request.method === "OPTIONS") {
+      return new Response(null, {
+        status: 204,
+        headers: CORS_HEADERS
+      });
+    }
+
+    // Only handle /api/* routes
+    if (!pathname.startsWith("/api/")) {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const startedAt = Date.now();
+    const response = await routeRequest(request, env, ctx);
+    recordRequest(request, response, Date.now() - startedAt, env, ctx);
+
+    // WebSocket upgrades must be returned as-is
+    if (response.webSocket) {
+      return response;
+    }
+
+    // Responses that spent no credits report the ledger as it stands
+    const ledger = response.headers.has("x-credits-used") ? null : await callCreditLedger(env, "state");
+
+    return withExposedHeaders(withCreditHeaders(response, ledger));
+  },
+
+  // Cron trigger (wrangler.toml): evaluate synced alert rules while markets are open
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduledAlerts(event, env, ctx));
+  }
+};
+
+/**
+ * Evaluate every user's alert rules against cached quotes (workers/alerts.js)
+ */
+async function handleScheduledAlerts(event, env, ctx) {
+  try {
+    const summary = await runAlertEvaluation(env, {
+      now: new Date(event.scheduledTime),
+      getQuotes: (symbols) => getAlertQuotes(symbols, env, ctx),
+      notify: (username) => notifySyncChange(env, username, { dataType: "alerts" })
+    });
+    logEvent({ type: "alert_evaluation", ...summary });
+  } catch (error) {
+    logEvent({ type: "alert_evaluation", level: "error", error: error.message });
+  }
+}
+
+/**
+ * Quotes for the alert cron: whatever a provider already has in the edge cache, then
+ * one batch from a provider that doesn't draw on the credit ledger (the Twelve Data
+ * budget is left for people using the terminal)
+ * @returns {Promise<Object>} Symbol -> quote (Twelve Data format)
+ */
+async function getAlertQuotes(symbols, env, ctx) {
+  const cache = caches.default;
+  const adapters = PROVIDERS.filter(adapter => adapter.fetchBatch && (!adapter.isConfigured || adapter.isConfigured(env)));
+  const quotes = {};
+
+  for (const symbol of symbols) {
+    for (const adapter of adapters) {
+      const cached = await cache.match(new Request(adapter.cacheKey("quote", { symbol }, env), {
+        headers: { Accept: "application/json" }
+      }));
+      if (cached) {
+        quotes[symbol] = await cached.json();
+        break;
+      }
+    }
+  }
+
+  const misses = symbols.filter(symbol => !quotes[symbol]);
+  const adapter = adapters.find(candidate => !candidate.usesCredits);
+  if (misses.length === 0 || !adapter) return quotes;
+
+  const now = new Date();
+  const phases = Object.fromEntries(misses.map(symbol => [symbol, getMarketPhase(now, getSymbolExchange(symbol))]));
+
+  for (let i = 0; i < misses.length; i += MAX_BATCH_SYMBOLS) {
+    const batch = misses.slice(i, i + MAX_BATCH_SYMBOLS);
+    const result = await fetchBatchFromProvider(adapter, batch, env, ctx, getMostActivePhase(Object.values(phases)), phases);
+    if (result.response?.ok) {
+      Object.assign(quotes, await result.response.json());
+    }
+  }
+
+  return quotes;
+}
+
+/**
+ * Route an /api/* request to its handler
+ */
+async function routeRequest(request, env, ctx) {
+  const { pathname, searchParams } = new URL(request.url);
+
+  // Auth endpoints (no token required)
+  if (pathname === "/api/auth/login") {
+    return handleLogin(request, env);
+  }
+
+  if (pathname === "/api/auth/verify") {
+    return handleVerifyToken(request, env);
+  }
+
+  // Sessions (refresh token rotation and device revocation)
+  if (pathname === "/api/auth/refresh") {
+    return handleRefreshToken(request, env);
+  }
+
+  if (pathname === "/api/auth/logout") {
+    return handleLogout(request, env);
+  }
+
+  if (pathname === "/api/auth/sessions") {
+    return handleSessions(request, env);
+  }
+
+  // Account management (invite code or admin token / user token)
+  if (pathname === "/api/auth/register") {
+    return handleRegister(request, env);
+  }
+
+  if (pathname === "/api/auth/change-password") {
+    return handleChangePassword(request, env);
+  }
+
+  if (pathname === "/api/admin/users") {
+    return handleAdminUsers(request, env);
+  }
+
+  if (pathname === "/api/admin/metrics") {
+    return handleAdminMetrics(request, env);
+  }
+
+  // Live change notifications (WebSocket - token in the query string)
+  if (pathname === "/api/sync/live") {
+    return handleSyncLive(request, env);
+  }
+
+  // Sync endpoints (require authentication)
+  if (pathname.startsWith("/api/sync/")) {
+    return handleSyncRequest(request, pathname, env, ctx);
+  }
+
+  // Raw Finnhub passthrough (peers etc.) and company news
+  if (pathname.startsWith("/api/finnhub/") || pathname === "/api/news") {
+    return handleFinnhubRequest(pathname, searchParams, env, ctx);
+  }
+
+  // Batch quotes (one upstream call for the whole watchlist)
+  if (pathname === "/api/quotes") {
+    return handleBatchQuoteRequest(searchParams, env, ctx);
+  }
+
+  // Upcoming earnings for the whole watchlist (one calendar for every symbol)
+  if (pathname === "/api/earnings_calendar") {
+    return handleEarningsCalendarRequest(searchParams, env, ctx);
+  }
+
+  if (pathname === "/api/fundamentals" && !parsePeriod(searchParams.get("period"))) {
+    return jsonResponse({ error: "period must be annual or quarterly" }, 400);
+  }
+
+  if (pathname === "/api/time_series" && parseAdjust(searchParams.get("adjust")) === null) {
+    return jsonResponse({ error: "adjust must be none, splits or all" }, 400);
+  }
+
+  // Everything else is market data, served by the provider registry
+  return handleMarketDataRequest(pathname, searchParams, env, ctx);
+}
+
+/**
+ * Log one request as a JSON line and count it in the rolling metrics
+ */
+function recordRequest(request, response, durationMs, env, ctx) {
+  const event = buildRequestEvent(request, response, durationMs);
+  logEvent(event);
+  metricsBuffer.record(event);
+
+  if (metricsBuffer.shouldFlush()) {
+    ctx.waitUntil(flushMetrics(env));
+  }
+}
+
+/**
+ * Move this isolate's buffered counters into the MetricsCollector
+ * (or the isolate's own buckets when it isn't bound)
+ */
+async function flushMetrics(env) {
+  const now = Date.now();
+  const counters = metricsBuffer.drain(now);
+  if (counters.requests === 0 && Object.keys(counters.credits).length === 0) return;
+
+  if (!env.METRICS_COLLECTOR) {
+    addToBuckets(isolateMetricsBuckets, counters, now);
+    return;
+  }
+
+  try {
+    const stub = env.METRICS_COLLECTOR.get(env.METRICS_COLLECTOR.idFromName("global"));
+    await stub.fetch("https://metrics-collector/record", {
+      method: "POST",
+      body: JSON.stringify({ counters })
+    });
+  } catch (error) {
+    // Keep the counters for the next flush
+    console.error("Metrics collector unavailable:", error);
+    mergeCounters(metricsBuffer.counters, counters);
+  }
+}
+
+/**
+ * Durable Object: rolling request metrics from every isolate
+ * A single global instance keeps 5-minute buckets for 24 hours.
+ * Routes: POST /record { counters }, GET /summary
+ */
+export class MetricsCollector {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const now = Date.now();
+    const buckets = new Map();
+
+    const stored = await this.state.storage.list({ prefix: METRICS_BUCKET_PREFIX });
+    for (const [key, counters] of stored) {
+      buckets.set(Number(key.substring(METRICS_BUCKET_PREFIX.length)), counters);
+    }
+
+    if (pathname === "/record" && request.method === "POST") {
+      const { counters } = await request.json();
+      const start = getBucketStart(now);
+      const removed = addToBuckets(buckets, counters, now);
+
+      await this.state.storage.put(`${METRICS_BUCKET_PREFIX}${start}`, buckets.get(start));
+      if (removed.length > 0) {
+        await this.state.storage.delete(removed.map(bucketStart => `${METRICS_BUCKET_PREFIX}${bucketStart}`));
+      }
+      return jsonResponse({ ok: true });
+    }
+
+    return jsonResponse({
+      scope: "global",
+      generatedAt: new Date(now).toISOString(),
+      windows: summarizeBuckets([...buckets].map(([start, counters]) => ({ start, counters })), now)
+    });
+  }
+}
+
+/**
+ * Durable Object: authoritative daily Twelve Data credit ledger
+ * A single global instance processes requests one at a time, so every tab,
+ * device and edge location draws from the same budget without races.
+ * Routes: GET /state, POST /reserve { credits }, POST /refund { credits }, POST /exhaust
+ */
+export class CreditLedger {
+  constructor(state, env) {
+    this.state = state;
+    this.limit = parseInt(env.TD_DAILY_CREDITS || "", 10) || TD_DAILY_CREDIT_LIMIT;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const ledger = await this.load();
+
+    if (pathname === "/reserve" && request.method === "POST") {
+      const { credits = 1 } = await request.json();
+
+      if (ledger.used + credits > this.limit) {
+        return jsonResponse({ allowed: false, ...this.describe(ledger) });
+      }
+
+      ledger.used += credits;
+      await this.state.storage.put("ledger", ledger);
+      return jsonResponse({ allowed: true, ...this.describe(ledger) });
+    }
+
+    // The upstream call failed without spending what was reserved for it
+    if (pathname === "/refund" && request.method === "POST") {
+      const { credits = 1 } = await request.json();
+      ledger.used = Math.max(0, ledger.used - credits);
+      await this.state.storage.put("ledger", ledger);
+      return jsonResponse(this.describe(ledger));
+    }
+
+    // Upstream says we're out of credits - trust it over our own count
+    if (pathname === "/exhaust" && request.method === "POST") {
+      ledger.used = Math.max(ledger.used, this.limit);
+      await this.state.storage.put("ledger", ledger);
+      return jsonResponse(this.describe(ledger));
+    }
+
+    return jsonResponse(this.describe(ledger));
+  }
+
+  /**
+   * Load today's ledger (a new ET day starts from zero)
+   */
+  async load() {
+    const today = getTodayET();
+    const ledger = await this.state.storage.get("ledger");
+
+    if (!ledger || ledger.date !== today) {
+      return { date: today, used: 0 };
+    }
+    return ledger;
+  }
+
+  describe(ledger) {
+    return {
+      date: ledger.date,
+      used: ledger.used,
+      limit: this.limit,
+      remaining: Math.max(0, this.limit - ledger.used),
+      resetAt: getNextMidnightET().toISOString()
+    };
+  }
+}
+
+/**
+ * Durable Object: login attempt counter for one key (ip:<addr> or user:<name>)
+ * Persisted, and shared by every edge location, unlike per-isolate memory.
+ * Routes: GET /status, POST /failure, POST /success
+ */
+export class LoginLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const now = Date.now();
+    let attempts = await this.state.storage.get("attempts");
+
+    if (pathname === "/failure" && request.method === "POST") {
+      attempts = recordLoginFailure(attempts, now);
+      await this.state.storage.put("attempts", attempts);
+    } else if (pathname === "/success" && request.method === "POST") {
+      attempts = null;
+      await this.state.storage.delete("attempts");
+    }
+
+    return jsonResponse(describeLoginAttempts(attempts, now));
+  }
+}
+
+/**
+ * Count a failed login and compute the resulting lockout
+ * @param {Object|null} attempts - { failures, lastFailureAt, lockedUntil }
+ * @returns {Object} Updated attempts
+ */
+function recordLoginFailure(attempts, now = Date.now()) {
+  const failures = attempts && now - attempts.lastFailureAt < LOGIN_FAILURE_RESET
+    ? attempts.failures + 1
+    : 1;
+
+  const lockout = failures >= LOGIN_FREE_ATTEMPTS
+    ? Math.min(LOGIN_BASE_LOCKOUT * 2 ** (failures - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_LOCKOUT)
+    : 0;
+
+  return {
+    failures,
+    lastFailureAt: now,
+    lockedUntil: lockout ? now + lockout : 0
+  };
+}
+
+/**
+ * Lockout state for a key
+ * @returns {Object} { locked, retryAfter (seconds), failures, attemptsRemaining }
+ */
+function describeLoginAttempts(attempts, now = Date.now()) {
+  const active = attempts && now - attempts.lastFailureAt < LOGIN_FAILURE_RESET ? attempts : null;
+  const failures = active ? active.failures : 0;
+  const lockedFor = active ? active.lockedUntil - now : 0;
+
+  return {
+    locked: lockedFor > 0,
+    retryAfter: lockedFor > 0 ? Math.ceil(lockedFor / 1000) : 0,
+    failures,
+    attemptsRemaining: Math.max(0, LOGIN_FREE_ATTEMPTS - failures)
+  };
+}
+
+/**
+ * Call the LoginLimiter Durable Object for each key (ip:<addr>, user:<name>)
+ * Falls back to the per-isolate loginAttempts Map when the binding is missing
+ * @param {string} action - "status", "failure" or "success"
+ * @returns {Promise<Object>} Combined state - locked if any key is locked, longest retryAfter
+ */
+async function callLoginLimiter(env, action, keys) {
+  const results = await Promise.all(keys.map(async (key) => {
+    if (!env.LOGIN_LIMITER) {
+      const now = Date.now();
+      if (action === "failure") {
+        loginAttempts.set(key, recordLoginFailure(loginAttempts.get(key), now));
+      } else if (action === "success") {
+        loginAttempts.delete(key);
+      }
+      return describeLoginAttempts(loginAttempts.get(key), now);
+    }
+
+    const stub = env.LOGIN_LIMITER.get(env.LOGIN_LIMITER.idFromName(key));
+    const resp = await stub.fetch(`https://login-limiter/${action}`, {
+      method: action === "status" ? "GET" : "POST"
+    });
+    return resp.json();
+  }));
+
+  return {
+    locked: results.some(result => result.locked),
+    retryAfter: Math.max(0, ...results.map(result => result.retryAfter)),
+    attemptsRemaining: Math.min(...results.map(result => result.attemptsRemaining))
+  };
+}
+
+/**
+ * 429 for a locked-out login, with Retry-After so the client can count down
+ */
+function loginLockedResponse(retryAfter) {
+  return new Response(JSON.stringify({
+    error: "Too many login attempts",
+    message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+    retryAfter
+  }), {
+    status: 429,
+    headers: {
+      "content-type": "application/json",
+      ...CORS_HEADERS,
+      "retry-after": String(retryAfter)
+    }
+  });
+}
+
+/**
+ * Call the CreditLedger Durable Object
+ * Fails open (returns null) when the binding is missing or unreachable,
+ * so a ledger outage never takes market data down with it
+ * @param {string} action - "state", "reserve" or "exhaust"
+ * @param {number} credits - Credits to reserve
+ * @returns {Promise<Object|null>} Ledger state ({ allowed } for reserve)
+ */
+async function callCreditLedger(env, action, credits = 1) {
+  if (!env.CREDIT_LEDGER) return null;
+
+  try {
+    const stub = env.CREDIT_LEDGER.get(env.CREDIT_LEDGER.idFromName("twelvedata"));
+    const init = action === "state"
+      ? { method: "GET" }
+      : { method: "POST", body: JSON.stringify({ credits }) };
+    const resp = await stub.fetch(`https://credit-ledger/${action}`, init);
+    return await resp.json();
+  } catch (error) {
+    console.error("Credit ledger unavailable:", error);
+    return null;
+  }
+}
+
+/**
+ * Reserve Twelve Data credits before calling upstream
+ * @returns {Promise<Object|null>} Ledger state with `allowed`, or null if no ledger
+ */
+async function reserveCredits(env, credits) {
+  return callCreditLedger(env, "reserve", credits);
+}
+
+/**
+ * Give back credits reserved for an upstream call that failed
+ * @returns {Promise<Object|null>} Ledger state after the refund, or null if no ledger
+ */
+async function refundCredits(env, credits) {
+  return callCreditLedger(env, "refund", credits);
+}
+
+/**
+ * Sync the ledger when Twelve Data itself reports the daily budget is gone
+ * (HTTP 429, or a 200 with an "out of API credits" error body)
+ * @returns {Promise<Object|null>} Ledger state after exhausting it, null otherwise
+ */
+async function syncLedgerWithUpstream(env, status, text) {
+  const outOfCredits = status === 429 || /run out of api credits/i.test(text || "");
+  return outOfCredits ? callCreditLedger(env, "exhaust") : null;
+}
+
+/**
+ * Structured 429 returned when the daily budget is spent, before calling upstream
+ * The message matches Twelve Data's wording so existing client checks recognise it
+ */
+function creditsExhaustedResponse(ledger) {
+  const retryAfter = Math.max(1, Math.ceil((Date.parse(ledger.resetAt) - Date.now()) / 1000));
+
+  return new Response(JSON.stringify({
+    status: "error",
+    code: 429,
+    error: "TD_CREDITS_EXHAUSTED",
+    message: `You have run out of API credits for the day (${ledger.used}/${ledger.limit}). Credits reset at midnight ET.`,
+    creditsUsed: ledger.used,
+    creditsLimit: ledger.limit,
+    creditsRemaining: ledger.remaining,
+    resetAt: ledger.resetAt,
+    retryAfter
+  }), {
+    status: 429,
+    headers: {
+      "content-type": "application/json",
+      ...CORS_HEADERS,
+      "retry-after": String(retryAfter)
+    }
+  });
+}
+
+/**
+ * Let the frontend read the worker's x-* headers
+ */
+function withExposedHeaders(response) {
+  const headers = new Headers(response.headers);
+  headers.set("access-control-expose-headers", EXPOSED_HEADERS);
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Add x-credits-* headers to an API response
+ * @param {Object|null} ledger - Ledger state, from the credits this request reserved or a
+ *   state read (null when there is no ledger - the response goes out unchanged)
+ */
+function withCreditHeaders(response, ledger) {
+  if (!ledger) return response;
+
+  const headers = new Headers(response.headers);
+  headers.set("x-credits-used", String(ledger.used));
+  headers.set("x-credits-remaining", String(ledger.remaining));
+  headers.set("x-credits-reset", ledger.resetAt);
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Handle login requests
+ */
+async function handleLogin(request, env) {
+  if (request.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  // Get client IP for rate limiting
+  const clientIP = request.headers.get("cf-connecting-ip") || "unknown";
+  const ipKey = `ip:${clientIP}`;
+
+  try {
+    const body = await request.json();
+    const { username, password } = body;
+
+    if (!username || !password) {
+      await callLoginLimiter(env, "failure", [ipKey]);
+      return jsonResponse({ error: "Missing credentials" }, 400);
+    }
+
+    if (typeof username !== "string" || typeof password !== "string") {
+      await callLoginLimiter(env, "failure", [ipKey]);
+      return jsonResponse({ error: "Username and password must be strings" }, 400);
+    }
+
+    // Normalize username
+    const normalizedUsername = username.trim().toLowerCase();
+
+    // Check lockout for both this IP and this username (protects against distributed guessing)
+    const limiterKeys = [ipKey, `user:${normalizedUsername}`];
+    const lockout = await callLoginLimiter(env, "status", limiterKeys);
+
+    if (lockout.locked) {
+      return loginLockedResponse(lockout.retryAfter);
+    }
+
+    // Verify credentials (KV account, or the env-configured bootstrap admin)
+    const role = await authenticateCredentials(normalizedUsername, password, env);
+
+    if (!role) {
+      const failure = await callLoginLimiter(env, "failure", limiterKeys);
+      if (failure.locked) {
+        return loginLockedResponse(failure.retryAfter);
+      }
+      return jsonResponse({
+        error: "Invalid credentials",
+        attemptsRemaining: failure.attemptsRemaining
+      }, 401);
+    }
+
+    // Clear attempts on successful login
+    await callLoginLimiter(env, "success", limiterKeys);
+
+    // Without KV there is nowhere to keep refresh tokens - fall back to one long-lived JWT
+    if (!env.MARKET_TERMINAL_SYNC) {
+      const token = await generateJWT({ username: normalizedUsername, role }, env.JWT_SECRET, LEGACY_TOKEN_TTL);
+      return jsonResponse({
+        success: true,
+        token,
+        username: normalizedUsername,
+        role,
+        expiresIn: LEGACY_TOKEN_TTL
+      });
+    }
+
+    const session = await createSession(request, env, normalizedUsername, role);
+
+    return jsonResponse({
+      success: true,
+      username: normalizedUsername,
+      role,
+      ...session
+    });
+
+  } catch (error) {
+    console.error("Login error:", error);
+    return jsonResponse({ error: "Login failed" }, 500);
+  }
+}
+
+/**
+ * Handle token verification
+ */
+async function handleVerifyToken(request, env) {
+  const authHeader = request.headers.get("Authorization");
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return jsonResponse({ valid: false, error: "No token provided" }, 401);
+  }
+
+  const token = authHeader.substring(7);
+
+  try {
+    const payload = await verifyJWT(token, env.JWT_SECRET);
+    if (payload && await isSessionActive(env, payload)) {
+      return jsonResponse({ valid: true, username: payload.username, role: getRole(payload) });
+    }
+    return jsonResponse({ valid: false, error: "Invalid token" }, 401);
+  } catch (error) {
+    return jsonResponse({ valid: false, error: "Token verification failed" }, 401);
+  }
+}
+
+/**
+ * Start a new session (refresh family) and issue its first token pair
+ */
+async function createSession(request, env, username, role) {
+  const sessionId = crypto.randomUUID();
+  const now = Date.now();
+
+  const session = {
+    sessionId,
+    username,
+    createdAt: now,
+    lastUsedAt: now,
+    userAgent: (request.headers.get("user-agent") || "unknown").substring(0, 200),
+    country: request.cf?.country || null
+  };
+
+  return issueTokenPair(env, session, role);
+}
+
+/**
+ * Rotate the session's refresh secret and sign a new access token
+ * Only the hash of the current refresh secret is stored; older secrets become invalid.
+ */
+async function issueTokenPair(env, session, role) {
+  const secret = generateRandomToken();
+  const refreshToken = `${base64UrlEncode(session.username)}.${session.sessionId}.${secret}`;
+
+  const updated = {
+    ...session,
+    tokenHash: await sha256Base64Url(secret),
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000
+  };
+
+  await env.MARKET_TERMINAL_SYNC.put(getSessionKey(session.username, session.sessionId), JSON.stringify(updated), {
+    expirationTtl: REFRESH_TOKEN_TTL,
+    metadata: {
+      createdAt: updated.createdAt,
+      lastUsedAt: updated.lastUsedAt,
+      userAgent: updated.userAgent,
+      country: updated.country
+    }
+  });
+
+  const token = await generateJWT(
+    { username: session.username, role, sid: session.sessionId },
+    env.JWT_SECRET,
+    ACCESS_TOKEN_TTL
+  );
+
+  return {
+    token,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshExpiresIn: REFRESH_TOKEN_TTL,
+    sessionId: session.sessionId
+  };
+}
+
+/**
+ * Split a refresh token into { username, sessionId, secret }
+ */
+function parseRefreshToken(refreshToken) {
+  const parts = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    return { username: base64UrlDecode(parts[0]), sessionId: parts[1], secret: parts[2] };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getSessionKey(username, sessionId) {
+  return `${SESSION_PREFIX}${username}:${sessionId}`;
+}
+
+/**
+ * Handle refresh token rotation (POST { refreshToken })
+ * Presenting an already-rotated refresh token means it was copied, so the whole
+ * session is revoked and both holders have to sign in again.
+ */
+async function handleRefreshToken(request, env) {
+  if (request.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  if (!env.MARKET_TERMINAL_SYNC) {
+    return jsonResponse({ error: "Sessions not configured - KV namespace not bound" }, 500);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: "Failed to parse request body" }, 400);
+  }
+
+  const parsed = parseRefreshToken(body.refreshToken);
+  if (!parsed) {
+    return jsonResponse({ error: "Invalid refresh token" }, 401);
+  }
+
+  const sessionKey = getSessionKey(parsed.username, parsed.sessionId);
+  const session = await env.MARKET_TERMINAL_SYNC.get(sessionKey, { type: "json" });
+
+  if (!session) {
+    return jsonResponse({ error: "Session expired or revoked" }, 401);
+  }
+
+  if (!timingSafeEqual(await sha256Base64Url(parsed.secret), session.tokenHash)) {
+    await env.MARKET_TERMINAL_SYNC.delete(sessionKey);
+    console.warn(`Refresh token reuse for ${parsed.username} - session ${parsed.sessionId} revoked`);
+    return jsonResponse({ error: "Refresh token reuse detected - session revoked" }, 401);
+  }
+
+  // Re-read the account so role changes and deletions apply on the next refresh
+  const account = await getAccount(env, parsed.username);
+  if (!account) {
+    await env.MARKET_TERMINAL_SYNC.delete(sessionKey);
+    return jsonResponse({ error: "Account not found" }, 401);
+  }
+
+  const tokens = await issueTokenPair(env, { ...session, lastUsedAt: Date.now() }, account.role);
+
+  return jsonResponse({
+    success: true,
+    username: account.username,
+    role: account.role,
+    ...tokens
+  });
+}
+
+/**
+ * Handle logout (POST { refreshToken } or Bearer access token)
+ * Deletes the session so its refresh token family can no longer be used.
+ * A refresh token that doesn't match the session's current secret falls back to the Bearer token.
+ */
+async function handleLogout(request, env) {
+  if (request.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  if (!env.MARKET_TERMINAL_SYNC) {
+    return jsonResponse({ success: true });
+  }
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch (error) {
+    // Body is optional when a Bearer token is sent
+  }
+
+  let target = null;
+  const parsed = parseRefreshToken(body.refreshToken);
+
+  if (parsed) {
+    // Only the current refresh secret ends the session - not a guessed id or a rotated-out token
+    const session = await env.MARKET_TERMINAL_SYNC.get(getSessionKey(parsed.username, parsed.sessionId), { type: "json" });
+    if (session && timingSafeEqual(await sha256Base64Url(parsed.secret), session.tokenHash)) {
+      target = parsed;
+    }
+  }
+
+  if (!target) {
+    const auth = await authenticateRequest(request, env);
+    if (auth.error) {
+      return auth.error;
+    }
+    target = { username: auth.payload.username, sessionId: auth.payload.sid };
+  }
+
+  if (target.sessionId) {
+    await env.MARKET_TERMINAL_SYNC.delete(getSessionKey(target.username, target.sessionId));
+  }
+
+  return jsonResponse({ success: true });
+}
+
+/**
+ * Handle session listing (GET) and revocation (DELETE ?id=<sessionId>, or all other sessions without id)
+ * Revoked devices keep their current access token until it expires (at most ACCESS_TOKEN_TTL)
+ */
+async function handleSessions(request, env) {
+  const auth = await authenticateRequest(request, env);
+  if (auth.error) {
+    return auth.error;
+  }
+
+  if (!env.MARKET_TERMINAL_SYNC) {
+    return jsonResponse({ error: "Sessions not configured - KV namespace not bound" }, 500);
+  }
+
+  const { username, sid: currentSessionId } = auth.payload;
+  const sessions = await listSessions(env, username, currentSessionId);
+
+  if (request.method === "GET") {
+    sessions.sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+    return jsonResponse({ sessions, count: sessions.length });
+  }
+
+  if (request.method === "DELETE") {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get("id");
+
+    const toRevoke = sessionId
+      ? sessions.filter(session => session.sessionId === sessionId)
+      : sessions.filter(session => !session.current);
+
+    if (sessionId && toRevoke.length === 0) {
+      return jsonResponse({ error: "Session not found" }, 404);
+    }
+
+    await Promise.all(
+      toRevoke.map(session => env.MARKET_TERMINAL_SYNC.delete(getSessionKey(username, session.sessionId)))
+    );
+
+    return jsonResponse({ success: true, revoked: toRevoke.length });
+  }
+
+  return jsonResponse({ error: "Method not allowed" }, 405);
+}
+
+/**
+ * List a user's sessions from KV key metadata
+ * @param {string} currentSessionId - Session to flag as current (the caller's)
+ */
+async function listSessions(env, username, currentSessionId = null) {
+  const prefix = getSessionKey(username, "");
+  const sessions = [];
+  let cursor;
+
+  do {
+    const page = await env.MARKET_TERMINAL_SYNC.list({ prefix, cursor });
+    for (const key of page.keys) {
+      const sessionId = key.name.substring(prefix.length);
+      sessions.push({
+        sessionId,
+        createdAt: key.metadata?.createdAt || null,
+        lastUsedAt: key.metadata?.lastUsedAt || null,
+        userAgent: key.metadata?.userAgent || "unknown",
+        country: key.metadata?.country || null,
+        current: sessionId === currentSessionId
+      });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return sessions;
+}
+
+/**
+ * Handle sync requests (watchlist, preferences, alerts)
+ * Requires JWT authentication
+ */
+async function handleSyncRequest(request, pathname, env, ctx) {
+  // Verify JWT token
+  const auth = await authenticateRequest(request, env);
+  if (auth.error) {
+    return auth.error;
+  }
+
+  const username = auth.payload.username;
+
+  // Read-only accounts can download but not overwrite cloud data
+  if (request.method !== "GET" && getRole(auth.payload) === "readonly") {
+    return jsonResponse({ error: "Forbidden - read-only account" }, 403);
+  }
+
+  // Check if MARKET_TERMINAL_SYNC KV namespace is bound
+  if (!env.MARKET_TERMINAL_SYNC) {
+    return jsonResponse({
+      error: "Sync not configured - KV namespace not bound",
+      hint: "Bind MARKET_TERMINAL_SYNC KV namespace in wrangler.toml"
+    }, 500);
+  }
+
+  // Route to appropriate sync handler
+  const handlers = {
+    "/api/sync/watchlist": handleWatchlistSync,
+    "/api/sync/preferences": handlePreferencesSync,
+    "/api/sync/alerts": handleAlertsSync,
+    "/api/sync/alerts/fired": handleFiredAlerts,
+    "/api/sync/status": handleSyncStatus,
+    "/api/sync/ops": handleOpsSync
+  };
+
+  const handler = handlers[pathname];
+  if (!handler) {
+    return jsonResponse({ error: "Unknown sync endpoint" }, 404);
+  }
+
+  const response = await handler(request, username, env);
+
+  // Tell the user's other sessions that cloud data changed
+  if (request.method === "POST" && response.ok) {
+    const dataType = pathname.substring("/api/sync/".length);
+    ctx.waitUntil(notifySyncChange(env, username, { dataType, sid: auth.payload.sid }));
+  }
+
+  return response;
+}
+
+/**
+ * Handle the live sync channel (WebSocket upgrade)
+ * Browsers can't set headers on WebSocket requests, so the access token comes as ?token=
+ */
+async function handleSyncLive(request, env) {
+  if (request.headers.get("Upgrade") !== "websocket") {
+    return jsonResponse({ error: "Expected WebSocket upgrade" }, 426);
+  }
+
+  if (!env.SYNC_NOTIFIER) {
+    return jsonResponse({ error: "Live sync not configured - SYNC_NOTIFIER not bound" }, 501);
+  }
+
+  const url = new URL(request.url);
+  const payload = await verifyJWT(url.searchParams.get("token") || "", env.JWT_SECRET);
+
+  if (!payload) {
+    return jsonResponse({ error: "Unauthorized - Invalid token" }, 401);
+  }
+
+  if (!(await isSessionActive(env, payload))) {
+    return jsonResponse({ error: "Unauthorized - Session revoked" }, 401);
+  }
+
+  const stub = env.SYNC_NOTIFIER.get(env.SYNC_NOTIFIER.idFromName(payload.username));
+  const target = `https://sync-notifier/connect?sid=${encodeURIComponent(payload.sid || "")}`;
+  return stub.fetch(new Request(target, request));
+}
+
+/**
+ * Broadcast a sync change to the user's connected sessions
+ * Best effort: a notifier outage never fails the write itself
+ * @param {Object} change - { dataType, sid } (sid = the writer's session, skipped)
+ */
+async function notifySyncChange(env, username, change) {
+  if (!env.SYNC_NOTIFIER) return;
+
+  try {
+    const stub = env.SYNC_NOTIFIER.get(env.SYNC_NOTIFIER.idFromName(username));
+    await stub.fetch("https://sync-notifier/notify", {
+      method: "POST",
+      body: JSON.stringify({ ...change, at: Date.now() })
+    });
+  } catch (error) {
+    console.error("Sync notifier unavailable:", error);
+  }
+}
+
+/**
+ * Durable Object: one per user, holds that user's live sync WebSockets
+ * Uses the hibernation API so idle connections don't keep the object in memory.
+ * Routes: GET /connect (WebSocket upgrade, ?sid=), POST /notify { dataType, sid, at }
+ */
+export class SyncNotifier {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/connect") {
+      const [client, server] = Object.values(new WebSocketPair());
+      // Tag with the session id so a writer isn't notified of its own change
+      this.state.acceptWebSocket(server, [url.searchParams.get("sid") || "unknown"]);
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    if (url.pathname === "/notify" && request.method === "POST") {
+      const change = await request.json();
+      return jsonResponse({ delivered: this.broadcast(change) });
+    }
+
+    return jsonResponse({ error: "Not found" }, 404);
+  }
 
-/**
- * Check if US stock market is currently open
- * Market hours: Monday-Friday, 9:30 AM - 4:00 PM ET
- * @returns {boolean} True if market is open
- */
-function checkMarketHours() {
-  const now = new Date();
-  // Convert to ET using manual offset (UTC-5 for EST, UTC-4 for EDT)
-  // For simplicity, we use a fixed offset; in production you'd want proper timezone handling
-  const etOffset = isDST(now) ? -4 : -5;
-  const etTime = new Date(now.getTime() + (etOffset * 60 + now.getTimezoneOffset()) * 60000);
+  /**
+   * Send a change message to every socket except the writer's
+   * @returns {number} Number of sockets notified
+   */
+  broadcast(change) {
+    const message = JSON.stringify({ type: "change", dataType: change.dataType, at: change.at });
+    let delivered = 0;
+
+    for (const ws of this.state.getWebSockets()) {
+      const [sid] = this.state.getTags(ws);
+      if (change.sid && sid === change.sid) continue;
+
+      try {
+        ws.send(message);
+        delivered++;
+      } catch (error) {
+        // Socket already closing - the runtime will drop it
+      }
+    }
 
-  const day = etTime.getDay(); // 0 = Sunday, 6 = Saturday
-  const hours = etTime.getHours();
-  const minutes = etTime.getMinutes();
-  const totalMinutes = hours * 60 + minutes;
+    return delivered;
+  }
 
-  // Market hours: Monday-Friday, 9:30 AM - 4:00 PM ET
-  const isWeekday = day >= 1 && day <= 5;
-  const marketOpen = 9 * 60 + 30; // 9:30 AM in minutes
-  const marketClose = 16 * 60; // 4:00 PM in minutes
-  const isDuringMarketHours = totalMinutes >= marketOpen && totalMinutes < marketClose;
+  webSocketMessage(ws, message) {
+    // Client heartbeat keeps proxies from idling the connection out
+    if (message === "ping") {
+      ws.send("pong");
+    }
+  }
 
-  return isWeekday && isDuringMarketHours;
+  webSocketClose(ws, code, reason) {
+    try {
+      ws.close(code, reason);
+    } catch (error) {
+      // Already closed
+    }
+  }
 }
 
 /**
- * Check if date is in Daylight Saving Time (US rules)
- * DST starts second Sunday in March, ends first Sunday in November
+ * Whether the session an access token belongs to still exists
+ * Revoking a device (or logging out, or refresh token reuse) deletes its session,
+ * so its access token stops working right away rather than when it expires.
+ * Tokens without a sid (issued while KV wasn't bound) have no session to check.
  */
-function isDST(date) {
-  const year = date.getUTCFullYear();
-
-  // Second Sunday in March
-  const marchStart = new Date(Date.UTC(year, 2, 1));
-  const dstStart = new Date(marchStart);
-  dstStart.setUTCDate(14 - marchStart.getUTCDay());
-  dstStart.setUTCHours(7); // 2 AM ET = 7 AM UTC
-
-  // First Sunday in November
-  const novStart = new Date(Date.UTC(year, 10, 1));
-  const dstEnd = new Date(novStart);
-  dstEnd.setUTCDate(7 - novStart.getUTCDay());
-  dstEnd.setUTCHours(6); // 2 AM ET = 6 AM UTC (still in DST)
-
-  return date >= dstStart && date < dstEnd;
+async function isSessionActive(env, payload) {
+  if (!payload.sid || !env.MARKET_TERMINAL_SYNC) return true;
+  return !!(await env.MARKET_TERMINAL_SYNC.get(getSessionKey(payload.username, payload.sid)));
 }
 
 /**
- * Get appropriate cache TTL based on market status and endpoint
- * @param {string} endpoint - API endpoint (e.g., "/quote", "/statistics")
- * @returns {Object} { maxAge: number, staleWhileRevalidate: number }
+ * Verify the Bearer token on a request
+ * @returns {Promise<Object>} { payload } on success, { error: Response } otherwise
  */
-function getCacheTTL(endpoint) {
-  const marketOpen = checkMarketHours();
+async function authenticateRequest(request, env) {
+  const authHeader = request.headers.get("Authorization");
 
-  // TTL configuration (in seconds)
-  const ttlConfig = {
-    '/quote': {
-      marketOpen: { maxAge: 60, swr: 120 },      // 1 min fresh, 2 min stale-ok
-      marketClosed: { maxAge: 3600, swr: 7200 }  // 1 hr fresh, 2 hr stale-ok
-    },
-    '/statistics': {
-      marketOpen: { maxAge: 3600, swr: 7200 },     // 1 hr fresh, 2 hr stale-ok
-      marketClosed: { maxAge: 86400, swr: 172800 } // 24 hr fresh, 48 hr stale-ok
-    },
-    '/time_series': {
-      marketOpen: { maxAge: 60, swr: 120 },      // 1 min fresh, 2 min stale-ok
-      marketClosed: { maxAge: 3600, swr: 7200 }  // 1 hr fresh, 2 hr stale-ok
-    }
-  };
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return { error: jsonResponse({ error: "Unauthorized - No token provided" }, 401) };
+  }
 
-  const config = ttlConfig[endpoint] || ttlConfig['/quote'];
-  return marketOpen ? config.marketOpen : config.marketClosed;
+  const token = authHeader.substring(7);
+
+  try {
+    const payload = await verifyJWT(token, env.JWT_SECRET);
+    if (!payload) {
+      return { error: jsonResponse({ error: "Unauthorized - Invalid token" }, 401) };
+    }
+    if (!(await isSessionActive(env, payload))) {
+      return { error: jsonResponse({ error: "Unauthorized - Session revoked" }, 401) };
+    }
+    return { payload };
+  } catch (error) {
+    return { error: jsonResponse({ error: "Unauthorized - Token verification failed" }, 401) };
+  }
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    const { pathname, searchParams } = new URL(request.url);
+/**
+ * Role from a JWT payload (tokens issued before roles existed count as "user")
+ */
+function getRole(payload) {
+  return USER_ROLES.includes(payload?.role) ? payload.role : "user";
+}
 
-    // Handle CORS preflight
-    if (request.method === "OPTIONS") {
-      return new Response(null, {
-        status: 204,
-        headers: CORS_HEADERS
-      });
-    }
+/**
+ * Check a username/password pair
+ * KV accounts take precedence; the env-configured login is the bootstrap admin
+ * and is copied into KV on first login so it can change its password
+ * @returns {Promise<string|null>} The account's role, or null if invalid
+ */
+async function authenticateCredentials(username, password, env) {
+  const account = await getAccount(env, username);
 
-    // Only handle /api/* routes
-    if (!pathname.startsWith("/api/")) {
-      return new Response("Not found", { status: 404 });
+  if (account) {
+    if (!(await verifyPBKDF2Password(password, account.passwordHash))) {
+      return null;
     }
+    await saveAccount(env, { ...account, lastLoginAt: Date.now() });
+    return account.role;
+  }
 
-    // Auth endpoints (no token required)
-    if (pathname === "/api/auth/login") {
-      return handleLogin(request, env);
-    }
+  const expectedUsername = (env.AUTH_USERNAME || "").toLowerCase();
+  const isValidUsername = expectedUsername !== "" && timingSafeEqual(username, expectedUsername);
+  const isValidPassword = await verifyPassword(password, env.AUTH_PASSWORD_HASH || "");
 
-    if (pathname === "/api/auth/verify") {
-      return handleVerifyToken(request, env);
-    }
+  if (!isValidUsername || !isValidPassword) {
+    return null;
+  }
 
-    // Sync endpoints (require authentication)
-    if (pathname.startsWith("/api/sync/")) {
-      return handleSyncRequest(request, pathname, env);
-    }
+  if (env.MARKET_TERMINAL_SYNC) {
+    await saveAccount(env, {
+      username,
+      role: "admin",
+      passwordHash: await hashPasswordPBKDF2(password),
+      createdAt: Date.now(),
+      createdBy: "bootstrap",
+      lastLoginAt: Date.now()
+    });
+  }
 
-    // Route to Finnhub or Twelve Data
-    if (pathname.startsWith("/api/finnhub/")) {
-      return handleFinnhubRequest(pathname, searchParams, env, ctx);
-    }
+  return "admin";
+}
 
-    // Check if we should use Yahoo Finance (market closed)
-    // Only for quote and statistics endpoints
-    if (pathname === "/api/quote" || pathname === "/api/statistics") {
-      const isMarketOpen = checkMarketHours();
+/**
+ * Load a user account from KV (null if missing or KV not bound)
+ */
+async function getAccount(env, username) {
+  if (!env.MARKET_TERMINAL_SYNC) return null;
+  return env.MARKET_TERMINAL_SYNC.get(`${ACCOUNT_PREFIX}${username}`, { type: "json" });
+}
 
-      if (!isMarketOpen) {
-        return handleYahooFinanceRequest(pathname, searchParams, env, ctx);
-      }
+/**
+ * Save a user account to KV
+ * Role and timestamps go in key metadata so the admin listing needs no extra reads
+ */
+async function saveAccount(env, account) {
+  await env.MARKET_TERMINAL_SYNC.put(`${ACCOUNT_PREFIX}${account.username}`, JSON.stringify(account), {
+    metadata: {
+      role: account.role,
+      createdAt: account.createdAt,
+      lastLoginAt: account.lastLoginAt || null
     }
+  });
+}
 
-    // Map /api/* -> Twelve Data endpoints (market is open)
-    return handleTwelveDataRequest(pathname, searchParams, env, ctx);
+/**
+ * Validate a new username/password pair
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCredentials(username, password) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return "Username must be 3-32 characters: lowercase letters, digits, '.', '_' or '-'";
   }
-};
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
 
 /**
- * Handle login requests
+ * Handle account registration (POST)
+ * Requires a valid invite code (INVITE_CODE) or an admin's token.
+ * Only admins may choose the new account's role.
  */
-async function handleLogin(request, env) {
+async function handleRegister(request, env) {
   if (request.method !== "POST") {
     return jsonResponse({ error: "Method not allowed" }, 405);
   }
 
-  // Get client IP for rate limiting
-  const clientIP = request.headers.get("cf-connecting-ip") || "unknown";
-
-  // Check rate limit
-  const now = Date.now();
-  const attempts = loginAttempts.get(clientIP) || { count: 0, firstAttempt: now };
-
-  // Reset if window has passed
-  if (now - attempts.firstAttempt > RATE_LIMIT_WINDOW) {
-    attempts.count = 0;
-    attempts.firstAttempt = now;
+  if (!env.MARKET_TERMINAL_SYNC) {
+    return jsonResponse({ error: "Accounts not configured - KV namespace not bound" }, 500);
   }
 
-  if (attempts.count >= MAX_ATTEMPTS) {
-    const remainingTime = Math.ceil((RATE_LIMIT_WINDOW - (now - attempts.firstAttempt)) / 1000);
-    return jsonResponse({
-      error: "Too many login attempts",
-      retryAfter: remainingTime
-    }, 429);
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: "Failed to parse request body" }, 400);
   }
 
-  try {
-    const body = await request.json();
-    const { username, password } = body;
+  const { password, inviteCode, role } = body;
 
-    if (!username || !password) {
-      attempts.count++;
-      loginAttempts.set(clientIP, attempts);
-      return jsonResponse({ error: "Missing credentials" }, 400);
+  let isAdmin = false;
+  if (request.headers.get("Authorization")) {
+    const auth = await authenticateRequest(request, env);
+    if (auth.error) {
+      return auth.error;
     }
+    isAdmin = getRole(auth.payload) === "admin";
+  }
 
-    // Normalize username
-    const normalizedUsername = username.trim().toLowerCase();
-    const expectedUsername = (env.AUTH_USERNAME || "").toLowerCase();
+  const hasValidInvite = !!env.INVITE_CODE && typeof inviteCode === "string" &&
+    timingSafeEqual(inviteCode, env.INVITE_CODE);
 
-    // Verify credentials
-    const isValidPassword = await verifyPassword(password, env.AUTH_PASSWORD_HASH || "");
-    const isValidUsername = normalizedUsername === expectedUsername;
+  if (!isAdmin && !hasValidInvite) {
+    return jsonResponse({ error: "Registration requires a valid invite code or an admin token" }, 403);
+  }
 
-    if (!isValidUsername || !isValidPassword) {
-      attempts.count++;
-      loginAttempts.set(clientIP, attempts);
-      return jsonResponse({ error: "Invalid credentials" }, 401);
-    }
+  if (typeof body.username !== "string") {
+    return jsonResponse({ error: "Username must be a string" }, 400);
+  }
 
-    // Clear attempts on successful login
-    loginAttempts.delete(clientIP);
+  const username = body.username.trim().toLowerCase();
+  const validationError = validateCredentials(username, password);
+  if (validationError) {
+    return jsonResponse({ error: validationError }, 400);
+  }
 
-    // Generate JWT
-    const token = await generateJWT({ username: normalizedUsername }, env.JWT_SECRET);
+  const newRole = isAdmin && role ? role : "user";
+  if (!USER_ROLES.includes(newRole)) {
+    return jsonResponse({ error: `Invalid role - must be one of ${USER_ROLES.join(", ")}` }, 400);
+  }
 
-    return jsonResponse({
-      success: true,
-      token,
-      expiresIn: 86400 // 24 hours
-    });
+  // The bootstrap admin's name is reserved - a KV account would shadow the env login for good
+  const isBootstrapAdmin = username === (env.AUTH_USERNAME || "").toLowerCase();
 
-  } catch (error) {
-    console.error("Login error:", error);
-    return jsonResponse({ error: "Login failed" }, 500);
+  if (isBootstrapAdmin || await getAccount(env, username)) {
+    return jsonResponse({ error: "Username already taken" }, 409);
   }
+
+  await saveAccount(env, {
+    username,
+    role: newRole,
+    passwordHash: await hashPasswordPBKDF2(password),
+    createdAt: Date.now(),
+    createdBy: isAdmin ? "admin" : "invite"
+  });
+
+  return jsonResponse({ success: true, username, role: newRole }, 201);
 }
 
 /**
- * Handle token verification
+ * Handle password change for the signed-in user (POST)
  */
-async function handleVerifyToken(request, env) {
-  const authHeader = request.headers.get("Authorization");
-
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return jsonResponse({ valid: false, error: "No token provided" }, 401);
+async function handleChangePassword(request, env) {
+  if (request.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
   }
 
-  const token = authHeader.substring(7);
+  const auth = await authenticateRequest(request, env);
+  if (auth.error) {
+    return auth.error;
+  }
 
+  let body;
   try {
-    const payload = await verifyJWT(token, env.JWT_SECRET);
-    if (payload) {
-      return jsonResponse({ valid: true, username: payload.username });
-    }
-    return jsonResponse({ valid: false, error: "Invalid token" }, 401);
+    body = await request.json();
   } catch (error) {
-    return jsonResponse({ valid: false, error: "Token verification failed" }, 401);
+    return jsonResponse({ error: "Failed to parse request body" }, 400);
+  }
+
+  const { currentPassword, newPassword } = body;
+  const account = await getAccount(env, auth.payload.username);
+
+  if (!account) {
+    return jsonResponse({ error: "Account not found" }, 404);
+  }
+
+  if (!currentPassword || !(await verifyPBKDF2Password(currentPassword, account.passwordHash))) {
+    return jsonResponse({ error: "Current password is incorrect" }, 401);
   }
+
+  const validationError = validateCredentials(account.username, newPassword);
+  if (validationError) {
+    return jsonResponse({ error: validationError }, 400);
+  }
+
+  await saveAccount(env, {
+    ...account,
+    passwordHash: await hashPasswordPBKDF2(newPassword),
+    passwordChangedAt: Date.now()
+  });
+
+  // Sign out every other device - they must log in with the new password
+  const otherSessions = (await listSessions(env, account.username, auth.payload.sid)).filter(session => !session.current);
+  await Promise.all(
+    otherSessions.map(session => env.MARKET_TERMINAL_SYNC.delete(getSessionKey(account.username, session.sessionId)))
+  );
+
+  return jsonResponse({ success: true, message: "Password changed", revokedSessions: otherSessions.length });
 }
 
 /**
- * Handle sync requests (watchlist, preferences, alerts)
- * Requires JWT authentication
+ * Handle admin user listing (GET, admin only)
  */
-async function handleSyncRequest(request, pathname, env) {
-  // Verify JWT token
-  const authHeader = request.headers.get("Authorization");
-
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return jsonResponse({ error: "Unauthorized - No token provided" }, 401);
+async function handleAdminUsers(request, env) {
+  if (request.method !== "GET") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
   }
 
-  const token = authHeader.substring(7);
-  let payload;
-
-  try {
-    payload = await verifyJWT(token, env.JWT_SECRET);
-    if (!payload) {
-      return jsonResponse({ error: "Unauthorized - Invalid token" }, 401);
-    }
-  } catch (error) {
-    return jsonResponse({ error: "Unauthorized - Token verification failed" }, 401);
+  const auth = await authenticateRequest(request, env);
+  if (auth.error) {
+    return auth.error;
   }
 
-  const username = payload.username;
+  if (getRole(auth.payload) !== "admin") {
+    return jsonResponse({ error: "Forbidden - admin only" }, 403);
+  }
 
-  // Check if MARKET_TERMINAL_SYNC KV namespace is bound
   if (!env.MARKET_TERMINAL_SYNC) {
-    return jsonResponse({
-      error: "Sync not configured - KV namespace not bound",
-      hint: "Bind MARKET_TERMINAL_SYNC KV namespace in wrangler.toml"
-    }, 500);
+    return jsonResponse({ error: "Accounts not configured - KV namespace not bound" }, 500);
   }
 
-  // Route to appropriate sync handler
-  if (pathname === "/api/sync/watchlist") {
-    return handleWatchlistSync(request, username, env);
+  const users = [];
+  let cursor;
+
+  do {
+    const page = await env.MARKET_TERMINAL_SYNC.list({ prefix: ACCOUNT_PREFIX, cursor });
+    for (const key of page.keys) {
+      users.push({
+        username: key.name.substring(ACCOUNT_PREFIX.length),
+        role: key.metadata?.role || "user",
+        createdAt: key.metadata?.createdAt || null,
+        lastLoginAt: key.metadata?.lastLoginAt || null
+      });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return jsonResponse({ users, count: users.length });
+}
+
+/**
+ * Rolling request metrics (admin only): GET /api/admin/metrics
+ * Global when the METRICS_COLLECTOR Durable Object is bound, otherwise just this isolate's
+ */
+async function handleAdminMetrics(request, env) {
+  if (request.method !== "GET") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
   }
 
-  if (pathname === "/api/sync/preferences") {
-    return handlePreferencesSync(request, username, env);
+  const auth = await authenticateRequest(request, env);
+  if (auth.error) {
+    return auth.error;
   }
 
-  if (pathname === "/api/sync/alerts") {
-    return handleAlertsSync(request, username, env);
+  if (getRole(auth.payload) !== "admin") {
+    return jsonResponse({ error: "Forbidden - admin only" }, 403);
   }
 
-  if (pathname === "/api/sync/status") {
-    return handleSyncStatus(request, username, env);
+  // Include this isolate's requests that haven't been flushed yet
+  await flushMetrics(env);
+
+  if (env.METRICS_COLLECTOR) {
+    try {
+      const stub = env.METRICS_COLLECTOR.get(env.METRICS_COLLECTOR.idFromName("global"));
+      const resp = await stub.fetch("https://metrics-collector/summary");
+      return jsonResponse(await resp.json());
+    } catch (error) {
+      console.error("Metrics collector unavailable:", error);
+      return jsonResponse({ error: "Metrics collector unavailable" }, 503);
+    }
   }
 
-  return jsonResponse({ error: "Unknown sync endpoint" }, 404);
+  const buckets = [...isolateMetricsBuckets].map(([start, counters]) => ({ start, counters }));
+  return jsonResponse({ scope: "isolate", generatedAt: new Date().toISOString(), windows: summarizeBuckets(buckets) });
 }
 
 /**
@@ -316,37 +1634,166 @@ async function handleWatchlistSync(request, username, env) {
     return jsonResponse({
       exists: true,
       data,
+      version: data.version || 0,
       lastModified: data.timestamp
     });
   }
 
   if (request.method === "POST") {
-    // Upload watchlist
+    // Upload watchlist - optimistic concurrency on `version`
+    // The client sends the version it last saw (baseVersion, 0 if never synced);
+    // a stale write gets 409 with the current document so the client can merge and retry.
+    // KV has no compare-and-swap, so two writes within the same instant can still race.
+    let body;
     try {
-      const body = await request.json();
-      const { symbols } = body;
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: "Failed to parse request body" }, 400);
+    }
 
-      if (!Array.isArray(symbols)) {
-        return jsonResponse({ error: "Invalid watchlist format - symbols must be an array" }, 400);
-      }
+    const { symbols, encrypted } = body;
+    const baseVersion = Number.isInteger(body.baseVersion) ? body.baseVersion : 0;
 
-      const watchlistData = {
-        symbols,
-        timestamp: Date.now(),
-        version: 1,
-        lastModified: new Date().toISOString()
-      };
+    if (encrypted !== undefined ? !isEncryptedBlob(encrypted) : !Array.isArray(symbols)) {
+      return jsonResponse({ error: "Invalid watchlist format - symbols must be an array (or an encrypted blob)" }, 400);
+    }
 
-      await kv.put(key, JSON.stringify(watchlistData));
+    const current = await kv.get(key, { type: "json" });
+    const currentVersion = current ? current.version || 0 : 0;
 
+    if (current && baseVersion !== currentVersion) {
       return jsonResponse({
-        success: true,
-        message: "Watchlist synced to cloud",
-        timestamp: watchlistData.timestamp
-      });
+        error: "Version conflict - watchlist changed on another device",
+        conflict: true,
+        version: currentVersion,
+        current
+      }, 409);
+    }
+
+    const watchlistData = {
+      ...(encrypted ? { encrypted } : { symbols }),
+      timestamp: Date.now(),
+      version: currentVersion + 1,
+      lastModified: new Date().toISOString()
+    };
+
+    await kv.put(key, JSON.stringify(watchlistData));
+
+    return jsonResponse({
+      success: true,
+      message: "Watchlist synced to cloud",
+      timestamp: watchlistData.timestamp,
+      version: watchlistData.version
+    });
+  }
+
+  return jsonResponse({ error: "Method not allowed" }, 405);
+}
+
+/**
+ * Handle op log sync
+ * POST { deviceId, ops } appends a batch; GET ?since=<cursor> returns ops from later batches.
+ * The returned cursor only advances past batches older than OPLOG_SETTLE_MS, so a write that
+ * list() hasn't caught up with yet is picked up next time (clients apply ops idempotently).
+ */
+async function handleOpsSync(request, username, env) {
+  const kv = env.MARKET_TERMINAL_SYNC;
+  const prefix = `user:${username}:ops:`;
+
+  if (request.method === "POST") {
+    let body;
+    try {
+      body = await request.json();
     } catch (error) {
       return jsonResponse({ error: "Failed to parse request body" }, 400);
     }
+
+    const { deviceId, ops, encrypted } = body;
+    const receivedAt = Date.now();
+    const batchId = `${String(receivedAt).padStart(15, "0")}-${crypto.randomUUID().substring(0, 8)}`;
+
+    // Encrypted batches are opaque - only the envelope can be checked
+    if (encrypted !== undefined) {
+      if (!isEncryptedBlob(encrypted)) {
+        return jsonResponse({ error: "Invalid encrypted op batch" }, 400);
+      }
+
+      await kv.put(`${prefix}${batchId}`, JSON.stringify({ deviceId, receivedAt, encrypted }), {
+        expirationTtl: OPLOG_TTL
+      });
+
+      return jsonResponse({ success: true, accepted: body.count || 0, batchId });
+    }
+
+    if (!Array.isArray(ops) || ops.length === 0 || ops.length > MAX_OPS_PER_PUSH) {
+      return jsonResponse({ error: `ops must be an array of 1-${MAX_OPS_PER_PUSH} operations` }, 400);
+    }
+
+    const isValidOp = op => op && typeof op.id === "string" && typeof op.type === "string" &&
+      typeof op.ts === "number" && typeof op.key === "string";
+
+    if (!ops.every(isValidOp)) {
+      return jsonResponse({ error: "Invalid op - id, type, ts and key are required" }, 400);
+    }
+
+    await kv.put(`${prefix}${batchId}`, JSON.stringify({ deviceId, receivedAt, ops }), {
+      expirationTtl: OPLOG_TTL
+    });
+
+    return jsonResponse({ success: true, accepted: ops.length, batchId });
+  }
+
+  if (request.method === "GET") {
+    const url = new URL(request.url);
+    const since = url.searchParams.get("since") || "";
+    const now = Date.now();
+
+    // Batches older than the TTL are gone - the client must resync from snapshots
+    if (since && parseInt(since, 10) < now - OPLOG_TTL * 1000) {
+      return jsonResponse({ reset: true, ops: [], cursor: "" });
+    }
+
+    const batchIds = [];
+    let cursor;
+
+    do {
+      const page = await kv.list({ prefix, cursor });
+      for (const key of page.keys) {
+        const batchId = key.name.substring(prefix.length);
+        if (batchId > since) batchIds.push(batchId);
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    batchIds.sort();
+    const selected = batchIds.slice(0, MAX_OP_BATCHES_PER_PULL);
+    const batches = await Promise.all(selected.map(batchId => kv.get(`${prefix}${batchId}`, { type: "json" })));
+
+    const ops = [];
+    const encryptedBatches = [];
+    let nextCursor = since;
+    let settled = true;
+
+    selected.forEach((batchId, i) => {
+      const batch = batches[i];
+      if (!batch) return; // Expired between list() and get()
+
+      if (batch.encrypted) {
+        encryptedBatches.push(batch.encrypted);
+      } else {
+        ops.push(...batch.ops);
+      }
+
+      settled = settled && batch.receivedAt < now - OPLOG_SETTLE_MS;
+      if (settled) nextCursor = batchId;
+    });
+
+    return jsonResponse({
+      ops,
+      encryptedBatches,
+      cursor: nextCursor,
+      hasMore: batchIds.length > selected.length
+    });
   }
 
   return jsonResponse({ error: "Method not allowed" }, 405);
@@ -380,8 +1827,13 @@ async function handlePreferencesSync(request, username, env) {
     try {
       const body = await request.json();
 
+      if (body.encrypted !== undefined && !isEncryptedBlob(body.encrypted)) {
+        return jsonResponse({ error: "Invalid encrypted preferences" }, 400);
+      }
+
+      // An encrypted document replaces every plaintext field
       const preferencesData = {
-        ...body,
+        ...(body.encrypted ? { encrypted: body.encrypted } : body),
         timestamp: Date.now(),
         lastModified: new Date().toISOString()
       };
@@ -422,6 +1874,7 @@ async function handleAlertsSync(request, username, env) {
     return jsonResponse({
       exists: true,
       data: data.alerts || [],
+      ...(data.encrypted ? { encrypted: data.encrypted } : {}),
       lastModified: data.timestamp
     });
   }
@@ -429,14 +1882,14 @@ async function handleAlertsSync(request, username, env) {
   if (request.method === "POST") {
     try {
       const body = await request.json();
-      const { alerts } = body;
+      const { alerts, encrypted } = body;
 
-      if (!Array.isArray(alerts)) {
-        return jsonResponse({ error: "Invalid alerts format - alerts must be an array" }, 400);
+      if (encrypted !== undefined ? !isEncryptedBlob(encrypted) : !Array.isArray(alerts)) {
+        return jsonResponse({ error: "Invalid alerts format - alerts must be an array (or an encrypted blob)" }, 400);
       }
 
       const alertsData = {
-        alerts,
+        ...(encrypted ? { encrypted } : { alerts }),
         timestamp: Date.now(),
         lastModified: new Date().toISOString()
       };
@@ -446,7 +1899,7 @@ async function handleAlertsSync(request, username, env) {
       return jsonResponse({
         success: true,
         message: "Alerts synced to cloud",
-        count: alerts.length,
+        count: encrypted ? null : alerts.length,
         timestamp: alertsData.timestamp
       });
     } catch (error) {
@@ -458,7 +1911,30 @@ async function handleAlertsSync(request, username, env) {
 }
 
 /**
- * Handle sync status (GET) - returns last sync times for all data types
+ * Handle fired alerts (GET ?since=<ms>) - what the alert cron fired, for clients to catch up on
+ */
+async function handleFiredAlerts(request, username, env) {
+  if (request.method !== "GET") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  const since = Number(new URL(request.url).searchParams.get("since")) || 0;
+  const alerts = await getFiredAlerts(env.MARKET_TERMINAL_SYNC, username, since);
+
+  return jsonResponse({ alerts, serverTime: Date.now() });
+}
+
+/**
+ * Whether a value looks like a client-side AES-GCM envelope
+ */
+function isEncryptedBlob(value) {
+  return !!value && typeof value === "object" &&
+    typeof value.iv === "string" && typeof value.ciphertext === "string" &&
+    value.ciphertext.length <= MAX_ENCRYPTED_BLOB_LENGTH;
+}
+
+/**
+ * Handle sync status (GET) - returns last sync times and stored sizes for all data types
  */
 async function handleSyncStatus(request, username, env) {
   if (request.method !== "GET") {
@@ -467,26 +1943,35 @@ async function handleSyncStatus(request, username, env) {
 
   const kv = env.MARKET_TERMINAL_SYNC;
 
+  // Read as text so sizes can be reported without knowing what's inside
+  // (counts are null for end-to-end encrypted documents)
+  const describe = (text, count) => {
+    if (!text) return null;
+    const data = JSON.parse(text);
+    return {
+      lastModified: data.timestamp,
+      size: text.length,
+      encrypted: !!data.encrypted,
+      ...count(data)
+    };
+  };
+
   try {
     const [watchlist, preferences, alerts] = await Promise.all([
-      kv.get(`user:${username}:watchlist`, { type: "json" }),
-      kv.get(`user:${username}:preferences`, { type: "json" }),
-      kv.get(`user:${username}:alerts`, { type: "json" })
+      kv.get(`user:${username}:watchlist`),
+      kv.get(`user:${username}:preferences`),
+      kv.get(`user:${username}:alerts`)
     ]);
 
     return jsonResponse({
       username,
-      watchlist: watchlist ? {
-        lastModified: watchlist.timestamp,
-        symbolCount: watchlist.symbols?.length || 0
-      } : null,
-      preferences: preferences ? {
-        lastModified: preferences.timestamp
-      } : null,
-      alerts: alerts ? {
-        lastModified: alerts.timestamp,
-        count: alerts.alerts?.length || 0
-      } : null,
+      watchlist: describe(watchlist, data => ({
+        symbolCount: data.encrypted ? null : data.symbols?.length || 0
+      })),
+      preferences: describe(preferences, () => ({})),
+      alerts: describe(alerts, data => ({
+        count: data.encrypted ? null : data.alerts?.length || 0
+      })),
       serverTime: Date.now()
     });
   } catch (error) {
@@ -496,15 +1981,16 @@ async function handleSyncStatus(request, username, env) {
 
 /**
  * Generate a simple JWT using Web Crypto API
+ * @param {number} expiresIn - Lifetime in seconds
  */
-async function generateJWT(payload, secret) {
+async function generateJWT(payload, secret, expiresIn = ACCESS_TOKEN_TTL) {
   const header = { alg: "HS256", typ: "JWT" };
   const now = Math.floor(Date.now() / 1000);
 
   const fullPayload = {
     ...payload,
     iat: now,
-    exp: now + 86400 // 24 hours
+    exp: now + expiresIn
   };
 
   const encodedHeader = base64UrlEncode(JSON.stringify(header));
@@ -561,6 +2047,76 @@ async function hmacSign(data, secret) {
   return base64UrlEncode(String.fromCharCode(...new Uint8Array(signature)));
 }
 
+/**
+ * Random 256-bit token, base64url encoded
+ */
+function generateRandomToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return base64UrlEncode(String.fromCharCode(...bytes));
+}
+
+/**
+ * SHA-256 digest, base64url encoded
+ */
+async function sha256Base64Url(value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return base64UrlEncode(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+/**
+ * Hash a password with PBKDF2-SHA256 and a random (or given) salt
+ * Format: pbkdf2:iterations:salt:hash (salt and hash base64url encoded)
+ */
+async function hashPasswordPBKDF2(password, salt = null, iterations = PBKDF2_ITERATIONS) {
+  const encoder = new TextEncoder();
+
+  let saltBytes;
+  if (salt) {
+    saltBytes = Uint8Array.from(base64UrlDecode(salt), c => c.charCodeAt(0));
+  } else {
+    saltBytes = new Uint8Array(16);
+    crypto.getRandomValues(saltBytes);
+  }
+
+  const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: saltBytes, iterations },
+    key,
+    256
+  );
+
+  const encodedSalt = base64UrlEncode(String.fromCharCode(...saltBytes));
+  const hash = base64UrlEncode(String.fromCharCode(...new Uint8Array(bits)));
+  return `pbkdf2:${iterations}:${encodedSalt}:${hash}`;
+}
+
+/**
+ * Verify a password against a stored PBKDF2 hash
+ */
+async function verifyPBKDF2Password(password, storedHash) {
+  if (!storedHash) return false;
+
+  const [scheme, iterations, salt] = storedHash.split(":");
+  if (scheme !== "pbkdf2" || !salt) return false;
+
+  const computed = await hashPasswordPBKDF2(password, salt, parseInt(iterations, 10));
+  return timingSafeEqual(computed, storedHash);
+}
+
+/**
+ * Constant-time string comparison
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
 /**
  * Verify password against stored hash (SHA-256 based)
  * Hash format: salt:hash (both base64url encoded)
@@ -577,7 +2133,7 @@ async function verifyPassword(password, storedHash) {
   const computedHash = base64UrlEncode(String.fromCharCode(...new Uint8Array(hashBuffer)));
 
   // Constant-time comparison
-  return computedHash === hash;
+  return timingSafeEqual(computedHash, hash);
 }
 
 /**
@@ -624,10 +2180,13 @@ function jsonResponse(data, status = 200) {
 
 /**
  * Handle Finnhub API requests
+ * /api/finnhub/* is passed through as-is; /api/news?symbol=&from=&to= is Finnhub's
+ * /company-news, normalized and deduplicated before it is cached
  */
 async function handleFinnhubRequest(pathname, searchParams, env, ctx) {
   // Map /api/finnhub/* -> Finnhub endpoints
-  const endpoint = pathname.replace("/api/finnhub", ""); // "/stock/peers"
+  const isNews = pathname === "/api/news";
+  const endpoint = isNews ? "/company-news" : pathname.replace("/api/finnhub", ""); // "/stock/peers"
   const symbol = searchParams.get("symbol");
 
   if (!symbol) {
@@ -642,8 +2201,20 @@ async function handleFinnhubRequest(pathname, searchParams, env, ctx) {
   finnhubUrl.searchParams.set("symbol", symbol);
   finnhubUrl.searchParams.set("token", env.FINNHUB_TOKEN);
 
-  // 24h edge cache for peers data
-  const cacheTtl = endpoint === "/stock/peers" ? 86400 : 3600;
+  let range = null;
+  if (isNews) {
+    range = parseNewsRange(searchParams.get("from"), searchParams.get("to"));
+    if (!range) {
+      return jsonResponse({ error: "from and to must be YYYY-MM-DD dates, from before to, at most a year apart" }, 400);
+    }
+    finnhubUrl.searchParams.set("from", range.from);
+    finnhubUrl.searchParams.set("to", range.to);
+  }
+
+  // 24h edge cache for peers data, market-hours TTL for news
+  const ttl = isNews
+    ? getCacheTTL("/news", undefined, getSymbolExchange(symbol))
+    : { maxAge: endpoint === "/stock/peers" ? 86400 : 3600 };
   const cache = caches.default;
   const cacheKey = new Request(finnhubUrl.toString(), {
     headers: { Accept: "application/json" }
@@ -654,9 +2225,11 @@ async function handleFinnhubRequest(pathname, searchParams, env, ctx) {
 
   if (!resp) {
     // Cache miss - fetch from Finnhub
+    const upstreamStartedAt = Date.now();
     const upstream = await fetch(finnhubUrl, {
       cf: { cacheTtl: 0, cacheEverything: false }
     });
+    const serverTiming = `upstream;dur=${Date.now() - upstreamStartedAt}`;
 
     const text = await upstream.text();
 
@@ -670,36 +2243,52 @@ async function handleFinnhubRequest(pathname, searchParams, env, ctx) {
 
       // Log rate limit events
       if (upstream.status === 429) {
-        console.error("FINNHUB_429: Rate limit exceeded");
+        logEvent({ type: "upstream_rate_limited", level: "error", provider: "finnhub", route: pathname, symbol });
       }
 
       return new Response(JSON.stringify(errorData), {
         status: upstream.status,
         headers: {
           "content-type": "application/json",
-          "access-control-allow-origin": "*"
+          "access-control-allow-origin": "*",
+          "x-data-source": "Finnhub",
+          "server-timing": serverTiming
         }
       });
     }
 
+    let body = text;
+    if (isNews) {
+      let articles;
+      try {
+        articles = JSON.parse(text);
+      } catch (error) {
+        return jsonResponse({ error: "Invalid Finnhub response" }, 502);
+      }
+      body = JSON.stringify(transformFinnhubToNews(symbol, Array.isArray(articles) ? articles : [], range));
+    }
+
     // Create cacheable response
-    resp = new Response(text, {
+    resp = new Response(body, {
       status: 200,
       headers: {
         "content-type": "application/json; charset=utf-8",
-        "cache-control": `public, max-age=${cacheTtl}`,
+        "cache-control": `public, max-age=${ttl.maxAge}${ttl.swr ? `, stale-while-revalidate=${ttl.swr}` : ""}`,
         "access-control-allow-origin": "*",
         "access-control-allow-methods": "GET, OPTIONS",
-        "x-cache": "MISS"
+        "x-cache": "MISS",
+        "x-data-source": "Finnhub",
+        "server-timing": serverTiming
       }
     });
 
     // Store in edge cache
     ctx.waitUntil(cache.put(cacheKey, resp.clone()));
   } else {
-    // Add cache hit header
+    // Add cache hit header (the stored upstream timing was the original miss's)
     const headers = new Headers(resp.headers);
     headers.set("x-cache", "HIT");
+    headers.delete("server-timing");
     resp = new Response(resp.body, {
       status: resp.status,
       headers: headers
@@ -710,299 +2299,593 @@ async function handleFinnhubRequest(pathname, searchParams, env, ctx) {
 }
 
 /**
- * Handle Twelve Data API requests
- * Uses market-aware dynamic TTLs for optimal caching
+ * Handle market data requests (/api/quote, /api/statistics, /api/time_series, ...)
+ * The provider registry picks the upstream for the endpoint; every provider
+ * answers in the Twelve Data format, so the frontend doesn't care which one served it.
  */
-async function handleTwelveDataRequest(pathname, searchParams, env, ctx) {
-  const endpoint = pathname.replace("/api", ""); // "/quote" or "/time_series"
+async function handleMarketDataRequest(pathname, searchParams, env, ctx) {
+  const endpoint = pathname.replace("/api/", ""); // "quote" or "time_series"
   const symbol = searchParams.get("symbol");
 
   if (!symbol) {
-    return new Response(JSON.stringify({ error: "Missing ?symbol parameter" }), {
-      status: 400,
-      headers: { "content-type": "application/json", "access-control-allow-origin": "*" }
-    });
+    return jsonResponse({ error: "Missing ?symbol parameter" }, 400);
+  }
+
+  const params = Object.fromEntries(searchParams);
+  // The session of the symbol's own exchange ("TEVA:TASE" follows Tel Aviv hours)
+  const marketPhase = getMarketPhase(new Date(), getSymbolExchange(symbol));
+
+  const { provider, result, skipped } = await providerRegistry.execute(endpoint, {
+    marketOpen: marketPhase === "open",
+    extendedHours: isExtendedHours(marketPhase),
+    env,
+    params,
+    attempt: (adapter) => fetchFromProvider(adapter, endpoint, params, env, ctx, marketPhase)
+  });
+
+  if (!provider) {
+    return noProviderResponse(endpoint, skipped);
   }
 
-  // Build Twelve Data API URL
-  const td = new URL(`https://api.twelvedata.com${endpoint}`);
-  td.searchParams.set("symbol", symbol);
-  td.searchParams.set("apikey", env.TWELVEDATA_KEY);
+  // Providers passed over before the one that answered
+  const fallbacks = skipped.filter(entry => entry.provider !== provider.id);
 
-  // Add default parameters for time_series
-  if (endpoint === "/time_series") {
-    td.searchParams.set("interval", searchParams.get("interval") || "1min");
-    td.searchParams.set("outputsize", searchParams.get("outputsize") || "1");
+  // The attempt threw (network error) - nothing to pass through
+  if (!result.response) {
+    return withFallbackHeaders(jsonResponse({ error: `Failed to fetch from ${provider.label}` }, 502), fallbacks);
   }
 
-  // Get dynamic TTL based on market hours
-  const ttl = getCacheTTL(endpoint);
-  const isMarketOpen = checkMarketHours();
+  return withCreditHeaders(withFallbackHeaders(result.response, fallbacks), result.ledger);
+}
+
+/**
+ * Serve one endpoint from one provider, through the edge cache
+ * @returns {Promise<Object>} Provider result plus the Response to return
+ */
+async function fetchFromProvider(adapter, endpoint, params, env, ctx, marketPhase) {
+  const ttl = adapter.cacheTtl?.(endpoint, marketPhase) ||
+    getCacheTTL(`/${endpoint}`, params.interval, getSymbolExchange(params.symbol));
+  const marketHeader = marketPhase === "open" ? "true" : "false";
 
   const cache = caches.default;
-  const cacheKey = new Request(td.toString(), {
+  const cacheKey = new Request(adapter.cacheKey(endpoint, params, env), {
     headers: { Accept: "application/json" }
   });
 
   // Try to get from cache
-  let resp = await cache.match(cacheKey);
+  const cached = await cache.match(cacheKey);
 
-  if (!resp) {
-    // Cache miss - fetch from Twelve Data
-    const upstream = await fetch(td, {
-      cf: { cacheTtl: 0, cacheEverything: false }
-    });
+  if (cached) {
+    const headers = new Headers(cached.headers);
+    headers.set("x-cache", "HIT");
+    headers.set("x-coalesced", "false");
+    headers.delete("server-timing");
+    headers.set("x-data-source", adapter.label);
+    headers.set("x-market-open", marketHeader);
+    headers.set("x-market-phase", marketPhase);
+    return {
+      ok: true,
+      status: cached.status,
+      upstream: false,
+      response: new Response(cached.body, { status: cached.status, headers })
+    };
+  }
 
-    const text = await upstream.text();
+  // Cache miss - identical concurrent misses share one upstream call (and its credits)
+  const { result, coalesced } = await fetchUpstreamCoalesced(adapter, endpoint, params, env, cacheKey.url);
+  const coalescedHeader = coalesced || "false";
 
-    if (!upstream.ok) {
-      // Log TD rate limit events
-      if (upstream.status === 429) {
-        console.error("TD_429_MINUTE: Twelve Data rate limit exceeded");
-      }
+  if (result.exhausted) {
+    return { ...result, response: creditsExhaustedResponse(result.ledger) };
+  }
 
-      return new Response(text || `Upstream error ${upstream.status}`, {
-        status: upstream.status,
+  // Upstream latency and credits belong to the request that made the call, not the ones that shared it
+  const upstreamHeaders = coalesced ? {} : { "server-timing": `upstream;dur=${result.latencyMs}` };
+  if (!coalesced && adapter.usesCredits) {
+    metricsBuffer.recordCredits(params.symbol.toUpperCase(), adapter.creditCost?.(endpoint) || 1);
+  }
+
+  if (!result.ok) {
+    return {
+      ...result,
+      response: new Response(result.body, {
+        status: result.status,
         headers: {
           "content-type": "application/json",
-          "access-control-allow-origin": "*"
+          ...CORS_HEADERS,
+          "x-data-source": adapter.label,
+          "x-coalesced": coalescedHeader,
+          ...upstreamHeaders
         }
-      });
+      })
+    };
+  }
+
+  // Create cacheable response with stale-while-revalidate
+  const response = new Response(result.body, {
+    status: 200,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": `public, max-age=${ttl.maxAge}, stale-while-revalidate=${ttl.swr}`,
+      ...CORS_HEADERS,
+      "x-cache": "MISS",
+      "x-coalesced": coalescedHeader,
+      "x-data-source": adapter.label,
+      "x-market-open": marketHeader,
+      "x-market-phase": marketPhase,
+      "x-cache-ttl": String(ttl.maxAge),
+      ...upstreamHeaders
     }
+  });
 
-    // Create cacheable response with stale-while-revalidate
-    resp = new Response(text, {
-      status: 200,
-      headers: {
-        "content-type": "application/json; charset=utf-8",
-        "cache-control": `public, max-age=${ttl.maxAge}, stale-while-revalidate=${ttl.swr}`,
-        "access-control-allow-origin": "*",
-        "access-control-allow-methods": "GET, OPTIONS",
-        "x-cache": "MISS",
-        "x-market-open": isMarketOpen ? "true" : "false",
-        "x-cache-ttl": String(ttl.maxAge)
-      }
-    });
+  // Store in edge cache (once per isolate - the caller that ran the fetch does it)
+  if (coalesced !== "isolate") {
+    ctx.waitUntil(cache.put(cacheKey, response.clone()));
+  }
 
-    // Store in edge cache
-    ctx.waitUntil(cache.put(cacheKey, resp.clone()));
+  console.log(`📊 ${adapter.label} cache MISS for ${params.symbol}/${endpoint} (TTL: ${ttl.maxAge}s, market: ${marketPhase}${coalesced ? `, coalesced: ${coalesced}` : ''})`);
 
-    console.log(`📊 TD cache MISS for ${symbol}${endpoint} (TTL: ${ttl.maxAge}s, market: ${isMarketOpen ? 'open' : 'closed'})`);
-  } else {
-    // Add cache hit headers
-    const headers = new Headers(resp.headers);
-    headers.set("x-cache", "HIT");
-    headers.set("x-market-open", isMarketOpen ? "true" : "false");
-    resp = new Response(resp.body, {
-      status: resp.status,
-      headers: headers
+  return { ...result, response };
+}
+
+/**
+ * Fetch from upstream, sharing the call with identical concurrent cache misses
+ * Always within this isolate; across every isolate too when the REQUEST_COALESCER
+ * Durable Object is bound (one instance per cache URL).
+ * @param {string} key - Edge cache URL of the request
+ * @returns {Promise<Object>} { result, coalesced } - coalesced is "isolate", "global" or null
+ */
+async function fetchUpstreamCoalesced(adapter, endpoint, params, env, key) {
+  const { result: shared, coalesced } = await inFlightRequests.run(key, async () => {
+    if (env.REQUEST_COALESCER) {
+      const global = await callRequestCoalescer(env, adapter, endpoint, params, key);
+      if (global) return global;
+    }
+    return { result: await fetchUpstream(adapter, endpoint, params, env), coalesced: false };
+  });
+
+  // Only the caller that ran the fetch reports it to this isolate's circuit breaker
+  return {
+    result: coalesced ? { ...shared.result, upstream: false } : shared.result,
+    coalesced: coalesced ? "isolate" : shared.coalesced ? "global" : null
+  };
+}
+
+/**
+ * One upstream call, checked against the daily credit budget when the provider uses credits
+ * @returns {Promise<Object>} Provider result plus latencyMs and ledger (the credit ledger after
+ *   this call, null for credit-free providers; exhausted: true when the budget is gone)
+ */
+async function fetchUpstream(adapter, endpoint, params, env) {
+  const reservation = adapter.usesCredits ? await reserveCredits(env, adapter.creditCost?.(endpoint) || 1) : null;
+  if (reservation && !reservation.allowed) {
+    return { ok: false, status: 429, upstream: false, exhausted: true, ledger: reservation };
+  }
+
+  const startedAt = Date.now();
+  const result = await adapter.fetch(endpoint, params, env);
+  const latencyMs = Date.now() - startedAt;
+
+  const ledger = adapter.usesCredits
+    ? (await syncLedgerWithUpstream(env, result.code || result.status, result.body)) || reservation
+    : null;
+
+  return { ...result, latencyMs, ledger };
+}
+
+/**
+ * Durable Object: upstream fetches for one edge cache URL, shared by every isolate
+ * Requests arriving while a fetch runs wait for it instead of starting their own.
+ * Nothing is stored - once the fetch settles, the edge cache serves the result.
+ * Routes: POST /fetch { provider, endpoint, params, key } -> { result, coalesced }
+ */
+export class RequestCoalescer {
+  constructor(state, env) {
+    this.env = env;
+    this.inFlight = new InFlightRequests();
+  }
+
+  async fetch(request) {
+    const { provider, endpoint, params, key } = await request.json();
+    const adapter = PROVIDERS.find(candidate => candidate.id === provider);
+
+    if (!adapter) {
+      return jsonResponse({ error: `Unknown provider: ${provider}` }, 400);
+    }
+
+    try {
+      return jsonResponse(await this.inFlight.run(key, () => fetchUpstream(adapter, endpoint, params, this.env)));
+    } catch (error) {
+      // The upstream call threw (network error) - every waiting caller sees it
+      return jsonResponse({ error: error.message }, 502);
+    }
+  }
+}
+
+/**
+ * Call the RequestCoalescer Durable Object for a cache miss
+ * Falls back (returns null) when it's unreachable, so the isolate fetches itself.
+ * @returns {Promise<Object|null>} { result, coalesced }
+ */
+async function callRequestCoalescer(env, adapter, endpoint, params, key) {
+  let resp;
+  try {
+    const stub = env.REQUEST_COALESCER.get(env.REQUEST_COALESCER.idFromName(key));
+    resp = await stub.fetch("https://request-coalescer/fetch", {
+      method: "POST",
+      body: JSON.stringify({ provider: adapter.id, endpoint, params, key })
     });
+  } catch (error) {
+    console.error("Request coalescer unavailable:", error);
+    return null;
   }
 
-  return resp;
+  const shared = await resp.json();
+  if (!resp.ok) {
+    // Thrown like a local fetch would, so the registry counts it as a network error
+    throw new Error(shared.error);
+  }
+  return shared;
 }
 
 /**
- * Handle Yahoo Finance API requests (used when market is closed)
- * Returns data in Twelve Data compatible format
+ * Tell the client which providers were passed over (x-fallback-reason)
+ * After a failover, errors carry a short retry-after: the next provider in line
+ * may be back long before e.g. Twelve Data's credits reset at midnight.
  */
-async function handleYahooFinanceRequest(pathname, searchParams, env, ctx) {
-  const symbol = searchParams.get("symbol");
+function withFallbackHeaders(response, skipped) {
+  if (skipped.length === 0) return response;
 
-  if (!symbol) {
-    return new Response(JSON.stringify({ error: "Missing ?symbol parameter" }), {
-      status: 400,
-      headers: { "content-type": "application/json", ...CORS_HEADERS }
+  const headers = new Headers(response.headers);
+  headers.set("x-fallback-reason", skipped.map(({ provider, reason }) => `${provider}=${reason}`).join("; "));
+
+  if (!response.ok) {
+    headers.set("retry-after", "60");
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * 503 when every provider for an endpoint is unconfigured or has an open circuit
+ */
+function noProviderResponse(endpoint, skipped) {
+  console.error(`No provider available for ${endpoint}:`, JSON.stringify(skipped));
+
+  return withFallbackHeaders(new Response(JSON.stringify({
+    error: `No data provider available for ${endpoint}`,
+    skipped
+  }), {
+    status: 503,
+    headers: {
+      "content-type": "application/json",
+      ...CORS_HEADERS,
+      "retry-after": "60"
+    }
+  }), skipped);
+}
+
+/**
+ * Handle batch quote requests: /api/quotes?symbols=AAPL,MSFT,...
+ * Fans out to the batch syntax of the registry's first "quotes" provider
+ * (Twelve Data while any of the symbols' markets is open, Yahoo Finance outside regular
+ * hours). Each symbol is cached separately under the same key /api/quote uses, with the
+ * TTL of its own exchange's session, so single and batch requests share the edge cache.
+ * Returns a symbol-keyed map; failed symbols get { status: "error", code, message }
+ */
+async function handleBatchQuoteRequest(searchParams, env, ctx) {
+  const symbols = parseSymbolList(searchParams.get("symbols"));
+
+  if (symbols.length === 0) {
+    return jsonResponse({ error: "Missing ?symbols parameter" }, 400);
+  }
+
+  if (symbols.length > MAX_BATCH_SYMBOLS) {
+    return jsonResponse({ error: `Too many symbols (max ${MAX_BATCH_SYMBOLS})` }, 400);
+  }
+
+  const now = new Date();
+  const phases = Object.fromEntries(symbols.map(symbol => [symbol, getMarketPhase(now, getSymbolExchange(symbol))]));
+  const marketPhase = getMostActivePhase(Object.values(phases));
+
+  // Quotes a provider served before its upstream failed for the rest of the batch -
+  // the symbols it couldn't fetch go to the next provider
+  const served = {};
+  let pending = symbols;
+  let ledger = null;
+
+  const { provider, result, skipped } = await providerRegistry.execute("quotes", {
+    marketOpen: marketPhase === "open",
+    extendedHours: isExtendedHours(marketPhase),
+    env,
+    attempt: async (adapter) => {
+      const batch = await fetchBatchFromProvider(adapter, pending, env, ctx, marketPhase, phases);
+      ledger = batch.ledger || ledger;
+
+      if (!batch.partial) return batch;
+
+      pending.filter(symbol => !batch.failed.includes(symbol)).forEach(symbol => {
+        served[symbol] = batch.quotes[symbol];
+      });
+      pending = batch.failed;
+      return { ...batch, partial: false };
+    }
+  });
+
+  if (!provider) {
+    return noProviderResponse("quotes", skipped);
+  }
+
+  const fallbacks = skipped.filter(entry => entry.provider !== provider.id);
+
+  if (Object.keys(served).length > 0) {
+    // Merge with whatever the last provider returned for the remaining symbols
+    const quotes = { ...served };
+    const code = result.status || 502;
+    for (const symbol of pending) {
+      quotes[symbol] = result.quotes?.[symbol] || { status: "error", code, message: `Upstream error ${code}` };
+    }
+
+    const response = batchQuoteResponse(quotes, {
+      cacheStatus: "PARTIAL",
+      label: provider.label,
+      marketPhase,
+      latencyMs: result.latencyMs
     });
+    return withCreditHeaders(withFallbackHeaders(response, fallbacks), ledger);
   }
 
-  // Build Yahoo Finance API URL
-  const yahooUrl = `https://query1.finance.yahoo.com/v7/finance/quote?symbols=${encodeURIComponent(symbol)}`;
+  if (!result.response) {
+    return withFallbackHeaders(jsonResponse({ error: `Failed to fetch from ${provider.label}` }, 502), fallbacks);
+  }
 
-  // Cache key specific to Yahoo Finance (separate from Twelve Data cache)
-  const cache = caches.default;
-  const cacheKey = new Request(`https://yahoo-cache/${symbol}${pathname}`, {
+  return withCreditHeaders(withFallbackHeaders(result.response, fallbacks), result.ledger);
+}
+
+/**
+ * Serve a batch of quotes from one provider, reusing per-symbol cache entries
+ * @param {string} marketPhase - Most active phase across the batch (response headers)
+ * @param {Object} phases - Symbol -> phase of its exchange (per-symbol cache TTLs)
+ * @returns {Promise<Object>} Provider result plus the Response to return
+ */
+async function fetchBatchFromProvider(adapter, symbols, env, ctx, marketPhase, phases) {
+  const getTtl = (symbol) => adapter.cacheTtl?.("quote", phases[symbol]) ||
+    getCacheTTL("/quote", undefined, getSymbolExchange(symbol));
+  const getCacheKey = (symbol) => new Request(adapter.cacheKey("quote", { symbol }, env), {
     headers: { Accept: "application/json" }
   });
 
-  // TTL for market closed: 1 hour fresh, 2 hours stale-while-revalidate
-  const ttl = { maxAge: 3600, swr: 7200 };
+  const cache = caches.default;
+  const cachedResponses = await Promise.all(symbols.map(symbol => cache.match(getCacheKey(symbol))));
 
-  // Try to get from cache
-  let resp = await cache.match(cacheKey);
+  const results = {};
+  const misses = [];
 
-  if (!resp) {
-    // Cache miss - fetch from Yahoo Finance
-    try {
-      const upstream = await fetch(yahooUrl, {
-        headers: {
-          "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-          "Accept": "application/json"
-        },
-        cf: { cacheTtl: 0, cacheEverything: false }
-      });
+  for (let i = 0; i < symbols.length; i++) {
+    if (cachedResponses[i]) {
+      results[symbols[i]] = await cachedResponses[i].json();
+    } else {
+      misses.push(symbols[i]);
+    }
+  }
 
-      if (!upstream.ok) {
-        console.error(`Yahoo Finance error ${upstream.status} for ${symbol}`);
-        return new Response(JSON.stringify({
-          error: `Yahoo Finance error ${upstream.status}`,
-          status: upstream.status,
-          fallbackToTD: true
-        }), {
-          status: upstream.status,
-          headers: { "content-type": "application/json", ...CORS_HEADERS }
-        });
-      }
+  let upstream = { ok: true, status: 200, upstream: false };
+  let upstreamLatencyMs = null;
+  let ledger = null;
+
+  if (misses.length > 0) {
+    // Each Twelve Data symbol costs one credit - check the budget first
+    const reservation = adapter.usesCredits ? await reserveCredits(env, misses.length) : null;
 
-      const yahooData = await upstream.json();
-      const quote = yahooData?.quoteResponse?.result?.[0];
-
-      if (!quote) {
-        return new Response(JSON.stringify({
-          error: "Symbol not found on Yahoo Finance",
-          fallbackToTD: true
-        }), {
-          status: 404,
-          headers: { "content-type": "application/json", ...CORS_HEADERS }
-        });
+    ledger = reservation;
+
+    if (reservation && !reservation.allowed && misses.length === symbols.length) {
+      return { ok: false, status: 429, upstream: false, exhausted: true, ledger, response: creditsExhaustedResponse(reservation) };
+    }
+
+    if (reservation && !reservation.allowed) {
+      upstream = { ok: false, status: 429, upstream: false, exhausted: true, body: null, quotes: {} };
+    } else {
+      const startedAt = Date.now();
+      upstream = await adapter.fetchBatch(misses, env);
+      upstreamLatencyMs = Date.now() - startedAt;
+      if (adapter.usesCredits) {
+        const exhausted = await syncLedgerWithUpstream(env, upstream.status, upstream.body);
+
+        if (upstream.ok && !exhausted) {
+          ledger = reservation;
+          misses.forEach(symbol => metricsBuffer.recordCredits(symbol, 1));
+        } else {
+          // A failed batch spent nothing - hand the reservation back
+          ledger = exhausted || (reservation && await refundCredits(env, misses.length)) || reservation;
+        }
       }
+    }
 
-      // Transform Yahoo Finance data to Twelve Data format based on endpoint
-      let transformedData;
+    // Whole batch failed and nothing cached - pass the upstream error through
+    // (the registry tries the next provider first)
+    if (!upstream.ok && misses.length === symbols.length) {
+      return {
+        ...upstream,
+        ledger,
+        response: new Response(upstream.body, {
+          status: upstream.status,
+          headers: {
+            "content-type": "application/json",
+            ...CORS_HEADERS,
+            "x-data-source": adapter.label,
+            ...(upstreamLatencyMs !== null ? { "server-timing": `upstream;dur=${upstreamLatencyMs}` } : {})
+          }
+        })
+      };
+    }
 
-      if (pathname === "/api/quote") {
-        transformedData = transformYahooToQuote(quote);
-      } else if (pathname === "/api/statistics") {
-        transformedData = transformYahooToStatistics(quote);
+    for (const symbol of misses) {
+      const quote = upstream.quotes[symbol];
+
+      if (quote && quote.status !== "error") {
+        results[symbol] = quote;
+        ctx.waitUntil(cache.put(getCacheKey(symbol), buildQuoteCacheEntry(quote, getTtl(symbol), phases[symbol], adapter.label)));
+      } else {
+        results[symbol] = quote || {
+          status: "error",
+          code: upstream.ok ? 404 : upstream.status,
+          message: upstream.ok ? `No quote returned for ${symbol}` : `Upstream error ${upstream.status}`
+        };
       }
+    }
 
-      const responseText = JSON.stringify(transformedData);
+    console.log(`📊 Batch quote: ${symbols.length - misses.length} cached, ${misses.length} fetched from ${adapter.label}`);
+  }
 
-      // Create cacheable response
-      resp = new Response(responseText, {
-        status: 200,
-        headers: {
-          "content-type": "application/json; charset=utf-8",
-          "cache-control": `public, max-age=${ttl.maxAge}, stale-while-revalidate=${ttl.swr}`,
-          ...CORS_HEADERS,
-          "x-cache": "MISS",
-          "x-data-source": "Yahoo Finance",
-          "x-market-open": "false",
-          "x-cache-ttl": String(ttl.maxAge)
-        }
-      });
+  const cacheStatus = misses.length === 0 ? "HIT" : misses.length === symbols.length ? "MISS" : "PARTIAL";
 
-      // Store in edge cache
-      ctx.waitUntil(cache.put(cacheKey, resp.clone()));
+  // Some quotes were served from cache - return them, flagging the symbols the
+  // upstream failed for so the caller can retry them on the next provider
+  return {
+    ...upstream,
+    ledger,
+    latencyMs: upstreamLatencyMs,
+    quotes: results,
+    failed: upstream.ok ? [] : misses,
+    partial: !upstream.ok,
+    response: batchQuoteResponse(results, { cacheStatus, label: adapter.label, marketPhase, latencyMs: upstreamLatencyMs })
+  };
+}
 
-      console.log(`📈 Yahoo Finance cache MISS for ${symbol}${pathname} (TTL: ${ttl.maxAge}s, market: closed)`);
-    } catch (error) {
-      console.error(`Yahoo Finance fetch error for ${symbol}:`, error);
-      return new Response(JSON.stringify({
-        error: "Failed to fetch from Yahoo Finance",
-        fallbackToTD: true
-      }), {
-        status: 500,
-        headers: { "content-type": "application/json", ...CORS_HEADERS }
-      });
+/**
+ * 200 response for a symbol-keyed map of batch quotes
+ */
+function batchQuoteResponse(quotes, { cacheStatus, label, marketPhase, latencyMs }) {
+  return new Response(JSON.stringify(quotes), {
+    status: 200,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      ...CORS_HEADERS,
+      "x-cache": cacheStatus,
+      "x-data-source": label,
+      "x-market-open": marketPhase === "open" ? "true" : "false",
+      "x-market-phase": marketPhase,
+      ...(latencyMs != null ? { "server-timing": `upstream;dur=${latencyMs}` } : {})
     }
-  } else {
-    // Cache hit - add headers
-    const headers = new Headers(resp.headers);
-    headers.set("x-cache", "HIT");
-    headers.set("x-data-source", "Yahoo Finance");
-    headers.set("x-market-open", "false");
-    resp = new Response(resp.body, {
-      status: resp.status,
-      headers: headers
-    });
+  });
+}
+
+/**
+ * Handle /api/earnings_calendar?symbols=AAPL,MSFT
+ * The market-wide calendar for the next month is fetched once a day and edge cached,
+ * then filtered to the requested symbols - no upstream call per symbol.
+ * Returns a symbol-keyed map of { symbol, upcoming } (upcoming null when no report is due)
+ */
+async function handleEarningsCalendarRequest(searchParams, env, ctx) {
+  const symbols = parseSymbolList(searchParams.get("symbols"));
+
+  if (symbols.length === 0) {
+    return jsonResponse({ error: "Missing ?symbols parameter" }, 400);
   }
 
-  return resp;
+  if (symbols.length > MAX_BATCH_SYMBOLS) {
+    return jsonResponse({ error: `Too many symbols (max ${MAX_BATCH_SYMBOLS})` }, 400);
+  }
+
+  const { provider, result, skipped } = await providerRegistry.execute("earnings_calendar", {
+    env,
+    attempt: (adapter) => fetchEarningsCalendarFromProvider(adapter, env, ctx)
+  });
+
+  if (!provider) {
+    return noProviderResponse("earnings_calendar", skipped);
+  }
+
+  const fallbacks = skipped.filter(entry => entry.provider !== provider.id);
+
+  if (!result.calendar) {
+    const response = result.body
+      ? new Response(result.body, {
+        status: result.status,
+        headers: { "content-type": "application/json", ...CORS_HEADERS, "x-data-source": provider.label }
+      })
+      : jsonResponse({ error: `Failed to fetch from ${provider.label}` }, 502);
+    return withFallbackHeaders(response, fallbacks);
+  }
+
+  return withFallbackHeaders(new Response(JSON.stringify(selectEarningsCalendar(result.calendar, symbols)), {
+    status: 200,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      ...CORS_HEADERS,
+      "x-cache": result.upstream === false ? "HIT" : "MISS",
+      "x-data-source": provider.label,
+      ...(result.latencyMs !== undefined ? { "server-timing": `upstream;dur=${result.latencyMs}` } : {})
+    }
+  }), fallbacks);
 }
 
 /**
- * Transform Yahoo Finance quote to Twelve Data quote format
+ * The indexed earnings calendar from one provider, through the edge cache
+ * @returns {Promise<Object>} Provider result plus calendar ({ from, to, earnings }) on success
  */
-function transformYahooToQuote(quote) {
-  return {
-    symbol: quote.symbol,
-    name: quote.shortName || quote.longName,
-    exchange: quote.exchange,
-    currency: quote.currency,
-    datetime: new Date().toISOString(),
-    timestamp: Math.floor(Date.now() / 1000),
-    open: quote.regularMarketOpen?.toString(),
-    high: quote.regularMarketDayHigh?.toString(),
-    low: quote.regularMarketDayLow?.toString(),
-    close: quote.regularMarketPrice?.toString(),
-    previous_close: quote.regularMarketPreviousClose?.toString(),
-    change: quote.regularMarketChange?.toString(),
-    percent_change: quote.regularMarketChangePercent?.toString(),
-    volume: quote.regularMarketVolume,
-    average_volume: quote.averageDailyVolume10Day || quote.averageDailyVolume3Month,
-    is_market_open: false,
-    // Source indicator for frontend
-    _source: "yahoo"
-  };
+async function fetchEarningsCalendarFromProvider(adapter, env, ctx) {
+  const cache = caches.default;
+  const cacheKey = new Request(adapter.cacheKey("earnings_calendar", {}, env), {
+    headers: { Accept: "application/json" }
+  });
+
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return { ok: true, status: 200, upstream: false, calendar: await cached.json() };
+  }
+
+  const startedAt = Date.now();
+  const result = await adapter.fetch("earnings_calendar", {}, env);
+  const latencyMs = Date.now() - startedAt;
+
+  if (!result.ok) {
+    return { ...result, latencyMs };
+  }
+
+  const ttl = getCacheTTL("/earnings");
+  ctx.waitUntil(cache.put(cacheKey, new Response(result.body, {
+    status: 200,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": `public, max-age=${ttl.maxAge}, stale-while-revalidate=${ttl.swr}`
+    }
+  })));
+
+  console.log(`📅 ${adapter.label} earnings calendar cache MISS (TTL: ${ttl.maxAge}s)`);
+
+  return { ...result, latencyMs, calendar: JSON.parse(result.body) };
 }
 
 /**
- * Transform Yahoo Finance data to Twelve Data statistics format
+ * Build a per-symbol cache entry identical to what /api/quote stores
  */
-function transformYahooToStatistics(quote) {
-  return {
-    symbol: quote.symbol,
-    name: quote.shortName || quote.longName,
-    exchange: quote.exchange,
-    currency: quote.currency,
-    statistics: {
-      // Valuation
-      market_capitalization: quote.marketCap,
-      enterprise_value: quote.enterpriseValue,
-      trailing_pe: quote.trailingPE,
-      forward_pe: quote.forwardPE,
-      peg_ratio: quote.pegRatio,
-      price_to_sales_ttm: quote.priceToSalesTrailing12Months,
-      price_to_book: quote.priceToBook,
-      enterprise_to_revenue: quote.enterpriseToRevenue,
-      enterprise_to_ebitda: quote.enterpriseToEbitda,
-
-      // Financial metrics
-      profit_margin: quote.profitMargins,
-      operating_margin: quote.operatingMargins,
-      return_on_assets: quote.returnOnAssets,
-      return_on_equity: quote.returnOnEquity,
-      revenue: quote.totalRevenue,
-      revenue_per_share: quote.revenuePerShare,
-      quarterly_revenue_growth: quote.revenueGrowth,
-      gross_profit: quote.grossProfits,
-      ebitda: quote.ebitda,
-      net_income: quote.netIncomeToCommon,
-      diluted_eps_ttm: quote.epsTrailingTwelveMonths,
-      quarterly_earnings_growth: quote.earningsQuarterlyGrowth,
-
-      // Stock metrics
-      beta: quote.beta,
-      "52_week_high": quote.fiftyTwoWeekHigh,
-      "52_week_low": quote.fiftyTwoWeekLow,
-      "50_day_ma": quote.fiftyDayAverage,
-      "200_day_ma": quote.twoHundredDayAverage,
-      shares_outstanding: quote.sharesOutstanding,
-      shares_float: quote.floatShares,
-      shares_short: quote.sharesShort,
-      short_ratio: quote.shortRatio,
-      short_percent_of_float: quote.shortPercentOfFloat,
-
-      // Dividends
-      dividend_rate: quote.dividendRate,
-      dividend_yield: quote.dividendYield,
-      trailing_annual_dividend_rate: quote.trailingAnnualDividendRate,
-      trailing_annual_dividend_yield: quote.trailingAnnualDividendYield,
-      payout_ratio: quote.payoutRatio,
-      ex_dividend_date: quote.exDividendDate
-    },
-    // Source indicator for frontend
-    _source: "yahoo"
-  };
+function buildQuoteCacheEntry(quote, ttl, marketPhase, dataSource) {
+  return new Response(JSON.stringify(quote), {
+    status: 200,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": `public, max-age=${ttl.maxAge}, stale-while-revalidate=${ttl.swr}`,
+      ...CORS_HEADERS,
+      "x-cache": "MISS",
+      "x-data-source": dataSource,
+      "x-market-open": marketPhase === "open" ? "true" : "false",
+      "x-market-phase": marketPhase,
+      "x-cache-ttl": String(ttl.maxAge)
+    }
+  });
+}
+
+/**
+ * Parse a comma-separated symbol list into unique uppercase symbols
+ */
+function parseSymbolList(value) {
+  if (!value) return [];
+  const symbols = value.split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+  return [...new Set(symbols)];
 }